@@ -24,8 +24,8 @@
  *
  * ============================================================================
  */
-const path = require('path');
-const os = require('os');
+import path from 'path';
+import os from 'os';
 
 /**
  * Default configuration for Swagger to Next.js generator
@@ -494,16 +494,52 @@ const defaults = {
 
         // Security features
         security: {
-            // Content Security Policy
-            csp: true,
-            // CORS handling
-            cors: true,
-            // Rate limiting
-            rateLimiting: true,
+            // Content Security Policy sent by middleware.ts; a directive set here replaces the default one
+            csp: {
+                enabled: true,
+                directives: {
+                    'default-src': ["'self'"],
+                    'script-src': ["'self'", "'unsafe-inline'"],
+                    'style-src': ["'self'", "'unsafe-inline'"],
+                    'img-src': ["'self'", 'data:', 'blob:'],
+                    'font-src': ["'self'", 'data:'],
+                    'connect-src': ["'self'"],
+                    'frame-ancestors': ["'none'"],
+                    'base-uri': ["'self'"],
+                    'form-action': ["'self'"]
+                }
+            },
+            // Strict-Transport-Security for requests over HTTPS
+            hsts: {
+                enabled: true,
+                maxAge: 31536000,
+                includeSubDomains: true,
+                preload: false
+            },
+            // CORS of the API routes; x-cors in the spec overrides it per path or operation
+            cors: {
+                enabled: true,
+                origins: ['*'],
+                headers: ['Content-Type', 'Authorization'],
+                exposeHeaders: [],
+                credentials: false,
+                maxAge: 600
+            },
+            // Token bucket per client: `limit` requests, refilled over `window` seconds;
+            // x-rate-limit in the spec overrides it per path or operation
+            rateLimiting: {
+                enabled: true,
+                limit: 100,
+                window: 60,
+                // Proxies in front of the app that append to X-Forwarded-For. With 0 the
+                // client is request.ip (set on Vercel and other hosts); with n the client
+                // is the n-th entry from the right, as clients can forge the ones before it
+                trustedProxies: 0
+            },
             // Request validation
             requestValidation: true,
-            // Response validation
-            responseValidation: true
+            // Response validation: false, true (log mismatches) or 'strict' (answer them with a 502)
+            responseValidation: false
         },
 
         // Performance features
@@ -638,7 +674,7 @@ function mergeDeep(target, source) {
     if (isObject(target) && isObject(source)) {
         Object.keys(source).forEach(key => {
             if (isObject(source[key])) {
-                if (!(key in target)) {
+                if (!isObject(target[key])) {
                     Object.assign(output, { [key]: source[key] });
                 } else {
                     output[key] = mergeDeep(target[key], source[key]);
@@ -693,6 +729,22 @@ function validateConfig(config) {
         errors.push(`apiClient.type must be one of: ${validClients.join(', ')}`);
     }
 
+    // Validate response validation mode
+    const responseValidation = config.features?.security?.responseValidation;
+    if (![true, false, 'strict', undefined].includes(responseValidation)) {
+        errors.push("features.security.responseValidation must be true, false or 'strict'");
+    }
+
+    // Validate rate limiting
+    const rateLimiting = config.features?.security?.rateLimiting;
+    if (isObject(rateLimiting) && !['limit', 'window'].every(key => rateLimiting[key] === undefined || rateLimiting[key] > 0)) {
+        errors.push('features.security.rateLimiting.limit and .window must be positive numbers');
+    }
+    if (isObject(rateLimiting) && rateLimiting.trustedProxies !== undefined &&
+        !(Number.isInteger(rateLimiting.trustedProxies) && rateLimiting.trustedProxies >= 0)) {
+        errors.push('features.security.rateLimiting.trustedProxies must be a whole number of proxies');
+    }
+
     // Validate build tool
     const validTools = ['next', 'vite', 'webpack', 'turbopack'];
     if (!validTools.includes(config.build?.tool)) {
@@ -707,7 +759,7 @@ function validateConfig(config) {
 }
 
 // Export configuration
-module.exports = {
+export {
     defaults,
     getDefaults,
     mergeDeep,
@@ -0,0 +1,254 @@
+/**
+ * Watcher.js - Watch mode for swagger-to-nextjs
+ * Keeps a SwaggerToNextjs instance alive, watches the spec, every file it
+ * references with $ref and the custom template directory, and re-runs only
+ * the generators whose inputs changed
+ */
+import { EventEmitter } from 'node:events';
+import path from 'node:path';
+import { watch } from 'chokidar';
+import { GENERATOR_ORDER } from './index.js';
+
+/**
+ * Top-level spec sections each generator reads. A change to a section that
+ * is not listed here re-runs every generator.
+ */
+const SPEC_INPUTS = {
+    types: ['components'],
+    client: ['paths', 'components', 'servers', 'info', 'security', 'tags'],
+    services: ['paths', 'components', 'servers', 'info', 'security'],
+    routes: ['paths', 'components', 'servers', 'security'],
+    pages: ['paths', 'components'],
+    project: ['paths', 'components', 'servers', 'info', 'security', 'tags']
+};
+
+export default class Watcher extends EventEmitter {
+    /**
+     * @param {import('./index.js').default} generator - Configured generator with a spec source
+     * @param {Object} [options]
+     * @param {number} [options.debounce=200] - Milliseconds to wait for more changes before rebuilding
+     */
+    constructor(generator, options = {}) {
+        super();
+
+        this.generator = generator;
+        this.options = {
+            debounce: 200,
+            ...options
+        };
+
+        this.watcher = null;
+        this.watchedFiles = new Set();
+        this.pending = new Set();
+        this.timer = null;
+        this.queue = Promise.resolve();
+
+        // Output file -> content hash after the last run
+        this.fileHashes = new Map();
+    }
+
+    /**
+     * Run a full generation, then start watching its inputs
+     * @returns {Promise<Object>} Result of the initial generation
+     */
+    async start() {
+        const result = await this.generator.generate();
+        this.recordHashes();
+
+        this.watcher = watch([], { ignoreInitial: true });
+        this.watcher.on('all', (event, file) => this.schedule(file));
+        this.watcher.on('error', (error) => this.emit('error', error));
+        this.updateWatchedFiles();
+
+        this.emit('ready', { files: Array.from(this.watchedFiles) });
+        return result;
+    }
+
+    /**
+     * Stop watching; a rebuild in progress is allowed to finish
+     */
+    async close() {
+        clearTimeout(this.timer);
+        await this.watcher?.close();
+        await this.queue;
+        this.watcher = null;
+    }
+
+    get templateDir() {
+        const { templateDir } = this.generator.options;
+        return templateDir ? path.resolve(templateDir) : null;
+    }
+
+    /**
+     * Spec documents (local files only, not URLs or stdin) and the template directory
+     */
+    getInputs() {
+        const { loader, swaggerSource } = this.generator;
+        const inputs = loader.getDependencies(swaggerSource).filter(source => !loader.isUrl(source) && source !== '-');
+
+        if (this.templateDir) {
+            inputs.push(this.templateDir);
+        }
+
+        return inputs;
+    }
+
+    /**
+     * Follow $ref changes: watch newly referenced files, drop unreferenced ones
+     */
+    updateWatchedFiles() {
+        const inputs = new Set(this.getInputs());
+        const added = [...inputs].filter(file => !this.watchedFiles.has(file));
+        const removed = [...this.watchedFiles].filter(file => !inputs.has(file));
+
+        if (added.length > 0) this.watcher.add(added);
+        if (removed.length > 0) this.watcher.unwatch(removed);
+
+        this.watchedFiles = inputs;
+    }
+
+    schedule(file) {
+        this.pending.add(path.resolve(file));
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            const files = Array.from(this.pending);
+            this.pending.clear();
+
+            // Rebuilds never overlap; changes during a rebuild queue another one
+            this.queue = this.queue.then(() => this.rebuild(files));
+        }, this.options.debounce);
+    }
+
+    /**
+     * Regenerate after the given files changed
+     * @param {string[]} files - Absolute paths of changed files
+     * @returns {Promise<Object|null>} Generators that ran and the file diff, or
+     *   null when nothing needed regenerating
+     */
+    async rebuild(files) {
+        const startTime = Date.now();
+
+        try {
+            const { loader, swaggerSource } = this.generator;
+            const specFiles = files.filter(file => this.watchedFiles.has(file) && file !== this.templateDir);
+            const templates = this.templateDir
+                ? files
+                    .filter(file => file.startsWith(this.templateDir + path.sep))
+                    .map(file => path.relative(this.templateDir, file).split(path.sep).join('/'))
+                : [];
+
+            let sections = [];
+            if (specFiles.length > 0) {
+                specFiles.forEach(file => loader.invalidate(file));
+                sections = this.changedSections(this.generator.spec, await loader.load(swaggerSource));
+            }
+
+            const generators = this.affectedGenerators(sections, templates);
+            if (generators.length === 0) {
+                this.emit('rebuild:skipped', { files });
+                return null;
+            }
+
+            this.emit('rebuild:start', { files, generators });
+
+            const before = this.filesOf(generators);
+            await this.generator.regenerate(generators);
+            this.recordHashes();
+
+            const { orphaned } = this.generator.fileWriter.getSummary().files;
+            const diff = this.diffFiles(before, this.filesOf(generators), orphaned);
+            diff.removed.forEach(file => this.fileHashes.delete(file));
+            diff.orphaned.forEach(file => this.fileHashes.delete(file));
+            this.updateWatchedFiles();
+
+            const result = { files, generators, diff, duration: Date.now() - startTime };
+            this.emit('rebuild:complete', result);
+            return result;
+        } catch (error) {
+            this.emit('rebuild:error', { files, error });
+            return null;
+        }
+    }
+
+    /**
+     * Top-level sections that differ between two versions of the spec
+     */
+    changedSections(previous = {}, next = {}) {
+        const keys = new Set([...Object.keys(previous || {}), ...Object.keys(next || {})]);
+        return [...keys].filter(key => JSON.stringify(previous?.[key]) !== JSON.stringify(next?.[key]));
+    }
+
+    /**
+     * Generators to re-run for changed spec sections and template paths
+     * (relative to the template directory)
+     */
+    affectedGenerators(sections, templates) {
+        const affected = new Set();
+        const { templateUsage } = this.generator;
+
+        for (const section of sections) {
+            const readers = GENERATOR_ORDER.filter(name => SPEC_INPUTS[name].includes(section));
+            (readers.length > 0 ? readers : GENERATOR_ORDER).forEach(name => affected.add(name));
+        }
+
+        for (const template of templates) {
+            // Partials can be used by any template
+            if (template.startsWith('partials/')) {
+                GENERATOR_ORDER.forEach(name => affected.add(name));
+                continue;
+            }
+
+            GENERATOR_ORDER
+                .filter(name => templateUsage[name]?.has(template))
+                .forEach(name => affected.add(name));
+        }
+
+        // The project navbar lists the generated pages
+        if (affected.has('pages')) {
+            affected.add('project');
+        }
+
+        return GENERATOR_ORDER.filter(name => affected.has(name) && this.generator.generators[name]);
+    }
+
+    /**
+     * Output files of the given generators with their current hashes
+     */
+    filesOf(generators) {
+        const files = new Map();
+
+        for (const name of generators) {
+            for (const file of this.generator.generatorFiles[name] || []) {
+                files.set(file, this.fileHashes.get(file));
+            }
+        }
+
+        return files;
+    }
+
+    recordHashes() {
+        for (const [file, entry] of this.generator.fileWriter.manifest) {
+            this.fileHashes.set(file, entry.hash);
+        }
+    }
+
+    /**
+     * Added, removed and changed output files between two runs. Files that
+     * are no longer generated but were kept for their local edits are listed
+     * as orphaned instead of removed.
+     * @param {Map<string, string>} before - File -> hash before the rebuild
+     * @param {Map<string, string>} after - File -> hash after the rebuild
+     * @param {string[]} [orphaned] - Files left on disk by FileWriter.removeStaleFile
+     */
+    diffFiles(before, after, orphaned = []) {
+        const kept = new Set(orphaned);
+
+        return {
+            added: [...after.keys()].filter(file => !before.has(file)).sort(),
+            removed: [...before.keys()].filter(file => !after.has(file) && !kept.has(file)).sort(),
+            changed: [...after.keys()].filter(file => before.has(file) && before.get(file) !== after.get(file)).sort(),
+            orphaned: [...before.keys()].filter(file => !after.has(file) && kept.has(file)).sort()
+        };
+    }
+}
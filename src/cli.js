@@ -39,6 +39,7 @@ import ora from 'ora';
 import path from 'node:path';
 import fs from 'node:fs/promises';
 import yaml from 'js-yaml';
+import { hasMagic } from 'glob';
 import { fileURLToPath } from 'node:url';
 
 // Get current directory
@@ -58,6 +59,7 @@ try {
 
 // Import the main generator
 import SwaggerToNextjs from './index.js';
+import { MANIFEST_FILE } from './core/FileWriter.js';
 
 /**
  * CLI for swagger-to-nextjs
@@ -83,6 +85,9 @@ export async function cli() {
         .option('--no-pages', 'skip UI components generation')
         .option('-f, --force', 'overwrite existing files without asking', false)
         .option('-d, --dry-run', 'preview what would be generated without writing files', false)
+        .option('-i, --interactive', 'ask before overwriting each existing file', false)
+        .option('--timestamp', 'write into a timestamped copy of the output directory instead of updating it', false)
+        .option('--backup', 'back up existing files before overwriting them', false)
         .option('--theme <theme>', 'DaisyUI theme selection (default: "light")', 'light')
         .option('--themes <themes...>', 'list of DaisyUI themes to include (default: ["light", "dark", "cupcake", "corporate"])')
         .option('--no-daisyui', 'generate without DaisyUI, use plain CSS')
@@ -95,7 +100,8 @@ export async function cli() {
         .option('--cicd', 'generate CI/CD configuration files', false)
         .option('--test-templates', 'test all templates before generation (default: true)')
         .option('--no-test-templates', 'skip template testing')
-        .action(async (spec, output = './generated', options) => {
+        .option('--meta-schema', 'validate the spec against the official OpenAPI JSON Schema first', false)
+        .action(async (spec, output, options, command) => {
             const spinner = options.silent ? null : ora();
 
             try {
@@ -109,47 +115,22 @@ export async function cli() {
                     console.log('');
                 }
 
-                // Set default themes if not provided
-                if (!options.themes) {
-                    options.themes = ['light', 'dark', 'cupcake', 'corporate'];
-                }
-
-                // Log configuration
-                if (!options.silent) {
-                    console.log(chalk.cyan('📋 Generation Configuration:'));
-                    console.log(chalk.gray('─'.repeat(50)));
-                    console.log(`  ${chalk.bold('Source:')} ${chalk.yellow(spec)}`);
-                    console.log(`  ${chalk.bold('Output:')} ${chalk.yellow(path.resolve(output))}`);
-                    console.log(`  ${chalk.bold('TypeScript:')} ${chalk.yellow(options.typescript !== false ? 'Yes' : 'No')}`);
-                    console.log(`  ${chalk.bold('API Client:')} ${chalk.yellow(options.client !== false ? 'Yes' : 'No')}`);
-                    console.log(`  ${chalk.bold('UI Pages:')} ${chalk.yellow(options.pages !== false ? 'Yes' : 'No')}`);
-                    console.log(`  ${chalk.bold('DaisyUI:')} ${chalk.yellow(options.daisyui !== false ? 'Yes' : 'No')}`);
-                    if (options.daisyui !== false) {
-                        console.log(`  ${chalk.bold('Theme:')} ${chalk.yellow(options.theme)}`);
-                        console.log(`  ${chalk.bold('Themes:')} ${chalk.yellow(options.themes.join(', '))}`);
-                    }
-                    console.log(`  ${chalk.bold('Test Templates:')} ${chalk.yellow(options.testTemplates !== false ? 'Yes' : 'No')}`);
-                    console.log(`  ${chalk.bold('Mode:')} ${chalk.yellow(options.dryRun ? 'Dry Run' : 'Normal')}`);
-                    console.log(chalk.gray('─'.repeat(50)));
-                    console.log('');
-                }
-
-                // Validate input
-                await validateInput(spec, output, options);
-
                 // Create generator instance
                 if (spinner) spinner.start('Initializing generator...');
 
-                const generator = new SwaggerToNextjs({
-                    outputDir: output,
+                const generatorOptions = {
+                    outputDir: output || './generated',
                     typescript: options.typescript !== false,
                     generateClient: options.client !== false,
                     generatePages: options.pages !== false,
                     force: options.force,
                     dryRun: options.dryRun,
+                    interactive: options.interactive,
+                    useTimestamp: options.timestamp,
+                    backup: options.backup,
                     daisyui: options.daisyui !== false,
                     theme: options.theme,
-                    themes: options.themes,
+                    themes: options.themes || ['light', 'dark', 'cupcake', 'corporate'],
                     customTheme: options.customTheme,
                     templateDir: options.templateDir,
                     verbose: options.verbose,
@@ -157,19 +138,44 @@ export async function cli() {
                     docker: options.docker,
                     cicd: options.cicd,
                     testTemplates: options.testTemplates !== false,
+                    metaSchema: options.metaSchema,
+                    loader: loaderOptions(options),
                     configFile: options.config
-                });
+                };
+                const generator = new SwaggerToNextjs(generatorOptions);
 
-                // Initialize with config if provided
-                if (options.config) {
-                    if (spinner) spinner.text = 'Loading configuration...';
-                    await generator.initialize(options.config);
-                } else {
-                    await generator.initialize();
-                }
+                // Layer the config files under the flags given on the command line
+                if (spinner) spinner.text = 'Loading configuration...';
+                await generator.initialize(options.config, commandLineFlags(command, generatorOptions, output && { outputDir: output }));
+                const settings = generator.options;
 
                 if (spinner) spinner.succeed('Generator initialized');
 
+                // Log configuration
+                if (!settings.silent) {
+                    console.log('');
+                    console.log(chalk.cyan('📋 Generation Configuration:'));
+                    console.log(chalk.gray('─'.repeat(50)));
+                    console.log(`  ${chalk.bold('Source:')} ${chalk.yellow(spec)}`);
+                    console.log(`  ${chalk.bold('Output:')} ${chalk.yellow(outputLocation(settings))}`);
+                    console.log(`  ${chalk.bold('Config:')} ${chalk.yellow(generator.configSources.join(', '))}`);
+                    console.log(`  ${chalk.bold('TypeScript:')} ${chalk.yellow(settings.typescript !== false ? 'Yes' : 'No')}`);
+                    console.log(`  ${chalk.bold('API Client:')} ${chalk.yellow(settings.generateClient !== false ? 'Yes' : 'No')}`);
+                    console.log(`  ${chalk.bold('UI Pages:')} ${chalk.yellow(settings.generatePages !== false ? 'Yes' : 'No')}`);
+                    console.log(`  ${chalk.bold('DaisyUI:')} ${chalk.yellow(settings.daisyui !== false ? 'Yes' : 'No')}`);
+                    if (settings.daisyui !== false) {
+                        console.log(`  ${chalk.bold('Theme:')} ${chalk.yellow(settings.theme)}`);
+                        console.log(`  ${chalk.bold('Themes:')} ${chalk.yellow(settings.themes.join(', '))}`);
+                    }
+                    console.log(`  ${chalk.bold('Test Templates:')} ${chalk.yellow(settings.testTemplates !== false ? 'Yes' : 'No')}`);
+                    console.log(`  ${chalk.bold('Mode:')} ${chalk.yellow(settings.dryRun ? 'Dry Run' : 'Normal')}`);
+                    console.log(chalk.gray('─'.repeat(50)));
+                    console.log('');
+                }
+
+                // Validate input
+                await validateInput(spec, settings.outputDir, settings);
+
                 // Generate the application
                 if (spinner) spinner.start('Generating Next.js application...');
 
@@ -183,25 +189,31 @@ export async function cli() {
                 }
 
                 const result = await generator
-                    .withSwagger(spec)
-                    .toDirectory(output)
+                    .withSwagger(parseSpecArgument(spec))
                     .generate();
 
-                if (spinner) spinner.succeed('Generation completed successfully!');
+                if (spinner) {
+                    if (result.success) spinner.succeed('Generation completed successfully!');
+                    else spinner.fail(`Generation finished with ${result.errors.length} error(s)`);
+                }
 
                 // Show summary
-                if (!options.silent) {
-                    showSummary(result, output, options);
+                if (!settings.silent) {
+                    showSummary(result, result.outputDirectory, settings);
                 }
 
                 // Show next steps
-                if (!options.silent && !options.dryRun) {
-                    showNextSteps(output, options);
+                if (!settings.silent && !settings.dryRun && result.success) {
+                    showNextSteps(result.outputDirectory, settings);
                 }
 
                 // Cleanup
                 await generator.cleanup();
 
+                if (!result.success) {
+                    process.exit(1);
+                }
+
             } catch (error) {
                 if (spinner) spinner.fail('Generation failed');
                 handleError(error);
@@ -209,6 +221,260 @@ export async function cli() {
             }
         });
 
+    program
+        .command('watch <spec> [output]')
+        .description('Generate, then regenerate whenever the spec, its $ref\'d files or the templates change')
+        .option('--typescript', 'generate TypeScript code (default: true)')
+        .option('--no-typescript', 'generate JavaScript code')
+        .option('--client', 'generate API client (default: true)')
+        .option('--no-client', 'skip API client generation')
+        .option('--pages', 'generate UI components (default: true)')
+        .option('--no-pages', 'skip UI components generation')
+        .option('-f, --force', 'overwrite files even when local edits conflict', false)
+        .option('--theme <theme>', 'DaisyUI theme selection (default: "light")', 'light')
+        .option('--themes <themes...>', 'list of DaisyUI themes to include (default: ["light", "dark", "cupcake", "corporate"])')
+        .option('--no-daisyui', 'generate without DaisyUI, use plain CSS')
+        .option('--custom-theme <path>', 'path to custom DaisyUI theme file')
+        .option('--template-dir <path>', 'use (and watch) custom templates from directory')
+        .option('--config <path>', 'path to configuration file')
+        .option('--debounce <ms>', 'wait this long for further changes before regenerating', '200')
+        .option('--verbose', 'show detailed output', false)
+        .option('--docker', 'generate Docker configuration files', false)
+        .option('--cicd', 'generate CI/CD configuration files', false)
+        .action(async (spec, output, options, command) => {
+            const spinner = ora();
+
+            try {
+                if ([].concat(parseSpecArgument(spec)).includes('-')) {
+                    throw new Error('Watch mode cannot read the specification from stdin');
+                }
+
+                // Watch mode regenerates in place, so no timestamped directories
+                const generatorOptions = {
+                    outputDir: output || './generated',
+                    typescript: options.typescript !== false,
+                    generateClient: options.client !== false,
+                    generatePages: options.pages !== false,
+                    force: options.force,
+                    useTimestamp: false,
+                    daisyui: options.daisyui !== false,
+                    theme: options.theme,
+                    themes: options.themes || ['light', 'dark', 'cupcake', 'corporate'],
+                    customTheme: options.customTheme,
+                    templateDir: options.templateDir,
+                    verbose: options.verbose,
+                    silent: true,
+                    docker: options.docker,
+                    cicd: options.cicd,
+                    testTemplates: false,
+                    loader: loaderOptions(options)
+                };
+                const generator = new SwaggerToNextjs(generatorOptions);
+                await generator.initialize(options.config, commandLineFlags(command, generatorOptions, {
+                    ...(output && { outputDir: output }),
+                    useTimestamp: false,
+                    silent: true,
+                    testTemplates: false
+                }));
+
+                await validateInput(spec, generator.options.outputDir, { ...generator.options, dryRun: false });
+                generator.withSwagger(parseSpecArgument(spec));
+
+                const { default: Watcher } = await import('./Watcher.js');
+                const watcher = new Watcher(generator, { debounce: parseInt(options.debounce, 10) });
+
+                watcher.on('rebuild:start', ({ files, generators }) => {
+                    const changed = files.map(file => path.relative(process.cwd(), file)).join(', ');
+                    spinner.start(`${changed} changed, regenerating ${generators.join(', ')}...`);
+                });
+                watcher.on('rebuild:complete', (result) => {
+                    spinner.succeed(`Regenerated in ${(result.duration / 1000).toFixed(2)}s`);
+                    showFileDiff(result.diff, generator.fileWriter.outputDirectory);
+                });
+                watcher.on('rebuild:skipped', ({ files }) => {
+                    if (options.verbose) {
+                        console.log(chalk.gray(`  No generator reads ${files.map(file => path.relative(process.cwd(), file)).join(', ')}`));
+                    }
+                });
+                watcher.on('rebuild:error', ({ error }) => {
+                    spinner.fail('Regeneration failed, still watching');
+                    console.error(chalk.red('Error:'), error.message);
+                });
+                watcher.on('error', (error) => console.error(chalk.red('Watcher error:'), error.message));
+
+                spinner.start('Generating Next.js application...');
+                const result = await watcher.start();
+                spinner.succeed(`Generated ${result.files.length} files in ${path.resolve(generator.options.outputDir)}`);
+
+                console.log(chalk.cyan(`👀 Watching ${watcher.watchedFiles.size} input(s) for changes. Press Ctrl+C to stop.`));
+                if (options.verbose) {
+                    watcher.watchedFiles.forEach(file => console.log(chalk.gray(`  ${path.relative(process.cwd(), file)}`)));
+                }
+
+                process.once('SIGINT', async () => {
+                    spinner.stop();
+                    await watcher.close();
+                    await generator.cleanup();
+                    process.exit(0);
+                });
+            } catch (error) {
+                spinner.fail('Watch mode failed to start');
+                handleError(error);
+                process.exit(1);
+            }
+        });
+
+    program
+        .command('diff <old-spec> <new-spec>')
+        .description('Compare two OpenAPI specifications and classify breaking changes')
+        .option('--format <format>', 'output format: text, json or markdown', 'text')
+        .option('-o, --output <file>', 'write the report to a file instead of stdout')
+        .option('--fail-on-breaking', 'exit with code 1 when breaking changes are found', false)
+        .action(async (oldSpec, newSpec, options) => {
+            try {
+                const { default: SwaggerLoader } = await import('./core/SwaggerLoader.js');
+                const { default: SpecDiff } = await import('./core/SpecDiff.js');
+
+                const loader = new SwaggerLoader(loaderOptions(options));
+                const specDiff = new SpecDiff();
+                const result = specDiff.compare(
+                    await loader.load(parseSpecArgument(oldSpec)),
+                    await loader.load(parseSpecArgument(newSpec))
+                );
+                const report = specDiff.format(result, options.format);
+
+                if (options.output) {
+                    await fs.writeFile(options.output, report + '\n', 'utf-8');
+                    console.log(chalk.green(`✅ Wrote ${result.changes.length} change(s) to ${options.output}`));
+                } else if (options.format === 'text') {
+                    console.log(colorizeDiff(report));
+                } else {
+                    console.log(report);
+                }
+
+                if (options.failOnBreaking && result.hasBreakingChanges) {
+                    process.exit(1);
+                }
+            } catch (error) {
+                handleError(error);
+                process.exit(2);
+            }
+        });
+
+    program
+        .command('validate <spec>')
+        .description('Validate an OpenAPI specification without generating anything')
+        .option('--format <format>', 'output format: pretty, json, junit or sarif', 'pretty')
+        .option('-o, --output <file>', 'write the report to a file instead of stdout')
+        .option('--fail-on <severity>', 'exit with code 1 on issues at or above: error, warning or none', 'error')
+        .option('--meta-schema', 'validate against the official OpenAPI JSON Schema first', false)
+        .option('--config <path>', 'configuration file with lint rule settings')
+        .action(async (spec, options) => {
+            try {
+                const { default: SwaggerLoader } = await import('./core/SwaggerLoader.js');
+                const { default: SwaggerValidator } = await import('./core/SwaggerValidator.js');
+                const { default: ValidationReporter } = await import('./core/ValidationReporter.js');
+                const { loadLintRules } = await import('./core/Linter.js');
+
+                // Lint settings from the config file (JSON is valid YAML)
+                let lint = {};
+                let lintRules = [];
+                if (options.config) {
+                    lint = (yaml.load(await fs.readFile(options.config, 'utf-8')) || {}).lint || {};
+                    lintRules = await loadLintRules(lint.plugins, path.dirname(path.resolve(options.config)));
+                }
+
+                // Broken $refs become ref-resolved errors in the report
+                const loader = new SwaggerLoader({ ...loaderOptions(options), keepUnresolvedReferences: true });
+                const reporter = new ValidationReporter({ source: spec, toolVersion: version });
+                const result = new SwaggerValidator().validate(await loader.load(parseSpecArgument(spec)), {
+                    metaSchema: options.metaSchema,
+                    lint,
+                    lintRules
+                });
+                const failed = reporter.fails(result, options.failOn);
+                const report = reporter.format(result, options.format);
+
+                if (options.output) {
+                    await fs.writeFile(options.output, report + '\n', 'utf-8');
+                    console.log(chalk.green(`✅ Wrote ${result.errors.length} error(s) and ${result.warnings.length} warning(s) to ${options.output}`));
+                } else if (options.format === 'pretty') {
+                    console.log(colorizeValidation(report));
+                } else {
+                    console.log(report);
+                }
+
+                if (failed) {
+                    process.exit(1);
+                }
+            } catch (error) {
+                handleError(error);
+                process.exit(2);
+            }
+        });
+
+    program
+        .command('convert <spec> <output>')
+        .description('Convert a Swagger 2.0 specification to OpenAPI 3.0')
+        .option('--format <format>', 'output format: yaml or json (default: from the output file extension)')
+        .action(async (spec, output, options) => {
+            try {
+                const { default: SwaggerLoader } = await import('./core/SwaggerLoader.js');
+                const { convertSwagger2ToOpenAPI3 } = await import('./core/Swagger2Converter.js');
+
+                const format = options.format || (/\.json$/i.test(output) ? 'json' : 'yaml');
+                if (format !== 'json' && format !== 'yaml') {
+                    throw new Error(`Unknown output format: ${format} (use yaml or json)`);
+                }
+
+                // Convert the document as written, keeping its $refs
+                const document = await new SwaggerLoader(loaderOptions(options)).loadDocument(spec);
+                if (typeof document.swagger !== 'string' || !document.swagger.startsWith('2.')) {
+                    throw new Error(`${spec} is not a Swagger 2.0 document`);
+                }
+
+                const converted = convertSwagger2ToOpenAPI3(document);
+                const content = format === 'json'
+                    ? JSON.stringify(converted, null, 2) + '\n'
+                    : yaml.dump(converted, { noRefs: true, lineWidth: -1 });
+
+                await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+                await fs.writeFile(output, content, 'utf-8');
+                console.log(chalk.green(`✅ Converted ${spec} to OpenAPI ${converted.openapi}: ${output}`));
+            } catch (error) {
+                handleError(error);
+                process.exit(1);
+            }
+        });
+
+    // Add bundle command
+    program
+        .command('bundle <spec> <output>')
+        .description('Bundle a multi-file specification into one file with internal $refs only')
+        .option('--format <format>', 'output format: yaml or json (default: from the output file extension)')
+        .action(async (spec, output, options) => {
+            try {
+                const { default: SwaggerLoader } = await import('./core/SwaggerLoader.js');
+
+                const format = options.format || (/\.json$/i.test(output) ? 'json' : 'yaml');
+                if (format !== 'json' && format !== 'yaml') {
+                    throw new Error(`Unknown output format: ${format} (use yaml or json)`);
+                }
+
+                const bundled = await new SwaggerLoader(loaderOptions(options)).bundle(parseSpecArgument(spec));
+                const content = format === 'json'
+                    ? JSON.stringify(bundled, null, 2) + '\n'
+                    : yaml.dump(bundled, { noRefs: true, lineWidth: -1 });
+
+                await fs.mkdir(path.dirname(path.resolve(output)), { recursive: true });
+                await fs.writeFile(output, content, 'utf-8');
+                console.log(chalk.green(`✅ Bundled ${spec}: ${output}`));
+            } catch (error) {
+                handleError(error);
+                process.exit(1);
+            }
+        });
+
     // Add generate-from-config command
     program
         .command('generate-from-config <config-file> [output]')
@@ -226,7 +492,7 @@ export async function cli() {
         .option('--silent', 'suppress all output except errors', false)
         .option('--docker', 'generate Docker configuration files', false)
         .option('--cicd', 'generate CI/CD configuration files', false)
-        .action(async (configFile, output, options) => {
+        .action(async (configFile, output, options, command) => {
             const spinner = options.silent ? null : ora();
 
             try {
@@ -244,61 +510,34 @@ export async function cli() {
                 if (spinner) spinner.start('Loading configuration file...');
 
                 let config;
+                let generatorConfig;
                 try {
                     const configContent = await fs.readFile(configFile, 'utf-8');
                     config = yaml.load(configContent);
 
-                    if (!config.inputSpec) {
-                        throw new Error('Config file must contain "inputSpec" field');
+                    if (!config.inputSpec && !config.services) {
+                        throw new Error('Config file must contain an "inputSpec" field or a "services" list');
                     }
 
+                    // OpenAPI Generator options (additionalProperties, typeMappings)
+                    const { mapGeneratorConfig } = await import('./core/OpenApiGeneratorConfig.js');
+                    generatorConfig = mapGeneratorConfig(config);
+
                     if (spinner) spinner.succeed('Configuration loaded');
                 } catch (error) {
                     if (spinner) spinner.fail('Failed to load configuration');
                     throw new Error(`Failed to load config file: ${error.message}`);
                 }
 
-                // Extract spec URL from config
+                // Extract spec URL from config; a "services" list makes a workspace
                 const spec = config.inputSpec;
-
-                // Use outputDir from config if not specified
-                if (!output && config.outputDir) {
-                    output = config.outputDir;
-                } else if (!output) {
-                    output = './generated';
-                }
-
-                // Set default themes if not provided
-                if (!options.themes) {
-                    options.themes = ['light', 'dark', 'cupcake', 'corporate'];
-                }
-
-                // Log configuration
-                if (!options.silent) {
-                    console.log(chalk.cyan('📋 Generation Configuration:'));
-                    console.log(chalk.gray('─'.repeat(50)));
-                    console.log(`  ${chalk.bold('Config File:')} ${chalk.yellow(configFile)}`);
-                    console.log(`  ${chalk.bold('Source:')} ${chalk.yellow(spec)}`);
-                    console.log(`  ${chalk.bold('Output:')} ${chalk.yellow(path.resolve(output))}`);
-                    console.log(`  ${chalk.bold('Generator:')} ${chalk.yellow(config.generatorName || 'typescript-axios')}`);
-                    console.log(`  ${chalk.bold('TypeScript:')} ${chalk.yellow(options.typescript !== false ? 'Yes' : 'No')}`);
-                    console.log(`  ${chalk.bold('API Client:')} ${chalk.yellow('Yes (using OpenAPI Generator)')}`);
-                    console.log(`  ${chalk.bold('UI Pages:')} ${chalk.yellow(options.pages !== false ? 'Yes' : 'No')}`);
-                    console.log(`  ${chalk.bold('DaisyUI:')} ${chalk.yellow(options.daisyui !== false ? 'Yes' : 'No')}`);
-                    if (options.daisyui !== false) {
-                        console.log(`  ${chalk.bold('Theme:')} ${chalk.yellow(options.theme)}`);
-                        console.log(`  ${chalk.bold('Themes:')} ${chalk.yellow(options.themes.join(', '))}`);
-                    }
-                    console.log(`  ${chalk.bold('Mode:')} ${chalk.yellow(options.dryRun ? 'Dry Run' : 'Normal')}`);
-                    console.log(chalk.gray('─'.repeat(50)));
-                    console.log('');
-                }
+                const services = config.services || null;
 
                 // Create generator instance
                 if (spinner) spinner.start('Initializing generator...');
 
-                const generator = new SwaggerToNextjs({
-                    outputDir: output,
+                const generatorOptions = {
+                    outputDir: './generated',
                     typescript: options.typescript !== false,
                     generateClient: true, // Always true when using config
                     generatePages: options.pages !== false,
@@ -306,20 +545,65 @@ export async function cli() {
                     dryRun: options.dryRun,
                     daisyui: options.daisyui !== false,
                     theme: options.theme,
-                    themes: options.themes,
+                    themes: options.themes || ['light', 'dark', 'cupcake', 'corporate'],
                     verbose: options.verbose,
                     silent: options.silent,
                     docker: options.docker,
                     cicd: options.cicd,
+                    loader: loaderOptions(options),
+                    services,
                     // Pass the config file path
-                    configFile: configFile,
-                    useOpenApiGenerator: true
-                });
-
-                await generator.initialize();
+                    configFile: configFile
+                };
+                const generator = new SwaggerToNextjs(generatorOptions);
+
+                // The OpenAPI Generator config and the flags apply over the project config
+                const outputDir = output || config.outputDir;
+                await generator.initialize({}, commandLineFlags(command, generatorOptions, {
+                    ...(outputDir && { outputDir }),
+                    ...generatorConfig.options
+                }));
+                const settings = generator.options;
 
                 if (spinner) spinner.succeed('Generator initialized');
 
+                // Log configuration
+                if (!settings.silent) {
+                    console.log('');
+                    console.log(chalk.cyan('📋 Generation Configuration:'));
+                    console.log(chalk.gray('─'.repeat(50)));
+                    console.log(`  ${chalk.bold('Config File:')} ${chalk.yellow(configFile)}`);
+                    if (services) {
+                        services.forEach(service => {
+                            console.log(`  ${chalk.bold('Service:')} ${chalk.yellow(`${service.name} (${service.inputSpec})`)}`);
+                        });
+                    } else {
+                        console.log(`  ${chalk.bold('Source:')} ${chalk.yellow(spec)}`);
+                    }
+                    console.log(`  ${chalk.bold('Output:')} ${chalk.yellow(outputLocation(settings))}`);
+                    console.log(`  ${chalk.bold('Config:')} ${chalk.yellow(generator.configSources.join(', '))}`);
+                    console.log(`  ${chalk.bold('Generator:')} ${chalk.yellow(config.generatorName || 'typescript-axios')}`);
+                    console.log(`  ${chalk.bold('TypeScript:')} ${chalk.yellow(settings.typescript !== false ? 'Yes' : 'No')}`);
+                    console.log(`  ${chalk.bold('API Client:')} ${chalk.yellow('Yes (native fetch client)')}`);
+                    console.log(`  ${chalk.bold('UI Pages:')} ${chalk.yellow(settings.generatePages !== false ? 'Yes' : 'No')}`);
+                    console.log(`  ${chalk.bold('DaisyUI:')} ${chalk.yellow(settings.daisyui !== false ? 'Yes' : 'No')}`);
+                    if (settings.daisyui !== false) {
+                        console.log(`  ${chalk.bold('Theme:')} ${chalk.yellow(settings.theme)}`);
+                        console.log(`  ${chalk.bold('Themes:')} ${chalk.yellow(settings.themes.join(', '))}`);
+                    }
+                    console.log(`  ${chalk.bold('Mode:')} ${chalk.yellow(settings.dryRun ? 'Dry Run' : 'Normal')}`);
+                    if (Object.keys(generatorConfig.options).length > 0) {
+                        console.log(`  ${chalk.bold('Generator Options:')} ${chalk.yellow(Object.entries(generatorConfig.options)
+                            .map(([name, value]) => `${name}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+                            .join(', '))}`);
+                    }
+                    console.log(chalk.gray('─'.repeat(50)));
+                    if (generatorConfig.ignored.length > 0) {
+                        console.log(chalk.yellow(`⚠️  Ignoring OpenAPI Generator options without an equivalent: ${generatorConfig.ignored.join(', ')}`));
+                    }
+                    console.log('');
+                }
+
                 // Generate the application
                 if (spinner) spinner.start('Generating Next.js application...');
 
@@ -332,26 +616,34 @@ export async function cli() {
                     });
                 }
 
-                const result = await generator
-                    .withSwagger(spec)
-                    .toDirectory(output)
-                    .generate();
+                if (!services) {
+                    generator.withSwagger(spec);
+                }
 
-                if (spinner) spinner.succeed('Generation completed successfully!');
+                const result = await generator.generate();
+
+                if (spinner) {
+                    if (result.success) spinner.succeed('Generation completed successfully!');
+                    else spinner.fail(`Generation finished with ${result.errors.length} error(s)`);
+                }
 
                 // Show summary
-                if (!options.silent) {
-                    showSummary(result, output, options);
+                if (!settings.silent) {
+                    showSummary(result, result.outputDirectory, settings);
                 }
 
                 // Show next steps
-                if (!options.silent && !options.dryRun) {
-                    showNextSteps(output, options);
+                if (!settings.silent && !settings.dryRun && result.success) {
+                    showNextSteps(result.outputDirectory, settings);
                 }
 
                 // Cleanup
                 await generator.cleanup();
 
+                if (!result.success) {
+                    process.exit(1);
+                }
+
             } catch (error) {
                 if (spinner) spinner.fail('Generation failed');
                 handleError(error);
@@ -413,6 +705,10 @@ export async function cli() {
             }
         });
 
+    // Every command that reads a spec can fetch it with credentials or from the cache
+    ['generate', 'watch', 'diff', 'validate', 'convert', 'bundle', 'generate-from-config']
+        .forEach(name => addLoaderOptions(program.commands.find(command => command.name() === name)));
+
     // Add help text
     program.addHelpText('after', `
 Examples:
@@ -422,11 +718,25 @@ Examples:
   $ swagger-to-nextjs generate api.json output --dry-run
   $ swagger-to-nextjs generate api.yaml my-app --theme dark --themes light dark synthwave
   $ swagger-to-nextjs generate spec.json --no-daisyui
+  $ swagger-to-nextjs watch ./api.yaml ./my-app --template-dir ./my-templates
+  $ swagger-to-nextjs diff ./api-v1.yaml ./api-v2.yaml --format markdown --fail-on-breaking
+  $ swagger-to-nextjs validate ./api.yaml --format sarif -o validation.sarif --fail-on warning
+  $ swagger-to-nextjs validate ./api.yaml --meta-schema
+  $ swagger-to-nextjs validate ./api.yaml --config .swagger-to-nextjs.yaml
+  $ swagger-to-nextjs convert ./swagger.json ./openapi.yaml
+  $ swagger-to-nextjs bundle ./api/openapi.yaml ./dist/openapi.json
+  $ swagger-to-nextjs generate https://internal.example.com/openapi.json --token-env API_TOKEN
+  $ swagger-to-nextjs generate https://internal.example.com/openapi.json --header 'X-Api-Key: \${API_KEY}'
+  $ swagger-to-nextjs generate https://internal.example.com/openapi.json --offline
+  $ swagger-to-nextjs generate 'services/*.yaml' ./my-app --prefix services/billing.yaml=billing
+  $ swagger-to-nextjs generate users.yaml,billing.yaml ./my-app
+  $ cat openapi.yaml | swagger-to-nextjs validate -
   
   # Using OpenAPI Generator config file:
   $ swagger-to-nextjs generate-from-config openapi-config.yaml
   $ swagger-to-nextjs generate-from-config openapi-config-typelist-service.yaml ./my-app
   $ swagger-to-nextjs generate-from-config config.yaml --theme dark --no-pages
+  $ swagger-to-nextjs generate-from-config workspace.yaml ./my-app   # config with a "services" list
   
   $ swagger-to-nextjs test-templates
   $ swagger-to-nextjs test-templates --verbose
@@ -444,22 +754,129 @@ Config File Format:
     outputDir: <optional output directory>
     generatorName: <OpenAPI generator to use>
     additionalProperties: <generator-specific options>
+    typeMappings: <TypeScript types for OpenAPI types or formats>
+
+  Honoured additionalProperties: stringEnums, enumPropertyNaming, removeEnumValuePrefix,
+  modelPropertyNaming, useSingleRequestParameter, withSeparateModelsAndApi (with
+  apiPackage and modelPackage)
 
 For more information, visit: https://github.com/yourusername/swagger-to-nextjs`);
 
     await program.parseAsync(process.argv);
 }
 
+/**
+ * SwaggerToNextjs options set by command line options
+ */
+const FLAG_OPTIONS = {
+    typescript: 'typescript',
+    generateClient: 'client',
+    generatePages: 'pages',
+    force: 'force',
+    dryRun: 'dryRun',
+    interactive: 'interactive',
+    useTimestamp: 'timestamp',
+    backup: 'backup',
+    daisyui: 'daisyui',
+    theme: 'theme',
+    themes: 'themes',
+    customTheme: 'customTheme',
+    templateDir: 'templateDir',
+    verbose: 'verbose',
+    silent: 'silent',
+    docker: 'docker',
+    cicd: 'cicd',
+    testTemplates: 'testTemplates',
+    metaSchema: 'metaSchema'
+};
+
+/**
+ * The generator options given on the command line, which initialize()
+ * applies over the config files. Options left at their defaults are not
+ * included, so config files can change them.
+ */
+function commandLineFlags(command, generatorOptions, extra = {}) {
+    const flags = { loader: generatorOptions.loader, ...extra };
+
+    for (const [name, flag] of Object.entries(FLAG_OPTIONS)) {
+        if (name in generatorOptions && command.getOptionValueSource(flag) === 'cli') {
+            flags[name] = generatorOptions[name];
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * Add the options for loading specs from URLs to a command
+ */
+function addLoaderOptions(command) {
+    command
+        .option('-H, --header <header>', 'request header for spec URLs as "Name: value", may use ${ENV_VAR} (repeatable)',
+            (header, headers) => [...headers, header], [])
+        .option('--token-env <name>', 'environment variable holding a bearer token for spec URLs')
+        .option('--offline', 'load spec URLs from the on-disk cache instead of the network')
+        .option('--no-cache', 'do not keep spec URLs in the on-disk cache')
+        .option('--cache-dir <path>', 'directory of the on-disk spec cache')
+        .option('--prefix <source=prefix>', 'prefix for renaming colliding items when merging specs, e.g. billing.yaml=billing (repeatable)',
+            (prefix, prefixes) => [...prefixes, prefix], []);
+}
+
+/**
+ * A spec argument: a path, URL, "-" (stdin) or glob, or several of them
+ * separated by commas, which are merged into one spec
+ */
+function parseSpecArgument(spec) {
+    const sources = spec.split(',').map(source => source.trim()).filter(Boolean);
+    return sources.length === 1 ? sources[0] : sources;
+}
+
+/**
+ * SwaggerLoader options from the loader command line options
+ */
+function loaderOptions(options) {
+    const headers = {};
+    for (const header of options.header || []) {
+        const separator = header.indexOf(':');
+        if (separator <= 0) {
+            throw new Error(`Invalid header "${header}" (use "Name: value")`);
+        }
+        headers[header.slice(0, separator).trim()] = header.slice(separator + 1).trim();
+    }
+
+    const prefixes = {};
+    for (const entry of options.prefix || []) {
+        const separator = entry.lastIndexOf('=');
+        if (separator <= 0) {
+            throw new Error(`Invalid prefix "${entry}" (use "source=prefix")`);
+        }
+        prefixes[entry.slice(0, separator)] = entry.slice(separator + 1);
+    }
+
+    return {
+        headers,
+        tokenEnv: options.tokenEnv,
+        offline: options.offline,
+        cache: options.cache === false ? false : undefined,
+        cacheDirectory: options.cacheDir,
+        merge: { prefixes }
+    };
+}
+
 /**
  * Validate input parameters
  */
 async function validateInput(spec, output, options) {
-    // Check if spec exists (for local files)
-    if (!spec.startsWith('http://') && !spec.startsWith('https://')) {
+    // Check if specs exist (for local files; globs are checked when they are expanded)
+    for (const source of [].concat(parseSpecArgument(spec))) {
+        if (source === '-' || source.startsWith('http://') || source.startsWith('https://') || hasMagic(source)) {
+            continue;
+        }
+
         try {
-            await fs.access(spec);
+            await fs.access(source);
         } catch (error) {
-            throw new Error(`OpenAPI specification file not found: ${spec}`);
+            throw new Error(`OpenAPI specification file not found: ${source}`);
         }
     }
 
@@ -473,7 +890,8 @@ async function validateInput(spec, output, options) {
             if (stats.isDirectory()) {
                 const files = await fs.readdir(outputPath);
 
-                if (files.length > 0 && !options.force) {
+                // A directory with a manifest was generated before and is regenerated incrementally
+                if (files.length > 0 && !files.includes(MANIFEST_FILE) && !options.force) {
                     throw new Error(
                         `Output directory is not empty: ${outputPath}\n` +
                         '  Use --force to overwrite existing files.'
@@ -500,6 +918,15 @@ async function validateInput(spec, output, options) {
     }
 }
 
+/**
+ * Where the files will be written; the timestamp is only known once
+ * generation starts
+ */
+function outputLocation(options) {
+    const outputDir = path.resolve(options.outputDir);
+    return options.useTimestamp ? `${outputDir}-<timestamp>` : outputDir;
+}
+
 /**
  * Show generation summary
  */
@@ -508,6 +935,10 @@ function showSummary(result, output, options) {
     console.log(chalk.green('✨ Generation Summary:'));
     console.log(chalk.gray('─'.repeat(50)));
 
+    if (output) {
+        console.log(`  ${chalk.bold('Output:')} ${chalk.yellow(output)}`);
+    }
+
     if (result.files) {
         console.log(`  ${chalk.bold('Total Files:')} ${chalk.yellow(result.files.length)}`);
 
@@ -524,6 +955,13 @@ function showSummary(result, output, options) {
     }
 
     if (result.stats) {
+        console.log(`  ${chalk.bold('Written:')} ${chalk.yellow(result.stats.writtenFiles || 0)}` +
+            `  ${chalk.bold('Skipped:')} ${chalk.yellow(result.stats.skippedFiles || 0)}` +
+            `  ${chalk.bold('Unchanged:')} ${chalk.yellow(result.stats.unchangedFiles || 0)}`);
+        if (result.stats.mergedFiles || result.stats.conflictFiles) {
+            console.log(`  ${chalk.bold('Merged:')} ${chalk.yellow(result.stats.mergedFiles || 0)}` +
+                `  ${chalk.bold('Conflicts:')} ${chalk.yellow(result.stats.conflictFiles || 0)}`);
+        }
         console.log(`  ${chalk.bold('TypeScript Types:')} ${chalk.yellow(result.stats.types || 0)}`);
         console.log(`  ${chalk.bold('API Routes:')} ${chalk.yellow(result.stats.routes || 0)}`);
         console.log(`  ${chalk.bold('UI Pages:')} ${chalk.yellow(result.stats.pages || 0)}`);
@@ -537,6 +975,21 @@ function showSummary(result, output, options) {
         console.log(`  ${chalk.bold('Duration:')} ${chalk.yellow((result.duration / 1000).toFixed(2) + 's')}`);
     }
 
+    if (result.conflicts && result.conflicts.length > 0) {
+        console.log(chalk.yellow('  Local edits could not be merged into these files; see the .conflict reports:'));
+        result.conflicts.forEach(file => {
+            console.log(chalk.yellow(`    ⚠️  ${path.relative(process.cwd(), file)}.conflict`));
+        });
+    }
+
+    if (result.errors && result.errors.length > 0) {
+        console.log(`  ${chalk.bold('Errors:')} ${chalk.red(result.errors.length)}`);
+        result.errors.forEach(error => {
+            const message = typeof error === 'string' ? error : [error.message, error.error].filter(Boolean).join(': ');
+            console.log(chalk.red(`    ❌ ${message}`));
+        });
+    }
+
     if (result.warnings && result.warnings.length > 0) {
         console.log(`  ${chalk.bold('Warnings:')} ${chalk.yellow(result.warnings.length)}`);
         if (options.verbose) {
@@ -549,6 +1002,42 @@ function showSummary(result, output, options) {
     console.log(chalk.gray('─'.repeat(50)));
 }
 
+/**
+ * Show the output files a watch-mode rebuild added, removed or changed
+ */
+function showFileDiff(diff, outputDir) {
+    const total = diff.added.length + diff.removed.length + diff.changed.length + diff.orphaned.length;
+    if (total === 0) {
+        console.log(chalk.gray('  No output files changed'));
+        return;
+    }
+
+    const relative = (file) => path.relative(outputDir, file);
+    diff.added.forEach(file => console.log(chalk.green(`  + ${relative(file)}`)));
+    diff.removed.forEach(file => console.log(chalk.red(`  - ${relative(file)}`)));
+    diff.changed.forEach(file => console.log(chalk.yellow(`  ~ ${relative(file)}`)));
+    diff.orphaned.forEach(file => console.log(chalk.magenta(`  ! ${relative(file)} (no longer generated, kept for its local edits)`)));
+}
+
+/**
+ * Color the section headings of a text spec diff
+ */
+function colorizeDiff(report) {
+    return report
+        .replace(/^Breaking changes:$/m, chalk.red.bold('Breaking changes:'))
+        .replace(/^Non-breaking changes:$/m, chalk.green.bold('Non-breaking changes:'))
+        .replace(/^Informational changes:$/m, chalk.gray.bold('Informational changes:'));
+}
+
+/**
+ * Color the section headings of a pretty validation report
+ */
+function colorizeValidation(report) {
+    return report
+        .replace(/^Errors:$/m, chalk.red.bold('Errors:'))
+        .replace(/^Warnings:$/m, chalk.yellow.bold('Warnings:'));
+}
+
 /**
  * Show next steps
  */
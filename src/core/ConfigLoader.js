@@ -0,0 +1,210 @@
+/**
+ * ConfigLoader.js
+ *
+ * Builds the configuration of a run from layers, each one overriding the
+ * ones before it:
+ *
+ * 1. config/defaults.js
+ * 2. the `environments` entry of the current environment (NODE_ENV,
+ *    default: development)
+ * 3. swagger-to-nextjs.config.{js,mjs,json,yaml,yml} in the working
+ *    directory, or the file given with --config
+ * 4. the "swagger-to-nextjs" key of package.json
+ * 5. options passed to SwaggerToNextjs.initialize(), then command line flags
+ *
+ * Config files and the package.json key may set the sections of
+ * config/defaults.js (output, naming, apiClient, ...) as well as the options
+ * of SwaggerToNextjs (typescript, lint, services, ...), and may have an
+ * `environments` block of their own. A JavaScript config file exports the
+ * config, or a function of `{ environment }` returning it.
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import yaml from 'js-yaml';
+import { defaults, getDefaults, mergeDeep, validateConfig } from '../../config/defaults.js';
+
+export const CONFIG_FILES = [
+    'swagger-to-nextjs.config.js',
+    'swagger-to-nextjs.config.mjs',
+    'swagger-to-nextjs.config.json',
+    'swagger-to-nextjs.config.yaml',
+    'swagger-to-nextjs.config.yml'
+];
+
+export const PACKAGE_KEY = 'swagger-to-nextjs';
+
+// Top-level keys that are sections of config/defaults.js rather than options
+const SECTIONS = new Set(Object.keys(defaults));
+
+export default class ConfigLoader {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.cwd] - Directory searched for config files and package.json
+     * @param {string} [options.environment] - Environment whose overrides apply (default: NODE_ENV or development)
+     */
+    constructor(options = {}) {
+        this.cwd = options.cwd || process.cwd();
+        this.environment = options.environment || process.env.NODE_ENV || 'development';
+    }
+
+    /**
+     * Load and merge every layer
+     * @param {Object} [options]
+     * @param {string} [options.configFile] - Config file to use instead of searching the working directory
+     * @param {Object} [options.overrides] - Layer applied over the config file and package.json
+     * @returns {Promise<{config: Object, options: Object, configFile: string|null, sources: string[], warnings: string[]}>}
+     *   The validated configuration, the SwaggerToNextjs options it sets, the config file that was
+     *   read and the names of the layers that contributed
+     */
+    async load({ configFile, overrides = {} } = {}) {
+        const sources = ['defaults'];
+        if (defaults.environments[this.environment]) {
+            sources.push(`environments.${this.environment}`);
+        }
+
+        const file = configFile ? path.resolve(this.cwd, configFile) : await this.findConfigFile();
+        const layers = [];
+
+        if (file) {
+            layers.push(await this.readConfigFile(file));
+            sources.push(path.relative(this.cwd, file) || file);
+        }
+
+        const packageConfig = await this.readPackageConfig();
+        if (packageConfig) {
+            layers.push(packageConfig);
+            sources.push(`package.json#${PACKAGE_KEY}`);
+        }
+
+        if (Object.keys(overrides).length > 0) {
+            layers.push(overrides);
+        }
+
+        const user = layers.reduce((merged, layer) => mergeDeep(merged, this.withEnvironment(layer)), {});
+        const sections = Object.fromEntries(Object.entries(user).filter(([key]) => SECTIONS.has(key)));
+        const options = Object.fromEntries(Object.entries(user).filter(([key]) => !SECTIONS.has(key)));
+
+        const config = mergeDeep(getDefaults(this.environment), sections);
+        const validation = validateConfig(config);
+        if (!validation.valid) {
+            throw new Error(`Invalid configuration (${sources.join(', ')}): ${validation.errors.join('; ')}`);
+        }
+
+        return {
+            config,
+            options: { ...configToOptions(sections), ...options },
+            configFile: file,
+            sources,
+            warnings: validation.warnings
+        };
+    }
+
+    /**
+     * First of CONFIG_FILES in the working directory, if any
+     */
+    async findConfigFile() {
+        for (const name of CONFIG_FILES) {
+            const file = path.join(this.cwd, name);
+            try {
+                await fs.access(file);
+                return file;
+            } catch {
+                // Try the next name
+            }
+        }
+        return null;
+    }
+
+    async readConfigFile(file) {
+        const extension = path.extname(file);
+        let config;
+
+        if (extension === '.js' || extension === '.mjs' || extension === '.cjs') {
+            const module = await import(pathToFileURL(file).href);
+            const exported = module.default ?? module;
+            config = typeof exported === 'function' ? await exported({ environment: this.environment }) : exported;
+        } else if (extension === '.json') {
+            config = JSON.parse(await fs.readFile(file, 'utf-8'));
+        } else if (extension === '.yaml' || extension === '.yml') {
+            config = yaml.load(await fs.readFile(file, 'utf-8'));
+        } else {
+            throw new Error(`Unsupported config file ${file} (use .js, .mjs, .json, .yaml or .yml)`);
+        }
+
+        if (config === undefined || config === null) {
+            return {};
+        }
+        if (typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`Config file ${file} must contain an object`);
+        }
+        return config;
+    }
+
+    /**
+     * The "swagger-to-nextjs" key of package.json in the working directory
+     */
+    async readPackageConfig() {
+        let packageJson;
+        try {
+            packageJson = JSON.parse(await fs.readFile(path.join(this.cwd, 'package.json'), 'utf-8'));
+        } catch {
+            return null;
+        }
+
+        const config = packageJson?.[PACKAGE_KEY];
+        if (config === undefined) {
+            return null;
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error(`"${PACKAGE_KEY}" in package.json must be an object`);
+        }
+        return config;
+    }
+
+    /**
+     * A layer with its own override for the current environment applied
+     */
+    withEnvironment(layer) {
+        const { environments, ...rest } = layer;
+        const override = environments?.[this.environment];
+        return override ? mergeDeep(rest, override) : rest;
+    }
+}
+
+/**
+ * SwaggerToNextjs options set by the sections of a config; only what the
+ * config sets is returned, so defaults never override other options
+ * @param {Object} sections - Sections of config/defaults.js, e.g. from a config file
+ * @returns {Object}
+ */
+export function configToOptions(sections) {
+    const { output = {}, templates = {}, generation = {}, apiClient = {}, logging = {}, cache = {} } = sections;
+    const options = {};
+    const set = (name, value) => {
+        if (value !== undefined) options[name] = value;
+    };
+
+    set('outputDir', output.baseDir);
+    set('force', output.overwrite);
+    set('backup', output.backup);
+    set('backupDir', output.backupDir);
+    set('fileMode', output.fileMode);
+    set('directoryMode', output.directoryMode);
+    set('templateDir', templates.customTemplatesDir ?? undefined);
+    set('typescript', generation.typescript?.enabled);
+    set('apiUrl', apiClient.baseURL || undefined);
+
+    if (logging.level) {
+        set('verbose', ['debug', 'trace'].includes(logging.level));
+        set('silent', logging.level === 'error');
+    }
+
+    if (cache.enabled !== undefined || cache.directory !== undefined) {
+        options.loader = {};
+        if (cache.enabled !== undefined) options.loader.cache = cache.enabled;
+        if (cache.directory !== undefined) options.loader.cacheDirectory = cache.directory;
+    }
+
+    return options;
+}
@@ -0,0 +1,761 @@
+/**
+ * FileWriter.js
+ *
+ * Handles all file system output for the generator: timestamped output
+ * directories, conflict policies for existing files, dry-run mode, Prettier
+ * formatting, backups and a manifest of everything that was written.
+ *
+ * When the output directory holds the manifest of an earlier run, existing
+ * files are regenerated incrementally: files that still match the manifest
+ * hash are replaced, hand edits are merged into the new output and edits
+ * that cannot be merged are written to a `<file>.conflict` report instead.
+ */
+import fs from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import {
+    extractCustomRegions,
+    applyCustomRegions,
+    mergeThreeWay
+} from '../utils/MergeUtils.js';
+
+/**
+ * File extensions formatted with Prettier, mapped to their parser
+ */
+const PRETTIER_PARSERS = {
+    '.js': 'babel',
+    '.jsx': 'babel',
+    '.mjs': 'babel',
+    '.cjs': 'babel',
+    '.ts': 'typescript',
+    '.tsx': 'typescript',
+    '.json': 'json',
+    '.css': 'css',
+    '.scss': 'scss'
+};
+
+/**
+ * Default Prettier options, matching generation.formatting.prettier in config/defaults.js
+ */
+const DEFAULT_PRETTIER_OPTIONS = {
+    semi: true,
+    singleQuote: true,
+    tabWidth: 2,
+    trailingComma: 'es5',
+    bracketSpacing: true,
+    arrowParens: 'always',
+    printWidth: 100,
+    endOfLine: 'lf'
+};
+
+export const MANIFEST_FILE = '.swagger-to-nextjs-manifest.json';
+
+/**
+ * Directory holding a copy of the last generated content of every file,
+ * used as the common ancestor when merging hand edits
+ */
+export const SNAPSHOT_DIR = '.swagger-to-nextjs-base';
+
+export default class FileWriter {
+    constructor(options = {}) {
+        this.options = {
+            force: false,
+            dryRun: false,
+            interactive: false,
+            useTimestamp: false,
+            format: true,
+            backup: false,
+            backupDir: '.backup',
+            incremental: true,
+            fileMode: null,
+            directoryMode: null,
+            prettierOptions: {},
+            onProgress: null,
+            ...options
+        };
+
+        // Conflict handling can be changed after construction
+        this.force = this.options.force;
+        this.interactive = this.options.interactive;
+        this.dryRun = this.options.dryRun;
+
+        this.onProgress = typeof this.options.onProgress === 'function'
+            ? this.options.onProgress
+            : () => {};
+
+        this.reset();
+    }
+
+    /**
+     * Generate a timestamp in YYYYMMDD-HHmmss format
+     * @returns {string} Timestamp
+     */
+    generateTimestamp() {
+        const now = new Date();
+        const pad = (value) => String(value).padStart(2, '0');
+
+        return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}` +
+            `-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+    }
+
+    /**
+     * Resolve the directory files are written to. With useTimestamp enabled
+     * the timestamp is appended to the requested directory name.
+     * Repeated calls return the same directory.
+     * @param {string} baseDir - Requested output directory
+     * @returns {string} Actual output directory
+     */
+    initializeOutputDirectory(baseDir) {
+        if (this.outputDirectory && this.baseOutputDir === path.resolve(baseDir)) {
+            return this.outputDirectory;
+        }
+
+        this.baseOutputDir = path.resolve(baseDir);
+
+        if (this.options.useTimestamp) {
+            this.timestamp = this.generateTimestamp();
+            this.outputDirectory = `${this.baseOutputDir}-${this.timestamp}`;
+        } else {
+            this.timestamp = null;
+            this.outputDirectory = this.baseOutputDir;
+        }
+
+        return this.outputDirectory;
+    }
+
+    /**
+     * Map a path inside the requested output directory to the actual
+     * (possibly timestamped) output directory
+     * @param {string} filePath - Requested file path
+     * @returns {string} Actual file path
+     */
+    getOutputPath(filePath) {
+        if (!this.baseOutputDir || this.outputDirectory === this.baseOutputDir) {
+            return filePath;
+        }
+
+        const relative = path.relative(this.baseOutputDir, path.resolve(filePath));
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            return filePath;
+        }
+
+        return path.join(this.outputDirectory, relative);
+    }
+
+    /**
+     * Write a file, honouring the conflict policy and dry-run mode
+     * @param {string} filePath - Destination path
+     * @param {string} content - File content
+     * @param {Object} options - Write options (skipFormatting, prettierOptions, force)
+     * @returns {Promise<boolean>} True when the file was written
+     */
+    async writeFile(filePath, content, options = {}) {
+        const targetPath = this.getOutputPath(filePath);
+
+        this.onProgress({ type: 'file', action: 'checking', path: targetPath });
+
+        try {
+            const formatted = options.skipFormatting
+                ? content
+                : await this.formatContent(targetPath, content, options.prettierOptions);
+
+            const existing = await this.readExisting(targetPath);
+
+            if (existing !== null) {
+                if (existing === formatted) {
+                    this.record('unchanged', targetPath, formatted);
+                    return true;
+                }
+
+                const previous = await this.getPreviousEntry(targetPath);
+                if (previous) {
+                    return await this.regenerateFile(targetPath, existing, formatted, previous, options);
+                }
+
+                const overwrite = await this.resolveConflict(targetPath, options);
+                if (!overwrite) {
+                    this.record('skipped', targetPath, formatted);
+                    return false;
+                }
+
+                await this.backupFile(targetPath);
+            }
+
+            await this.writeOutput(targetPath, formatted);
+            this.record('written', targetPath, formatted);
+            return true;
+        } catch (error) {
+            this.errors.push({ file: targetPath, error: error.message });
+            this.onProgress({ type: 'file', action: 'error', path: targetPath, error: error.message });
+            return false;
+        }
+    }
+
+    /**
+     * Update a file that was written by an earlier run. Untouched files are
+     * replaced; edited files are merged with the new content using the
+     * snapshot of the previous output as the common ancestor.
+     * @param {string} targetPath - Existing file
+     * @param {string} existing - Content on disk
+     * @param {string} generated - Newly generated content
+     * @param {Object} previous - Manifest entry from the earlier run
+     * @param {Object} options - Write options
+     * @returns {Promise<boolean>} True when the file was written or is up to date
+     */
+    async regenerateFile(targetPath, existing, generated, previous, options = {}) {
+        // Nothing but generated code on disk: take the new content as is
+        if (this.hashContent(existing) === (previous.generatedHash || previous.hash)) {
+            await this.writeOutput(targetPath, generated);
+            this.record('written', targetPath, generated);
+            return true;
+        }
+
+        const regions = extractCustomRegions(existing);
+        const generatedRegions = extractCustomRegions(generated);
+
+        // Regions the generator dropped are left to the three-way merge, so
+        // their hand-written bodies surface as conflicts instead of vanishing
+        const kept = new Map([...regions].filter(([name]) => generatedRegions.has(name)));
+        const candidate = applyCustomRegions(generated, kept);
+        const base = await this.readSnapshot(targetPath);
+        const { content, conflicts } = mergeThreeWay(
+            base === null ? '' : applyCustomRegions(base, kept),
+            existing,
+            candidate
+        );
+
+        if (conflicts > 0 && !(this.force || options.force)) {
+            if (!this.dryRun) {
+                await this.atomicWrite(`${targetPath}.conflict`, content);
+            }
+            this.record('conflict', targetPath, existing);
+
+            // Keep the earlier hash and snapshot so the next run still sees the local edits
+            this.manifest.set(targetPath, { ...previous, status: 'conflict' });
+            return false;
+        }
+
+        // Forced past a conflict: the new content wins, protected regions are kept
+        const merged = conflicts > 0 ? candidate : content;
+
+        if (merged === existing) {
+            this.record('unchanged', targetPath, existing, generated);
+            return true;
+        }
+
+        await this.backupFile(targetPath);
+        await this.writeOutput(targetPath, merged);
+        this.record('merged', targetPath, merged, generated);
+        return true;
+    }
+
+    /**
+     * Manifest entry recorded for a file by the previous run in this
+     * output directory
+     * @param {string} filePath - File in the output directory
+     * @returns {Promise<Object|null>} Entry, or null when the file is not tracked
+     */
+    async getPreviousEntry(filePath) {
+        if (!this.options.incremental || !this.outputDirectory) {
+            return null;
+        }
+
+        const previous = await this.loadPreviousManifest();
+        return previous.get(this.toManifestPath(filePath)) || null;
+    }
+
+    /**
+     * Read the manifest left in the output directory by the previous run
+     * @returns {Promise<Map<string, Object>>} Entries by manifest path
+     */
+    async loadPreviousManifest() {
+        if (this.previousManifest) {
+            return this.previousManifest;
+        }
+
+        this.previousManifest = new Map();
+
+        const content = await this.readExisting(path.join(this.outputDirectory, MANIFEST_FILE));
+        if (content !== null) {
+            try {
+                for (const entry of JSON.parse(content).files || []) {
+                    this.previousManifest.set(entry.path, entry);
+                }
+            } catch (error) {
+                this.onProgress({ type: 'file', action: 'manifest-invalid', path: MANIFEST_FILE, error: error.message });
+            }
+        }
+
+        return this.previousManifest;
+    }
+
+    /**
+     * Read the content generated for a file by the previous run
+     * @param {string} filePath - File in the output directory
+     * @returns {Promise<string|null>} Snapshot, or null when there is none
+     */
+    async readSnapshot(filePath) {
+        return this.readExisting(path.join(this.outputDirectory, SNAPSHOT_DIR, this.toManifestPath(filePath)));
+    }
+
+    /**
+     * Write several files in sequence
+     * @param {Array<{path: string, content: string, options?: Object}>} files - Files to write
+     * @returns {Promise<Object>} Summary after writing
+     */
+    async writeFiles(files) {
+        for (const file of files) {
+            await this.writeFile(file.path, file.content, file.options);
+        }
+
+        return this.getSummary();
+    }
+
+    /**
+     * Copy a file or directory into the output
+     * @param {string} source - Source path
+     * @param {string} destination - Destination path
+     */
+    async copy(source, destination) {
+        const targetPath = this.getOutputPath(destination);
+
+        if (this.dryRun) {
+            this.onProgress({ type: 'file', action: 'copied', path: targetPath, source });
+            return;
+        }
+
+        try {
+            const stats = await fs.stat(source);
+            if (stats.isDirectory()) {
+                await this.ensureDirectory(targetPath);
+            } else {
+                await this.ensureDirectory(path.dirname(targetPath));
+            }
+
+            await fs.cp(source, targetPath, { recursive: true, force: true });
+            this.onProgress({ type: 'file', action: 'copied', path: targetPath, source });
+        } catch (error) {
+            this.errors.push({ file: targetPath, error: error.message });
+            throw new Error(`Failed to copy ${source} to ${targetPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete a file or directory
+     * @param {string} targetPath - Path to delete
+     */
+    async delete(targetPath) {
+        const actualPath = this.getOutputPath(targetPath);
+
+        if (this.dryRun) {
+            this.onProgress({ type: 'file', action: 'deleted', path: actualPath, dryRun: true });
+            return;
+        }
+
+        try {
+            await fs.rm(actualPath, { recursive: true, force: true });
+            this.onProgress({ type: 'file', action: 'deleted', path: actualPath });
+        } catch (error) {
+            this.errors.push({ file: actualPath, error: error.message });
+            throw new Error(`Failed to delete ${actualPath}: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a file an earlier run generated and this run no longer does,
+     * with its manifest entry and snapshot. A file with local edits is left
+     * on disk as an orphan so no hand-written code is lost.
+     * @param {string} filePath - File in the output directory
+     * @returns {Promise<string>} deleted, orphaned, or missing when it is already gone
+     */
+    async removeStaleFile(filePath) {
+        const previous = await this.getPreviousEntry(filePath);
+        const existing = await this.readExisting(filePath);
+        const snapshotPath = path.join(this.outputDirectory, SNAPSHOT_DIR, this.toManifestPath(filePath));
+
+        (await this.loadPreviousManifest()).delete(this.toManifestPath(filePath));
+        this.manifest.delete(filePath);
+        this.snapshots.delete(filePath);
+
+        if (existing === null) {
+            return 'missing';
+        }
+
+        const action = previous && this.hashContent(existing) === (previous.generatedHash || previous.hash)
+            ? 'deleted'
+            : 'orphaned';
+
+        if (!this.dryRun) {
+            try {
+                if (action === 'deleted') {
+                    await fs.rm(filePath, { force: true });
+                    await this.removeEmptyDirectories(path.dirname(filePath));
+                }
+                await fs.rm(snapshotPath, { force: true });
+                await this.removeEmptyDirectories(path.dirname(snapshotPath));
+            } catch (error) {
+                this.errors.push({ file: filePath, error: error.message });
+                return 'orphaned';
+            }
+        }
+
+        (action === 'deleted' ? this.deletedFiles : this.orphanedFiles).push(filePath);
+        this.onProgress({ type: 'file', action, path: filePath, dryRun: this.dryRun });
+        return action;
+    }
+
+    /**
+     * Remove a directory and its parents while they are empty, stopping at
+     * the output directory
+     * @param {string} dirPath - Directory to start from
+     */
+    async removeEmptyDirectories(dirPath) {
+        const root = path.resolve(this.outputDirectory);
+
+        for (let dir = path.resolve(dirPath); dir.startsWith(root + path.sep); dir = path.dirname(dir)) {
+            try {
+                await fs.rmdir(dir);
+            } catch {
+                // Not empty (or already gone)
+                return;
+            }
+        }
+    }
+
+    /**
+     * Format content with Prettier based on the file extension.
+     * Content is returned unchanged when Prettier is unavailable or fails.
+     * @param {string} filePath - File path used to pick a parser
+     * @param {string} content - Content to format
+     * @param {Object} prettierOptions - Per-file Prettier overrides
+     * @returns {Promise<string>} Formatted content
+     */
+    async formatContent(filePath, content, prettierOptions = {}) {
+        const parser = PRETTIER_PARSERS[path.extname(filePath).toLowerCase()];
+        if (!this.options.format || !parser) {
+            return content;
+        }
+
+        try {
+            const prettier = await import('prettier');
+            return await prettier.format(content, {
+                ...DEFAULT_PRETTIER_OPTIONS,
+                ...this.options.prettierOptions,
+                ...prettierOptions,
+                parser
+            });
+        } catch (error) {
+            this.onProgress({ type: 'file', action: 'format-failed', path: filePath, error: error.message });
+            return content;
+        }
+    }
+
+    /**
+     * Write content to disk unless running dry
+     * @param {string} filePath - Destination
+     * @param {string} content - Content
+     */
+    async writeOutput(filePath, content) {
+        if (!this.dryRun) {
+            await this.ensureDirectory(path.dirname(filePath));
+            await this.atomicWrite(filePath, content);
+        }
+    }
+
+    /**
+     * Decide whether an existing file may be overwritten
+     * @param {string} filePath - Conflicting file
+     * @param {Object} options - Write options
+     * @returns {Promise<boolean>} True to overwrite
+     */
+    async resolveConflict(filePath, options = {}) {
+        if (this.force || options.force || this.conflictDecision === 'overwrite') {
+            return true;
+        }
+
+        if (this.conflictDecision === 'skip' || !this.interactive) {
+            return false;
+        }
+
+        const { default: inquirer } = await import('inquirer');
+        const { action } = await inquirer.prompt([{
+            type: 'list',
+            name: 'action',
+            message: `File already exists: ${filePath}`,
+            choices: [
+                { name: 'Overwrite', value: 'overwrite' },
+                { name: 'Skip', value: 'skip' },
+                { name: 'Overwrite all', value: 'overwrite-all' },
+                { name: 'Skip all', value: 'skip-all' }
+            ]
+        }]);
+
+        if (action === 'overwrite-all') {
+            this.conflictDecision = 'overwrite';
+        } else if (action === 'skip-all') {
+            this.conflictDecision = 'skip';
+        }
+
+        return action.startsWith('overwrite');
+    }
+
+    /**
+     * Copy an existing file into the backup directory before it is overwritten
+     * @param {string} filePath - File about to be overwritten
+     */
+    async backupFile(filePath) {
+        if (!this.options.backup || this.dryRun) {
+            return;
+        }
+
+        const root = this.outputDirectory || path.dirname(filePath);
+        let relative = path.relative(root, filePath);
+        if (relative.startsWith('..') || path.isAbsolute(relative)) {
+            relative = path.basename(filePath);
+        }
+
+        if (!this.backupTimestamp) {
+            this.backupTimestamp = this.timestamp || this.generateTimestamp();
+        }
+
+        const backupPath = path.join(root, this.options.backupDir, this.backupTimestamp, relative);
+        await this.ensureDirectory(path.dirname(backupPath));
+        await fs.copyFile(filePath, backupPath);
+
+        this.backedUpFiles.push(backupPath);
+        this.onProgress({ type: 'file', action: 'backup', path: filePath, backupPath });
+    }
+
+    /**
+     * Read an existing file, returning null when it does not exist
+     * @param {string} filePath - File to read
+     * @returns {Promise<string|null>} Current content
+     */
+    async readExisting(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create a directory recursively using the configured directory mode
+     * @param {string} dirPath - Directory to create
+     */
+    async ensureDirectory(dirPath) {
+        const mode = this.parseMode(this.options.directoryMode);
+        await fs.mkdir(dirPath, mode ? { recursive: true, mode } : { recursive: true });
+    }
+
+    /**
+     * Write through a temporary file and rename it into place so that an
+     * interrupted run never leaves a partially written file behind
+     * @param {string} filePath - Destination
+     * @param {string} content - Content
+     */
+    async atomicWrite(filePath, content) {
+        const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        try {
+            await fs.writeFile(tempPath, content, 'utf8');
+
+            const mode = this.parseMode(this.options.fileMode);
+            if (mode) {
+                await fs.chmod(tempPath, mode);
+            }
+
+            await fs.rename(tempPath, filePath);
+        } catch (error) {
+            await fs.rm(tempPath, { force: true }).catch(() => {});
+            throw error;
+        }
+    }
+
+    /**
+     * Parse an octal permission string such as '644'
+     * @param {string|number|null} mode - Mode from options
+     * @returns {number|null} Numeric mode
+     */
+    parseMode(mode) {
+        if (mode === null || mode === undefined || mode === '') {
+            return null;
+        }
+        return typeof mode === 'number' ? mode : parseInt(mode, 8);
+    }
+
+    /**
+     * Record the outcome for a file and notify progress listeners
+     * @param {string} action - written, merged, conflict, skipped or unchanged
+     * @param {string} filePath - Affected file
+     * @param {string} content - Content that was (or would have been) written
+     * @param {string} [generated] - Generated content, when it differs from the content on disk
+     */
+    record(action, filePath, content, generated = content) {
+        const lists = {
+            written: this.writtenFiles,
+            merged: this.mergedFiles,
+            conflict: this.conflictFiles,
+            skipped: this.skippedFiles,
+            unchanged: this.unchangedFiles
+        };
+        lists[action].push(filePath);
+
+        const entry = {
+            status: action,
+            hash: this.hashContent(content),
+            size: Buffer.byteLength(content, 'utf8')
+        };
+
+        // Files carrying local edits also record the hash of the pure generated content
+        if (generated !== content) {
+            entry.generatedHash = this.hashContent(generated);
+        }
+
+        this.manifest.set(filePath, entry);
+
+        if (action !== 'skipped' && action !== 'conflict') {
+            this.snapshots.set(filePath, generated);
+        }
+
+        this.onProgress({ type: 'file', action, path: filePath, dryRun: this.dryRun });
+    }
+
+    /**
+     * Compute the content hash stored in the manifest
+     * @param {string} content - File content
+     * @returns {string} SHA-256 hex digest
+     */
+    hashContent(content) {
+        return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+    }
+
+    /**
+     * Manifest path of a file: relative to the output directory, with forward slashes
+     * @param {string} filePath - File path
+     * @returns {string}
+     */
+    toManifestPath(filePath) {
+        const root = this.outputDirectory || process.cwd();
+        return path.relative(root, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Build the manifest of every file handled in this run
+     * @param {Object} [options]
+     * @param {boolean} [options.carryOver] - Keep entries of the previous
+     *   manifest for files this run did not touch (partial regeneration)
+     * @returns {Object} Manifest object
+     */
+    getManifest({ carryOver = false } = {}) {
+        const files = new Map(carryOver && this.previousManifest ? this.previousManifest : []);
+
+        for (const [filePath, entry] of this.manifest) {
+            const manifestPath = this.toManifestPath(filePath);
+            files.set(manifestPath, { path: manifestPath, ...entry });
+        }
+
+        return {
+            generator: 'swagger-to-nextjs',
+            generatedAt: new Date().toISOString(),
+            timestamp: this.timestamp,
+            outputDirectory: this.outputDirectory,
+            files: Array.from(files.values()).sort((a, b) => a.path.localeCompare(b.path))
+        };
+    }
+
+    /**
+     * Write the manifest, and the snapshots later runs merge against, into
+     * the output directory
+     * @param {Object} [options] - See getManifest()
+     * @returns {Promise<string|null>} Manifest path, or null in dry-run mode
+     */
+    async writeManifest(options = {}) {
+        if (this.dryRun || !this.outputDirectory) {
+            return null;
+        }
+
+        if (options.carryOver) {
+            await this.loadPreviousManifest();
+        }
+
+        for (const [filePath, content] of this.snapshots) {
+            const snapshotPath = path.join(this.outputDirectory, SNAPSHOT_DIR, this.toManifestPath(filePath));
+            if (await this.readExisting(snapshotPath) !== content) {
+                await this.writeOutput(snapshotPath, content);
+            }
+        }
+
+        const manifestPath = path.join(this.outputDirectory, MANIFEST_FILE);
+        await this.ensureDirectory(this.outputDirectory);
+        await this.atomicWrite(manifestPath, JSON.stringify(this.getManifest(options), null, 2) + '\n');
+
+        return manifestPath;
+    }
+
+    /**
+     * Get a summary of all file operations
+     * @returns {Object} Summary
+     */
+    getSummary() {
+        return {
+            success: this.errors.length === 0,
+            written: this.writtenFiles.length,
+            merged: this.mergedFiles.length,
+            conflicts: this.conflictFiles.length,
+            skipped: this.skippedFiles.length,
+            unchanged: this.unchangedFiles.length,
+            errors: this.errors.length,
+            dryRun: this.dryRun,
+            timestamp: this.timestamp,
+            outputDirectory: this.outputDirectory,
+            files: {
+                written: [...this.writtenFiles],
+                merged: [...this.mergedFiles],
+                conflicts: [...this.conflictFiles],
+                skipped: [...this.skippedFiles],
+                unchanged: [...this.unchangedFiles],
+                backups: [...this.backedUpFiles],
+                deleted: [...this.deletedFiles],
+                orphaned: [...this.orphanedFiles],
+                errors: [...this.errors]
+            }
+        };
+    }
+
+    /**
+     * Check whether a path exists in the actual output location
+     * @param {string} filePath - Path to check
+     * @returns {boolean}
+     */
+    exists(filePath) {
+        return existsSync(this.getOutputPath(filePath));
+    }
+
+    /**
+     * Reset all tracked state
+     */
+    reset() {
+        this.writtenFiles = [];
+        this.mergedFiles = [];
+        this.conflictFiles = [];
+        this.skippedFiles = [];
+        this.unchangedFiles = [];
+        this.backedUpFiles = [];
+        this.deletedFiles = [];
+        this.orphanedFiles = [];
+        this.errors = [];
+        this.manifest = new Map();
+        this.snapshots = new Map();
+        this.previousManifest = null;
+        this.conflictDecision = null;
+        this.baseOutputDir = null;
+        this.outputDirectory = null;
+        this.timestamp = null;
+        this.backupTimestamp = null;
+    }
+}
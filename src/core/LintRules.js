@@ -0,0 +1,433 @@
+/**
+ * LintRules.js
+ *
+ * Built-in style rules run by the Linter. A rule is a plain object:
+ *
+ *   {
+ *     id: 'operation-id-casing',
+ *     description: 'operationIds follow one casing convention',
+ *     severity: 'off',                  // default: error, warning or off
+ *     options: { case: 'camelCase' },   // defaults, merged with the config
+ *     create(context) {                 // called once per lint run
+ *       return { operation(node) { context.report({ pointer, message }); } };
+ *     }
+ *   }
+ *
+ * The visitors a rule can return are document, path, parameter, operation,
+ * schema and end (see Linter.js for what each receives). The rules that
+ * warn by default replace the warnings SwaggerValidator used to hard-code;
+ * the style rules are off until a config enables them.
+ */
+import { appendPointer } from '../utils/SchemaUtils.js';
+import { isCollectionPath } from '../utils/PathUtils.js';
+import { capitalize, toCamelCase, toKebabCase, toPascalCase, toSnakeCase } from '../utils/StringUtils.js';
+
+/**
+ * Naming conventions with a check and a conversion used for suggestions
+ */
+export const CASES = {
+    camelCase: { pattern: /^[a-z][a-zA-Z0-9]*$/, convert: toCamelCase },
+    PascalCase: { pattern: /^[A-Z][a-zA-Z0-9]*$/, convert: toPascalCase },
+    'kebab-case': { pattern: /^[a-z0-9]+(-[a-z0-9]+)*$/, convert: toKebabCase },
+    snake_case: { pattern: /^[a-z0-9]+(_[a-z0-9]+)*$/, convert: toSnakeCase }
+};
+
+// Query parameter names recognised as pagination controls
+const PAGINATION_PARAMETERS = [
+    'page', 'pageNumber', 'page_number', 'pageSize', 'page_size', 'perPage', 'per_page',
+    'limit', 'offset', 'cursor', 'after', 'before', 'size', 'skip', 'take', 'pageToken', 'page_token'
+];
+
+function getCase(ruleId, name) {
+    if (!CASES[name]) {
+        throw new Error(`Unknown case '${name}' in ${ruleId} (use ${Object.keys(CASES).join(', ')})`);
+    }
+    return CASES[name];
+}
+
+/**
+ * Report a name that does not follow the given case, with a suggestion
+ */
+function checkCase(context, ruleId, caseName, { name, pointer, label }) {
+    if (!caseName) return;
+
+    const { pattern, convert } = getCase(ruleId, caseName);
+    if (!pattern.test(name)) {
+        context.report({ pointer, message: `${label} '${name}' should be ${caseName} (${convert(name)})` });
+    }
+}
+
+/**
+ * operationId SwaggerValidator gives an operation without one, e.g.
+ * getUsersByUserIdPosts for GET /users/{userId}/posts
+ * @param {string} path - Path of the operation
+ * @param {string} method - HTTP method
+ * @returns {string}
+ */
+export function generateOperationId(path, method) {
+    const pathPart = path.split('/').filter(Boolean).map((part, index) => {
+        if (part.includes('{')) {
+            return 'By' + capitalize(part.replace(/[{}]/g, ''));
+        }
+        return index === 0 ? part : capitalize(part);
+    }).join('');
+
+    return method.toLowerCase() + capitalize(pathPart);
+}
+
+function isSuccess(status) {
+    return /^2(\d\d|XX)$/i.test(status);
+}
+
+function successResponses(operation, resolve) {
+    return Object.entries(operation.responses || {})
+        .filter(([status]) => isSuccess(status))
+        .map(([status, response]) => [status, resolve(response)]);
+}
+
+function hasExample(mediaType, resolve) {
+    const schema = resolve(mediaType?.schema);
+    return mediaType?.example !== undefined ||
+        Object.keys(mediaType?.examples || {}).length > 0 ||
+        schema?.example !== undefined ||
+        (Array.isArray(schema?.examples) && schema.examples.length > 0);
+}
+
+function returnsList(operation, resolve) {
+    return successResponses(operation, resolve).slice(0, 1).some(([, response]) => {
+        const schemas = response?.content
+            ? Object.values(response.content).map(mediaType => resolve(mediaType.schema))
+            : [resolve(response?.schema)];
+
+        return schemas.some(schema => schema?.type === 'array' ||
+            Object.values(schema?.properties || {}).some(property => resolve(property)?.type === 'array'));
+    });
+}
+
+const operationId = {
+    id: 'operation-id',
+    description: 'Operations have an operationId',
+    severity: 'warning',
+    options: {},
+    create(context) {
+        return {
+            operation({ path, method, operation, pointer }) {
+                if (!operation.operationId) {
+                    context.report({ pointer, message: `Missing operationId. Generated: ${generateOperationId(path, method)}` });
+                }
+            }
+        };
+    }
+};
+
+const operationDescription = {
+    id: 'operation-description',
+    description: 'Operations have a summary or description',
+    severity: 'warning',
+    options: {},
+    create(context) {
+        return {
+            operation({ operation, pointer }) {
+                if (!operation.summary && !operation.description) {
+                    context.report({ pointer, message: 'Operation should have a summary or description' });
+                }
+            }
+        };
+    }
+};
+
+const responseContent = {
+    id: 'response-content',
+    description: 'Success responses define content',
+    severity: 'warning',
+    options: {},
+    create(context) {
+        const { spec, resolve } = context;
+
+        return {
+            operation({ operation, pointer }) {
+                for (const [status, response] of successResponses(operation, resolve)) {
+                    if (status === '204' || !response || typeof response !== 'object') continue;
+
+                    const responsePointer = appendPointer(pointer, 'responses', status);
+                    if (spec.openapi && !response.content) {
+                        context.report({ pointer: responsePointer, message: 'Success response should define content' });
+                    } else if (!spec.openapi && !response.schema) {
+                        context.report({ pointer: responsePointer, message: 'Success response should define a schema' });
+                    }
+                }
+            }
+        };
+    }
+};
+
+const schemaEmpty = {
+    id: 'schema-empty',
+    description: 'Component schemas are not empty',
+    severity: 'warning',
+    options: {},
+    create(context) {
+        return {
+            schema({ schema, name, pointer, kind }) {
+                if (kind === 'component' && Object.keys(schema).length === 0) {
+                    context.report({ pointer, message: `Schema '${name}' is empty` });
+                }
+            }
+        };
+    }
+};
+
+const operationTags = {
+    id: 'operation-tags',
+    description: 'Operations are tagged',
+    severity: 'warning',
+    options: {},
+    create(context) {
+        let untaggedCount = 0;
+
+        return {
+            operation({ operation }) {
+                if (!operation.tags) untaggedCount++;
+            },
+            end() {
+                if (untaggedCount > 0) {
+                    context.report({
+                        pointer: '/paths',
+                        message: `${untaggedCount} operations have no tags. Consider adding tags for better organization`
+                    });
+                }
+            }
+        };
+    }
+};
+
+const servers = {
+    id: 'servers',
+    description: 'The spec defines servers (or host for Swagger 2.0)',
+    severity: 'warning',
+    options: {},
+    create(context) {
+        return {
+            document(spec) {
+                if (spec.openapi && (!spec.servers || spec.servers.length === 0)) {
+                    context.report({ pointer: '', message: 'No servers defined. Consider adding server information' });
+                }
+
+                if (spec.swagger && !spec.host) {
+                    context.report({ pointer: '', message: 'No host defined. Consider adding host information' });
+                }
+            }
+        };
+    }
+};
+
+const namingConvention = {
+    id: 'naming-convention',
+    description: 'Path segments, parameters, properties and schema names follow the configured cases',
+    severity: 'off',
+    options: {
+        paths: 'kebab-case',
+        parameters: 'camelCase',
+        properties: 'camelCase',
+        schemas: 'PascalCase'
+    },
+    create(context) {
+        const { options } = context;
+        const check = (caseName, target) => checkCase(context, 'naming-convention', caseName, target);
+
+        return {
+            path({ name, pointer }) {
+                name.split('/')
+                    .filter(segment => segment && !/^\{.*\}$/.test(segment))
+                    .forEach(segment => check(options.paths, { name: segment, pointer, label: 'Path segment' }));
+            },
+            parameter({ parameter, pointer }) {
+                // Header and cookie names have conventions of their own
+                if (parameter.in === 'query' || parameter.in === 'path') {
+                    check(options.parameters, { name: parameter.name, pointer, label: 'Parameter' });
+                }
+            },
+            schema({ name, pointer, kind }) {
+                if (kind === 'component') {
+                    check(options.schemas, { name, pointer, label: 'Schema' });
+                } else if (kind === 'property') {
+                    check(options.properties, { name, pointer, label: 'Property' });
+                }
+            }
+        };
+    }
+};
+
+const operationIdCasing = {
+    id: 'operation-id-casing',
+    description: 'operationIds follow one casing convention',
+    severity: 'off',
+    options: { case: 'camelCase' },
+    create(context) {
+        return {
+            operation({ operation, pointer }) {
+                if (typeof operation.operationId === 'string') {
+                    checkCase(context, 'operation-id-casing', context.options.case, {
+                        name: operation.operationId,
+                        pointer: appendPointer(pointer, 'operationId'),
+                        label: 'operationId'
+                    });
+                }
+            }
+        };
+    }
+};
+
+const missingExamples = {
+    id: 'missing-examples',
+    description: 'Request bodies and success responses have examples',
+    severity: 'off',
+    options: { requestBodies: true, responses: true },
+    create(context) {
+        const { options, resolve } = context;
+
+        return {
+            operation({ operation, parameters, pointer, label }) {
+                if (options.requestBodies) {
+                    const requestBody = resolve(operation.requestBody);
+                    for (const [mediaType, content] of Object.entries(requestBody?.content || {})) {
+                        if (!hasExample(content, resolve)) {
+                            context.report({
+                                pointer: appendPointer(pointer, 'requestBody', 'content', mediaType),
+                                message: `${label} request body (${mediaType}) has no example`
+                            });
+                        }
+                    }
+
+                    // Swagger 2.0 body parameter
+                    const body = parameters.find(({ parameter }) => parameter.in === 'body');
+                    if (body && body.parameter['x-example'] === undefined && !hasExample(body.parameter, resolve)) {
+                        context.report({ pointer: body.pointer, message: `${label} request body has no example` });
+                    }
+                }
+
+                if (options.responses) {
+                    for (const [status, response] of successResponses(operation, resolve)) {
+                        const responsePointer = appendPointer(pointer, 'responses', status);
+
+                        if (response?.content) {
+                            for (const [mediaType, content] of Object.entries(response.content)) {
+                                if (!hasExample(content, resolve)) {
+                                    context.report({
+                                        pointer: appendPointer(responsePointer, 'content', mediaType),
+                                        message: `${label} response ${status} (${mediaType}) has no example`
+                                    });
+                                }
+                            }
+                        } else if (response?.schema && Object.keys(response.examples || {}).length === 0 &&
+                            !hasExample(response, resolve)) {
+                            context.report({ pointer: responsePointer, message: `${label} response ${status} has no example` });
+                        }
+                    }
+                }
+            }
+        };
+    }
+};
+
+const missingErrorResponses = {
+    id: 'missing-error-responses',
+    description: 'Operations document their error responses',
+    severity: 'off',
+    // Empty: any 4xx, 5xx or default response will do
+    options: { statuses: [] },
+    create(context) {
+        const statuses = context.options.statuses.map(String);
+
+        return {
+            operation({ operation, pointer, label }) {
+                const codes = Object.keys(operation.responses || {});
+                const responsesPointer = appendPointer(pointer, 'responses');
+
+                if (statuses.length === 0) {
+                    if (!codes.some(code => code === 'default' || /^[45]/.test(code))) {
+                        context.report({
+                            pointer: responsesPointer,
+                            message: `${label} defines no error responses (4xx, 5xx or default)`
+                        });
+                    }
+                    return;
+                }
+
+                for (const status of statuses) {
+                    if (!codes.includes(status) && !codes.some(code => code.toUpperCase() === `${status[0]}XX`)) {
+                        context.report({ pointer: responsesPointer, message: `${label} is missing the ${status} response` });
+                    }
+                }
+            }
+        };
+    }
+};
+
+const paginationConsistency = {
+    id: 'pagination-consistency',
+    description: 'List operations paginate with the same query parameters',
+    severity: 'off',
+    // Empty: use the set most list operations already use
+    options: { parameters: [] },
+    create(context) {
+        const { options, resolve } = context;
+        const lists = [];
+        const key = names => [...names].sort().join(',');
+
+        return {
+            operation({ path, method, operation, parameters, pointer, label }) {
+                if (method !== 'get' || !isCollectionPath(path, 'GET') || !returnsList(operation, resolve)) return;
+
+                const names = parameters
+                    .map(({ parameter }) => parameter)
+                    .filter(parameter => parameter.in === 'query' && PAGINATION_PARAMETERS.includes(parameter.name))
+                    .map(parameter => parameter.name);
+                lists.push({ names, pointer, label });
+            },
+            end() {
+                let expected = options.parameters;
+
+                if (expected.length === 0) {
+                    const counts = new Map();
+                    for (const { names } of lists.filter(list => list.names.length > 0)) {
+                        const entry = counts.get(key(names)) || { names, count: 0 };
+                        entry.count++;
+                        counts.set(key(names), entry);
+                    }
+                    expected = [...counts.values()].reduce((best, entry) => (entry.count > best.count ? entry : best),
+                        { names: [], count: 0 }).names;
+                }
+                if (expected.length === 0) return;
+
+                for (const { names, pointer, label } of lists) {
+                    if (names.length === 0) {
+                        context.report({ pointer, message: `${label} is not paginated; list operations use ${expected.join(', ')}` });
+                    } else if (key(names) !== key(expected)) {
+                        context.report({
+                            pointer,
+                            message: `${label} paginates with ${names.join(', ')} instead of ${expected.join(', ')}`
+                        });
+                    }
+                }
+            }
+        };
+    }
+};
+
+/**
+ * Rules every Linter starts with
+ */
+export const BUILT_IN_RULES = [
+    operationId,
+    operationDescription,
+    responseContent,
+    schemaEmpty,
+    operationTags,
+    servers,
+    namingConvention,
+    operationIdCasing,
+    missingExamples,
+    missingErrorResponses,
+    paginationConsistency
+];
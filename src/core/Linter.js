@@ -0,0 +1,273 @@
+/**
+ * Linter.js
+ *
+ * Runs style rules over a specification. Each rule has an id, a default
+ * severity and a create(context) function returning visitors; the Linter
+ * walks the document once and calls the visitors of every enabled rule:
+ *
+ * - document(spec)
+ * - path({ name, pointer, pathItem })
+ * - parameter({ parameter, pointer, path, method }) - method is undefined
+ *   for path-level parameters
+ * - operation({ path, method, operation, parameters, pointer, label }) -
+ *   parameters merges path-level and operation parameters
+ * - schema({ schema, name, pointer, kind }) - kind is component, property
+ *   or inline; every schema object is visited once
+ * - end() - after the walk, for rules that compare operations
+ *
+ * Rules are configured ESLint-style, by id:
+ *
+ *   rules:
+ *     operation-tags: off
+ *     operation-id-casing: error
+ *     naming-convention: [warning, { paths: kebab-case, properties: snake_case }]
+ *
+ * Custom rules are plain objects in the same shape, added with addRule() or
+ * loaded from plugin modules with loadLintRules().
+ */
+import path from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { appendPointer } from '../utils/SchemaUtils.js';
+import { BUILT_IN_RULES } from './LintRules.js';
+
+/**
+ * Severities a rule can be set to
+ */
+export const LINT_SEVERITIES = ['error', 'warning', 'off'];
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+class Linter {
+    /**
+     * @param {Object[]} [rules] - Custom rules to add to the built-in ones
+     */
+    constructor(rules = []) {
+        this.rules = new Map();
+        [...BUILT_IN_RULES, ...rules].forEach(rule => this.addRule(rule));
+    }
+
+    /**
+     * Register a rule, replacing a rule with the same id
+     * @param {Object} rule - Rule with id, severity, options and create()
+     */
+    addRule(rule) {
+        if (!rule || typeof rule.id !== 'string' || typeof rule.create !== 'function') {
+            throw new Error('Lint rules need an id and a create function');
+        }
+        if (rule.severity !== undefined && !LINT_SEVERITIES.includes(rule.severity)) {
+            throw new Error(`Unknown severity for lint rule ${rule.id}: ${rule.severity}`);
+        }
+
+        this.rules.set(rule.id, rule);
+        return this;
+    }
+
+    /**
+     * Severity and options of every enabled rule
+     * @param {Object} [settings] - Rule id to severity, or [severity, options]
+     * @returns {Array<{rule: Object, severity: string, options: Object}>}
+     */
+    resolve(settings = {}) {
+        for (const id of Object.keys(settings)) {
+            if (!this.rules.has(id)) {
+                throw new Error(`Unknown lint rule: ${id}`);
+            }
+        }
+
+        const enabled = [];
+        for (const [id, rule] of this.rules) {
+            const defaults = { severity: rule.severity || 'warning', options: rule.options || {} };
+            const setting = id in settings ? parseSetting(id, settings[id], defaults) : defaults;
+
+            if (setting.severity !== 'off') {
+                enabled.push({ rule, ...setting });
+            }
+        }
+
+        return enabled;
+    }
+
+    /**
+     * Lint a specification
+     * @param {Object} spec - The specification
+     * @param {Object} [settings] - Rule settings (see resolve())
+     * @returns {Object[]} Issues shaped like SwaggerValidator errors and warnings
+     */
+    lint(spec, settings = {}) {
+        const issues = [];
+        const resolveRef = node => resolveLocalRef(spec, node);
+
+        const visitors = this.resolve(settings).map(({ rule, severity, options }) => rule.create({
+            spec,
+            options,
+            resolve: resolveRef,
+            report({ pointer = '', message }) {
+                issues.push({ type: severity, severity, rule: rule.id, pointer, message });
+            }
+        }));
+        const emit = (hook, node) => visitors.forEach(visitor => visitor[hook]?.(node));
+
+        walk(spec, emit, resolveRef);
+        emit('end');
+
+        return issues;
+    }
+}
+
+/**
+ * Normalise a configured setting: a severity, true/false, or [severity, options]
+ */
+function parseSetting(id, setting, defaults) {
+    const [level, options] = Array.isArray(setting) ? setting : [setting, undefined];
+
+    let severity = level;
+    if (level === false) severity = 'off';
+    if (level === true) severity = defaults.severity === 'off' ? 'warning' : defaults.severity;
+    if (level === 'warn') severity = 'warning';
+
+    if (!LINT_SEVERITIES.includes(severity)) {
+        throw new Error(`Unknown severity for lint rule ${id}: ${level} (use ${LINT_SEVERITIES.join(', ')})`);
+    }
+
+    return { severity, options: { ...defaults.options, ...options } };
+}
+
+/**
+ * Follow a local $ref ("#/components/...") once; other nodes are returned as is
+ */
+function resolveLocalRef(spec, node) {
+    if (typeof node?.$ref !== 'string' || !node.$ref.startsWith('#/')) return node;
+
+    return node.$ref
+        .slice(2)
+        .split('/')
+        .map(token => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((current, token) => current?.[token], spec);
+}
+
+function walk(spec, emit, resolveRef) {
+    const seen = new Set();
+
+    const walkSchema = (schema, name, pointer, kind) => {
+        if (!schema || typeof schema !== 'object' || schema.$ref || seen.has(schema)) return;
+        seen.add(schema);
+
+        emit('schema', { schema, name, pointer, kind });
+
+        for (const [property, child] of Object.entries(schema.properties || {})) {
+            walkSchema(child, property, appendPointer(pointer, 'properties', property), 'property');
+        }
+        for (const [definition, child] of Object.entries(schema.$defs || {})) {
+            walkSchema(child, definition, appendPointer(pointer, '$defs', definition), 'inline');
+        }
+        for (const keyword of ['allOf', 'oneOf', 'anyOf', 'prefixItems']) {
+            (Array.isArray(schema[keyword]) ? schema[keyword] : []).forEach((child, index) =>
+                walkSchema(child, name, appendPointer(pointer, keyword, index), 'inline'));
+        }
+        for (const keyword of ['items', 'additionalProperties', 'not']) {
+            walkSchema(schema[keyword], name, appendPointer(pointer, keyword), 'inline');
+        }
+    };
+
+    const walkContent = (content, pointer) => {
+        for (const [mediaType, value] of Object.entries(content || {})) {
+            walkSchema(value?.schema, mediaType, appendPointer(pointer, 'content', mediaType, 'schema'), 'inline');
+        }
+    };
+
+    emit('document', spec);
+
+    const schemas = spec.components?.schemas || spec.definitions || {};
+    const schemasPointer = spec.components?.schemas ? '/components/schemas' : '/definitions';
+    for (const [name, schema] of Object.entries(schemas)) {
+        walkSchema(schema, name, appendPointer(schemasPointer, name), 'component');
+    }
+
+    if (!spec.paths || typeof spec.paths !== 'object') return;
+
+    for (const [pathName, pathItem] of Object.entries(spec.paths)) {
+        if (!pathItem || typeof pathItem !== 'object') continue;
+
+        const pathPointer = appendPointer('', 'paths', pathName);
+        emit('path', { name: pathName, pointer: pathPointer, pathItem });
+
+        const collectParameters = (parameters, pointer, method) => (Array.isArray(parameters) ? parameters : [])
+            .map((parameter, index) => ({ parameter: resolveRef(parameter), pointer: appendPointer(pointer, 'parameters', index) }))
+            .filter(({ parameter }) => parameter && typeof parameter === 'object')
+            .map(entry => {
+                emit('parameter', { ...entry, path: pathName, method });
+                walkSchema(entry.parameter.schema, entry.parameter.name, appendPointer(entry.pointer, 'schema'), 'inline');
+                return entry;
+            });
+
+        const shared = collectParameters(pathItem.parameters, pathPointer);
+
+        for (const method of HTTP_METHODS) {
+            const operation = pathItem[method];
+            if (!operation || typeof operation !== 'object') continue;
+
+            const pointer = appendPointer(pathPointer, method);
+            const own = collectParameters(operation.parameters, pointer, method);
+
+            // Operation parameters override path-level ones with the same name and location
+            const parameters = [
+                ...shared.filter(({ parameter }) => !own.some(entry =>
+                    entry.parameter.name === parameter.name && entry.parameter.in === parameter.in)),
+                ...own
+            ];
+
+            emit('operation', { path: pathName, method, operation, parameters, pointer, label: `${method.toUpperCase()} ${pathName}` });
+
+            walkContent(resolveRef(operation.requestBody)?.content, appendPointer(pointer, 'requestBody'));
+            for (const [status, response] of Object.entries(operation.responses || {})) {
+                const resolved = resolveRef(response);
+                const responsePointer = appendPointer(pointer, 'responses', status);
+                walkContent(resolved?.content, responsePointer);
+                walkSchema(resolved?.schema, status, appendPointer(responsePointer, 'schema'), 'inline');
+            }
+        }
+    }
+}
+
+/**
+ * Load custom rules from plugin modules. A plugin's default export is an
+ * array of rules or an object with a rules array.
+ * @param {string[]} plugins - Module paths (relative to baseDir) or package names
+ * @param {string} [baseDir] - Directory relative plugin paths are resolved from
+ * @returns {Promise<Object[]>} The rules of all plugins
+ */
+export async function loadLintRules(plugins = [], baseDir = process.cwd()) {
+    const rules = [];
+
+    for (const plugin of plugins) {
+        const specifier = plugin.startsWith('.') || path.isAbsolute(plugin)
+            ? pathToFileURL(path.resolve(baseDir, plugin)).href
+            : plugin;
+
+        let exported;
+        try {
+            exported = (await import(specifier)).default;
+        } catch (error) {
+            throw new Error(`Failed to load lint plugin ${plugin}: ${error.message}`);
+        }
+
+        const pluginRules = Array.isArray(exported) ? exported : exported?.rules;
+        if (!Array.isArray(pluginRules)) {
+            throw new Error(`Lint plugin ${plugin} must export an array of rules or { rules }`);
+        }
+        rules.push(...pluginRules);
+    }
+
+    return rules;
+}
+
+/**
+ * Description of a built-in lint rule, or undefined
+ * @param {string} id - Rule id
+ * @returns {string|undefined}
+ */
+export function describeLintRule(id) {
+    return BUILT_IN_RULES.find(rule => rule.id === id)?.description;
+}
+
+export default Linter;
@@ -0,0 +1,325 @@
+/**
+ * MetaSchema.js
+ *
+ * Validates a document against the official Swagger 2.0, OpenAPI 3.0 and
+ * OpenAPI 3.1 JSON Schemas from @apidevtools/openapi-schemas, and turns
+ * ajv's raw errors into a short list of readable ones.
+ *
+ * The meta-schemas express most nodes as alternatives ("oneOf: [Reference,
+ * Parameter]", one alternative per parameter location, ...), so ajv reports
+ * an error for every alternative that did not match. For each failed
+ * oneOf/anyOf we validate the node against every alternative on its own and
+ * keep only the errors of the alternative the author most likely meant.
+ */
+import Ajv2020 from 'ajv/dist/2020.js';
+import AjvDraft04 from 'ajv-draft-04';
+import addFormats from 'ajv-formats';
+import { openapi as metaSchemas } from '@apidevtools/openapi-schemas';
+
+const DRAFT_04 = 'http://json-schema.org/draft-04/schema';
+
+// Compiled meta-schemas by spec version, built on first use
+const compiled = new Map();
+
+/**
+ * Meta-schema version key for a spec, or null if unsupported
+ * @param {Object} spec - The specification
+ * @returns {string|null}
+ */
+export function getMetaSchemaVersion(spec) {
+    if (typeof spec?.swagger === 'string' && spec.swagger.startsWith('2.')) return 'v2';
+    if (typeof spec?.openapi === 'string' && spec.openapi.startsWith('3.0')) return 'v3';
+    if (typeof spec?.openapi === 'string' && spec.openapi.startsWith('3.1')) return 'v31';
+    return null;
+}
+
+function getMetaSchema(version) {
+    if (!compiled.has(version)) {
+        const schema = version === 'v31' ? withStaticSchemaRefs(metaSchemas.v31) : metaSchemas[version];
+
+        // 3.1 is written in JSON Schema 2020-12, the older versions in draft-04
+        const Ajv = version === 'v31' ? Ajv2020 : AjvDraft04;
+        const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+        addFormats(ajv);
+        ajv.addFormat('media-range', true);
+
+        const id = (schema.$id || schema.id).replace(/#$/, '');
+        const validate = ajv.compile(schema);
+
+        // URI of every subschema, so alternatives can be validated on their
+        // own. The 2.0 and 3.0 schemas reuse parts of the draft-04 meta-schema.
+        const locations = new WeakMap();
+        indexLocations(locations, schema, `${id}#`);
+        if (version !== 'v31') {
+            indexLocations(locations, ajv.getSchema(DRAFT_04).schema, `${DRAFT_04}#`);
+        }
+
+        compiled.set(version, { ajv, locations, validate });
+    }
+
+    return compiled.get(version);
+}
+
+function indexLocations(locations, node, uri) {
+    if (!node || typeof node !== 'object' || locations.has(node)) return;
+
+    locations.set(node, uri);
+    for (const [key, child] of Object.entries(node)) {
+        const token = key.replace(/~/g, '~0').replace(/\//g, '~1');
+        indexLocations(locations, child, `${uri}/${encodeURIComponent(token)}`);
+    }
+}
+
+/**
+ * The 3.1 meta-schema points every Schema Object at "$dynamicRef: #meta" so
+ * that schema-base.json can plug in the full dialect. On its own the anchor
+ * only requires an object or boolean, and ajv resolves the dynamic scope
+ * incorrectly (validating schemas against the enclosing object), so use a
+ * plain $ref to the anchor's definition instead.
+ */
+function withStaticSchemaRefs(node) {
+    if (Array.isArray(node)) return node.map(withStaticSchemaRefs);
+    if (!node || typeof node !== 'object') return node;
+
+    if (node.$dynamicRef === '#meta') {
+        const rest = { ...node };
+        delete rest.$dynamicRef;
+        return { ...withStaticSchemaRefs(rest), $ref: '#/$defs/schema' };
+    }
+
+    return Object.fromEntries(Object.entries(node).map(([key, value]) => [key, withStaticSchemaRefs(value)]));
+}
+
+/**
+ * Validate a spec against the meta-schema for its version
+ * @param {Object} spec - The specification
+ * @returns {Array<{pointer: string, location: string, message: string}>}
+ *   Errors with a JSON pointer and a dotted location; empty when the spec
+ *   is valid or its version has no meta-schema
+ */
+export function validateMetaSchema(spec) {
+    const version = getMetaSchemaVersion(spec);
+    if (!version) return [];
+
+    const meta = getMetaSchema(version);
+    if (meta.validate(spec)) return [];
+
+    return reduceErrors(meta, [...meta.validate.errors]).map(error => ({
+        pointer: error.instancePath,
+        location: toLocation(error.instancePath),
+        message: describeError(error)
+    }));
+}
+
+/**
+ * Replace the errors of every failed oneOf/anyOf, outermost first, with the
+ * errors of its best-matching alternative
+ */
+function reduceErrors(meta, errors) {
+    let remaining = errors.filter(error => !isReferenceError(error));
+    const unresolved = new Set();
+
+    for (;;) {
+        // ajv reports a oneOf after the errors of its alternatives, so the
+        // last summary at the shallowest node is the outermost one
+        const [summary] = remaining
+            .filter(error => isAlternativesError(error) && !unresolved.has(signature(error)))
+            .sort((a, b) => depth(a) - depth(b) || remaining.indexOf(b) - remaining.indexOf(a));
+        if (!summary) break;
+
+        const alternatives = evaluateAlternatives(meta, summary);
+        if (!alternatives) {
+            unresolved.add(signature(summary));
+            continue;
+        }
+
+        const replaced = new Set(alternatives.raw.map(signature));
+        remaining = [
+            ...remaining.filter(error => error !== summary && !replaced.has(signature(error))),
+            ...pickAlternative(alternatives.reduced)
+        ];
+    }
+
+    // Drop summaries ("must match exactly one schema", "must match else
+    // schema") that a more specific error already explains
+    const unique = new Map(remaining.map(error => [signature(error), error]));
+    return Array.from(unique.values())
+        .filter(error => !isSummaryError(error) ||
+            !remaining.some(other => !isSummaryError(other) && isWithin(other.instancePath, error.instancePath)))
+        .sort((a, b) => a.instancePath.localeCompare(b.instancePath));
+}
+
+/**
+ * Validate the node of a failed oneOf/anyOf against each alternative
+ * @returns {{raw: Object[], reduced: Object[][]}|null} Raw errors of all
+ *   alternatives and the reduced errors of each applicable one, or null
+ *   when an alternative cannot be compiled on its own
+ */
+function evaluateAlternatives(meta, summary) {
+    const raw = [];
+    const reduced = [];
+
+    for (const alternative of summary.schema) {
+        const validate = compileAlternative(meta, alternative);
+        if (!validate) return null;
+
+        validate(summary.data);
+        const errors = (validate.errors || []).map(error => ({
+            ...error,
+            instancePath: summary.instancePath + error.instancePath
+        }));
+        raw.push(...errors);
+
+        // $refs are resolved before validation, so Reference alternatives
+        // never apply
+        if (!errors.some(isReferenceError)) {
+            reduced.push(reduceErrors(meta, errors));
+        }
+    }
+
+    return reduced.length > 0 ? { raw, reduced } : null;
+}
+
+function compileAlternative(meta, alternative) {
+    const location = meta.locations.get(alternative);
+    if (!location) return null;
+
+    try {
+        return meta.ajv.getSchema(location) || null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Errors to report for a failed oneOf/anyOf, given the reduced errors of
+ * each alternative
+ */
+function pickAlternative(alternatives) {
+    // A value every alternative rejects (e.g. parameter "in") is the problem
+    const shared = alternatives.length > 1 && alternatives[0]
+        .filter(isValueError)
+        .find(error => alternatives.every(errors => rejectsValue(errors, error.instancePath)));
+    if (shared) {
+        return [mergeErrors(alternatives.flatMap(errors =>
+            errors.filter(error => isValueError(error) && error.instancePath === shared.instancePath)))];
+    }
+
+    // Alternatives that reject a value another alternative accepts describe
+    // a different kind of object
+    const accepts = (errors, instancePath) => !errors.some(error => isWithin(error.instancePath, instancePath));
+    const candidates = alternatives.filter(errors => errors.every(error =>
+        !isValueError(error) || !alternatives.some(other => other !== errors && accepts(other, error.instancePath))));
+    const pool = candidates.length > 0 ? candidates : alternatives;
+
+    const fewest = Math.min(...pool.map(errors => errors.length));
+    const best = pool.filter(errors => errors.length === fewest);
+
+    // "has schema" vs "has content": report both options as one error
+    const single = best.every(errors => errors.length === 1 &&
+        errors[0].keyword === best[0][0].keyword &&
+        errors[0].instancePath === best[0][0].instancePath);
+    if (best.length > 1 && single && best[0][0].keyword === 'required') {
+        return [mergeErrors(best.map(errors => errors[0]))];
+    }
+
+    return best[0];
+}
+
+/**
+ * Merge enum/const or required errors raised for the same node
+ */
+function mergeErrors(errors) {
+    const [first] = errors;
+
+    if (first.keyword === 'required') {
+        return {
+            ...first,
+            params: { alternatives: [...new Set(errors.map(error => error.params.missingProperty))] }
+        };
+    }
+
+    const allowedValues = errors.flatMap(error =>
+        error.keyword === 'const' ? [error.params.allowedValue] : error.params.allowedValues);
+    return { ...first, keyword: 'enum', params: { allowedValues: [...new Set(allowedValues)] } };
+}
+
+/**
+ * Human-readable message for a reduced ajv error
+ */
+function describeError(error) {
+    const quote = values => values.map(value => `'${value}'`).join(', ');
+
+    switch (error.keyword) {
+        case 'additionalProperties':
+            return `Unexpected property '${error.params.additionalProperty}'`;
+        case 'unevaluatedProperties':
+            return `Unexpected property '${error.params.unevaluatedProperty}'`;
+        case 'enum':
+            return `Must be one of ${quote(error.params.allowedValues)}`;
+        case 'const':
+            return `Must be '${error.params.allowedValue}'`;
+        case 'not':
+            return error.parentSchema?.description || 'Must not match the excluded schema';
+        case 'required':
+            return error.params.alternatives
+                ? `Must have one of the properties ${quote(error.params.alternatives)}`
+                : `Missing required property '${error.params.missingProperty}'`;
+        default:
+            return error.message.charAt(0).toUpperCase() + error.message.slice(1);
+    }
+}
+
+function toLocation(pointer) {
+    if (!pointer) return '(root)';
+
+    return pointer
+        .slice(1)
+        .split('/')
+        .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .join('.');
+}
+
+function isReferenceError(error) {
+    return error.keyword === 'required' && error.params.missingProperty === '$ref';
+}
+
+function isAlternativesError(error) {
+    return (error.keyword === 'oneOf' || error.keyword === 'anyOf') &&
+        !error.params.passingSchemas &&
+        Array.isArray(error.schema);
+}
+
+function isSummaryError(error) {
+    return error.keyword === 'oneOf' || error.keyword === 'anyOf' || error.keyword === 'if';
+}
+
+function isValueError(error) {
+    return error.keyword === 'enum' || error.keyword === 'const';
+}
+
+function rejectsValue(errors, instancePath) {
+    return errors.some(error => isValueError(error) && error.instancePath === instancePath);
+}
+
+function isWithin(instancePath, base) {
+    return instancePath === base || instancePath.startsWith(`${base}/`);
+}
+
+function depth(error) {
+    return error.instancePath.split('/').length;
+}
+
+// Identity of the (sub)schema that raised an error; the same keyword can
+// fail at the same node in several nested alternatives
+const schemaIds = new WeakMap();
+let nextSchemaId = 0;
+
+function signature(error) {
+    const { parentSchema } = error;
+    if (parentSchema && typeof parentSchema === 'object' && !schemaIds.has(parentSchema)) {
+        schemaIds.set(parentSchema, nextSchemaId++);
+    }
+
+    return `${error.instancePath}|${error.keyword}|${JSON.stringify(error.params)}|${schemaIds.get(parentSchema)}`;
+}
@@ -0,0 +1,128 @@
+/**
+ * OpenApiGeneratorConfig.js
+ *
+ * Maps the options of an OpenAPI Generator config file (typescript-axios and
+ * friends) onto our generator options, so `generate-from-config` produces
+ * equivalent types and client code:
+ *
+ *   additionalProperties:
+ *     stringEnums: true                  # enumStyle: 'enum' (false: 'union')
+ *     enumPropertyNaming: UPPERCASE      # enumNaming
+ *     removeEnumValuePrefix: true        # removeEnumValuePrefix
+ *     modelPropertyNaming: camelCase     # propertyNaming
+ *     useSingleRequestParameter: true    # singleRequestParameter
+ *     withSeparateModelsAndApi: true     # apiDir / modelsDir from
+ *     apiPackage: api                    #   apiPackage and modelPackage
+ *     modelPackage: model
+ *   typeMappings:                        # typeMappings
+ *     DateTime: Date
+ *
+ * Like OpenAPI Generator, modelPropertyNaming and typeMappings only change
+ * the declared types: the client passes JSON through as the server sends it.
+ */
+
+const NAMING_CONVENTIONS = ['camelCase', 'PascalCase', 'snake_case', 'UPPERCASE', 'original'];
+const PACKAGE_SEGMENT = /^[A-Za-z_][\w-]*$/;
+
+const HANDLED_PROPERTIES = new Set([
+    'stringEnums',
+    'enumPropertyNaming',
+    'removeEnumValuePrefix',
+    'modelPropertyNaming',
+    'useSingleRequestParameter',
+    'withSeparateModelsAndApi',
+    'apiPackage',
+    'modelPackage',
+    'typeMappings'
+]);
+
+/**
+ * Generator options from an OpenAPI Generator config
+ * @param {Object} config - Parsed config file
+ * @returns {{options: Object, ignored: string[]}} Options for SwaggerToNextjs and the
+ *   additionalProperties that have no equivalent
+ */
+export function mapGeneratorConfig(config = {}) {
+    const properties = config.additionalProperties || {};
+    if (typeof properties !== 'object' || Array.isArray(properties)) {
+        throw new Error('"additionalProperties" must be a mapping of option names to values');
+    }
+
+    const options = {};
+
+    if (properties.stringEnums !== undefined) {
+        options.enumStyle = toBoolean(properties.stringEnums) ? 'enum' : 'union';
+    }
+    if (properties.enumPropertyNaming !== undefined) {
+        options.enumNaming = namingConvention('enumPropertyNaming', properties.enumPropertyNaming);
+    }
+    if (properties.removeEnumValuePrefix !== undefined) {
+        options.removeEnumValuePrefix = toBoolean(properties.removeEnumValuePrefix);
+    }
+    if (properties.modelPropertyNaming !== undefined) {
+        options.propertyNaming = namingConvention('modelPropertyNaming', properties.modelPropertyNaming);
+    }
+    if (properties.useSingleRequestParameter !== undefined) {
+        options.singleRequestParameter = toBoolean(properties.useSingleRequestParameter);
+    }
+    if (toBoolean(properties.withSeparateModelsAndApi)) {
+        options.apiDir = packageDir('apiPackage', properties.apiPackage || 'api');
+        options.modelsDir = packageDir('modelPackage', properties.modelPackage || 'model');
+    }
+
+    // Top-level in OpenAPI Generator configs, but accepted next to the other options too
+    const typeMappings = config.typeMappings ?? properties.typeMappings;
+    if (typeMappings !== undefined) {
+        options.typeMappings = parseTypeMappings(typeMappings);
+    }
+
+    return {
+        options,
+        ignored: Object.keys(properties).filter(name => !HANDLED_PROPERTIES.has(name))
+    };
+}
+
+function toBoolean(value) {
+    return value === true || value === 'true';
+}
+
+function namingConvention(name, value) {
+    if (!NAMING_CONVENTIONS.includes(value)) {
+        throw new Error(`${name} "${value}" must be one of ${NAMING_CONVENTIONS.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Packages are dotted names ("client.api"); each part becomes a directory
+ */
+function packageDir(name, value) {
+    const segments = String(value).split('.');
+    if (!segments.every(segment => PACKAGE_SEGMENT.test(segment))) {
+        throw new Error(`${name} "${value}" must be a package name like "api" or "client.api"`);
+    }
+    return segments.join('/');
+}
+
+/**
+ * typeMappings as a mapping, or as on the OpenAPI Generator command line:
+ * "DateTime=Date,date=Date"
+ */
+function parseTypeMappings(value) {
+    const error = new Error('typeMappings must map OpenAPI types or formats to TypeScript types, e.g. "DateTime: Date"');
+
+    let entries;
+    if (typeof value === 'string') {
+        entries = value.split(',').filter(Boolean).map(entry => entry.split('=').map(part => part.trim()));
+    } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        entries = Object.entries(value);
+    } else {
+        throw error;
+    }
+
+    if (!entries.every(([type, target]) => type && typeof target === 'string' && target)) {
+        throw error;
+    }
+
+    return Object.fromEntries(entries);
+}
@@ -0,0 +1,81 @@
+/**
+ * SpecCache.js
+ *
+ * Persistent on-disk cache for specifications loaded from URLs. Each URL is
+ * stored as one JSON file holding the response body together with its ETag
+ * and Last-Modified headers, so the next load can revalidate with a
+ * conditional request, and offline runs can use the last copy fetched.
+ *
+ * Specs behind authentication end up in the cache too, so entries are only
+ * readable by the current user.
+ */
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { defaults } from '../../config/defaults.js';
+
+export default class SpecCache {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.directory] - Cache directory (default: cache.directory in config/defaults.js)
+     */
+    constructor(options = {}) {
+        this.directory = options.directory || defaults.cache.directory;
+    }
+
+    /**
+     * File that holds the cached copy of a URL
+     * @param {string} url - Specification URL
+     * @returns {string}
+     */
+    getPath(url) {
+        const hash = crypto.createHash('sha256').update(url).digest('hex');
+        return path.join(this.directory, `${hash}.json`);
+    }
+
+    /**
+     * Cached copy of a URL
+     * @param {string} url - Specification URL
+     * @returns {Promise<{url: string, content: string, etag?: string, lastModified?: string, cachedAt: string}|null>}
+     *   The entry, or null when the URL was never cached or the entry is unreadable
+     */
+    async read(url) {
+        try {
+            const entry = JSON.parse(await fs.readFile(this.getPath(url), 'utf8'));
+            return entry.url === url && typeof entry.content === 'string' ? entry : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Store the latest copy of a URL
+     * @param {string} url - Specification URL
+     * @param {Object} response
+     * @param {string} response.content - Response body
+     * @param {string} [response.etag] - ETag header
+     * @param {string} [response.lastModified] - Last-Modified header
+     * @returns {Promise<Object>} The stored entry
+     */
+    async write(url, { content, etag, lastModified }) {
+        const entry = { url, etag, lastModified, cachedAt: new Date().toISOString(), content };
+        const filePath = this.getPath(url);
+
+        await fs.mkdir(this.directory, { recursive: true, mode: 0o700 });
+
+        // Write then rename, so a concurrent run never reads half an entry
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(entry), { mode: 0o600 });
+        await fs.rename(tempPath, filePath);
+
+        return entry;
+    }
+
+    /**
+     * Remove the cached copy of a URL
+     * @param {string} url - Specification URL
+     */
+    async delete(url) {
+        await fs.rm(this.getPath(url), { force: true });
+    }
+}
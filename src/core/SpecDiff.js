@@ -0,0 +1,455 @@
+/**
+ * SpecDiff.js
+ *
+ * Compares two OpenAPI specifications and classifies every change by its
+ * effect on clients and on the code generated from the old spec:
+ *
+ * - breaking: existing callers or generated code stop working
+ *   (removed operations, new required inputs, changed types, ...)
+ * - non-breaking: additions callers can ignore
+ * - info: documentation-only changes such as summaries or deprecations
+ *
+ * Both specs are expected to be loaded through SwaggerLoader, so $refs are
+ * already resolved. Schemas are compared in the direction data flows:
+ * request schemas break when the API accepts less, response schemas break
+ * when the API returns something callers do not expect.
+ */
+import { capitalize } from '../utils/StringUtils.js';
+
+export const BREAKING = 'breaking';
+export const NON_BREAKING = 'non-breaking';
+export const INFO = 'info';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+const LEVEL_TITLES = {
+    [BREAKING]: 'Breaking changes',
+    [NON_BREAKING]: 'Non-breaking changes',
+    [INFO]: 'Informational changes'
+};
+
+class SpecDiff {
+    constructor() {
+        this.changes = [];
+    }
+
+    /**
+     * Compare two specifications
+     * @param {Object} oldSpec - Specification the generated app was built from
+     * @param {Object} newSpec - Updated specification
+     * @returns {Object} Changes and counts per level
+     */
+    compare(oldSpec, newSpec) {
+        this.changes = [];
+
+        this.compareInfo(oldSpec.info || {}, newSpec.info || {});
+        this.compareOperations(this.collectOperations(oldSpec), this.collectOperations(newSpec));
+        this.compareComponentSchemas(oldSpec.components?.schemas || {}, newSpec.components?.schemas || {});
+
+        return {
+            from: oldSpec.info?.version,
+            to: newSpec.info?.version,
+            changes: [...this.changes],
+            summary: {
+                breaking: this.count(BREAKING),
+                nonBreaking: this.count(NON_BREAKING),
+                info: this.count(INFO)
+            },
+            hasBreakingChanges: this.count(BREAKING) > 0
+        };
+    }
+
+    count(level) {
+        return this.changes.filter(change => change.level === level).length;
+    }
+
+    /**
+     * Record a change
+     * @param {string} level - breaking, non-breaking or info
+     * @param {string} location - Operation or component the change belongs to
+     * @param {string} code - Stable identifier of the kind of change
+     * @param {string} message - Human readable description
+     */
+    addChange(level, location, code, message) {
+        this.changes.push({ level, location, code, message });
+    }
+
+    compareInfo(oldInfo, newInfo) {
+        if (oldInfo.version !== newInfo.version) {
+            this.addChange(INFO, 'info', 'version-changed',
+                `API version changed from ${oldInfo.version ?? 'none'} to ${newInfo.version ?? 'none'}`);
+        }
+    }
+
+    /**
+     * Operations keyed by "METHOD /path", with path-level parameters merged in
+     */
+    collectOperations(spec) {
+        const operations = new Map();
+
+        for (const [pathName, pathItem] of Object.entries(spec.paths || {})) {
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem?.[method];
+                if (!operation) continue;
+
+                const parameters = new Map();
+                for (const parameter of [...(pathItem.parameters || []), ...(operation.parameters || [])]) {
+                    if (parameter?.name) {
+                        parameters.set(`${parameter.in}:${parameter.name}`, parameter);
+                    }
+                }
+
+                operations.set(`${method.toUpperCase()} ${pathName}`, { ...operation, parameters });
+            }
+        }
+
+        return operations;
+    }
+
+    compareOperations(oldOperations, newOperations) {
+        for (const [location, operation] of oldOperations) {
+            if (!newOperations.has(location)) {
+                this.addChange(BREAKING, location, 'operation-removed', 'Operation was removed');
+            } else {
+                this.compareOperation(location, operation, newOperations.get(location));
+            }
+        }
+
+        for (const [location, operation] of newOperations) {
+            if (!oldOperations.has(location)) {
+                this.addChange(NON_BREAKING, location, 'operation-added',
+                    `Operation was added${operation.operationId ? ` (${operation.operationId})` : ''}`);
+            }
+        }
+    }
+
+    compareOperation(location, oldOperation, newOperation) {
+        if (oldOperation.operationId !== newOperation.operationId) {
+            // Generated client methods are named after the operationId
+            this.addChange(BREAKING, location, 'operation-id-changed',
+                `operationId changed from ${oldOperation.operationId ?? 'none'} to ${newOperation.operationId ?? 'none'}`);
+        }
+
+        if (!oldOperation.deprecated && newOperation.deprecated) {
+            this.addChange(INFO, location, 'operation-deprecated', 'Operation was deprecated');
+        }
+
+        if (oldOperation.summary !== newOperation.summary || oldOperation.description !== newOperation.description) {
+            this.addChange(INFO, location, 'operation-description-changed', 'Summary or description changed');
+        }
+
+        this.compareParameters(location, oldOperation.parameters, newOperation.parameters);
+        this.compareRequestBody(location, oldOperation.requestBody, newOperation.requestBody);
+        this.compareResponses(location, oldOperation.responses || {}, newOperation.responses || {});
+    }
+
+    compareParameters(location, oldParameters, newParameters) {
+        for (const [key, parameter] of oldParameters) {
+            const label = `${parameter.in} parameter '${parameter.name}'`;
+            const updated = newParameters.get(key);
+
+            if (!updated) {
+                this.addChange(BREAKING, location, 'parameter-removed', `${capitalize(label)} was removed`);
+                continue;
+            }
+
+            if (!parameter.required && updated.required) {
+                this.addChange(BREAKING, location, 'parameter-became-required', `${capitalize(label)} became required`);
+            } else if (parameter.required && !updated.required) {
+                this.addChange(NON_BREAKING, location, 'parameter-became-optional', `${capitalize(label)} became optional`);
+            }
+
+            this.compareSchema(location, label, parameter.schema, updated.schema, 'request');
+        }
+
+        for (const [key, parameter] of newParameters) {
+            if (oldParameters.has(key)) continue;
+
+            const label = `${parameter.in} parameter '${parameter.name}'`;
+            if (parameter.required) {
+                this.addChange(BREAKING, location, 'required-parameter-added', `Required ${label} was added`);
+            } else {
+                this.addChange(NON_BREAKING, location, 'optional-parameter-added', `Optional ${label} was added`);
+            }
+        }
+    }
+
+    compareRequestBody(location, oldBody, newBody) {
+        if (!oldBody && !newBody) return;
+
+        if (!oldBody) {
+            this.addChange(newBody.required ? BREAKING : NON_BREAKING, location,
+                newBody.required ? 'required-request-body-added' : 'optional-request-body-added',
+                `${newBody.required ? 'Required' : 'Optional'} request body was added`);
+            return;
+        }
+
+        if (!newBody) {
+            this.addChange(BREAKING, location, 'request-body-removed', 'Request body was removed');
+            return;
+        }
+
+        if (!oldBody.required && newBody.required) {
+            this.addChange(BREAKING, location, 'request-body-became-required', 'Request body became required');
+        }
+
+        this.compareContent(location, 'request body', oldBody.content || {}, newBody.content || {}, 'request');
+    }
+
+    compareResponses(location, oldResponses, newResponses) {
+        for (const [status, response] of Object.entries(oldResponses)) {
+            const updated = newResponses[status];
+            if (!updated) {
+                this.addChange(isSuccess(status) ? BREAKING : NON_BREAKING, location, 'response-removed',
+                    `Response ${status} was removed`);
+                continue;
+            }
+
+            this.compareContent(location, `response ${status}`, response.content || {}, updated.content || {}, 'response');
+        }
+
+        for (const status of Object.keys(newResponses)) {
+            if (oldResponses[status]) continue;
+
+            // A new success status may replace the one callers handle today
+            this.addChange(isSuccess(status) ? BREAKING : INFO, location, 'response-added',
+                `Response ${status} was added`);
+        }
+    }
+
+    compareContent(location, label, oldContent, newContent, direction) {
+        for (const [mediaType, media] of Object.entries(oldContent)) {
+            const updated = newContent[mediaType];
+            if (!updated) {
+                this.addChange(BREAKING, location, 'media-type-removed', `${capitalize(label)} no longer supports ${mediaType}`);
+                continue;
+            }
+
+            this.compareSchema(location, label, media.schema, updated.schema, direction);
+        }
+
+        for (const mediaType of Object.keys(newContent)) {
+            if (!oldContent[mediaType]) {
+                this.addChange(NON_BREAKING, location, 'media-type-added', `${capitalize(label)} now supports ${mediaType}`);
+            }
+        }
+    }
+
+    /**
+     * Compare two schemas
+     * @param {string} location - Operation or component
+     * @param {string} label - Where the schema sits, e.g. "response 200"
+     * @param {Object} oldSchema - Previous schema
+     * @param {Object} newSchema - Updated schema
+     * @param {string} direction - 'request' (sent by clients) or 'response' (read by clients)
+     * @param {string} [pointer] - Property path inside the schema
+     * @param {Set} [ancestors] - Schemas being compared higher up, for recursive schemas
+     */
+    compareSchema(location, label, oldSchema, newSchema, direction, pointer = '', ancestors = new Set()) {
+        if (!oldSchema || !newSchema || ancestors.has(oldSchema)) return;
+
+        ancestors.add(oldSchema);
+        try {
+            this.compareSchemaContent(location, label, oldSchema, newSchema, direction, pointer, ancestors);
+        } finally {
+            ancestors.delete(oldSchema);
+        }
+    }
+
+    compareSchemaContent(location, label, oldSchema, newSchema, direction, pointer, ancestors) {
+        const where = pointer ? `${label} property '${pointer}'` : label;
+        const oldType = describeType(oldSchema);
+        const newType = describeType(newSchema);
+
+        if (oldType && newType && oldType !== newType) {
+            this.addChange(BREAKING, location, 'type-changed', `${capitalize(where)} type changed from ${oldType} to ${newType}`);
+            return;
+        }
+
+        if (!oldSchema.nullable && newSchema.nullable && direction === 'response') {
+            this.addChange(BREAKING, location, 'became-nullable', `${capitalize(where)} may now be null`);
+        }
+
+        this.compareEnum(location, where, oldSchema.enum, newSchema.enum, direction);
+
+        if (oldSchema.items || newSchema.items) {
+            this.compareSchema(location, label, oldSchema.items, newSchema.items, direction, `${pointer}[]`, ancestors);
+        }
+
+        this.compareProperties(location, label, oldSchema, newSchema, direction, pointer, ancestors);
+    }
+
+    compareEnum(location, where, oldEnum, newEnum, direction) {
+        if (!oldEnum && !newEnum) return;
+
+        if (oldEnum && !newEnum) {
+            this.addChange(direction === 'request' ? NON_BREAKING : BREAKING, location, 'enum-removed',
+                `${capitalize(where)} is no longer restricted to an enum`);
+            return;
+        }
+
+        if (!oldEnum) {
+            this.addChange(direction === 'request' ? BREAKING : NON_BREAKING, location, 'enum-added',
+                `${capitalize(where)} is now restricted to ${newEnum.map(format).join(', ')}`);
+            return;
+        }
+
+        const removed = oldEnum.filter(value => !newEnum.some(other => same(value, other)));
+        const added = newEnum.filter(value => !oldEnum.some(other => same(value, other)));
+
+        // Clients may still send removed values; they may not handle added ones
+        if (removed.length > 0) {
+            this.addChange(direction === 'request' ? BREAKING : NON_BREAKING, location, 'enum-value-removed',
+                `${capitalize(where)} enum value ${removed.map(format).join(', ')} removed`);
+        }
+        if (added.length > 0) {
+            this.addChange(direction === 'request' ? NON_BREAKING : BREAKING, location, 'enum-value-added',
+                `${capitalize(where)} enum value ${added.map(format).join(', ')} added`);
+        }
+    }
+
+    compareProperties(location, label, oldSchema, newSchema, direction, pointer, ancestors) {
+        const oldProperties = oldSchema.properties || {};
+        const newProperties = newSchema.properties || {};
+        const oldRequired = oldSchema.required || [];
+        const newRequired = newSchema.required || [];
+        const name = (property) => (pointer ? `${pointer}.${property}` : property);
+        const where = (property) => `${label} property '${name(property)}'`;
+
+        for (const [property, schema] of Object.entries(oldProperties)) {
+            if (!newProperties[property]) {
+                this.addChange(BREAKING, location, 'property-removed', `${capitalize(where(property))} was removed`);
+                continue;
+            }
+
+            const wasRequired = oldRequired.includes(property);
+            const isRequired = newRequired.includes(property);
+
+            if (!wasRequired && isRequired) {
+                this.addChange(direction === 'request' ? BREAKING : NON_BREAKING, location, 'property-became-required',
+                    `${capitalize(where(property))} became required`);
+            } else if (wasRequired && !isRequired) {
+                this.addChange(direction === 'request' ? NON_BREAKING : BREAKING, location, 'property-became-optional',
+                    `${capitalize(where(property))} became optional`);
+            }
+
+            this.compareSchema(location, label, schema, newProperties[property], direction, name(property), ancestors);
+        }
+
+        for (const property of Object.keys(newProperties)) {
+            if (oldProperties[property]) continue;
+
+            if (newRequired.includes(property) && direction === 'request') {
+                this.addChange(BREAKING, location, 'required-property-added', `Required ${where(property)} was added`);
+            } else {
+                this.addChange(NON_BREAKING, location, 'property-added', `${capitalize(where(property))} was added`);
+            }
+        }
+    }
+
+    /**
+     * Component schemas become generated types; removing one deletes a type
+     * the app may import
+     */
+    compareComponentSchemas(oldSchemas, newSchemas) {
+        for (const name of Object.keys(oldSchemas)) {
+            if (!newSchemas[name]) {
+                this.addChange(BREAKING, `#/components/schemas/${name}`, 'schema-removed', `Schema ${name} was removed`);
+            }
+        }
+
+        for (const name of Object.keys(newSchemas)) {
+            if (!oldSchemas[name]) {
+                this.addChange(NON_BREAKING, `#/components/schemas/${name}`, 'schema-added', `Schema ${name} was added`);
+            }
+        }
+    }
+
+    /**
+     * Format a comparison result
+     * @param {Object} result - Result of compare()
+     * @param {string} [outputFormat] - text, json or markdown
+     * @returns {string}
+     */
+    format(result, outputFormat = 'text') {
+        switch (outputFormat) {
+            case 'json':
+                return JSON.stringify(result, null, 2);
+            case 'markdown':
+            case 'md':
+                return this.toMarkdown(result);
+            case 'text':
+                return this.toText(result);
+            default:
+                throw new Error(`Unknown diff format: ${outputFormat} (use text, json or markdown)`);
+        }
+    }
+
+    toText(result) {
+        const { summary } = result;
+        const lines = [
+            `${summary.breaking} breaking, ${summary.nonBreaking} non-breaking, ${summary.info} informational change(s)`
+        ];
+
+        for (const level of [BREAKING, NON_BREAKING, INFO]) {
+            const changes = result.changes.filter(change => change.level === level);
+            if (changes.length === 0) continue;
+
+            lines.push('', `${LEVEL_TITLES[level]}:`);
+            changes.forEach(change => lines.push(`  ${change.location}: ${change.message}`));
+        }
+
+        return lines.join('\n');
+    }
+
+    toMarkdown(result) {
+        const { summary } = result;
+        const lines = [
+            '## API changes',
+            '',
+            '| Breaking | Non-breaking | Informational |',
+            '|---------:|-------------:|--------------:|',
+            `| ${summary.breaking} | ${summary.nonBreaking} | ${summary.info} |`
+        ];
+
+        for (const level of [BREAKING, NON_BREAKING, INFO]) {
+            const changes = result.changes.filter(change => change.level === level);
+            if (changes.length === 0) continue;
+
+            lines.push('', `### ${level === BREAKING ? '⚠️ ' : ''}${LEVEL_TITLES[level]}`, '');
+            changes.forEach(change => lines.push(`- \`${change.location}\`: ${escapeMarkdown(change.message)}`));
+        }
+
+        if (result.changes.length === 0) {
+            lines.push('', 'No changes.');
+        }
+
+        return lines.join('\n');
+    }
+}
+
+function describeType(schema) {
+    if (Array.isArray(schema.type)) return schema.type.filter(type => type !== 'null').join(' | ');
+    if (schema.type) return schema.type;
+    if (schema.properties) return 'object';
+    if (schema.items) return 'array';
+    return null;
+}
+
+function isSuccess(status) {
+    return /^2\d\d$|^2XX$/i.test(status);
+}
+
+function same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function format(value) {
+    return typeof value === 'string' ? `'${value}'` : JSON.stringify(value);
+}
+
+function escapeMarkdown(str) {
+    return str.replace(/([|*_`])/g, '\\$1');
+}
+
+export default SpecDiff;
@@ -0,0 +1,304 @@
+/**
+ * SpecMerger.js
+ *
+ * Merges several OpenAPI 3 documents, one per service, into one document so
+ * a single app can be generated over all of them. The documents must be
+ * bundled (internal $refs only) and are merged in order; the first one
+ * provides info, servers and security.
+ *
+ * Items that collide with an item of an earlier document are renamed with
+ * the prefix of the document they come from:
+ *
+ * - components: `User` becomes `BillingUser` (identical components are shared)
+ * - paths: `/users` becomes `/billing/users` when both define the same method
+ * - operationIds: `listUsers` becomes `billingListUsers`
+ *
+ * Every operation and component records where it came from in `x-source`,
+ * and renamed items keep their original name in `x-original-name`,
+ * `x-original-path` or `x-original-operation-id`.
+ */
+import { isDeepStrictEqual } from 'node:util';
+import { appendPointer } from '../utils/SchemaUtils.js';
+import { capitalize, toCamelCase, toKebabCase, toPascalCase } from '../utils/StringUtils.js';
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+export default class SpecMerger {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.info] - Info object of the merged document (default: the first document's)
+     */
+    constructor(options = {}) {
+        this.info = options.info;
+    }
+
+    /**
+     * Merge documents in order
+     * @param {Array<{source: string, prefix: string, spec: Object}>} documents - Bundled documents
+     * @returns {Object} Merged document
+     */
+    merge(documents) {
+        const [first] = documents;
+        if (!first) {
+            throw new Error('No specifications to merge');
+        }
+
+        for (const { source, spec } of documents) {
+            if (minorVersion(spec.openapi) !== minorVersion(first.spec.openapi)) {
+                throw new Error(`Cannot merge OpenAPI ${spec.openapi} (${source}) with OpenAPI ${first.spec.openapi} (${first.source})`);
+            }
+        }
+
+        const merged = {
+            openapi: first.spec.openapi,
+            info: { ...first.spec.info, ...this.info },
+            ...(first.spec.servers && { servers: first.spec.servers }),
+            ...(first.spec.security && { security: first.spec.security }),
+            paths: {},
+            components: {},
+            'x-sources': documents.map(({ source, prefix }) => ({ source, prefix }))
+        };
+        const operationIds = new Set();
+
+        for (const document of documents) {
+            const spec = structuredClone(document.spec);
+            const renames = this.planRenames(merged, spec, document);
+
+            rewriteReferences(spec, renames.pointers);
+            renameSecurityRequirements(spec, renames.securitySchemes);
+
+            this.mergeComponents(merged, spec, document, renames);
+            this.mergePaths(merged, spec, document, renames.paths, operationIds);
+            this.mergeTopLevel(merged, spec);
+        }
+
+        if (Object.keys(merged.components).length === 0) {
+            delete merged.components;
+        }
+
+        return merged;
+    }
+
+    /**
+     * Decide the new names of the components and paths of a document that
+     * collide with what is already merged
+     * @returns {{pointers: Map, paths: Map, components: Object, securitySchemes: Map}}
+     */
+    planRenames(merged, spec, { source, prefix }) {
+        const pointers = new Map();
+        const paths = new Map();
+        const components = {};
+        const securitySchemes = new Map();
+
+        for (const [type, entries] of Object.entries(spec.components || {})) {
+            components[type] = new Map();
+
+            for (const [name, value] of Object.entries(entries || {})) {
+                const existing = merged.components[type]?.[name];
+                if (existing === undefined || isDeepStrictEqual(withoutOrigin(existing), value)) continue;
+
+                const renamed = `${toPascalCase(prefix)}${capitalize(name)}`;
+                if (merged.components[type]?.[renamed] !== undefined || entries[renamed] !== undefined) {
+                    throw new Error(`Cannot merge ${source}: components.${type}.${name} collides, and so does its prefixed name ${renamed}`);
+                }
+
+                components[type].set(name, renamed);
+                pointers.set(appendPointer('', 'components', type, name), appendPointer('', 'components', type, renamed));
+                if (type === 'securitySchemes') securitySchemes.set(name, renamed);
+            }
+        }
+
+        for (const [pathName, pathItem] of Object.entries(spec.paths || {})) {
+            const existing = merged.paths[pathName];
+            if (!existing || !HTTP_METHODS.some(method => pathItem?.[method] && existing[method])) continue;
+
+            const renamed = `/${toKebabCase(prefix)}${pathName}`;
+            if (merged.paths[renamed] || spec.paths[renamed]) {
+                throw new Error(`Cannot merge ${source}: path ${pathName} collides, and so does its prefixed path ${renamed}`);
+            }
+
+            paths.set(pathName, renamed);
+            pointers.set(appendPointer('', 'paths', pathName), appendPointer('', 'paths', renamed));
+        }
+
+        return { pointers, paths, components, securitySchemes };
+    }
+
+    mergeComponents(merged, spec, { source }, renames) {
+        for (const [type, entries] of Object.entries(spec.components || {})) {
+            merged.components[type] = merged.components[type] || {};
+
+            for (const [name, value] of Object.entries(entries || {})) {
+                const renamed = renames.components[type].get(name);
+
+                if (renamed) {
+                    merged.components[type][renamed] = withOrigin(value, source, { 'x-original-name': name });
+                } else if (merged.components[type][name] === undefined) {
+                    merged.components[type][name] = withOrigin(value, source);
+                }
+            }
+        }
+    }
+
+    mergePaths(merged, spec, document, renamedPaths, operationIds) {
+        const { source, prefix } = document;
+        // Operations keep the servers and security of their own document
+        const ownServers = spec.servers && !isDeepStrictEqual(spec.servers, merged.servers) ? spec.servers : undefined;
+        const ownSecurity = !isDeepStrictEqual(spec.security, merged.security) ? spec.security || [] : undefined;
+
+        for (const [pathName, pathItem] of Object.entries(spec.paths || {})) {
+            if (!pathItem || typeof pathItem !== 'object') continue;
+
+            const targetPath = renamedPaths.get(pathName) || pathName;
+            const target = merged.paths[targetPath];
+
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem[method];
+                if (!operation || typeof operation !== 'object') continue;
+
+                operation['x-source'] = source;
+                if (ownServers && !operation.servers) operation.servers = ownServers;
+                if (ownSecurity && !operation.security) operation.security = ownSecurity;
+
+                if (operation.operationId) {
+                    if (operationIds.has(operation.operationId)) {
+                        const renamed = `${toCamelCase(prefix)}${capitalize(operation.operationId)}`;
+                        if (operationIds.has(renamed)) {
+                            throw new Error(`Cannot merge ${source}: operationId ${operation.operationId} collides, and so does its prefixed name ${renamed}`);
+                        }
+                        operation['x-original-operation-id'] = operation.operationId;
+                        operation.operationId = renamed;
+                    }
+                    operationIds.add(operation.operationId);
+                }
+            }
+
+            if (targetPath !== pathName) {
+                pathItem['x-original-path'] = pathName;
+            }
+
+            if (!target) {
+                merged.paths[targetPath] = pathItem;
+                continue;
+            }
+
+            // Same path in both documents with different methods: path-level
+            // parameters move into this document's operations, as they may
+            // differ from the merged path item's
+            for (const method of HTTP_METHODS) {
+                const operation = pathItem[method];
+                if (!operation) continue;
+
+                const own = operation.parameters || [];
+                const shared = (pathItem.parameters || []).filter(parameter =>
+                    !own.some(entry => entry.name === parameter.name && entry.in === parameter.in));
+                if (shared.length > 0) operation.parameters = [...shared, ...own];
+
+                target[method] = operation;
+            }
+        }
+
+        for (const [name, webhook] of Object.entries(spec.webhooks || {})) {
+            merged.webhooks = merged.webhooks || {};
+            const renamed = merged.webhooks[name] ? `${toCamelCase(prefix)}${capitalize(name)}` : name;
+            merged.webhooks[renamed] = webhook;
+        }
+    }
+
+    /**
+     * Tags, external docs and extensions: the first document that defines one wins
+     */
+    mergeTopLevel(merged, spec) {
+        for (const tag of spec.tags || []) {
+            merged.tags = merged.tags || [];
+            if (!merged.tags.some(existing => existing.name === tag.name)) {
+                merged.tags.push(tag);
+            }
+        }
+
+        for (const [key, value] of Object.entries(spec)) {
+            if ((key.startsWith('x-') || key === 'externalDocs' || key === 'jsonSchemaDialect') && !(key in merged)) {
+                merged[key] = value;
+            }
+        }
+    }
+}
+
+function minorVersion(version = '') {
+    return version.split('.').slice(0, 2).join('.');
+}
+
+function withOrigin(value, source, extra = {}) {
+    if (!value || typeof value !== 'object' || Array.isArray(value) || value.$ref) return value;
+    return { ...value, ...extra, 'x-source': source };
+}
+
+function withoutOrigin(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+
+    const copy = { ...value };
+    delete copy['x-source'];
+    delete copy['x-original-name'];
+    return copy;
+}
+
+/**
+ * Point $refs (and discriminator mappings) at renamed locations
+ * @param {Object} node - Document to rewrite in place
+ * @param {Map<string, string>} pointers - Old JSON pointer to new JSON pointer
+ */
+function rewriteReferences(node, pointers) {
+    if (pointers.size === 0) return;
+
+    const rename = (ref) => {
+        for (const [from, to] of pointers) {
+            if (ref === `#${from}` || ref.startsWith(`#${from}/`)) {
+                return `#${to}${ref.slice(from.length + 1)}`;
+            }
+        }
+        return ref;
+    };
+
+    const visit = (value) => {
+        if (!value || typeof value !== 'object') return;
+
+        if (typeof value.$ref === 'string') {
+            value.$ref = rename(value.$ref);
+        }
+
+        const mapping = value.discriminator?.mapping;
+        if (mapping && typeof mapping === 'object') {
+            for (const [key, target] of Object.entries(mapping)) {
+                if (typeof target !== 'string') continue;
+                // Bare names refer to components.schemas
+                const schemaRef = target.startsWith('#') ? target : `#${appendPointer('', 'components', 'schemas', target)}`;
+                const renamed = rename(schemaRef);
+                if (renamed !== schemaRef) mapping[key] = renamed;
+            }
+        }
+
+        Object.values(value).forEach(visit);
+    };
+
+    visit(node);
+}
+
+/**
+ * Security requirements name schemes instead of referencing them
+ */
+function renameSecurityRequirements(spec, renames) {
+    if (renames.size === 0) return;
+
+    const renameRequirements = requirements => (Array.isArray(requirements) ? requirements : []).map(requirement =>
+        Object.fromEntries(Object.entries(requirement).map(([name, scopes]) => [renames.get(name) || name, scopes])));
+
+    if (spec.security) spec.security = renameRequirements(spec.security);
+
+    for (const pathItem of Object.values(spec.paths || {})) {
+        for (const method of HTTP_METHODS) {
+            if (pathItem?.[method]?.security) {
+                pathItem[method].security = renameRequirements(pathItem[method].security);
+            }
+        }
+    }
+}
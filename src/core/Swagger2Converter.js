@@ -0,0 +1,466 @@
+/**
+ * Swagger2Converter.js
+ *
+ * Converts Swagger 2.0 documents to OpenAPI 3.0, closely enough that a 2.0
+ * spec and its hand-written 3.0 equivalent generate the same code:
+ *
+ * - host, basePath and schemes become servers
+ * - body and formData parameters become request bodies, per operation
+ *   consumes; file uploads become multipart binary properties
+ * - response schemas, examples and headers move under content, per
+ *   operation produces
+ * - parameter types move into schemas, collectionFormat becomes style/explode
+ * - definitions, parameters and responses move under components and local
+ *   $refs are rewritten to match
+ * - every security definition type and OAuth2 flow is mapped
+ * - x- extensions are kept wherever they appear
+ *
+ * The input document is not modified.
+ */
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+const FORM_MEDIA_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+// Keywords of non-body parameters and headers that describe the value
+const SCHEMA_KEYWORDS = [
+    'type', 'format', 'items', 'default', 'enum', 'maximum', 'exclusiveMaximum', 'minimum',
+    'exclusiveMinimum', 'maxLength', 'minLength', 'pattern', 'maxItems', 'minItems', 'uniqueItems', 'multipleOf'
+];
+
+const OAUTH2_FLOWS = {
+    implicit: 'implicit',
+    password: 'password',
+    application: 'clientCredentials',
+    accessCode: 'authorizationCode'
+};
+
+/**
+ * Convert a Swagger 2.0 document to OpenAPI 3.0
+ * @param {Object} swagger2 - Swagger 2.0 specification
+ * @returns {Object} OpenAPI 3.0 specification
+ */
+export function convertSwagger2ToOpenAPI3(swagger2) {
+    const context = {
+        swagger2,
+        consumes: swagger2.consumes || ['application/json'],
+        produces: swagger2.produces || ['application/json']
+    };
+
+    const openapi3 = { openapi: '3.0.0', info: swagger2.info };
+
+    const servers = convertServers(swagger2);
+    if (servers.length > 0) {
+        openapi3.servers = servers;
+    }
+
+    openapi3.paths = {};
+    for (const [pathKey, pathItem] of Object.entries(swagger2.paths || {})) {
+        openapi3.paths[pathKey] = convertPathItem(pathItem, context);
+    }
+
+    const components = convertComponents(context);
+    if (Object.keys(components).length > 0) {
+        openapi3.components = components;
+    }
+
+    for (const key of ['security', 'tags', 'externalDocs']) {
+        if (swagger2[key] !== undefined) openapi3[key] = swagger2[key];
+    }
+    Object.assign(openapi3, extensions(swagger2));
+
+    return openapi3;
+}
+
+function convertServers(swagger2) {
+    if (!swagger2.host) {
+        return swagger2.basePath ? [{ url: swagger2.basePath }] : [];
+    }
+
+    const schemes = swagger2.schemes?.length ? swagger2.schemes : ['https'];
+    return schemes.map(scheme => ({ url: `${scheme}://${swagger2.host}${swagger2.basePath || ''}` }));
+}
+
+function convertPathItem(pathItem, context) {
+    if (pathItem.$ref) return { ...pathItem };
+
+    const shared = pathItem.parameters || [];
+    const converted = {};
+
+    // Body and formData parameters belong to the operations' request bodies
+    const plain = shared.filter(param => !isRequestBodyParameter(deref(param, context)));
+    if (plain.length > 0) {
+        converted.parameters = plain.map(param => convertParameterOrRef(param));
+    }
+
+    for (const [key, value] of Object.entries(pathItem)) {
+        if (key === 'parameters') continue;
+        converted[key] = HTTP_METHODS.includes(key) ? convertOperation(value, shared, context) : value;
+    }
+
+    return converted;
+}
+
+function convertOperation(operation, shared, context) {
+    const { consumes, produces, parameters = [], responses } = operation;
+    const mediaTypes = {
+        consumes: consumes || context.consumes,
+        produces: produces || context.produces
+    };
+
+    // OpenAPI 3.0 operations have no consumes, produces or schemes
+    const converted = { ...operation };
+    ['consumes', 'produces', 'schemes', 'parameters', 'responses'].forEach(key => delete converted[key]);
+
+    // Operation parameters override path-level ones with the same name and location
+    const inherited = shared.filter(param => !parameters.some(own => isSameParameter(deref(own, context), deref(param, context))));
+
+    const plain = parameters.filter(param => !isRequestBodyParameter(deref(param, context)));
+    if (plain.length > 0) {
+        converted.parameters = plain.map(param => convertParameterOrRef(param));
+    }
+
+    const all = [...inherited, ...parameters];
+    const body = all.find(param => deref(param, context).in === 'body');
+    const formData = all.filter(param => deref(param, context).in === 'formData');
+    if (body) {
+        converted.requestBody = convertBodyParameter(body, mediaTypes.consumes);
+    } else if (formData.length > 0) {
+        converted.requestBody = convertFormData(formData.map(param => deref(param, context)), mediaTypes.consumes);
+    }
+
+    if (responses) {
+        converted.responses = mapValues(responses, response => convertResponse(response, mediaTypes.produces));
+    }
+
+    return converted;
+}
+
+function isRequestBodyParameter(param) {
+    return param?.in === 'body' || param?.in === 'formData';
+}
+
+function isSameParameter(a, b) {
+    return !!a && !!b && a.name === b.name && a.in === b.in;
+}
+
+/**
+ * Global parameter a #/parameters/ $ref points to, or the parameter itself
+ */
+function deref(param, context) {
+    const name = localRefName(param?.$ref, 'parameters');
+    return name ? context.swagger2.parameters?.[name] : param;
+}
+
+function localRefName(ref, section) {
+    const prefix = `#/${section}/`;
+    return typeof ref === 'string' && ref.startsWith(prefix) ? ref.slice(prefix.length) : null;
+}
+
+function convertParameterOrRef(param) {
+    return param.$ref ? { $ref: rewriteRef(param.$ref) } : convertParameter(param);
+}
+
+function convertParameter(param) {
+    const converted = {};
+    const schema = {};
+
+    for (const [key, value] of Object.entries(param)) {
+        if (SCHEMA_KEYWORDS.includes(key)) {
+            schema[key] = value;
+        } else if (key !== 'collectionFormat' && key !== 'x-example') {
+            converted[key] = value;
+        }
+    }
+
+    if (param['x-example'] !== undefined) {
+        converted.example = param['x-example'];
+    }
+
+    converted.schema = convertItemsSchema(schema);
+    if (schema.type === 'array') {
+        Object.assign(converted, collectionStyle(param.in, param.collectionFormat));
+    }
+
+    return converted;
+}
+
+/**
+ * Schema of a non-body parameter, header or items object, which may nest
+ * their own collectionFormat
+ */
+function convertItemsSchema(schema) {
+    const { collectionFormat, items, ...rest } = schema;
+    const converted = convertSchema(rest);
+
+    if (items) {
+        converted.items = convertItemsSchema(items);
+    }
+    if (collectionFormat && collectionFormat !== 'csv') {
+        converted['x-collectionFormat'] = collectionFormat;
+    }
+
+    return converted;
+}
+
+/**
+ * style/explode equivalent to a collectionFormat; defaults are left out
+ */
+function collectionStyle(location, collectionFormat = 'csv') {
+    if (location === 'path' || location === 'header') {
+        return collectionFormat === 'csv' ? {} : { 'x-collectionFormat': collectionFormat };
+    }
+
+    switch (collectionFormat) {
+        case 'csv':
+            return { style: 'form', explode: false };
+        case 'ssv':
+            return { style: 'spaceDelimited' };
+        case 'pipes':
+            return { style: 'pipeDelimited' };
+        case 'multi':
+            return {};
+        default:
+            return { style: 'form', explode: false, 'x-collectionFormat': collectionFormat };
+    }
+}
+
+function convertBodyParameter(param, consumes) {
+    const name = localRefName(param.$ref, 'parameters');
+    if (name) {
+        return { $ref: `#/components/requestBodies/${name}` };
+    }
+
+    // Body parameters never carry form data
+    const bodyTypes = consumes.filter(mediaType => !FORM_MEDIA_TYPES.includes(mediaType));
+    const mediaTypes = bodyTypes.length > 0 ? bodyTypes : ['application/json'];
+    const examples = param['x-examples'] || {};
+
+    const requestBody = {};
+    if (param.description) {
+        requestBody.description = param.description;
+    }
+
+    requestBody.content = Object.fromEntries(mediaTypes.map(mediaType => {
+        const content = { schema: convertSchema(param.schema) };
+        if (examples[mediaType] !== undefined) content.example = examples[mediaType];
+        return [mediaType, content];
+    }));
+
+    if (param.required) {
+        requestBody.required = true;
+    }
+
+    const rest = extensions(param);
+    delete rest['x-examples'];
+    return { ...requestBody, ...rest };
+}
+
+function convertFormData(params, consumes) {
+    const hasFile = params.some(param => param.type === 'file');
+    const formTypes = consumes.filter(mediaType => FORM_MEDIA_TYPES.includes(mediaType));
+
+    // Files can only be uploaded as multipart
+    let mediaTypes = formTypes.length > 0 ? formTypes : ['application/x-www-form-urlencoded'];
+    if (hasFile) {
+        mediaTypes = ['multipart/form-data'];
+    }
+
+    const schema = { type: 'object', properties: {} };
+    const required = [];
+    const encoding = {};
+
+    for (const param of params) {
+        const { schema: propertySchema, description, style, explode } = convertParameter({ ...param, in: 'query' });
+        schema.properties[param.name] = description ? { ...propertySchema, description } : propertySchema;
+
+        if (param.required) {
+            required.push(param.name);
+        }
+        if (style) {
+            encoding[param.name] = { style, explode: explode ?? false };
+        }
+    }
+
+    if (required.length > 0) {
+        schema.required = required;
+    }
+
+    const requestBody = {
+        content: Object.fromEntries(mediaTypes.map(mediaType => {
+            const content = { schema };
+            if (Object.keys(encoding).length > 0) content.encoding = encoding;
+            return [mediaType, content];
+        }))
+    };
+
+    if (required.length > 0) {
+        requestBody.required = true;
+    }
+
+    return requestBody;
+}
+
+function convertResponse(response, produces) {
+    if (response.$ref) {
+        return { $ref: rewriteRef(response.$ref) };
+    }
+
+    const converted = { description: response.description || '' };
+    const examples = response.examples || {};
+
+    if (response.schema) {
+        converted.content = Object.fromEntries(produces.map(mediaType => {
+            const content = { schema: convertSchema(response.schema) };
+            if (examples[mediaType] !== undefined) content.example = examples[mediaType];
+            return [mediaType, content];
+        }));
+    } else if (Object.keys(examples).length > 0) {
+        converted.content = mapValues(examples, example => ({ example }));
+    }
+
+    if (response.headers) {
+        converted.headers = mapValues(response.headers, convertHeader);
+    }
+
+    return { ...converted, ...extensions(response) };
+}
+
+function convertHeader(header) {
+    const converted = {};
+    const schema = {};
+
+    for (const [key, value] of Object.entries(header)) {
+        if (SCHEMA_KEYWORDS.includes(key) || key === 'collectionFormat') {
+            schema[key] = value;
+        } else {
+            converted[key] = value;
+        }
+    }
+
+    converted.schema = convertItemsSchema(schema);
+    return converted;
+}
+
+/**
+ * Convert a Swagger 2.0 Schema Object: x-nullable, file types, string
+ * discriminators and #/definitions/ references
+ */
+function convertSchema(schema) {
+    if (Array.isArray(schema)) return schema.map(convertSchema);
+    if (!schema || typeof schema !== 'object') return schema;
+
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+        switch (key) {
+            case '$ref':
+                converted.$ref = rewriteRef(value);
+                break;
+            case 'x-nullable':
+                converted.nullable = value;
+                break;
+            case 'type':
+                if (value === 'file') {
+                    converted.type = 'string';
+                    converted.format = 'binary';
+                } else {
+                    converted.type = value;
+                }
+                break;
+            case 'discriminator':
+                converted.discriminator = typeof value === 'string' ? { propertyName: value } : value;
+                break;
+            case 'properties':
+                converted.properties = mapValues(value, convertSchema);
+                break;
+            case 'items':
+            case 'additionalProperties':
+            case 'not':
+            case 'allOf':
+            case 'oneOf':
+            case 'anyOf':
+                converted[key] = convertSchema(value);
+                break;
+            default:
+                converted[key] = value;
+        }
+    }
+
+    return converted;
+}
+
+function convertComponents(context) {
+    const { swagger2 } = context;
+    const components = {};
+
+    if (swagger2.definitions) {
+        components.schemas = mapValues(swagger2.definitions, convertSchema);
+    }
+
+    const parameters = Object.entries(swagger2.parameters || {});
+    const plain = parameters.filter(([, param]) => !isRequestBodyParameter(param));
+    const bodies = parameters.filter(([, param]) => param.in === 'body');
+    if (plain.length > 0) {
+        components.parameters = Object.fromEntries(plain.map(([name, param]) => [name, convertParameter(param)]));
+    }
+    if (bodies.length > 0) {
+        components.requestBodies = Object.fromEntries(bodies.map(([name, param]) =>
+            [name, convertBodyParameter(param, context.consumes)]));
+    }
+
+    if (swagger2.responses) {
+        components.responses = mapValues(swagger2.responses, response => convertResponse(response, context.produces));
+    }
+
+    if (swagger2.securityDefinitions) {
+        components.securitySchemes = mapValues(swagger2.securityDefinitions, convertSecurityScheme);
+    }
+
+    return components;
+}
+
+function convertSecurityScheme(definition) {
+    const { type, description } = definition;
+    let scheme;
+
+    if (type === 'basic') {
+        scheme = { type: 'http', scheme: 'basic' };
+    } else if (type === 'apiKey') {
+        scheme = { type: 'apiKey', in: definition.in, name: definition.name };
+    } else if (type === 'oauth2') {
+        const flow = {};
+        if (definition.authorizationUrl) flow.authorizationUrl = definition.authorizationUrl;
+        if (definition.tokenUrl) flow.tokenUrl = definition.tokenUrl;
+        flow.scopes = definition.scopes || {};
+
+        scheme = { type: 'oauth2', flows: { [OAUTH2_FLOWS[definition.flow] || definition.flow]: flow } };
+    } else {
+        scheme = { type };
+    }
+
+    if (description) {
+        scheme.description = description;
+    }
+
+    return { ...scheme, ...extensions(definition) };
+}
+
+/**
+ * Point a local Swagger 2.0 $ref at its OpenAPI 3.0 location
+ */
+function rewriteRef(ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#/')) return ref;
+
+    return ref
+        .replace(/^#\/definitions\//, '#/components/schemas/')
+        .replace(/^#\/parameters\//, '#/components/parameters/')
+        .replace(/^#\/responses\//, '#/components/responses/');
+}
+
+function extensions(object) {
+    return Object.fromEntries(Object.entries(object).filter(([key]) => key.startsWith('x-')));
+}
+
+function mapValues(object, fn) {
+    return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
@@ -33,44 +33,277 @@
 import fs from 'fs/promises';
 import path from 'path';
 import yaml from 'js-yaml';
-import { URL } from 'url';
+import { URL, fileURLToPath } from 'url';
 import https from 'https';
 import http from 'http';
+import zlib from 'zlib';
+import { $RefParser, JSONParserErrorGroup, ResolverError } from '@apidevtools/json-schema-ref-parser';
+import { glob, hasMagic } from 'glob';
+import { convertSwagger2ToOpenAPI3 } from './Swagger2Converter.js';
+import SpecCache from './SpecCache.js';
+import SpecMerger from './SpecMerger.js';
+import { appendPointer, COMPONENT_NAME } from '../utils/SchemaUtils.js';
 
 class SwaggerLoader {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.timeout] - URL request timeout in ms
+     * @param {Object} [options.headers] - Extra headers for URL requests; values may use ${ENV_VAR}
+     * @param {string} [options.token] - Bearer token for URL requests
+     * @param {string} [options.tokenEnv] - Environment variable holding the bearer token
+     * @param {number} [options.maxRedirects] - Redirects to follow per request
+     * @param {boolean} [options.cache] - Keep URL specs in the on-disk cache (default: true)
+     * @param {string} [options.cacheDirectory] - Directory of the on-disk cache
+     * @param {boolean} [options.offline] - Load URLs from the on-disk cache only
+     * @param {Object} [options.merge] - Merging several sources: prefixes (source, file name
+     *   or URL to prefix) and info (info object of the merged document)
+     * @param {stream.Readable} [options.stdin] - Stream read for the source "-" (default: process.stdin)
+     * @param {boolean} [options.keepUnresolvedReferences] - Leave $refs that cannot be resolved
+     *   in place instead of failing, so a validator can report them
+     */
     constructor(options = {}) {
         this.timeout = options.timeout || 30000; // 30 seconds default
+        this.headers = options.headers || {};
+        this.token = options.token;
+        this.tokenEnv = options.tokenEnv;
+        this.maxRedirects = options.maxRedirects ?? 5;
+        this.offline = options.offline || false;
+        this.merge = options.merge || {};
+        this.stdin = options.stdin;
+        this.keepUnresolvedReferences = options.keepUnresolvedReferences || false;
+        this.specCache = options.cache === false ? null : new SpecCache({ directory: options.cacheDirectory });
+
+        if (this.offline && !this.specCache) {
+            throw new Error('Offline mode needs the spec cache, which is disabled');
+        }
+
+        // Cache key -> parsed document, for every file and URL read
         this.cache = new Map();
+        // Cache key -> loaded specification, for every source passed to load()
+        this.specs = new Map();
+        // Cache key -> cache keys of the documents it references with $ref
+        this.references = new Map();
     }
 
     /**
-     * Load a specification from a file path or URL
-     * @param {string} source - File path or URL to the specification
+     * Load a specification from a file path, URL or "-" (stdin). Several
+     * sources, given as an array or matched by a glob, are merged into one
+     * document (see SpecMerger).
+     * @param {string|string[]} source - File path, URL, "-" or glob, or an array of them
      * @returns {Promise<Object>} Parsed specification object
      */
     async load(source) {
+        const key = this.getCacheKey(source);
+
         // Check cache first
-        if (this.cache.has(source)) {
-            return this.cache.get(source);
+        if (this.specs.has(key)) {
+            return this.specs.get(key);
         }
 
-        let content;
+        const sources = await this.expandSources(source);
+        if (key !== this.getCacheKey(sources[0]) || sources.length > 1) {
+            this.references.set(key, new Set(sources.map(entry => this.getCacheKey(entry))));
+        }
 
-        if (this.isUrl(source)) {
-            content = await this.loadFromUrl(source);
+        let normalizedSpec;
+        if (sources.length === 1) {
+            normalizedSpec = await this.normalizeSpec(await this.loadDocument(sources[0]), sources[0]);
         } else {
-            content = await this.loadFromFile(source);
+            const merged = await this.mergeDocuments(sources);
+            normalizedSpec = this.addUiMetadata(this.inlineReferences(merged, merged, '', []));
         }
 
-        const spec = this.parseContent(content, source);
-        const normalizedSpec = await this.normalizeSpec(spec, source);
-
         // Cache the result
-        this.cache.set(source, normalizedSpec);
+        this.specs.set(key, normalizedSpec);
 
         return normalizedSpec;
     }
 
+    /**
+     * Read and parse a document as written, without converting it or
+     * resolving its references. Each file or URL is read once and cached
+     * until invalidate() or clearCache().
+     * @param {string} source - File path or URL
+     * @returns {Promise<Object>} Parsed document (a copy the caller may modify)
+     */
+    async loadDocument(source) {
+        const key = this.getCacheKey(source);
+
+        if (!this.cache.has(key)) {
+            let content;
+            if (source === '-') {
+                content = await this.loadFromStdin();
+            } else if (this.isUrl(source)) {
+                content = await this.loadFromUrl(source);
+            } else {
+                content = await this.loadFromFile(source);
+            }
+            const document = this.parseContent(content, source);
+
+            this.cache.set(key, document);
+            this.references.set(key, this.findExternalReferences(document, key));
+        }
+
+        return structuredClone(this.cache.get(key));
+    }
+
+    /**
+     * Combine a specification and every file or URL it references into a
+     * single document whose $refs are all internal ("#/..."). A single
+     * document keeps its version: Swagger 2.0 is only converted when several
+     * sources are merged.
+     * @param {string|string[]} source - File path, URL, "-" or glob, or an array of them
+     * @returns {Promise<Object>} Bundled specification
+     */
+    async bundle(source) {
+        const sources = await this.expandSources(source);
+        if (sources.length > 1) {
+            return this.mergeDocuments(sources);
+        }
+
+        const spec = await this.loadDocument(sources[0]);
+        return this.bundleDocument(spec, sources[0]);
+    }
+
+    /**
+     * Files, URLs and "-" a source stands for, with globs expanded in sorted order
+     * @param {string|string[]} source - File path, URL, "-" or glob, or an array of them
+     * @returns {Promise<string[]>}
+     */
+    async expandSources(source) {
+        const sources = [];
+
+        for (const entry of Array.isArray(source) ? source : [source]) {
+            if (entry === '-' || this.isUrl(entry) || !hasMagic(entry)) {
+                sources.push(entry);
+                continue;
+            }
+
+            const matches = await glob(entry, { nodir: true });
+            if (matches.length === 0) {
+                throw new Error(`No specification files match ${entry}`);
+            }
+            sources.push(...matches.sort());
+        }
+
+        if (sources.length === 0) {
+            throw new Error('No specification given');
+        }
+
+        // The same file may be listed and matched by a glob
+        const keys = sources.map(entry => this.getCacheKey(entry));
+        return sources.filter((entry, index) => keys.indexOf(keys[index]) === index);
+    }
+
+    /**
+     * Bundle every source and merge them in order
+     * @param {string[]} sources - Files, URLs or "-"
+     * @returns {Promise<Object>} Merged document with internal $refs only
+     */
+    async mergeDocuments(sources) {
+        const documents = [];
+
+        for (const source of sources) {
+            let spec = await this.loadDocument(source);
+            if (spec.swagger && spec.swagger.startsWith('2.')) {
+                spec = this.convertSwagger2ToOpenAPI3(spec);
+            }
+
+            documents.push({
+                source,
+                prefix: this.getMergePrefix(source),
+                spec: await this.bundleDocument(spec, source)
+            });
+        }
+
+        return new SpecMerger({ info: this.merge.info }).merge(documents);
+    }
+
+    /**
+     * Prefix that renames the items of a source that collide when merging:
+     * the configured one (by source, path or file name), else the file name
+     * without extensions
+     * @param {string} source - File path, URL or "-"
+     * @returns {string}
+     */
+    getMergePrefix(source) {
+        const fileName = source === '-'
+            ? 'stdin'
+            : path.posix.basename(this.isUrl(source) ? new URL(source).pathname : source.replace(/\\/g, '/'));
+
+        for (const [pattern, prefix] of Object.entries(this.merge.prefixes || {})) {
+            if (pattern === source || pattern === fileName || this.getCacheKey(pattern) === this.getCacheKey(source)) {
+                return prefix;
+            }
+        }
+
+        return fileName.split('.')[0];
+    }
+
+    /**
+     * Cache key for a source: absolute path for files, the URL itself
+     * otherwise; several sources share one key
+     * @param {string|string[]} source - File path, URL, "-" or glob, or an array of them
+     * @returns {string}
+     */
+    getCacheKey(source) {
+        if (Array.isArray(source)) {
+            return source.map(entry => this.getCacheKey(entry)).join('\n');
+        }
+        if (source === '-') {
+            return source;
+        }
+        return this.isUrl(source) ? source : path.resolve(source);
+    }
+
+    /**
+     * Every document a specification was assembled from: the source itself
+     * and all files and URLs it references with $ref, directly or indirectly
+     * @param {string} source - File path or URL passed to load()
+     * @returns {string[]} Cache keys (absolute paths or URLs)
+     */
+    getDependencies(source) {
+        const seen = new Set();
+        const visit = (key) => {
+            if (seen.has(key)) return;
+            seen.add(key);
+            (this.references.get(key) || []).forEach(visit);
+        };
+
+        visit(this.getCacheKey(source));
+
+        // Merged sources and globs are not documents themselves
+        return Array.from(seen).filter(key => this.cache.has(key) || !this.references.has(key));
+    }
+
+    /**
+     * Drop the cached document for a changed file and every cached document
+     * that references it, leaving unrelated entries in place
+     * @param {string} source - Changed file path or URL
+     * @returns {string[]} Cache keys that were invalidated
+     */
+    invalidate(source) {
+        const invalidated = new Set();
+        const visit = (key) => {
+            if (invalidated.has(key)) return;
+            invalidated.add(key);
+
+            for (const [parent, references] of this.references) {
+                if (references.has(key)) visit(parent);
+            }
+        };
+
+        visit(this.getCacheKey(source));
+
+        invalidated.forEach(key => {
+            this.cache.delete(key);
+            this.specs.delete(key);
+            this.references.delete(key);
+        });
+
+        return Array.from(invalidated);
+    }
+
     /**
      * Check if the source is a URL
      * @param {string} source - Source to check
@@ -107,24 +340,122 @@ class SwaggerLoader {
     }
 
     /**
-     * Load specification from a URL
+     * Load specification from stdin
+     * @returns {Promise<string>} Content piped in
+     */
+    async loadFromStdin() {
+        const stdin = this.stdin || process.stdin;
+        if (stdin.isTTY) {
+            throw new Error('No specification on stdin: pipe one in, e.g. cat openapi.yaml | swagger-to-nextjs validate -');
+        }
+
+        const chunks = [];
+        for await (const chunk of stdin) {
+            chunks.push(Buffer.from(chunk));
+        }
+
+        const content = Buffer.concat(chunks).toString('utf8');
+        if (!content.trim()) {
+            throw new Error('No specification on stdin');
+        }
+        return content;
+    }
+
+    /**
+     * Load specification from a URL. Responses are kept in the on-disk cache
+     * and revalidated with their ETag or Last-Modified date; in offline mode
+     * the cached copy is used without a request.
      * @param {string} url - URL to fetch
      * @returns {Promise<string>} Response content
      */
     async loadFromUrl(url) {
+        const cached = this.specCache ? await this.specCache.read(url) : null;
+
+        if (this.offline) {
+            if (!cached) {
+                throw new Error(`No cached copy of ${url} for offline mode. Load it once while online first`);
+            }
+            return cached.content;
+        }
+
+        const conditionalHeaders = {};
+        if (cached?.etag) conditionalHeaders['If-None-Match'] = cached.etag;
+        if (cached?.lastModified) conditionalHeaders['If-Modified-Since'] = cached.lastModified;
+
+        const response = await this.fetchUrl(url, conditionalHeaders);
+
+        if (response.statusCode === 304 && cached) {
+            return cached.content;
+        }
+
+        if (this.specCache) {
+            await this.specCache.write(url, {
+                content: response.body,
+                etag: response.headers.etag,
+                lastModified: response.headers['last-modified']
+            });
+        }
+
+        return response.body;
+    }
+
+    /**
+     * Request a URL, following redirects and decompressing the body. The
+     * configured headers are only sent to the origin of the requested URL,
+     * not to other origins it redirects to.
+     * @param {string} url - URL to fetch
+     * @param {Object} [extraHeaders] - Additional request headers
+     * @param {number} [redirects] - Redirects followed so far
+     * @param {string} [origin] - Origin the configured headers are sent to
+     * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+     */
+    async fetchUrl(url, extraHeaders = {}, redirects = 0, origin = new URL(url).origin) {
+        const urlObj = new URL(url);
+        const client = urlObj.protocol === 'https:' ? https : http;
+        const headers = {
+            'Accept': 'application/json, application/yaml, text/yaml, */*',
+            'Accept-Encoding': 'gzip, deflate, br',
+            ...(urlObj.origin === origin ? this.getRequestHeaders() : {}),
+            ...extraHeaders
+        };
+
         return new Promise((resolve, reject) => {
-            const urlObj = new URL(url);
-            const client = urlObj.protocol === 'https:' ? https : http;
+            const request = client.get(url, { headers, timeout: this.timeout }, (response) => {
+                const { statusCode } = response;
+
+                if ([301, 302, 303, 307, 308].includes(statusCode) && response.headers.location) {
+                    response.resume();
+                    if (redirects >= this.maxRedirects) {
+                        reject(new Error(`Failed to fetch specification: more than ${this.maxRedirects} redirects`));
+                        return;
+                    }
+                    const location = new URL(response.headers.location, url).toString();
+                    resolve(this.fetchUrl(location, extraHeaders, redirects + 1, origin));
+                    return;
+                }
+
+                if (statusCode === 304) {
+                    response.resume();
+                    resolve({ statusCode, headers: response.headers, body: '' });
+                    return;
+                }
 
-            const request = client.get(url, { timeout: this.timeout }, (response) => {
-                if (response.statusCode !== 200) {
-                    reject(new Error(`Failed to fetch specification: HTTP ${response.statusCode}`));
+                if (statusCode < 200 || statusCode >= 300) {
+                    response.resume();
+                    reject(new Error(`Failed to fetch specification: HTTP ${statusCode}`));
                     return;
                 }
 
-                let data = '';
-                response.on('data', (chunk) => data += chunk);
-                response.on('end', () => resolve(data));
+                const chunks = [];
+                response.on('data', (chunk) => chunks.push(chunk));
+                response.on('end', () => {
+                    try {
+                        const body = decompress(Buffer.concat(chunks), response.headers['content-encoding']);
+                        resolve({ statusCode, headers: response.headers, body: body.toString('utf8') });
+                    } catch (error) {
+                        reject(new Error(`Failed to decompress specification from URL: ${error.message}`));
+                    }
+                });
             });
 
             request.on('error', (error) => {
@@ -138,6 +469,27 @@ class SwaggerLoader {
         });
     }
 
+    /**
+     * Configured headers for URL requests, with environment variables
+     * expanded and the bearer token as Authorization header
+     * @returns {Object}
+     */
+    getRequestHeaders() {
+        const headers = {};
+
+        for (const [name, value] of Object.entries(this.headers)) {
+            headers[name] = String(value).replace(/\$\{(\w+)\}/g, (match, variable) =>
+                readEnvironment(variable, `the ${name} header`));
+        }
+
+        const token = this.token || (this.tokenEnv ? readEnvironment(this.tokenEnv, 'the bearer token') : undefined);
+        if (token) {
+            headers.Authorization = `Bearer ${token}`;
+        }
+
+        return headers;
+    }
+
     /**
      * Parse content as JSON or YAML
      * @param {string} content - Content to parse
@@ -164,7 +516,9 @@ class SwaggerLoader {
     }
 
     /**
-     * Normalize specification to OpenAPI 3.0 format
+     * Normalize specification: Swagger 2.0 is converted to OpenAPI 3.0,
+     * OpenAPI 3.1 documents keep their 3.1 semantics (type arrays, const,
+     * $defs, webhooks, components.pathItems, $ref siblings)
      * @param {Object} spec - Raw specification object
      * @param {string} source - Source path for resolving references
      * @returns {Promise<Object>} Normalized specification
@@ -176,10 +530,18 @@ class SwaggerLoader {
         }
 
         // Resolve all $ref references
-        // For URLs, use the full URL as base; for files, use the full file path
-        const basePath = this.isUrl(source) ? source : path.resolve(source);
-        const resolved = await this.resolveReferences(spec, spec, basePath);
+        const resolved = await this.resolveReferences(spec, source);
 
+        return this.addUiMetadata(resolved);
+    }
+
+    /**
+     * Add the branding and theme information found in a resolved
+     * specification as brandingInfo and themeHints
+     * @param {Object} resolved - Specification with resolved references
+     * @returns {Object} The specification
+     */
+    addUiMetadata(resolved) {
         // Extract branding and theme information
         const brandingInfo = this.extractBrandingInfo(resolved);
         if (brandingInfo) {
@@ -364,199 +726,210 @@ class SwaggerLoader {
      * @returns {Object} OpenAPI 3.0 specification
      */
     convertSwagger2ToOpenAPI3(swagger2) {
-        const openapi3 = {
-            openapi: '3.0.0',
-            info: swagger2.info,
-            servers: [],
-            paths: {},
-            components: {
-                schemas: swagger2.definitions || {},
-                securitySchemes: {}
-            }
-        };
-
-        // Convert host/basePath to servers
-        if (swagger2.host) {
-            const scheme = swagger2.schemes ? swagger2.schemes[0] : 'https';
-            const basePath = swagger2.basePath || '';
-            openapi3.servers.push({
-                url: `${scheme}://${swagger2.host}${basePath}`
-            });
-        }
-
-        // Convert paths
-        if (swagger2.paths) {
-            for (const [pathKey, pathItem] of Object.entries(swagger2.paths)) {
-                openapi3.paths[pathKey] = {};
-
-                for (const [method, operation] of Object.entries(pathItem)) {
-                    if (method === 'parameters') continue; // Skip path-level parameters for now
-
-                    const convertedOp = { ...operation };
-
-                    // Convert produces/consumes to content types
-                    if (operation.responses) {
-                        convertedOp.responses = {};
-                        for (const [status, response] of Object.entries(operation.responses)) {
-                            convertedOp.responses[status] = {
-                                description: response.description || ''
-                            };
-
-                            if (response.schema) {
-                                const produces = operation.produces || swagger2.produces || ['application/json'];
-                                convertedOp.responses[status].content = {};
-                                produces.forEach(mediaType => {
-                                    convertedOp.responses[status].content[mediaType] = {
-                                        schema: response.schema
-                                    };
-                                });
-                            }
-                        }
-                    }
-
-                    // Convert parameters
-                    if (operation.parameters) {
-                        convertedOp.parameters = [];
-                        convertedOp.requestBody = null;
-
-                        operation.parameters.forEach(param => {
-                            if (param.in === 'body') {
-                                const consumes = operation.consumes || swagger2.consumes || ['application/json'];
-                                convertedOp.requestBody = {
-                                    content: {}
-                                };
-                                consumes.forEach(mediaType => {
-                                    convertedOp.requestBody.content[mediaType] = {
-                                        schema: param.schema
-                                    };
-                                });
-                            } else {
-                                convertedOp.parameters.push(param);
-                            }
-                        });
-
-                        // Remove requestBody if it wasn't set
-                        if (!convertedOp.requestBody) {
-                            delete convertedOp.requestBody;
-                        }
-
-                        // Remove parameters array if empty
-                        if (convertedOp.parameters.length === 0) {
-                            delete convertedOp.parameters;
-                        }
-                    }
-
-                    openapi3.paths[pathKey][method] = convertedOp;
-                }
-            }
-        }
+        return convertSwagger2ToOpenAPI3(swagger2);
+    }
 
-        // Convert security definitions
-        if (swagger2.securityDefinitions) {
-            for (const [name, def] of Object.entries(swagger2.securityDefinitions)) {
-                if (def.type === 'basic') {
-                    openapi3.components.securitySchemes[name] = {
-                        type: 'http',
-                        scheme: 'basic'
-                    };
-                } else if (def.type === 'apiKey') {
-                    openapi3.components.securitySchemes[name] = {
-                        type: 'apiKey',
-                        in: def.in,
-                        name: def.name
-                    };
-                } else if (def.type === 'oauth2') {
-                    openapi3.components.securitySchemes[name] = {
-                        type: 'oauth2',
-                        flows: {}
-                    };
-                    // Simplified OAuth2 conversion
-                    if (def.flow === 'implicit') {
-                        openapi3.components.securitySchemes[name].flows.implicit = {
-                            authorizationUrl: def.authorizationUrl,
-                            scopes: def.scopes || {}
-                        };
-                    }
-                }
-            }
-        }
+    /**
+     * Check if the specification is OpenAPI 3.1
+     * @param {Object} spec - The specification
+     * @returns {boolean}
+     */
+    isOpenAPI31(spec) {
+        return typeof spec?.openapi === 'string' && spec.openapi.startsWith('3.1');
+    }
 
-        return openapi3;
+    /**
+     * Resolve $ref references in the specification. External refs are
+     * resolved relative to the file or URL that contains them; a $ref back
+     * into a schema that is still being resolved (a recursive schema) is
+     * kept as an internal $ref so the result stays a tree.
+     * @param {Object} spec - Specification to resolve references in
+     * @param {string} source - File path or URL the specification was read from
+     * @returns {Promise<Object>} Specification with resolved references
+     */
+    async resolveReferences(spec, source) {
+        const bundled = await this.bundleDocument(spec, source);
+        return this.inlineReferences(bundled, bundled, '', []);
     }
 
     /**
-     * Resolve $ref references in the specification
-     * @param {Object} obj - Object to resolve references in
+     * Replace internal $refs with copies of their targets
+     * @param {*} obj - Value to resolve references in
      * @param {Object} root - Root specification object
-     * @param {string} basePath - Base path for external references
-     * @returns {Promise<Object>} Object with resolved references
+     * @param {string} pointer - JSON pointer of obj
+     * @param {string[]} trail - Pointers of the $refs being resolved
+     * @returns {*} Value with resolved references
      */
-    async resolveReferences(obj, root, basePath) {
+    inlineReferences(obj, root, pointer, trail) {
         if (!obj || typeof obj !== 'object') {
             return obj;
         }
 
         // Handle $ref
-        if (obj.$ref) {
-            const resolved = await this.resolveReference(obj.$ref, root, basePath);
-            return this.resolveReferences(resolved, root, basePath);
+        if (typeof obj.$ref === 'string') {
+            if (this.keepUnresolvedReferences && !this.isResolvable(obj.$ref, root)) {
+                return obj;
+            }
+
+            const target = appendPointer('', ...parseRefPointer(obj.$ref));
+            const isCircular = [...trail, pointer].some(location =>
+                location === target || location.startsWith(`${target}/`));
+            if (isCircular) {
+                return { $ref: `#${target}` };
+            }
+
+            let resolved = this.inlineReferences(
+                this.resolveReference(obj.$ref, root), root, target, [...trail, pointer]);
+
+            // Generators that name types need to know which component it was
+            const component = componentName(target);
+            if (component && resolved && typeof resolved === 'object' && !Array.isArray(resolved)) {
+                resolved = { ...resolved, [COMPONENT_NAME]: component };
+            }
+
+            // OpenAPI 3.1 keeps keywords next to a $ref (summary and
+            // description of Reference Objects, any keyword in a Schema
+            // Object); earlier versions ignore them
+            const siblings = Object.keys(obj).filter(key => key !== '$ref');
+            if (siblings.length > 0 && this.isOpenAPI31(root) && resolved && typeof resolved === 'object') {
+                const overrides = {};
+                for (const key of siblings) {
+                    overrides[key] = this.inlineReferences(obj[key], root, appendPointer(pointer, key), trail);
+                }
+                return { ...resolved, ...overrides };
+            }
+
+            return resolved;
         }
 
         // Handle arrays
         if (Array.isArray(obj)) {
-            return Promise.all(obj.map(item => this.resolveReferences(item, root, basePath)));
+            return obj.map((item, index) => this.inlineReferences(item, root, appendPointer(pointer, index), trail));
         }
 
         // Handle objects
         const resolved = {};
         for (const [key, value] of Object.entries(obj)) {
-            resolved[key] = await this.resolveReferences(value, root, basePath);
+            resolved[key] = this.inlineReferences(value, root, appendPointer(pointer, key), trail);
         }
         return resolved;
     }
 
     /**
-     * Resolve a single $ref reference
-     * @param {string} ref - Reference string
+     * Resolve a single internal $ref reference
+     * @param {string} ref - Reference string ("#/...")
      * @param {Object} root - Root specification object
-     * @param {string} basePath - Base path for external references
-     * @returns {Promise<Object>} Resolved reference
-     */
-    async resolveReference(ref, root, basePath) {
-        // Internal reference
-        if (ref.startsWith('#/')) {
-            const path = ref.substring(2).split('/');
-            let current = root;
-
-            for (const segment of path) {
-                current = current[segment];
-                if (!current) {
-                    throw new Error(`Failed to resolve reference: ${ref}`);
-                }
-            }
+     * @returns {*} Referenced value
+     */
+    resolveReference(ref, root) {
+        let current = root;
 
-            return current;
+        for (const segment of parseRefPointer(ref)) {
+            current = current?.[segment];
+            if (current === undefined) {
+                throw new Error(`Failed to resolve reference: ${ref}`);
+            }
         }
 
-        // External reference
-        const [file, fragment] = ref.split('#');
-        let externalPath;
+        return current;
+    }
 
-        if (this.isUrl(basePath)) {
-            externalPath = new URL(file, basePath).toString();
-        } else {
-            // For file paths, resolve relative to the directory of the base file
-            const baseDir = path.dirname(basePath);
-            externalPath = path.resolve(baseDir, file);
+    /**
+     * Whether an internal $ref points to an existing node
+     * @param {string} ref - Reference string
+     * @param {Object} root - Root specification object
+     * @returns {boolean}
+     */
+    isResolvable(ref, root) {
+        try {
+            this.resolveReference(ref, root);
+            return true;
+        } catch {
+            return false;
         }
+    }
 
-        const externalSpec = await this.load(externalPath);
-
-        if (fragment) {
-            return this.resolveReference(`#${fragment}`, externalSpec, externalPath);
+    /**
+     * Inline the external documents a specification references, rewriting
+     * every $ref to point inside the result
+     * @param {Object} spec - Specification (modified in place)
+     * @param {string} source - File path or URL the specification was read from
+     * @returns {Promise<Object>} Bundled specification
+     */
+    async bundleDocument(spec, source) {
+        const parser = new $RefParser();
+        try {
+            return await parser.bundle(this.getCacheKey(source), spec, {
+                ...this.getRefParserOptions(),
+                continueOnError: this.keepUnresolvedReferences
+            });
+        } catch (error) {
+            // Collected failures leave their $refs unchanged in the bundle
+            if (error instanceof JSONParserErrorGroup && parser.schema) {
+                return parser.schema;
+            }
+            throw new Error(`Failed to resolve reference: ${error.message}`);
         }
+    }
+
+    /**
+     * Options that make $RefParser read documents through this loader, so
+     * they share its cache, timeout and error messages
+     * @returns {Object}
+     */
+    getRefParserOptions() {
+        return {
+            resolve: {
+                file: false,
+                http: false,
+                loader: {
+                    order: 1,
+                    canRead: true,
+                    read: async (file) => {
+                        try {
+                            return await this.loadDocument(this.isUrl(file.url) ? file.url : toFilePath(file.url));
+                        } catch (error) {
+                            // Keeps the message, which $RefParser drops for other errors
+                            throw new ResolverError(error, file.url);
+                        }
+                    }
+                }
+            },
+            parse: {
+                json: false,
+                yaml: false,
+                text: false,
+                binary: false,
+                // The loader has already parsed the document
+                document: { order: 1, canParse: true, allowEmpty: true, parse: (file) => file.data }
+            }
+        };
+    }
+
+    /**
+     * Cache keys of the files and URLs a document references with $ref
+     * @param {Object} document - Parsed document
+     * @param {string} key - Cache key of the document
+     * @returns {Set<string>}
+     */
+    findExternalReferences(document, key) {
+        const references = new Set();
+
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
 
-        return externalSpec;
+            if (typeof node.$ref === 'string' && !node.$ref.startsWith('#')) {
+                const file = node.$ref.split('#')[0];
+                references.add(this.isUrl(key)
+                    ? new URL(file, key).toString()
+                    : this.getCacheKey(this.isUrl(file) ? file : path.resolve(path.dirname(key), file)));
+            }
+
+            Object.values(node).forEach(visit);
+        };
+
+        visit(document);
+        return references;
     }
 
     /**
@@ -564,7 +937,64 @@ class SwaggerLoader {
      */
     clearCache() {
         this.cache.clear();
+        this.specs.clear();
+        this.references.clear();
+    }
+}
+
+/**
+ * Value of an environment variable used in a request, which must be set
+ */
+function readEnvironment(variable, usage) {
+    const value = process.env[variable];
+    if (value === undefined || value === '') {
+        throw new Error(`Environment variable ${variable} is not set (needed for ${usage})`);
+    }
+    return value;
+}
+
+/**
+ * Decode a response body by its Content-Encoding
+ */
+function decompress(body, encoding = '') {
+    switch (encoding.trim().toLowerCase()) {
+        case 'gzip':
+        case 'x-gzip':
+            return zlib.gunzipSync(body);
+        case 'deflate':
+            return zlib.inflateSync(body);
+        case 'br':
+            return zlib.brotliDecompressSync(body);
+        default:
+            return body;
     }
 }
 
+/**
+ * Local path of a file location as $RefParser reports it (a path or file: URL)
+ */
+function toFilePath(location) {
+    return location.startsWith('file:') ? fileURLToPath(location) : decodeURI(location);
+}
+
+/**
+ * Name of the component schema a JSON pointer points to, if it does
+ */
+function componentName(pointer) {
+    const match = /^\/(?:components\/schemas|definitions)\/([^/]+)$/.exec(pointer);
+    return match ? match[1].replace(/~1/g, '/').replace(/~0/g, '~') : null;
+}
+
+/**
+ * Tokens of an internal $ref, e.g. #/paths/~1pets or #/components/schemas/Pet/$defs/Tag
+ */
+function parseRefPointer(ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Failed to resolve reference: ${ref}`);
+    }
+
+    return ref.substring(2).split('/')
+        .map(segment => decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
 export default SwaggerLoader;
\ No newline at end of file
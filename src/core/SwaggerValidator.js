@@ -19,12 +19,92 @@
  * preferences from spec extensions that could influence DaisyUI component
  * selection, separate validation results into errors (blocking) and
  * warnings (non-blocking), provide detailed error messages with the path to
- * the problem (e.g., "paths./pets.get.responses.200.content is missing"),
+ * the problem,
  * and return a validation result object with valid boolean, errors array,
  * and warnings array. Export as default.
  *
  * ============================================================================
+ *
+ * Every error and warning carries the rule id that produced it, its
+ * severity and a JSON pointer (RFC 6901) to the offending node, so results
+ * can be reported by tools that do not read the message text. Messages
+ * leave the location to the pointer.
+ *
+ * With the metaSchema option the document is first validated against the
+ * official Swagger 2.0 / OpenAPI 3.0 / 3.1 JSON Schemas. Structural errors
+ * found there are reported under the openapi-schema rule, and the
+ * hand-written checks (which assume a well-formed document) are skipped.
+ * The same goes for $refs left unresolved by the loader (see its
+ * keepUnresolvedReferences option), reported under the ref-resolved rule.
+ *
+ * Style checks (empty schemas, untagged operations, naming conventions, ...)
+ * are lint rules run by the Linter; their severity comes from the lint
+ * config, and a rule set to error makes the spec invalid.
+ */
+import { validateMetaSchema } from './MetaSchema.js';
+import Linter from './Linter.js';
+import { generateOperationId } from './LintRules.js';
+import { appendPointer, getSchemaTypes } from '../utils/SchemaUtils.js';
+
+function isOpenAPI31(spec) {
+    return typeof spec?.openapi === 'string' && spec.openapi.startsWith('3.1');
+}
+
+/**
+ * Whether an internal $ref (#/...) points to an existing node of the spec
  */
+function isResolvable(ref, spec) {
+    if (!ref.startsWith('#/')) {
+        return false;
+    }
+
+    let current = spec;
+    for (const segment of ref.substring(2).split('/')) {
+        const key = decodeURIComponent(segment).replace(/~1/g, '/').replace(/~0/g, '~');
+        if (!current || typeof current !== 'object' || !Object.hasOwn(current, key)) {
+            return false;
+        }
+        current = current[key];
+    }
+    return true;
+}
+
+/**
+ * Rule ids with a short description of what each one checks
+ */
+export const RULES = {
+    'openapi-version': 'The spec declares a supported OpenAPI or Swagger version',
+    'info-required': 'The spec has an info object',
+    'info-title': 'info.title is present and a string',
+    'info-version': 'info.version is present and a string',
+    'info-description': 'info.description is a string',
+    'paths-required': 'The spec has a paths object',
+    'paths-empty': 'The spec defines at least one path',
+    'path-leading-slash': 'Paths start with a slash',
+    'path-operations': 'Every path has at least one operation',
+    'operation-id-format': 'operationIds only use letters, digits and underscores',
+    'operation-responses': 'Operations define responses',
+    'responses-empty': 'Responses objects are not empty',
+    'responses-success': 'Operations define a 2xx response',
+    'response-description': 'Responses have a description',
+    'parameters-array': 'Parameters are an array',
+    'parameter-name': 'Parameters have a name',
+    'parameter-in': 'Parameters have an in property',
+    'parameter-unique': 'Parameters are unique per location',
+    'path-parameter-declared': 'Path parameters appear in the path template',
+    'path-parameter-required': 'Path parameters are required',
+    'path-parameter-defined': 'Every path template variable has a parameter',
+    'request-body-content': 'Request bodies define content',
+    'media-type-schema': 'Media types define a schema',
+    'schema-type': 'Schemas define a type or composition',
+    'schema-properties': 'Object schemas define properties',
+    'schema-required': 'required is an array of defined properties',
+    'schema-items': 'Array schemas define items',
+    'security-scheme-defined': 'Security requirements only name schemes the spec defines',
+    'ref-resolved': 'Every $ref points to an existing file and node',
+    'openapi-schema': 'The document matches the official OpenAPI JSON Schema for its version'
+};
+
 class SwaggerValidator {
     constructor() {
         this.errors = [];
@@ -43,9 +123,13 @@ class SwaggerValidator {
     /**
      * Validate an OpenAPI specification
      * @param {Object} spec - The specification to validate
+     * @param {Object} [options]
+     * @param {boolean} [options.metaSchema=false] - Validate against the official JSON Schema first
+     * @param {Object} [options.lint] - Lint config ({ rules }) for the style rules
+     * @param {Object[]} [options.lintRules] - Custom lint rules
      * @returns {Object} Validation result with valid boolean, errors, warnings, and UI hints
      */
-    validate(spec) {
+    validate(spec, options = {}) {
         this.errors = [];
         this.warnings = [];
         this.uiHints = {
@@ -58,6 +142,29 @@ class SwaggerValidator {
             validations: {}
         };
 
+        if (options.metaSchema) {
+            this.validateMetaSchema(spec);
+
+            if (this.errors.length > 0) {
+                return {
+                    valid: false,
+                    errors: [...this.errors],
+                    warnings: [...this.warnings],
+                    uiHints: this.uiHints
+                };
+            }
+        }
+
+        this.validateReferences(spec);
+        if (this.errors.length > 0) {
+            return {
+                valid: false,
+                errors: [...this.errors],
+                warnings: [...this.warnings],
+                uiHints: this.uiHints
+            };
+        }
+
         // Check basic structure
         this.validateBasicStructure(spec);
 
@@ -67,11 +174,20 @@ class SwaggerValidator {
         // Validate paths
         this.validatePaths(spec);
 
+        // Validate webhooks (OpenAPI 3.1)
+        this.validateWebhooks(spec);
+
         // Validate components/definitions
         this.validateComponents(spec);
 
-        // Check for common issues
-        this.checkCommonIssues(spec);
+        // Validate security requirements
+        this.validateSecurity(spec);
+
+        // Run the configured style rules
+        this.lint(spec, options);
+
+        // Generate the operationIds the operation-id rule reported as missing
+        this.generateOperationIds(spec);
 
         // Extract UI hints after validation
         this.extractUIHints(spec);
@@ -394,6 +510,39 @@ class SwaggerValidator {
         });
     }
 
+    /**
+     * Validate the document against the official JSON Schema for its version.
+     * Unsupported or missing versions are left to validateBasicStructure.
+     * @param {Object} spec - The specification
+     */
+    validateMetaSchema(spec) {
+        for (const { pointer, message } of validateMetaSchema(spec)) {
+            this.addError('openapi-schema', pointer, message);
+        }
+    }
+
+    /**
+     * Report every $ref that does not point inside the document. A resolved
+     * spec only keeps internal $refs (recursive schemas); anything else is
+     * a reference the loader could not follow.
+     * @param {Object} spec - The specification
+     */
+    validateReferences(spec) {
+        const visit = (node, pointer) => {
+            if (!node || typeof node !== 'object') return;
+
+            if (typeof node.$ref === 'string' && !isResolvable(node.$ref, spec)) {
+                this.addError('ref-resolved', appendPointer(pointer, '$ref'), `Cannot resolve reference '${node.$ref}'`);
+            }
+
+            for (const [key, value] of Object.entries(node)) {
+                visit(value, appendPointer(pointer, key));
+            }
+        };
+
+        visit(spec, '');
+    }
+
     /**
      * Validate basic specification structure
      * @param {Object} spec - The specification
@@ -401,26 +550,31 @@ class SwaggerValidator {
     validateBasicStructure(spec) {
         // Check for version
         if (!spec.openapi && !spec.swagger) {
-            this.addError('Missing version field. Expected "openapi" (3.x) or "swagger" (2.0)');
+            this.addError('openapi-version', '', 'Missing version field. Expected "openapi" (3.x) or "swagger" (2.0)');
             return;
         }
 
         // Check version format
         if (spec.openapi && !spec.openapi.match(/^3\.\d+\.\d+$/)) {
-            this.addError(`Invalid OpenAPI version: ${spec.openapi}. Expected format: 3.x.x`);
+            this.addError('openapi-version', '/openapi', `Invalid OpenAPI version: ${spec.openapi}. Expected format: 3.x.x`);
         }
 
         if (spec.swagger && !spec.swagger.match(/^2\.\d+$/)) {
-            this.addError(`Invalid Swagger version: ${spec.swagger}. Expected format: 2.x`);
+            this.addError('openapi-version', '/swagger', `Invalid Swagger version: ${spec.swagger}. Expected format: 2.x`);
         }
 
         // Check for required top-level fields
         if (!spec.info) {
-            this.addError('Missing required field: info');
+            this.addError('info-required', '', 'Missing required field: info');
         }
 
-        if (!spec.paths) {
-            this.addError('Missing required field: paths');
+        // OpenAPI 3.1 only requires one of paths, webhooks and components
+        if (isOpenAPI31(spec)) {
+            if (!spec.paths && !spec.webhooks && !spec.components) {
+                this.addError('paths-required', '', 'Missing required field: paths, webhooks or components');
+            }
+        } else if (!spec.paths) {
+            this.addError('paths-required', '', 'Missing required field: paths');
         }
     }
 
@@ -432,26 +586,25 @@ class SwaggerValidator {
         if (!spec.info) return;
 
         const info = spec.info;
-        const infoPath = 'info';
 
         if (!info.title) {
-            this.addError(`${infoPath}.title is required`);
+            this.addError('info-title', '/info', 'Missing required field: title');
         }
 
         if (!info.version) {
-            this.addError(`${infoPath}.version is required`);
+            this.addError('info-version', '/info', 'Missing required field: version');
         }
 
         if (info.title && typeof info.title !== 'string') {
-            this.addError(`${infoPath}.title must be a string`);
+            this.addError('info-title', '/info/title', 'Title must be a string');
         }
 
         if (info.version && typeof info.version !== 'string') {
-            this.addError(`${infoPath}.version must be a string`);
+            this.addError('info-version', '/info/version', 'Version must be a string');
         }
 
         if (info.description && typeof info.description !== 'string') {
-            this.addError(`${infoPath}.description must be a string`);
+            this.addError('info-description', '/info/description', 'Description must be a string');
         }
     }
 
@@ -464,9 +617,9 @@ class SwaggerValidator {
 
         const paths = spec.paths;
 
-        // Check if paths is empty
-        if (Object.keys(paths).length === 0) {
-            this.addError('paths object is empty. At least one path is required');
+        // Check if paths is empty (a 3.1 document may only describe webhooks)
+        if (Object.keys(paths).length === 0 && !(isOpenAPI31(spec) && spec.webhooks)) {
+            this.addError('paths-empty', '/paths', 'paths object is empty. At least one path is required');
             return;
         }
 
@@ -476,18 +629,31 @@ class SwaggerValidator {
         }
     }
 
+    /**
+     * Validate webhooks (OpenAPI 3.1)
+     * @param {Object} spec - The specification
+     */
+    validateWebhooks(spec) {
+        if (!isOpenAPI31(spec) || !spec.webhooks) return;
+
+        for (const [name, pathItem] of Object.entries(spec.webhooks)) {
+            this.validatePath(name, pathItem, spec, 'webhooks');
+        }
+    }
+
     /**
      * Validate a single path
      * @param {string} pathName - The path name
      * @param {Object} pathItem - The path item object
      * @param {Object} spec - The full specification
+     * @param {string} [section] - paths, or webhooks for OpenAPI 3.1 webhooks
      */
-    validatePath(pathName, pathItem, spec) {
-        const pathPrefix = `paths.${pathName}`;
+    validatePath(pathName, pathItem, spec, section = 'paths') {
+        const pathPointer = appendPointer('', section, pathName);
 
-        // Check if path starts with /
-        if (!pathName.startsWith('/')) {
-            this.addWarning(`${pathPrefix}: Path should start with '/'`);
+        // Check if path starts with / (webhooks are named, not paths)
+        if (section === 'paths' && !pathName.startsWith('/')) {
+            this.addWarning('path-leading-slash', pathPointer, "Path should start with '/'");
         }
 
         // Check for at least one operation
@@ -495,19 +661,19 @@ class SwaggerValidator {
         const hasOperation = operations.some(op => pathItem[op]);
 
         if (!hasOperation) {
-            this.addError(`${pathPrefix}: Path must have at least one operation (${operations.join(', ')})`);
+            this.addError('path-operations', pathPointer, `Path must have at least one operation (${operations.join(', ')})`);
             return;
         }
 
         // Validate each operation
         operations.forEach(method => {
             if (pathItem[method]) {
-                this.validateOperation(pathName, method, pathItem[method], spec);
+                this.validateOperation(pathName, method, pathItem[method], spec, section);
             }
         });
 
         // Check path parameters
-        if (pathName.includes('{')) {
+        if (section === 'paths' && pathName.includes('{')) {
             this.validatePathParameters(pathName, pathItem);
         }
     }
@@ -518,92 +684,62 @@ class SwaggerValidator {
      * @param {string} method - The HTTP method
      * @param {Object} operation - The operation object
      * @param {Object} spec - The full specification
+     * @param {string} [section] - paths or webhooks
      */
-    validateOperation(pathName, method, operation, spec) {
-        const opPath = `paths.${pathName}.${method}`;
+    validateOperation(pathName, method, operation, spec, section = 'paths') {
+        const opPointer = appendPointer('', section, pathName, method);
 
-        // Check or generate operationId
-        if (!operation.operationId) {
-            const generatedId = this.generateOperationId(pathName, method);
-            operation.operationId = generatedId;
-            this.addWarning(`${opPath}: Missing operationId. Generated: ${generatedId}`);
-        } else if (!/^[a-zA-Z0-9_]+$/.test(operation.operationId)) {
-            this.addWarning(`${opPath}.operationId contains invalid characters. Should only contain alphanumeric and underscore`);
+        // Missing operationIds are generated after linting (see the operation-id rule)
+        if (operation.operationId && !/^[a-zA-Z0-9_]+$/.test(operation.operationId)) {
+            this.addWarning('operation-id-format', `${opPointer}/operationId`, 'operationId contains invalid characters. Should only contain alphanumeric and underscore');
         }
 
         // Validate responses
         if (!operation.responses) {
-            this.addError(`${opPath}: Missing required field 'responses'`);
+            this.addError('operation-responses', opPointer, "Missing required field 'responses'");
         } else {
-            this.validateResponses(opPath, operation.responses, spec);
+            this.validateResponses(`${opPointer}/responses`, operation.responses);
         }
 
         // Validate parameters
         if (operation.parameters) {
-            this.validateParameters(`${opPath}.parameters`, operation.parameters, pathName);
+            this.validateParameters(`${opPointer}/parameters`, operation.parameters, pathName);
         }
 
         // Validate request body (OpenAPI 3.0)
         if (operation.requestBody) {
-            this.validateRequestBody(`${opPath}.requestBody`, operation.requestBody, spec);
-        }
-
-        // Check for summary or description
-        if (!operation.summary && !operation.description) {
-            this.addWarning(`${opPath}: Operation should have a summary or description`);
+            this.validateRequestBody(`${opPointer}/requestBody`, operation.requestBody, spec);
         }
     }
 
     /**
-     * Generate an operationId from path and method
-     * @param {string} path - The path
-     * @param {string} method - The HTTP method
-     * @returns {string} Generated operationId
+     * Give every operation without an operationId a generated one
+     * @param {Object} spec - The specification
      */
-    generateOperationId(path, method) {
-        // Convert path to camelCase operationId
-        const parts = path.split('/').filter(Boolean);
-        const processed = parts.map((part, index) => {
-            // Handle parameter names
-            if (part.includes('{')) {
-                // Remove braces and capitalize
-                const paramName = part.replace(/[{}]/g, '');
-                return 'By' + this.capitalize(paramName);
-            }
-
-            // Regular path segments
-            if (index === 0) {
-                // First segment after method - don't capitalize
-                return part;
-            } else {
-                // Subsequent segments capitalized
-                return this.capitalize(part);
+    generateOperationIds(spec) {
+        const sections = isOpenAPI31(spec) ? ['paths', 'webhooks'] : ['paths'];
+
+        for (const section of sections) {
+            for (const [pathName, pathItem] of Object.entries(spec[section] || {})) {
+                for (const method of ['get', 'put', 'post', 'delete', 'options', 'head', 'patch']) {
+                    const operation = pathItem?.[method];
+                    if (operation && typeof operation === 'object' && !operation.operationId) {
+                        operation.operationId = generateOperationId(pathName, method);
+                    }
+                }
             }
-        });
-
-        // Combine method with path parts (don't capitalize the first path part)
-        const pathPart = processed.join('');
-        return method.toLowerCase() + this.capitalize(pathPart.charAt(0)) + pathPart.slice(1);
-    }
-
-    /**
-     * Capitalize first letter
-     * @param {string} str - String to capitalize
-     * @returns {string} Capitalized string
-     */
-    capitalize(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
+        }
     }
 
     /**
      * Validate responses object
-     * @param {string} path - Path to the responses object
+     * @param {string} pointer - JSON pointer to the responses object
      * @param {Object} responses - The responses object
      * @param {Object} spec - The full specification
      */
-    validateResponses(path, responses, spec) {
+    validateResponses(pointer, responses) {
         if (Object.keys(responses).length === 0) {
-            this.addError(`${path}: Responses object is empty`);
+            this.addError('responses-empty', pointer, 'Responses object is empty');
             return;
         }
 
@@ -613,85 +749,67 @@ class SwaggerValidator {
         );
 
         if (successCodes.length === 0) {
-            this.addWarning(`${path}: No success response (2xx) defined`);
+            this.addWarning('responses-success', pointer, 'No success response (2xx) defined');
         }
 
         // Validate each response
         for (const [statusCode, response] of Object.entries(responses)) {
-            this.validateResponse(`${path}.${statusCode}`, statusCode, response, spec);
+            this.validateResponse(appendPointer(pointer, statusCode), response);
         }
     }
 
     /**
      * Validate a single response
-     * @param {string} path - Path to the response
-     * @param {string} statusCode - The status code
+     * @param {string} pointer - JSON pointer to the response
      * @param {Object} response - The response object
-     * @param {Object} spec - The full specification
      */
-    validateResponse(path, statusCode, response, spec) {
-        // Check description
+    validateResponse(pointer, response) {
         if (!response.description) {
-            this.addError(`${path}: Response must have a description`);
-        }
-
-        // For success responses, check for content/schema
-        if (statusCode >= '200' && statusCode < '300' && statusCode !== '204') {
-            if (spec.openapi) {
-                // OpenAPI 3.0
-                if (!response.content) {
-                    this.addWarning(`${path}: Success response should define content`);
-                }
-            } else {
-                // Swagger 2.0
-                if (!response.schema) {
-                    this.addWarning(`${path}: Success response should define a schema`);
-                }
-            }
+            this.addError('response-description', pointer, 'Response must have a description');
         }
     }
 
     /**
      * Validate parameters array
-     * @param {string} path - Path to the parameters
+     * @param {string} pointer - JSON pointer to the parameters
      * @param {Array} parameters - The parameters array
      * @param {string} pathName - The path name for parameter validation
      */
-    validateParameters(path, parameters, pathName) {
+    validateParameters(pointer, parameters, pathName) {
         if (!Array.isArray(parameters)) {
-            this.addError(`${path}: Parameters must be an array`);
+            this.addError('parameters-array', pointer, 'Parameters must be an array');
             return;
         }
 
         const seenParams = new Set();
 
         parameters.forEach((param, index) => {
-            const paramPath = `${path}[${index}]`;
+            const paramPointer = `${pointer}/${index}`;
 
             // Check required fields
             if (!param.name) {
-                this.addError(`${paramPath}: Parameter must have a name`);
+                this.addError('parameter-name', paramPointer, 'Parameter must have a name');
             }
 
             if (!param.in) {
-                this.addError(`${paramPath}: Parameter must have 'in' property`);
+                this.addError('parameter-in', paramPointer, "Parameter must have 'in' property");
             }
 
             // Check for duplicates
             const key = `${param.in}-${param.name}`;
             if (seenParams.has(key)) {
-                this.addError(`${paramPath}: Duplicate parameter '${param.name}' in '${param.in}'`);
+                this.addError('parameter-unique', paramPointer, `Duplicate parameter '${param.name}' in '${param.in}'`);
             }
             seenParams.add(key);
 
             // Validate path parameters exist in path
             if (param.in === 'path') {
                 if (!pathName.includes(`{${param.name}}`)) {
-                    this.addError(`${paramPath}: Path parameter '${param.name}' not found in path '${pathName}'`);
+                    this.addError('path-parameter-declared', `${paramPointer}/name`, `Path parameter '${param.name}' not found in path '${pathName}'`);
                 }
 
                 if (!param.required || param.required !== true) {
-                    this.addError(`${paramPath}: Path parameters must be required`);
+                    this.addError('path-parameter-required', paramPointer, 'Path parameters must be required');
                 }
             }
         });
@@ -723,7 +841,7 @@ class SwaggerValidator {
                     );
 
                     if (!hasParam) {
-                        this.addError(`paths.${pathName}.${method}: Missing definition for path parameter '${paramName}'`);
+                        this.addError('path-parameter-defined', appendPointer('', 'paths', pathName, method), `Missing definition for path parameter '${paramName}'`);
                     }
                 });
             }
@@ -732,26 +850,58 @@ class SwaggerValidator {
 
     /**
      * Validate request body (OpenAPI 3.0)
-     * @param {string} path - Path to the request body
+     * @param {string} pointer - JSON pointer to the request body
      * @param {Object} requestBody - The request body object
      * @param {Object} spec - The full specification
      */
-    validateRequestBody(path, requestBody, spec) {
+    validateRequestBody(pointer, requestBody, spec) {
         if (!requestBody.content) {
-            this.addError(`${path}: Request body must have content`);
+            this.addError('request-body-content', pointer, 'Request body must have content');
             return;
         }
 
         if (Object.keys(requestBody.content).length === 0) {
-            this.addError(`${path}.content: Content object is empty`);
+            this.addError('request-body-content', `${pointer}/content`, 'Content object is empty');
         }
 
         // Check each content type has a schema
         for (const [mediaType, content] of Object.entries(requestBody.content)) {
             if (!content.schema) {
-                this.addWarning(`${path}.content.${mediaType}: Missing schema definition`);
+                this.addWarning('media-type-schema', appendPointer(pointer, 'content', mediaType), 'Missing schema definition');
+            }
+        }
+    }
+
+    /**
+     * Check that the global security requirements and those of every
+     * operation name security schemes the spec defines
+     * @param {Object} spec - The specification
+     */
+    validateSecurity(spec) {
+        const schemes = spec.components?.securitySchemes || spec.securityDefinitions || {};
+        const requirementSets = [['/security', spec.security]];
+
+        for (const section of ['paths', 'webhooks']) {
+            for (const [pathName, pathItem] of Object.entries(spec[section] || {})) {
+                for (const [method, operation] of Object.entries(pathItem || {})) {
+                    if (operation && typeof operation === 'object' && operation.security) {
+                        requirementSets.push([`${appendPointer('', section, pathName, method)}/security`, operation.security]);
+                    }
+                }
             }
         }
+
+        for (const [pointer, requirements] of requirementSets) {
+            if (!Array.isArray(requirements)) continue;
+
+            requirements.forEach((requirement, index) => {
+                for (const name of Object.keys(requirement || {})) {
+                    if (!schemes[name]) {
+                        this.addError('security-scheme-defined', appendPointer(pointer, String(index), name), `Security scheme '${name}' is not defined`);
+                    }
+                }
+            });
+        }
     }
 
     /**
@@ -761,122 +911,118 @@ class SwaggerValidator {
     validateComponents(spec) {
         // OpenAPI 3.0
         if (spec.components && spec.components.schemas) {
-            this.validateSchemas('components.schemas', spec.components.schemas);
+            this.validateSchemas('/components/schemas', spec.components.schemas);
         }
 
         // Swagger 2.0
         if (spec.definitions) {
-            this.validateSchemas('definitions', spec.definitions);
+            this.validateSchemas('/definitions', spec.definitions);
         }
     }
 
     /**
      * Validate schemas
-     * @param {string} path - Path to the schemas
+     * @param {string} pointer - JSON pointer to the schemas
      * @param {Object} schemas - The schemas object
      */
-    validateSchemas(path, schemas) {
+    validateSchemas(pointer, schemas) {
         for (const [schemaName, schema] of Object.entries(schemas)) {
-            this.validateSchema(`${path}.${schemaName}`, schema);
+            this.validateSchema(appendPointer(pointer, schemaName), schema);
         }
     }
 
     /**
      * Validate a single schema
-     * @param {string} path - Path to the schema
-     * @param {Object} schema - The schema object
+     * @param {string} pointer - JSON pointer to the schema
+     * @param {Object|boolean} schema - The schema object (or a boolean schema in OpenAPI 3.1)
      */
-    validateSchema(path, schema) {
-        // Basic type validation
-        if (!schema.type && !schema.$ref && !schema.allOf && !schema.oneOf && !schema.anyOf) {
-            this.addWarning(`${path}: Schema should define a type or composition`);
+    validateSchema(pointer, schema) {
+        // true/false are valid JSON Schema 2020-12 schemas
+        if (typeof schema === 'boolean') return;
+
+        const types = getSchemaTypes(schema);
+
+        // Basic type validation; 3.1 schemas may also be a const, an enum or a conditional
+        const composition = ['$ref', 'allOf', 'oneOf', 'anyOf', 'not', 'if', 'const', 'enum', '$dynamicRef'];
+        if (types.length === 0 && !composition.some(keyword => schema[keyword] !== undefined)) {
+            this.addWarning('schema-type', pointer, 'Schema should define a type or composition');
         }
 
         // Validate object schemas
-        if (schema.type === 'object') {
+        if (types.includes('object')) {
             if (!schema.properties) {
-                this.addWarning(`${path}: Object schema should define properties`);
+                this.addWarning('schema-properties', pointer, 'Object schema should define properties');
             }
 
             // Check required array
             if (schema.required && !Array.isArray(schema.required)) {
-                this.addError(`${path}.required: Must be an array`);
+                this.addError('schema-required', `${pointer}/required`, 'Must be an array');
             }
 
             // Validate required properties exist
-            if (schema.required && schema.properties) {
+            if (Array.isArray(schema.required) && schema.properties) {
                 schema.required.forEach(prop => {
                     if (!schema.properties[prop]) {
-                        this.addError(`${path}.required: Required property '${prop}' not defined in properties`);
+                        this.addError('schema-required', `${pointer}/required`, `Required property '${prop}' not defined in properties`);
                     }
                 });
             }
         }
 
-        // Validate array schemas
-        if (schema.type === 'array' && !schema.items) {
-            this.addError(`${path}: Array schema must define items`);
+        // Validate array schemas; 3.1 tuples use prefixItems
+        if (types.includes('array') && !schema.items && !schema.prefixItems) {
+            this.addError('schema-items', pointer, 'Array schema must define items');
+        }
+
+        // Schemas bundled in $defs (OpenAPI 3.1)
+        if (schema.$defs && typeof schema.$defs === 'object') {
+            this.validateSchemas(`${pointer}/$defs`, schema.$defs);
         }
     }
 
     /**
-     * Check for common issues
+     * Run the style rules (see Linter.js) and record their issues
      * @param {Object} spec - The specification
+     * @param {Object} [options]
+     * @param {Object} [options.lint] - Lint config; lint.rules sets rule severities and options
+     * @param {Object[]} [options.lintRules] - Custom rules, e.g. from loadLintRules()
      */
-    checkCommonIssues(spec) {
-        // Check for empty schemas
-        const schemas = spec.components?.schemas || spec.definitions || {};
-        for (const [name, schema] of Object.entries(schemas)) {
-            if (Object.keys(schema).length === 0) {
-                this.addWarning(`Schema '${name}' is empty`);
-            }
-        }
-
-        // Check for operations without tags
-        let untaggedCount = 0;
-        if (spec.paths) {
-            for (const [path, pathItem] of Object.entries(spec.paths)) {
-                const operations = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
-                operations.forEach(method => {
-                    if (pathItem[method] && !pathItem[method].tags) {
-                        untaggedCount++;
-                    }
-                });
-            }
-        }
-
-        if (untaggedCount > 0) {
-            this.addWarning(`${untaggedCount} operations have no tags. Consider adding tags for better organization`);
-        }
-
-        // Check for missing servers/host
-        if (spec.openapi && (!spec.servers || spec.servers.length === 0)) {
-            this.addWarning('No servers defined. Consider adding server information');
-        }
+    lint(spec, options = {}) {
+        const linter = new Linter(options.lintRules);
 
-        if (spec.swagger && !spec.host) {
-            this.addWarning('No host defined. Consider adding host information');
+        for (const issue of linter.lint(spec, options.lint?.rules)) {
+            (issue.severity === 'error' ? this.errors : this.warnings).push(issue);
         }
     }
 
     /**
      * Add an error
+     * @param {string} rule - Rule id (see RULES)
+     * @param {string} pointer - JSON pointer to the offending node
      * @param {string} message - Error message
      */
-    addError(message) {
+    addError(rule, pointer, message) {
         this.errors.push({
             type: 'error',
+            severity: 'error',
+            rule,
+            pointer,
             message
         });
     }
 
     /**
      * Add a warning
+     * @param {string} rule - Rule id (see RULES)
+     * @param {string} pointer - JSON pointer to the offending node
      * @param {string} message - Warning message
      */
-    addWarning(message) {
+    addWarning(rule, pointer, message) {
         this.warnings.push({
             type: 'warning',
+            severity: 'warning',
+            rule,
+            pointer,
             message
         });
     }
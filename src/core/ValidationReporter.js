@@ -0,0 +1,205 @@
+/**
+ * ValidationReporter.js
+ *
+ * Formats SwaggerValidator results for people and for CI systems:
+ *
+ * - pretty: grouped by severity for the terminal
+ * - json: the issues with their rule id, severity and JSON pointer
+ * - junit: JUnit XML, one failing test case per issue
+ * - sarif: SARIF 2.1.0 for code scanning dashboards
+ *
+ * Also decides whether a result fails a severity threshold so the validate
+ * command can gate builds.
+ */
+import { RULES } from './SwaggerValidator.js';
+import { describeLintRule } from './Linter.js';
+
+/**
+ * Severities from most to least severe
+ */
+export const SEVERITIES = ['error', 'warning'];
+
+const SEVERITY_TITLES = {
+    error: 'Errors',
+    warning: 'Warnings'
+};
+
+const SARIF_LEVELS = {
+    error: 'error',
+    warning: 'warning'
+};
+
+class ValidationReporter {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.source] - Spec file or URL the result belongs to
+     * @param {string} [options.toolVersion] - Version reported in SARIF output
+     */
+    constructor(options = {}) {
+        this.options = {
+            source: 'openapi',
+            toolVersion: '1.0.0',
+            ...options
+        };
+    }
+
+    /**
+     * Errors and warnings of a validation result, most severe first
+     * @param {Object} result - Result of SwaggerValidator.validate()
+     * @returns {Object[]}
+     */
+    issues(result) {
+        return [...result.errors, ...result.warnings];
+    }
+
+    /**
+     * Whether the result has an issue at or above the given severity
+     * @param {Object} result - Result of SwaggerValidator.validate()
+     * @param {string} failOn - error, warning or none
+     * @returns {boolean}
+     */
+    fails(result, failOn = 'error') {
+        if (failOn === 'none') return false;
+
+        const threshold = SEVERITIES.indexOf(failOn);
+        if (threshold === -1) {
+            throw new Error(`Unknown severity: ${failOn} (use ${SEVERITIES.join(', ')} or none)`);
+        }
+
+        return this.issues(result).some(issue => SEVERITIES.indexOf(issue.severity) <= threshold);
+    }
+
+    /**
+     * Render a validation result
+     * @param {Object} result - Result of SwaggerValidator.validate()
+     * @param {string} [outputFormat] - pretty, json, junit or sarif
+     * @returns {string}
+     */
+    format(result, outputFormat = 'pretty') {
+        switch (outputFormat) {
+            case 'json':
+                return this.toJson(result);
+            case 'junit':
+                return this.toJUnit(result);
+            case 'sarif':
+                return JSON.stringify(this.toSarif(result), null, 2);
+            case 'pretty':
+                return this.toPretty(result);
+            default:
+                throw new Error(`Unknown validation format: ${outputFormat} (use pretty, json, junit or sarif)`);
+        }
+    }
+
+    toPretty(result) {
+        const lines = [
+            `${this.options.source}: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`
+        ];
+
+        for (const severity of SEVERITIES) {
+            const issues = this.issues(result).filter(issue => issue.severity === severity);
+            if (issues.length === 0) continue;
+
+            lines.push('', `${SEVERITY_TITLES[severity]}:`);
+            issues.forEach(issue => lines.push(`  ${where(issue)}  ${issue.message}  [${issue.rule}]`));
+        }
+
+        return lines.join('\n');
+    }
+
+    toJson(result) {
+        return JSON.stringify({
+            source: this.options.source,
+            valid: result.valid,
+            summary: {
+                errors: result.errors.length,
+                warnings: result.warnings.length
+            },
+            issues: this.issues(result).map(({ severity, rule, pointer, message }) => ({ severity, rule, pointer, message }))
+        }, null, 2);
+    }
+
+    toJUnit(result) {
+        const issues = this.issues(result);
+        const source = escapeXml(this.options.source);
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="swagger-to-nextjs validate" tests="${issues.length}" failures="${issues.length}">`,
+            `  <testsuite name="${source}" tests="${issues.length}" failures="${issues.length}" errors="0">`
+        ];
+
+        for (const issue of issues) {
+            lines.push(
+                `    <testcase classname="${source}" name="${escapeXml(`${issue.rule} ${where(issue)}`)}">`,
+                `      <failure type="${issue.severity}" message="${escapeXml(issue.message)}">${escapeXml(describeIssue(issue))}</failure>`,
+                '    </testcase>'
+            );
+        }
+
+        lines.push('  </testsuite>', '</testsuites>');
+        return lines.join('\n');
+    }
+
+    toSarif(result) {
+        const issues = this.issues(result);
+        const ruleIds = [...new Set(issues.map(issue => issue.rule))];
+
+        return {
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'swagger-to-nextjs',
+                        version: this.options.toolVersion,
+                        rules: ruleIds.map(id => ({
+                            id,
+                            shortDescription: { text: RULES[id] || describeLintRule(id) || id }
+                        }))
+                    }
+                },
+                results: issues.map(issue => ({
+                    ruleId: issue.rule,
+                    ruleIndex: ruleIds.indexOf(issue.rule),
+                    level: SARIF_LEVELS[issue.severity],
+                    message: { text: issue.message },
+                    locations: [{
+                        physicalLocation: {
+                            artifactLocation: { uri: this.options.source }
+                        },
+                        logicalLocations: [{
+                            fullyQualifiedName: where(issue),
+                            kind: 'member'
+                        }]
+                    }]
+                }))
+            }]
+        };
+    }
+}
+
+/**
+ * An issue as one line: its location and message
+ * @param {Object} issue - Error or warning of a validation result
+ * @returns {string}
+ */
+export function describeIssue(issue) {
+    return `${where(issue)}: ${issue.message}`;
+}
+
+/**
+ * Readable location of an issue; the empty pointer is the document root
+ */
+function where(issue) {
+    return issue.pointer || '(root)';
+}
+
+function escapeXml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+export default ValidationReporter;
@@ -0,0 +1,81 @@
+/**
+ * Workspace.js
+ *
+ * A workspace generates one app over several backend services, listed in
+ * the config file under `services`:
+ *
+ *   services:
+ *     - name: users
+ *       inputSpec: ./specs/users.yaml
+ *       baseUrlEnv: NEXT_PUBLIC_USERS_URL   # default: NEXT_PUBLIC_USERS_API_URL
+ *       outputPrefix: users                 # default: the name in kebab-case
+ *
+ * Every service is generated on its own, under its output prefix:
+ *
+ * - lib/<prefix>/       API client
+ * - types/<prefix>/     models
+ * - app/api/<prefix>/   route handlers and service wrappers
+ * - app/<prefix>/       pages
+ *
+ * lib/unified-index.ts then re-exports each client as its own namespace, so
+ * models with the same name in two services never collide.
+ */
+import { toCamelCase, toKebabCase, toPascalCase, toSnakeCase } from '../utils/StringUtils.js';
+
+const PREFIX = /^[a-z][a-z0-9-]*$/;
+const ENV_VAR = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * Check the services of a workspace config and fill in their defaults
+ * @param {Array<Object>} services - Entries of the `services` list
+ * @returns {Array<{name: string, inputSpec: string|string[], baseUrlEnv: string, outputPrefix: string,
+ *   namespace: string, className: string, apiUrl?: string}>}
+ */
+export function normalizeServices(services) {
+    if (!Array.isArray(services) || services.length === 0) {
+        throw new Error('A workspace needs a non-empty "services" list');
+    }
+
+    const seen = { name: new Map(), outputPrefix: new Map(), baseUrlEnv: new Map() };
+
+    return services.map((entry, index) => {
+        const label = entry?.name ? `Workspace service "${entry.name}"` : `Workspace service ${index + 1}`;
+
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`${label} must be an object`);
+        }
+        if (typeof entry.name !== 'string' || !entry.name.trim()) {
+            throw new Error(`${label} needs a "name"`);
+        }
+        if (!entry.inputSpec || (typeof entry.inputSpec !== 'string' && !Array.isArray(entry.inputSpec))) {
+            throw new Error(`${label} needs an "inputSpec"`);
+        }
+
+        const service = {
+            name: entry.name,
+            inputSpec: entry.inputSpec,
+            baseUrlEnv: entry.baseUrlEnv || `NEXT_PUBLIC_${toSnakeCase(entry.name).toUpperCase()}_API_URL`,
+            outputPrefix: entry.outputPrefix || toKebabCase(entry.name),
+            namespace: toCamelCase(entry.outputPrefix || entry.name),
+            className: toPascalCase(entry.name),
+            apiUrl: entry.apiUrl
+        };
+
+        if (!PREFIX.test(service.outputPrefix)) {
+            throw new Error(`${label}: outputPrefix "${service.outputPrefix}" must be lowercase letters, digits and dashes, starting with a letter`);
+        }
+        if (!ENV_VAR.test(service.baseUrlEnv)) {
+            throw new Error(`${label}: baseUrlEnv "${service.baseUrlEnv}" is not a valid environment variable name`);
+        }
+
+        // Class names come from the name, so "user-service" and "UserService" collide too
+        for (const [key, value] of [['name', service.className], ['outputPrefix', service.outputPrefix], ['baseUrlEnv', service.baseUrlEnv]]) {
+            if (seen[key].has(value)) {
+                throw new Error(`${label} uses the same ${key} as workspace service "${seen[key].get(value)}"`);
+            }
+            seen[key].set(value, service.name);
+        }
+
+        return service;
+    });
+}
@@ -1,12 +1,47 @@
 import BaseGenerator from './BaseGenerator.js';
 import { pathToRoute, extractPathParams, routeToFilePath } from '../utils/PathUtils.js';
 import { toPascalCase, toCamelCase, toKebabCase } from '../utils/StringUtils.js';
+import { convertSchemaToZod, getSchemaTypes, isJsonMediaType } from '../utils/SchemaUtils.js';
 import path from 'path';
-
+import { defaults } from '../../config/defaults.js';
+
+const PARAMETER_LOCATIONS = ['path', 'query', 'header'];
+
+// Methods a Next.js route handler can export
+const HTTP_METHODS = ['get', 'head', 'options', 'post', 'put', 'delete', 'patch'];
+
+/**
+ * Generates app/api/<path>/route.ts for every path of the spec. The routes
+ * forward requests to the backend through the handler in lib/api-route.ts;
+ * with features.security.requestValidation (on by default) they first check
+ * the parameters and the JSON, multipart or urlencoded body against zod
+ * schemas generated from the spec and answer invalid requests with a 400
+ * listing the failing fields. Other bodies, such as file uploads as
+ * application/octet-stream, and the backend's responses are streamed through.
+ *
+ * features.security.responseValidation (off by default) checks the JSON
+ * responses of the backend as well: `true` logs mismatches, with a diff in
+ * development, and 'strict' answers them with a 502.
+ *
+ * Operations with security requirements authenticate requests through
+ * lib/auth.ts before anything else, with the schemes of the spec.
+ *
+ * middleware.ts applies CORS, token-bucket rate limits and the CSP and HSTS
+ * headers from features.security, overridden per path or operation by the
+ * x-cors and x-rate-limit extensions. A workspace sets `sharedFiles: false`
+ * and writes it once for all services with generateMiddleware().
+ */
 export default class ApiRouteGenerator extends BaseGenerator {
     constructor(spec, options) {
         super(spec, options);
         this.serviceName = options.serviceName || 'api';
+        // Workspace services are generated under app/api/<routePrefix>
+        this.routePrefix = options.routePrefix || '';
+        this.requestValidation = this.config.features.security.requestValidation !== false;
+        this.responseValidation = responseValidationMode(this.config.features.security.responseValidation);
+        this.authSchemes = this.getAuthSchemes();
+        this.middleware = middlewareSettings(this.config.features.security);
+        this.routePolicies = [];
         this.generatedRoutes = new Map();
     }
 
@@ -18,6 +53,8 @@ export default class ApiRouteGenerator extends BaseGenerator {
         // Group paths by their base resource for better organization
         const groupedPaths = this.groupPathsByResource(paths);
 
+        const shared = Object.keys(paths).length > 0 ? await this.generateSharedModules() : [];
+
         // Generate route files for each resource group
         for (const [resource, resourcePaths] of Object.entries(groupedPaths)) {
             try {
@@ -34,6 +71,10 @@ export default class ApiRouteGenerator extends BaseGenerator {
             }
         }
 
+        const middleware = results.length > 0 && this.options.sharedFiles !== false
+            ? await this.generateMiddleware(this.routePolicies, [{ name: this.getBaseUrlEnv(), url: this.getBaseUrl() }])
+            : [];
+
         this.emit('progress', {
             step: 'api-routes',
             message: `Generated ${results.length} API route files`,
@@ -41,8 +82,9 @@ export default class ApiRouteGenerator extends BaseGenerator {
         });
 
         return {
-            files: results,
-            totalRoutes: results.length
+            files: [...shared, ...results, ...middleware],
+            totalRoutes: results.length,
+            routePolicies: this.routePolicies
         };
     }
 
@@ -71,6 +113,140 @@ export default class ApiRouteGenerator extends BaseGenerator {
         return grouped;
     }
 
+    /**
+     * lib/api-route.ts, which validates and forwards the requests of every
+     * route, and lib/auth.ts, which authenticates them. Workspace services
+     * share both, so neither depends on the spec.
+     */
+    async generateSharedModules() {
+        const modules = [
+            ['api/api-route.ts.hbs', 'api-route.ts', 'api-route'],
+            ['api/auth.ts.hbs', 'auth.ts', 'auth']
+        ];
+        const files = [];
+
+        for (const [template, fileName, type] of modules) {
+            const content = await this.templateEngine.render(template, {
+                responseValidation: this.responseValidation
+            });
+            const outputPath = path.join(this.options.output, 'lib', fileName);
+
+            if (!this.options.dryRun) {
+                await this.fileWriter.writeFile(outputPath, content);
+            }
+
+            files.push({ file: outputPath, type });
+        }
+
+        return files;
+    }
+
+    /**
+     * middleware.ts and the lib/api-middleware.ts it runs, unless every
+     * feature it covers is off in the config
+     * @param {Array<Object>} routes - Policies of the routes, see getRoutePolicy()
+     * @param {Array<{name: string, url: string}>} apiUrls - Backend URL variables, allowed in connect-src
+     */
+    async generateMiddleware(routes, apiUrls) {
+        const { defaults, contentSecurityPolicy, strictTransportSecurity, trustedProxies } = this.middleware;
+        if (!defaults.cors && !defaults.rateLimit && !contentSecurityPolicy && !strictTransportSecurity) {
+            return [];
+        }
+
+        const context = {
+            defaults,
+            routes,
+            contentSecurityPolicy,
+            strictTransportSecurity,
+            trustedProxies,
+            apiUrls
+        };
+        const files = [];
+
+        for (const [template, relativePath, type] of [
+            ['api/api-middleware.ts.hbs', path.join('lib', 'api-middleware.ts'), 'middleware'],
+            ['api/middleware.ts.hbs', 'middleware.ts', 'middleware']
+        ]) {
+            const content = await this.templateEngine.render(template, context);
+            const outputPath = path.join(this.options.output, relativePath);
+
+            if (!this.options.dryRun) {
+                await this.fileWriter.writeFile(outputPath, content);
+            }
+
+            files.push({ file: outputPath, type });
+        }
+
+        return files;
+    }
+
+    /**
+     * What middleware.ts applies to a route: for every method, the CORS and
+     * rate limit policy where x-cors or x-rate-limit override the defaults,
+     * and the request headers the operations declare, allowed in preflights
+     */
+    getRoutePolicy(routePattern, pathData, operations) {
+        const methods = {};
+        const headers = new Set();
+
+        for (const { pathObj } of pathData.paths) {
+            for (const [method, operation] of Object.entries(pathObj)) {
+                if (HTTP_METHODS.includes(method)) {
+                    methods[method.toUpperCase()] = this.getOperationPolicy(pathObj, operation);
+                }
+            }
+        }
+
+        operations.forEach(op => {
+            op.parameters.filter(param => param.in === 'header').forEach(param => headers.add(param.name));
+            (op.security || []).flatMap(Object.keys).forEach(name => {
+                const scheme = this.authSchemes[name];
+                if (scheme?.type === 'apiKey' && scheme.in === 'header') {
+                    headers.add(scheme.name);
+                }
+            });
+        });
+
+        const policy = {
+            route: path.posix.join('/api', this.routePrefix, routePattern),
+            methods
+        };
+        if (headers.size > 0) {
+            policy.headers = Array.from(headers);
+        }
+        return policy;
+    }
+
+    /**
+     * x-cors and x-rate-limit of an operation, else of its path, else of the
+     * spec: false turns the feature off, an object changes the defaults
+     */
+    getOperationPolicy(pathObj, operation) {
+        const policy = {};
+        const cors = [operation['x-cors'], pathObj['x-cors'], this.spec['x-cors']].find(value => value !== undefined);
+        const rateLimit = [operation['x-rate-limit'], pathObj['x-rate-limit'], this.spec['x-rate-limit']]
+            .find(value => value !== undefined);
+
+        if (cors === false) {
+            policy.cors = false;
+        } else if (cors && typeof cors === 'object') {
+            policy.cors = { ...securityFeature(this.config.features.security, 'cors'), ...cors };
+        }
+
+        if (rateLimit === false) {
+            policy.rateLimit = false;
+        } else if (rateLimit && typeof rateLimit === 'object') {
+            const { limit, window } = { ...securityFeature(this.config.features.security, 'rateLimiting'), ...rateLimit };
+            if (limit > 0 && window > 0) {
+                policy.rateLimit = { limit, window };
+            } else {
+                this.addWarning(`Ignoring x-rate-limit of ${operation.operationId || 'an operation'}: limit and window must be positive numbers`);
+            }
+        }
+
+        return policy;
+    }
+
     async generateRouteFile(routePattern, pathData, resourceName) {
         const operations = [];
         const allParameters = new Set();
@@ -80,8 +256,8 @@ export default class ApiRouteGenerator extends BaseGenerator {
         for (const { path: pathStr, pathObj } of pathData.paths) {
             // Process each HTTP method
             for (const [method, operation] of Object.entries(pathObj)) {
-                if (['get', 'post', 'put', 'delete', 'patch'].includes(method)) {
-                    const preparedOp = this.prepareOperationForTemplate(method, pathStr, operation);
+                if (HTTP_METHODS.includes(method)) {
+                    const preparedOp = this.prepareOperationForTemplate(method, pathStr, operation, pathObj.parameters);
                     operations.push(preparedOp);
 
                     // Collect all parameters
@@ -111,6 +287,12 @@ export default class ApiRouteGenerator extends BaseGenerator {
         // Parse collected parameters back to objects
         const parameters = Array.from(allParameters).map(p => JSON.parse(p));
 
+        // Only the schemes this route's operations require
+        const schemeNames = new Set(operations.flatMap(op => (op.security || []).flatMap(Object.keys)));
+        const securitySchemes = Object.fromEntries(
+            Object.entries(this.authSchemes).filter(([name]) => schemeNames.has(name))
+        );
+
         // Prepare template context matching the expected structure
         const templateContext = {
             serviceName: this.serviceName,
@@ -120,14 +302,21 @@ export default class ApiRouteGenerator extends BaseGenerator {
             parameters,
             imports: Array.from(imports),
             description: `API routes for ${resourceName}`,
-            cors: this.options.cors || false
+            envVar: this.getBaseUrlEnv(),
+            baseUrl: this.getBaseUrl(),
+            securitySchemes,
+            authenticates: operations.some(op => op.security),
+            validatesRequests: operations.some(op => op.validation),
+            validatesResponses: operations.some(op => op.responseValidation)
         };
 
+        this.routePolicies.push(this.getRoutePolicy(routePattern, pathData, operations));
+
         // Render the template
         const content = await this.templateEngine.render('api/[...route].ts.hbs', templateContext);
 
         // Determine output path
-        const outputPath = path.join(this.options.output, 'app', 'api', routePattern, 'route.ts');
+        const outputPath = path.join(this.options.output, 'app', 'api', this.routePrefix, routePattern, 'route.ts');
 
         if (!this.options.dryRun) {
             await this.fileWriter.writeFile(outputPath, content);
@@ -137,15 +326,15 @@ export default class ApiRouteGenerator extends BaseGenerator {
             file: outputPath,
             resource: resourceName,
             methods: operations.map(op => op.method),
-            routePattern
+            routePattern: this.routePrefix ? `${this.routePrefix}/${routePattern}` : routePattern
         };
     }
 
-    prepareOperationForTemplate(method, pathStr, operation) {
+    prepareOperationForTemplate(method, pathStr, operation, pathParameters = []) {
         const operationId = operation.operationId || this.generateOperationId(method, pathStr);
 
         // Extract parameters in the format expected by the template
-        const parameters = this.extractParametersForTemplate(operation, pathStr);
+        const parameters = this.extractParametersForTemplate(operation, pathStr, pathParameters);
 
         // Process request body
         const requestBody = this.processRequestBodyForTemplate(operation.requestBody);
@@ -155,12 +344,17 @@ export default class ApiRouteGenerator extends BaseGenerator {
 
         return {
             method: method.toLowerCase(),
+            httpMethod: method.toUpperCase(),
+            path: pathStr,
             operationId: this.formatOperationId(operationId, method),
             summary: operation.summary || `${method.toUpperCase()} ${pathStr}`,
             description: operation.description,
             parameters,
             requestBody,
             responses,
+            validation: this.requestValidation ? this.getRequestValidation(parameters, requestBody) : null,
+            responseValidation: this.responseValidation !== 'off' ? this.getResponseValidation(responses) : null,
+            security: this.getSecurityRequirements(operation),
             // Add these for template helpers
             hasBody: !!requestBody,
             hasPathParams: parameters.some(p => p.in === 'path'),
@@ -182,10 +376,19 @@ export default class ApiRouteGenerator extends BaseGenerator {
         return toCamelCase(formattedId);
     }
 
-    extractParametersForTemplate(operation, pathStr) {
+    extractParametersForTemplate(operation, pathStr, pathParameters = []) {
         const parameters = [];
         const seen = new Set();
 
+        // Operation parameters override the ones declared for the whole path
+        const declared = new Map();
+        [...(pathParameters || []), ...(operation.parameters || [])].forEach(param => {
+            const resolved = param.$ref ? this.resolveRef(param.$ref) : param;
+            if (resolved?.name && resolved.in) {
+                declared.set(`${resolved.in}:${resolved.name}`, resolved);
+            }
+        });
+
         // Extract path parameters
         const pathParams = extractPathParams(pathStr);
         pathParams.forEach(param => {
@@ -196,45 +399,153 @@ export default class ApiRouteGenerator extends BaseGenerator {
                     name: param,
                     in: 'path',
                     required: true,
-                    type: 'string',
-                    description: `Path parameter: ${param}`
+                    type: declared.get(key)?.schema?.type || 'string',
+                    schema: declared.get(key)?.schema,
+                    description: declared.get(key)?.description || `Path parameter: ${param}`
                 });
             }
         });
 
         // Extract query/header parameters from operation
-        if (operation.parameters) {
-            operation.parameters.forEach(param => {
-                const key = `${param.in}:${param.name}`;
-                if (!seen.has(key)) {
-                    seen.add(key);
-                    parameters.push({
-                        name: param.name,
-                        in: param.in,
-                        required: param.required || false,
-                        type: param.schema?.type || 'string',
-                        default: param.schema?.default,
-                        description: param.description || `${param.in} parameter: ${param.name}`
-                    });
-                }
-            });
-        }
+        declared.forEach((param, key) => {
+            if (!seen.has(key)) {
+                seen.add(key);
+                parameters.push({
+                    name: param.name,
+                    in: param.in,
+                    required: param.required || false,
+                    type: param.schema?.type || 'string',
+                    default: param.schema?.default,
+                    schema: param.schema,
+                    description: param.description || `${param.in} parameter: ${param.name}`
+                });
+            }
+        });
 
         return parameters;
     }
 
+    /**
+     * zod schemas the route checks a request against: one object per
+     * parameter location and the body. Path, query and header values are
+     * strings, so numbers and booleans are coerced; only query parameters can
+     * be arrays (repeated keys), and object parameters are not checked. Form
+     * bodies are checked field by field like query parameters. Bodies of
+     * media types the spec does not declare are refused.
+     * @returns {Object|null} Null when the operation has nothing to check
+     */
+    getRequestValidation(parameters, requestBody) {
+        const resolveRef = ref => this.resolveRef(ref);
+        const queryArrays = [];
+
+        const locations = PARAMETER_LOCATIONS.map(location => {
+            const fields = parameters
+                .filter(param => param.in === location)
+                .flatMap(param => {
+                    const schema = param.schema?.$ref ? this.resolveRef(param.schema.$ref) : param.schema;
+                    const types = getSchemaTypes(schema);
+                    if (types.includes('object') || (types.includes('array') && location !== 'query')) {
+                        return [];
+                    }
+                    if (types.includes('array')) {
+                        queryArrays.push(param.name);
+                    }
+
+                    const zod = schema ? convertSchemaToZod(schema, { coerce: true, resolveRef }) : 'z.string()';
+                    return [{
+                        // Headers are compared by their lowercase names
+                        key: JSON.stringify(location === 'header' ? param.name.toLowerCase() : param.name),
+                        zod: param.required ? zod : `${zod}.optional()`
+                    }];
+                });
+
+            return { location, fields };
+        }).filter(({ fields }) => fields.length > 0);
+
+        let body = null;
+        const bodyArrays = [];
+        if (requestBody?.schema && requestBody.format === 'json') {
+            body = convertSchemaToZod(requestBody.schema, { request: true, resolveRef });
+        } else if (requestBody?.schema && requestBody.format === 'form') {
+            body = this.getFormValidation(requestBody.schema, bodyArrays);
+        }
+
+        if (locations.length === 0 && !requestBody) {
+            return null;
+        }
+
+        return {
+            parameters: locations,
+            queryArrays,
+            mediaTypes: requestBody?.mediaTypes,
+            body,
+            bodyFormat: requestBody?.format,
+            bodyArrays,
+            bodyRequired: !!requestBody?.required
+        };
+    }
+
+    /**
+     * zod schema of a multipart or urlencoded body. Its fields arrive as
+     * strings or files, so numbers and booleans are coerced, repeated fields
+     * are arrays and nested objects are not checked.
+     * @param {Object} schema - Schema of the body
+     * @param {string[]} arrays - Receives the names of the array fields
+     * @returns {string|null} Null when the schema declares no fields
+     */
+    getFormValidation(schema, arrays) {
+        const resolveRef = ref => this.resolveRef(ref);
+        const resolved = schema.$ref ? this.resolveRef(schema.$ref) : schema;
+        const required = resolved?.required || [];
+
+        const fields = Object.entries(resolved?.properties || {}).flatMap(([name, property]) => {
+            const field = property?.$ref ? this.resolveRef(property.$ref) : property;
+            const types = getSchemaTypes(field);
+            if (types.includes('object')) {
+                return [];
+            }
+            if (types.includes('array')) {
+                arrays.push(name);
+            }
+
+            const zod = convertSchemaToZod(field, { coerce: true, form: true, resolveRef });
+            const optional = !required.includes(name) || field?.readOnly;
+            return [`${JSON.stringify(name)}: ${optional ? `${zod}.optional()` : zod}`];
+        });
+
+        return fields.length > 0 ? `z.object({ ${fields.join(', ')} }).passthrough()` : null;
+    }
+
+    /**
+     * zod schemas of the JSON responses by status code ('200', '2XX' or
+     * 'default'), used to check what the backend returns
+     * @returns {Array<{status: string, zod: string}>|null} Null when no response has a JSON schema
+     */
+    getResponseValidation(responses) {
+        const resolveRef = ref => this.resolveRef(ref);
+        const schemas = Object.entries(responses)
+            .filter(([, response]) => response.schema && isJsonMediaType(response.mediaType))
+            .map(([status, response]) => ({
+                status: JSON.stringify(status),
+                zod: convertSchemaToZod(response.schema, { response: true, resolveRef })
+            }));
+
+        return schemas.length > 0 ? schemas : null;
+    }
+
     processRequestBodyForTemplate(requestBody) {
-        if (!requestBody) return null;
+        const mediaTypes = Object.keys(requestBody?.content || {});
+        if (mediaTypes.length === 0) return null;
 
-        const content = requestBody.content?.['application/json'];
-        if (!content?.schema) return null;
+        const mediaType = this.pickMediaType(mediaTypes);
+        const content = requestBody.content[mediaType] || {};
 
         // Extract schema name for type import
         let schemaName = null;
-        if (content.schema.$ref) {
+        if (content.schema?.$ref) {
             const parts = content.schema.$ref.split('/');
             schemaName = parts[parts.length - 1];
-        } else if (content.schema.type === 'array' && content.schema.items?.$ref) {
+        } else if (content.schema?.type === 'array' && content.schema.items?.$ref) {
             // Handle array of objects
             const parts = content.schema.items.$ref.split('/');
             schemaName = parts[parts.length - 1];
@@ -247,7 +558,7 @@ export default class ApiRouteGenerator extends BaseGenerator {
         }
 
         // Resolve the schema to get required fields and defaults
-        const resolvedSchema = content.schema.$ref ?
+        const resolvedSchema = content.schema?.$ref ?
             this.resolveRef(content.schema.$ref) :
             content.schema;
 
@@ -272,6 +583,9 @@ export default class ApiRouteGenerator extends BaseGenerator {
         return {
             required: requestBody.required || false,
             description: requestBody.description,
+            mediaType,
+            mediaTypes,
+            format: bodyFormat(mediaType),
             schema: content.schema,
             schemaName: schemaName ? toPascalCase(schemaName) : null,
             requiredFields: resolvedSchema?.required || [],
@@ -283,7 +597,9 @@ export default class ApiRouteGenerator extends BaseGenerator {
         const processed = {};
 
         for (const [status, response] of Object.entries(responses || {})) {
-            const content = response.content?.['application/json'];
+            const mediaTypes = Object.keys(response.content || {});
+            const mediaType = mediaTypes.length > 0 ? this.pickMediaType(mediaTypes) : null;
+            const content = mediaType ? response.content[mediaType] : null;
             let schemaName = null;
 
             if (content?.schema?.$ref) {
@@ -293,6 +609,7 @@ export default class ApiRouteGenerator extends BaseGenerator {
 
             processed[status] = {
                 description: response.description,
+                mediaType,
                 schema: content?.schema,
                 schemaName,
                 isSuccess: parseInt(status) >= 200 && parseInt(status) < 300,
@@ -303,6 +620,13 @@ export default class ApiRouteGenerator extends BaseGenerator {
         return processed;
     }
 
+    /**
+     * Backend URL the routes forward to when its variable is not set
+     */
+    getBaseUrl() {
+        return this.options.apiUrl || this.spec.servers?.[0]?.url || 'http://localhost:8080';
+    }
+
     resolveRef(ref) {
         if (!ref || !ref.startsWith('#/')) return null;
 
@@ -350,4 +674,58 @@ export default class ApiRouteGenerator extends BaseGenerator {
 
         return toCamelCase(method + parts.join(''));
     }
-}
\ No newline at end of file
+}
+
+/**
+ * How the routes treat responses that do not match the spec: 'off', 'log'
+ * or 'strict', from features.security.responseValidation
+ */
+function responseValidationMode(setting) {
+    if (setting === 'strict') return 'strict';
+    return setting ? 'log' : 'off';
+}
+
+/**
+ * How the route reads a request body of a media type: as JSON, as form
+ * fields (multipart or urlencoded) or as a raw stream
+ */
+function bodyFormat(mediaType) {
+    if (isJsonMediaType(mediaType)) return 'json';
+    if (['multipart/form-data', 'application/x-www-form-urlencoded'].includes(mediaType)) return 'form';
+    return 'raw';
+}
+
+/**
+ * Options of a features.security setting of the middleware, which may also
+ * be just true or false; false when it is off
+ */
+function securityFeature(security, key) {
+    const setting = security[key];
+    if (setting === false || setting?.enabled === false) return false;
+    const { enabled, ...options } = { ...defaults.features.security[key], ...(setting && typeof setting === 'object' ? setting : {}) };
+    return options;
+}
+
+/**
+ * What middleware.ts applies by default, from features.security
+ */
+function middlewareSettings(security) {
+    const cors = securityFeature(security, 'cors');
+    const rateLimiting = securityFeature(security, 'rateLimiting');
+    const csp = securityFeature(security, 'csp');
+    const hsts = securityFeature(security, 'hsts');
+
+    return {
+        defaults: {
+            cors,
+            rateLimit: rateLimiting && { limit: rateLimiting.limit, window: rateLimiting.window }
+        },
+        trustedProxies: rateLimiting ? rateLimiting.trustedProxies : 0,
+        contentSecurityPolicy: csp ? csp.directives : null,
+        strictTransportSecurity: hsts ? [
+            `max-age=${hsts.maxAge}`,
+            hsts.includeSubDomains && 'includeSubDomains',
+            hsts.preload && 'preload'
+        ].filter(Boolean).join('; ') : null
+    };
+}
@@ -30,6 +30,9 @@
 import { EventEmitter } from 'node:events';
 import path from 'node:path';
 import TemplateEngine from '../templates/TemplateEngine.js';
+import { getSchemaTypes, isJsonMediaType } from '../utils/SchemaUtils.js';
+import { toSnakeCase } from '../utils/StringUtils.js';
+import { getDefaults } from '../../config/defaults.js';
 /**
  * Abstract base class for all generators with DaisyUI support
  * Provides common functionality for code generation from OpenAPI specs
@@ -58,6 +61,10 @@ export default class BaseGenerator extends EventEmitter {
             ...options
         };
 
+        // Layered configuration (see core/ConfigLoader.js); generators created
+        // on their own get the defaults
+        this.config = this.options.config || getDefaults();
+
         // Initialize template engine
         this.templateEngine = new TemplateEngine({
             templateDir: this.options.templateDir,
@@ -345,7 +352,8 @@ export default class BaseGenerator extends EventEmitter {
         if (!resolved) return false;
 
         const simpleTypes = ['string', 'number', 'integer', 'boolean'];
-        return simpleTypes.includes(resolved.type) && !resolved.properties && !resolved.items;
+        const types = getSchemaTypes(resolved).filter(type => type !== 'null');
+        return types.length === 1 && simpleTypes.includes(types[0]) && !resolved.properties && !resolved.items;
     }
 
     /**
@@ -353,7 +361,7 @@ export default class BaseGenerator extends EventEmitter {
      */
     isArrayType(schema) {
         const resolved = this.getSchema(schema);
-        return resolved?.type === 'array';
+        return getSchemaTypes(resolved).includes('array');
     }
 
     /**
@@ -361,7 +369,20 @@ export default class BaseGenerator extends EventEmitter {
      */
     isObjectType(schema) {
         const resolved = this.getSchema(schema);
-        return resolved?.type === 'object' || resolved?.properties !== undefined;
+        return getSchemaTypes(resolved).includes('object') || resolved?.properties !== undefined;
+    }
+
+    /**
+     * Media type of a request or response to generate code for: JSON
+     * (including +json vendor types), then forms, then whatever the
+     * operation declares first
+     */
+    pickMediaType(mediaTypes) {
+        return mediaTypes.find(type => type === 'application/json') ||
+            mediaTypes.find(type => isJsonMediaType(type)) ||
+            mediaTypes.find(type => type === 'multipart/form-data') ||
+            mediaTypes.find(type => type === 'application/x-www-form-urlencoded') ||
+            mediaTypes[0];
     }
 
     /**
@@ -449,6 +470,26 @@ export default class BaseGenerator extends EventEmitter {
         }
     }
 
+    /**
+     * Record an error in the spec that generation continues past; unlike
+     * handleError() it does not throw when nobody listens for errors
+     */
+    addError(message) {
+        const errorInfo = {
+            generator: this.constructor.name,
+            message
+        };
+
+        this.errors.push(errorInfo);
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', errorInfo);
+        }
+
+        if (this.options.verbose) {
+            console.error(`[${this.constructor.name}] Error: ${message}`);
+        }
+    }
+
     /**
      * Add warning
      */
@@ -529,6 +570,68 @@ export default class BaseGenerator extends EventEmitter {
         return this.spec.components?.securitySchemes || this.spec.securityDefinitions || {};
     }
 
+    /**
+     * Security schemes as lib/auth.ts checks them, by name: apiKey with its
+     * location, http with its scheme, oauth2 and openIdConnect. Schemes of
+     * other types (mutualTLS) cannot be checked by a route and are left out.
+     */
+    getAuthSchemes() {
+        const schemes = {};
+
+        for (const [name, value] of Object.entries(this.getSecuritySchemes())) {
+            const scheme = value?.$ref ? this.resolveRef(value.$ref) : value;
+
+            if (scheme?.type === 'apiKey' && ['header', 'query', 'cookie'].includes(scheme.in)) {
+                schemes[name] = { type: 'apiKey', in: scheme.in, name: scheme.name };
+            } else if (scheme?.type === 'http') {
+                schemes[name] = { type: 'http', scheme: (scheme.scheme || 'bearer').toLowerCase() };
+            } else if (scheme?.type === 'oauth2' || scheme?.type === 'openIdConnect') {
+                schemes[name] = { type: scheme.type };
+            }
+        }
+
+        return schemes;
+    }
+
+    /**
+     * Security requirements of an operation, its own or the spec's. A scheme
+     * a route cannot check (undefined, mutualTLS, apiKey in an unknown
+     * location) is a generation error and stays in its requirement, which
+     * lib/auth.ts then never accepts
+     * @returns {Array<Object>|null} Null for public operations (`security: []`)
+     */
+    getSecurityRequirements(operation = {}) {
+        const requirements = operation.security || this.spec.security || [];
+        if (requirements.length === 0) {
+            return null;
+        }
+
+        const schemes = this.getAuthSchemes();
+        for (const name of new Set(requirements.flatMap(requirement => Object.keys(requirement || {})))) {
+            const message = `Security scheme "${name}" cannot be checked by the generated routes: ` +
+                (this.getSecuritySchemes()[name] ? 'its type or location is not supported' : 'it is not defined');
+            if (!schemes[name] && !this.errors.some(error => error.message === message)) {
+                this.addError(message);
+            }
+        }
+
+        return requirements.map(requirement => ({ ...requirement }));
+    }
+
+    /**
+     * Environment variable the generated code reads the backend URL from:
+     * the baseUrlEnv option, or NEXT_PUBLIC_<SERVICE>_API_URL
+     */
+    getBaseUrlEnv() {
+        if (this.options.baseUrlEnv) {
+            return this.options.baseUrlEnv;
+        }
+
+        const serviceName = this.options.serviceName || 'api';
+        const prefix = serviceName === 'api' ? '' : `${toSnakeCase(serviceName).toUpperCase()}_`;
+        return `NEXT_PUBLIC_${prefix}API_URL`;
+    }
+
     /**
      * Clear internal cache
      */
@@ -0,0 +1,359 @@
+import BaseGenerator from './BaseGenerator.js';
+import { convertSchemaToTypeScript, collectSchemaReferences, restoreComponentReferences } from '../utils/SchemaUtils.js';
+import { toPascalCase, toCamelCase, toKebabCase, toDocText } from '../utils/StringUtils.js';
+import path from 'path';
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const RESERVED_WORDS = new Set([
+    'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+    'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if',
+    'import', 'in', 'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw',
+    'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield', 'let', 'static',
+    'implements', 'interface', 'package', 'private', 'protected', 'public', 'await', 'options'
+]);
+
+/**
+ * Generates a fetch-based TypeScript API client under lib/api-client with
+ * one class per tag, whose signatures use the models of types/. The code
+ * itself lives in the templates under templates/lib.
+ *
+ * A workspace (see core/Workspace.js) sets `sharedFiles: false` and writes
+ * the runtime and entry points once for all services with
+ * generateSharedFiles().
+ *
+ * `apiDir` and `modelsDir` rename the api/ folder and the models module
+ * (models.ts, or <modelsDir>/index.ts), and `singleRequestParameter` makes
+ * every method take one request object instead of positional arguments.
+ */
+export default class ClientGenerator extends BaseGenerator {
+    constructor(spec, options) {
+        // Signatures name the models when types/ is generated
+        super(options.typescript === false ? spec : restoreComponentReferences(spec), options);
+        this.serviceName = options.serviceName || 'api';
+        this.clientDir = options.clientDir || path.join('lib', 'api-client');
+        this.serviceDir = options.serviceDir || toKebabCase(this.serviceName);
+        this.apiDir = options.apiDir || 'api';
+        this.modelsDir = options.modelsDir || null;
+        this.typeOptions = { typeMappings: options.typeMappings, propertyNaming: options.propertyNaming };
+    }
+
+    async generate() {
+        this.emit('progress', { step: 'client', message: 'Generating API client...' });
+
+        const files = [];
+        const service = this.getServiceContext();
+        const operations = this.getOperations().map(op => this.prepareOperation(op));
+        const tagGroups = this.groupByTag(operations);
+
+        // One class per tag
+        for (const tag of service.tags) {
+            files.push(await this.writeTemplate(
+                'lib/api-class.ts.hbs',
+                path.join(service.name, this.apiDir, `${tag.fileName}.ts`),
+                this.getClassContext(tag.className, tag.description, tagGroups[tag.name])
+            ));
+        }
+
+        files.push(await this.writeTemplate(
+            'lib/models.ts.hbs',
+            path.join(service.name, this.modelsDir ? path.join(this.modelsDir, 'index.ts') : 'models.ts'),
+            {
+                hasModels: this.options.typescript !== false && Object.keys(this.getSchemas()).length > 0,
+                typesPath: `@/${this.options.typesDir || 'types'}`
+            }
+        ));
+
+        files.push(await this.writeTemplate('lib/service-index.ts.hbs', path.join(service.name, 'index.ts'), {
+            ...service,
+            runtimePath: '../runtime'
+        }));
+
+        if (this.options.sharedFiles !== false) {
+            files.push(...await this.generateSharedFiles([{ name: service.name, className: service.serviceClassName }]));
+        }
+
+        this.emit('progress', {
+            step: 'client',
+            message: `Generated API client with ${operations.length} operations`,
+            completed: true
+        });
+
+        return {
+            files,
+            operations: operations.length,
+            tags: service.tags.length
+        };
+    }
+
+    /**
+     * Shared runtime plus the entry points over all service clients. With a
+     * namespace per service the entry point is unified-index.ts, which
+     * re-exports every service in its own namespace; otherwise index.ts
+     * re-exports everything flat.
+     * @param {Array<{name: string, className: string, namespace?: string, hasAuth?: boolean}>} services -
+     *   Client directory and class name prefix of every service
+     * @returns {Promise<Array<{file: string, type: string}>>}
+     */
+    async generateSharedFiles(services) {
+        const namespaced = services.some(service => service.namespace);
+        const hasAuth = services.some(service => service.hasAuth) || Object.keys(this.getSecuritySchemes()).length > 0;
+
+        return [
+            await this.writeTemplate('lib/runtime.ts.hbs', 'runtime.ts', { baseUrl: this.getServiceContext().baseUrl }),
+            await this.writeTemplate('lib/unified-index.ts.hbs', namespaced ? 'unified-index.ts' : 'index.ts', {
+                services,
+                namespaced,
+                modelsDir: this.modelsDir || 'models'
+            }),
+            await this.writeTemplate('lib/unified-client.ts.hbs', 'client-manager.ts', { services, hasAuth })
+        ];
+    }
+
+    async writeTemplate(templatePath, relativePath, context) {
+        const content = await this.renderTemplate(templatePath, context);
+        const outputPath = path.join(this.options.output, this.clientDir, relativePath);
+
+        if (!this.options.dryRun) {
+            await this.fileWriter.writeFile(outputPath, content);
+        }
+
+        return { file: outputPath, type: 'client' };
+    }
+
+    /**
+     * Naming and configuration shared by the service templates
+     */
+    getServiceContext() {
+        return {
+            name: this.serviceDir,
+            title: this.spec.info?.title,
+            serviceClassName: toPascalCase(this.serviceName),
+            envVar: this.getBaseUrlEnv(),
+            apiDir: this.apiDir,
+            baseUrl: this.options.apiUrl || this.spec.servers?.[0]?.url || 'http://localhost:8080',
+            tags: getTagApis(Object.keys(this.getOperationsByTag()), this.spec.tags, ['config'])
+        };
+    }
+
+    groupByTag(operations) {
+        const grouped = {};
+
+        for (const op of operations) {
+            for (const tag of op.tags.length > 0 ? op.tags : ['default']) {
+                (grouped[tag] = grouped[tag] || []).push(op);
+            }
+        }
+
+        return grouped;
+    }
+
+    getClassContext(className, description, operations = []) {
+        const used = new Set();
+        const imports = new Set();
+
+        const methods = operations.map(op => {
+            let methodName = op.methodName;
+            for (let i = 2; used.has(methodName); i++) {
+                methodName = `${op.methodName}${i}`;
+            }
+            used.add(methodName);
+
+            op.references.forEach(name => imports.add(name));
+            return {
+                ...op,
+                methodName,
+                // Named like OpenAPI Generator's request interfaces, e.g. PetApiAddPetRequest
+                requestType: `${className}${toPascalCase(methodName)}Request`,
+                hasRequiredArgs: op.args.some(arg => arg.required)
+            };
+        });
+
+        return {
+            className,
+            description,
+            methods,
+            singleRequestParameter: !!this.options.singleRequestParameter,
+            imports: Array.from(imports).sort(),
+            runtimePath: '../../runtime',
+            modelsPath: `../${this.modelsDir || 'models'}`
+        };
+    }
+
+    /**
+     * Prepare a single operation for the api-class template
+     */
+    prepareOperation(op) {
+        const references = new Set();
+        const usedNames = new Set();
+        const typeOf = (schema) => {
+            collectSchemaReferences(schema, references);
+            return convertSchemaToTypeScript(schema, this.typeOptions);
+        };
+
+        const params = (op.parameters || [])
+            .filter(param => ['path', 'query', 'header'].includes(param.in))
+            .map(param => ({
+                key: IDENTIFIER.test(param.name) ? param.name : `'${param.name}'`,
+                name: this.argumentName(param.name, usedNames),
+                in: param.in,
+                type: param.schema ? typeOf(param.schema) : 'string',
+                required: param.in === 'path' || !!param.required,
+                description: toDocText(param.description)
+            }));
+
+        const body = this.prepareBody(op.requestBody, typeOf, usedNames);
+        const args = [...params];
+        if (body) {
+            args.push(body);
+        }
+
+        // Required arguments must precede optional ones
+        args.sort((a, b) => Number(b.required) - Number(a.required));
+
+        return {
+            methodName: this.methodName(op.operationId),
+            httpMethod: op.method,
+            path: op.path,
+            tags: op.tags,
+            summary: toDocText(op.summary),
+            description: toDocText(op.description),
+            deprecated: !!op.operation.deprecated,
+            args,
+            pathParams: params.filter(p => p.in === 'path'),
+            queryParams: params.filter(p => p.in === 'query'),
+            headerParams: params.filter(p => p.in === 'header'),
+            body,
+            returnType: this.responseType(op.responses, typeOf),
+            auth: this.authRequirements(op.security),
+            references: Array.from(references)
+        };
+    }
+
+    prepareBody(requestBody, typeOf, usedNames) {
+        const content = requestBody?.content;
+        if (!content || Object.keys(content).length === 0) {
+            return null;
+        }
+
+        const contentType = this.pickMediaType(Object.keys(content));
+        const schema = content[contentType]?.schema;
+        let type = schema ? typeOf(schema) : 'any';
+
+        if (contentType === 'application/octet-stream' || (schema?.type === 'string' && schema?.format === 'binary')) {
+            type = 'Blob';
+        } else if (contentType.startsWith('text/') && !schema) {
+            type = 'string';
+        }
+
+        return {
+            name: this.argumentName(usedNames.has('body') ? 'requestBody' : 'body', usedNames),
+            type,
+            contentType,
+            required: !!requestBody.required,
+            description: toDocText(requestBody.description) || 'Request body'
+        };
+    }
+
+    responseType(responses = {}, typeOf) {
+        const status = Object.keys(responses)
+            .filter(code => /^2\d\d$/.test(code) || code === '2XX')
+            .sort()[0];
+        const content = status ? responses[status].content : null;
+
+        if (!content || Object.keys(content).length === 0) {
+            return 'void';
+        }
+
+        const mediaType = this.pickMediaType(Object.keys(content));
+        const schema = content[mediaType]?.schema;
+
+        if (mediaType.includes('json')) {
+            return schema ? typeOf(schema) : 'any';
+        }
+        if (mediaType.startsWith('text/')) {
+            return 'string';
+        }
+        return 'Blob';
+    }
+
+    /**
+     * Resolve security requirements into the descriptors used by the runtime
+     */
+    authRequirements(security = []) {
+        const schemes = this.getSecuritySchemes();
+        const requirements = [];
+
+        for (const requirement of security) {
+            for (const schemeName of Object.keys(requirement)) {
+                const scheme = schemes[schemeName];
+                if (!scheme) continue;
+
+                if (scheme.type === 'apiKey') {
+                    requirements.push({ type: 'apiKey', in: scheme.in, name: scheme.name });
+                } else if (scheme.type === 'http') {
+                    requirements.push({ type: 'http', scheme: scheme.scheme || 'bearer' });
+                } else if (scheme.type === 'oauth2' || scheme.type === 'openIdConnect') {
+                    requirements.push({ type: scheme.type });
+                }
+            }
+        }
+
+        return requirements.length > 0 ? JSON.stringify(requirements) : null;
+    }
+
+    methodName(operationId) {
+        let name = IDENTIFIER.test(operationId)
+            ? operationId.charAt(0).toLowerCase() + operationId.slice(1)
+            : toCamelCase(operationId.replace(/[^A-Za-z0-9]+/g, ' '));
+
+        if (!name || /^[0-9]/.test(name)) {
+            name = `operation${toPascalCase(name)}`;
+        }
+
+        return RESERVED_WORDS.has(name) ? `${name}Operation` : name;
+    }
+
+    argumentName(paramName, usedNames) {
+        let name = toCamelCase(String(paramName).replace(/[^A-Za-z0-9]+/g, ' ')) || 'param';
+        if (/^[0-9]/.test(name) || RESERVED_WORDS.has(name)) {
+            name = `${name}Param`.replace(/^([0-9])/, '_$1');
+        }
+
+        let unique = name;
+        for (let i = 2; usedNames.has(unique); i++) {
+            unique = `${name}${i}`;
+        }
+        usedNames.add(unique);
+
+        return unique;
+    }
+}
+
+/**
+ * Class, file and property names of the API class of every tag
+ * @param {string[]} tags - Tag names, e.g. the keys of getOperationsByTag()
+ * @param {Array<{name: string, description?: string}>} [specTags] - Tags declared by the spec
+ * @param {string[]} [reservedProperties] - Property names the class holding the APIs uses itself
+ * @returns {Array<{name: string, className: string, fileName: string, propertyName: string, description?: string}>}
+ */
+export function getTagApis(tags, specTags = [], reservedProperties = []) {
+    const usedProperties = new Set(reservedProperties);
+
+    return tags.map(tag => {
+        let propertyName = toCamelCase(tag) || 'default';
+        while (usedProperties.has(propertyName) || RESERVED_WORDS.has(propertyName)) {
+            propertyName = `${propertyName}Api`;
+        }
+        usedProperties.add(propertyName);
+
+        const tagInfo = specTags.find(t => t.name === tag);
+        return {
+            name: tag,
+            className: `${toPascalCase(tag)}Api`,
+            fileName: `${toKebabCase(toPascalCase(tag))}-api`,
+            propertyName,
+            description: tagInfo?.description
+        };
+    });
+}
@@ -0,0 +1,465 @@
+import BaseGenerator from './BaseGenerator.js';
+import {
+    determineInputType,
+    identifySpecialFields,
+    extractUIHints,
+    extractValidationRules,
+    getBadgeColor
+} from '../utils/SchemaUtils.js';
+import { toPascalCase, toKebabCase, singularize, pluralize, toHumanReadable } from '../utils/StringUtils.js';
+import path from 'path';
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Generates DaisyUI list, detail, create and edit pages for every resource
+ * that exposes CRUD-style operations. Pages talk to the generated API routes
+ * under /api, which mirror the OpenAPI paths. The pages and routes of a
+ * workspace service live under its routePrefix.
+ */
+export default class PageGenerator extends BaseGenerator {
+    constructor(spec, options) {
+        super(spec, options);
+        this.maxTableColumns = options.maxTableColumns || 6;
+        this.componentUsage = {};
+        this.routePrefix = options.routePrefix || '';
+    }
+
+    async generate() {
+        this.emit('progress', { step: 'pages', message: 'Generating DaisyUI pages...' });
+
+        const files = [];
+        const resources = this.collectResources();
+
+        for (const resource of resources) {
+            try {
+                files.push(...await this.generateResourcePages(resource));
+            } catch (error) {
+                this.handleError(`Failed to generate pages for ${resource.name}`, error);
+            }
+        }
+
+        const usage = { ...this.componentUsage };
+
+        this.emit('progress', {
+            step: 'pages',
+            message: `Generated ${files.length} pages for ${resources.length} resources`,
+            completed: true
+        });
+
+        return {
+            files,
+            components: Object.keys(usage).length,
+            usage,
+            resources: resources.map(resource => ({
+                name: this.routePrefix
+                    ? `${toHumanReadable(this.routePrefix)} ${toHumanReadable(resource.name)}`
+                    : toHumanReadable(resource.name),
+                path: `/${resource.routePath}`
+            }))
+        };
+    }
+
+    /**
+     * Group operations into resources using the DaisyUI component mapping:
+     * table (list), card (detail), form (create/update) and modal (delete)
+     */
+    collectResources() {
+        const resources = new Map();
+
+        for (const op of this.getOperations()) {
+            const info = this.parseResourcePath(op.path);
+            if (!info) continue;
+
+            if (!resources.has(info.name)) {
+                resources.set(info.name, {
+                    name: info.name,
+                    collectionPath: info.collectionPath,
+                    operations: {}
+                });
+            }
+
+            const resource = resources.get(info.name);
+            if (resource.collectionPath !== info.collectionPath) continue;
+
+            const component = this.getDaisyUIComponentForOperation(op);
+            const slot = this.operationSlot(component, op, info.isItem);
+            if (slot && !resource.operations[slot]) {
+                resource.operations[slot] = { ...op, itemParam: info.itemParam };
+            }
+        }
+
+        return Array.from(resources.values())
+            .filter(resource => resource.operations.list || resource.operations.detail)
+            .map(resource => ({
+                ...resource,
+                routePath: [this.routePrefix, toKebabCase(resource.name)].filter(Boolean).join('/')
+            }));
+    }
+
+    /**
+     * Split a path into its resource collection and optional item parameter.
+     * Only /<prefix>/resource and /<prefix>/resource/{id} take part in pages.
+     */
+    parseResourcePath(pathStr) {
+        const segments = pathStr.split('/').filter(Boolean);
+        const prefixes = ['api', 'v1', 'v2', 'v3'];
+        let start = 0;
+
+        while (start < segments.length && prefixes.includes(segments[start])) {
+            start++;
+        }
+
+        const rest = segments.slice(start);
+        if (rest.length === 0 || rest.length > 2 || rest[0].startsWith('{')) {
+            return null;
+        }
+        if (rest.length === 2 && !/^\{.+\}$/.test(rest[1])) {
+            return null;
+        }
+
+        const collectionPath = '/' + segments.slice(0, start + 1).join('/');
+        return {
+            name: rest[0],
+            collectionPath,
+            isItem: rest.length === 2,
+            itemParam: rest.length === 2 ? rest[1].slice(1, -1) : null
+        };
+    }
+
+    operationSlot(component, op, isItem) {
+        if (component === 'table' && !isItem) return 'list';
+        if (component === 'card' && isItem) return 'detail';
+        if (component === 'form' && !isItem && op.method === 'POST') return 'create';
+        if (component === 'form' && isItem && op.method !== 'POST') return 'update';
+        if (component === 'modal' && isItem) return 'delete';
+        return null;
+    }
+
+    async generateResourcePages(resource) {
+        const context = this.buildResourceContext(resource);
+        const { operations } = resource;
+        const appDir = path.join(this.options.output, 'app', ...resource.routePath.split('/'));
+        const pages = [];
+
+        if (operations.list) {
+            pages.push({ template: 'pages/list.tsx.hbs', file: path.join(appDir, 'page.tsx'), kind: 'list' });
+        }
+        if (operations.detail) {
+            pages.push({ template: 'pages/detail.tsx.hbs', file: path.join(appDir, '[id]', 'page.tsx'), kind: 'detail' });
+        }
+        if (operations.create) {
+            pages.push({ template: 'pages/form.tsx.hbs', file: path.join(appDir, 'new', 'page.tsx'), kind: 'create' });
+        }
+        if (operations.update) {
+            pages.push({ template: 'pages/form.tsx.hbs', file: path.join(appDir, '[id]', 'edit', 'page.tsx'), kind: 'edit' });
+        }
+
+        const results = [];
+        for (const page of pages) {
+            const pageContext = this.buildPageContext(context, resource, page.kind);
+            const content = await this.renderTemplate(page.template, pageContext);
+
+            if (!this.options.dryRun) {
+                await this.fileWriter.writeFile(page.file, content);
+            }
+
+            pageContext.daisyComponents.forEach(component => this.recordComponent(component));
+            results.push({
+                file: page.file,
+                type: 'page',
+                resource: resource.name,
+                page: page.kind,
+                components: pageContext.daisyComponents
+            });
+        }
+
+        return results;
+    }
+
+    buildResourceContext(resource) {
+        const { operations } = resource;
+        const singular = singularize(resource.name);
+        const plural = pluralize(singular);
+
+        const displaySchema = this.resolveObjectSchema(
+            this.responseSchema(operations.detail, false) ||
+            this.responseSchema(operations.list, true) ||
+            this.requestSchema(operations.create)
+        );
+        const specialFields = identifySpecialFields(displaySchema);
+        const properties = this.buildProperties(displaySchema, specialFields);
+        const idField = properties.find(prop => prop.name === 'id') ||
+            properties.find(prop => prop.name === operations.detail?.itemParam) ||
+            properties.find(prop => /id$/i.test(prop.name));
+
+        const idName = idField?.name || 'id';
+
+        return {
+            resourceName: resource.name,
+            resourceNameSingular: singular,
+            resourceNamePlural: plural,
+            entityName: toPascalCase(singular),
+            displayName: toHumanReadable(plural),
+            displayNameSingular: toHumanReadable(singular),
+            routePath: `/${resource.routePath}`,
+            apiPath: `/api${this.routePrefix ? `/${this.routePrefix}` : ''}${resource.collectionPath}`,
+            idField: idName,
+            idAccessor: this.accessor(idName),
+            listDataKey: this.listDataKey(operations.list),
+            schema: { properties },
+            badgeColors: this.badgeColors(properties),
+            tableColumns: properties
+                .filter(prop => !prop.isObject && !prop.isLargeText)
+                .slice(0, this.maxTableColumns),
+            specialFields,
+            listOperation: this.describeOperation(operations.list),
+            detailOperation: this.describeOperation(operations.detail),
+            createOperation: this.describeOperation(operations.create),
+            updateOperation: this.describeOperation(operations.update),
+            deleteOperation: this.describeOperation(operations.delete)
+        };
+    }
+
+    buildPageContext(context, resource, kind) {
+        const isEdit = kind === 'edit';
+        const formOp = kind === 'create' ? resource.operations.create : resource.operations.update;
+        const pageContext = { ...context, isEdit, pageKind: kind };
+
+        if (kind === 'create' || kind === 'edit') {
+            const formSchema = this.resolveObjectSchema(this.requestSchema(formOp)) || {};
+            const properties = this.buildProperties(formSchema, identifySpecialFields(formSchema))
+                .filter(prop => !prop.readOnly && !prop.hidden);
+
+            pageContext.formOperation = this.describeOperation(formOp);
+            pageContext.schema = { properties, required: formSchema.required || [] };
+            Object.assign(pageContext, this.formState(properties));
+        }
+
+        pageContext.daisyComponents = this.pageComponents(kind, pageContext);
+        return pageContext;
+    }
+
+    describeOperation(op) {
+        if (!op) return null;
+
+        return {
+            operationId: op.operationId,
+            method: op.method,
+            path: op.path,
+            summary: op.summary,
+            description: op.description,
+            parameters: op.parameters || [],
+            requestBody: op.requestBody,
+            itemParam: op.itemParam,
+            confirm: op.uiHints?.confirm,
+            successMessage: op.uiHints?.successMessage,
+            pageParam: (op.parameters || []).find(param =>
+                param.in === 'query' && ['page', 'pageNumber', 'page_number'].includes(param.name)
+            )?.name
+        };
+    }
+
+    /**
+     * Field kinds, initial values and validation rules the form page
+     * embeds as constants
+     */
+    formState(properties) {
+        const fieldKinds = {};
+        const initialValues = {};
+        const validationRules = {};
+
+        for (const prop of properties) {
+            fieldKinds[prop.name] = prop.inputType === 'file' ? 'file'
+                : prop.isObject ? 'json'
+                    : prop.isBoolean ? 'boolean'
+                        : prop.isNumber ? 'number'
+                            : prop.inputType === 'datetime-local' ? 'datetime'
+                                : 'string';
+
+            if (prop.default !== undefined) {
+                initialValues[prop.name] = prop.isObject ? JSON.stringify(prop.default, null, 2) : prop.default;
+            } else if (prop.isBoolean) {
+                initialValues[prop.name] = false;
+            }
+
+            validationRules[prop.name] = {
+                label: prop.label,
+                required: prop.required,
+                rules: prop.validation
+            };
+        }
+
+        return {
+            fieldKinds: JSON.stringify(fieldKinds),
+            initialValues: JSON.stringify(initialValues),
+            validationRules: JSON.stringify(validationRules),
+            hasFileFields: properties.some(prop => prop.inputType === 'file')
+        };
+    }
+
+    /**
+     * Badge classes per enum value for the fields rendered as badges
+     */
+    badgeColors(properties) {
+        const colors = {};
+
+        for (const prop of properties.filter(p => p.isBadge)) {
+            colors[prop.name] = Object.fromEntries((prop.enum || []).map(value => [
+                value,
+                `badge-${prop.uiHints.badgeColors?.[value] || getBadgeColor(String(value), prop.schema)}`
+            ]));
+        }
+
+        return JSON.stringify(colors);
+    }
+
+    accessor(name) {
+        return IDENTIFIER.test(name) ? `.${name}` : `[${JSON.stringify(name)}]`;
+    }
+
+    /**
+     * Describe each property for the templates: labels, input controls,
+     * validation rules and badge colors
+     */
+    buildProperties(schema, specialFields) {
+        if (!schema?.properties) return [];
+
+        const required = schema.required || [];
+        return Object.entries(schema.properties).map(([name, rawProp]) => {
+            const prop = this.getSchema(rawProp) || {};
+            const uiHints = extractUIHints(prop);
+            const inputType = determineInputType(prop, name);
+            const isBadge = specialFields.badges.includes(name) || uiHints.component === 'badge';
+
+            return {
+                name,
+                key: JSON.stringify(name),
+                accessor: this.accessor(name),
+                schema: prop,
+                label: toHumanReadable(name),
+                type: prop.type || 'string',
+                format: prop.format,
+                description: prop.description,
+                required: required.includes(name),
+                readOnly: !!prop.readOnly || !!uiHints.readonly,
+                hidden: !!uiHints.hidden,
+                enum: prop.enum,
+                options: (prop.enum || []).map(value => ({ label: String(value), literal: JSON.stringify(value) })),
+                default: prop.default,
+                minimum: prop.minimum,
+                maximum: prop.maximum,
+                inputType,
+                uiHints,
+                placeholder: uiHints.placeholder || prop.example,
+                isBadge,
+                isToggle: specialFields.toggles.includes(name),
+                isObject: prop.type === 'object' || prop.type === 'array' || !!prop.properties,
+                isLargeText: inputType === 'textarea',
+                isNumber: prop.type === 'number' || prop.type === 'integer',
+                isBoolean: prop.type === 'boolean',
+                isDate: ['date', 'date-time'].includes(prop.format),
+                validation: extractValidationRules(prop)
+            };
+        });
+    }
+
+    /**
+     * DaisyUI components each page uses, for the usage report
+     */
+    pageComponents(kind, context) {
+        const components = new Set(['btn', 'loading', 'alert']);
+        const fields = context.schema?.properties || [];
+
+        if (kind === 'list') {
+            components.add('table');
+            if (context.listOperation?.pageParam) components.add('join');
+        }
+        if (kind === 'detail') {
+            components.add('card');
+            if (context.deleteOperation) components.add('modal');
+        }
+        if (kind === 'create' || kind === 'edit') {
+            components.add('form-control');
+            fields.forEach(field => {
+                if (field.enum && field.inputType !== 'radio') components.add('select');
+                else if (field.inputType === 'radio') components.add('radio');
+                else if (field.inputType === 'textarea') components.add('textarea');
+                else if (field.inputType === 'checkbox') components.add(field.isToggle ? 'toggle' : 'checkbox');
+                else if (field.inputType === 'file') components.add('file-input');
+                else if (field.inputType === 'range') components.add('range');
+                else components.add('input');
+            });
+        } else if (fields.some(field => field.isBadge || field.uiHints?.component === 'badge')) {
+            components.add('badge');
+        }
+
+        components.add('breadcrumbs');
+        return Array.from(components);
+    }
+
+    recordComponent(component) {
+        this.trackDaisyUIComponent(component);
+        this.componentUsage[component] = (this.componentUsage[component] || 0) + 1;
+    }
+
+    responseSchema(op, isList) {
+        if (!op) return null;
+
+        const status = Object.keys(op.responses || {}).find(code => /^2\d\d$/.test(code));
+        const schema = this.getSchema(this.jsonSchema(op.responses?.[status]?.content));
+        if (!schema) return null;
+
+        if (!isList) return schema;
+        if (schema.type === 'array') return schema.items;
+
+        // Wrapped collections such as { data: [...], total: 10 }
+        const key = this.arrayPropertyKey(schema);
+        return key ? this.getSchema(schema.properties[key]).items : null;
+    }
+
+    listDataKey(op) {
+        if (!op) return null;
+
+        const status = Object.keys(op.responses || {}).find(code => /^2\d\d$/.test(code));
+        const schema = this.getSchema(this.jsonSchema(op.responses?.[status]?.content));
+        return schema && schema.type !== 'array' ? this.arrayPropertyKey(schema) : null;
+    }
+
+    arrayPropertyKey(schema) {
+        const entries = Object.entries(schema?.properties || {});
+        const arrays = entries.filter(([, prop]) => this.getSchema(prop)?.type === 'array');
+        const preferred = arrays.find(([key]) => ['data', 'items', 'content', 'results', 'records'].includes(key));
+
+        return (preferred || arrays[0])?.[0] || null;
+    }
+
+    requestSchema(op) {
+        return op ? this.getSchema(this.jsonSchema(op.requestBody?.content)) : null;
+    }
+
+    jsonSchema(content) {
+        if (!content) return null;
+
+        const mediaType = Object.keys(content).find(type => type.includes('json')) || Object.keys(content)[0];
+        return content[mediaType]?.schema || null;
+    }
+
+    /**
+     * Resolve references and flatten allOf so pages see a single object schema
+     */
+    resolveObjectSchema(schema, depth = 0) {
+        schema = this.getSchema(schema);
+        if (!schema || depth > 10) return schema;
+        if (!schema.allOf) return schema;
+
+        const merged = { type: 'object', properties: { ...schema.properties }, required: [...(schema.required || [])] };
+        for (const part of schema.allOf) {
+            const resolved = this.resolveObjectSchema(part, depth + 1);
+            Object.assign(merged.properties, resolved?.properties || {});
+            merged.required.push(...(resolved?.required || []));
+        }
+
+        return merged;
+    }
+}
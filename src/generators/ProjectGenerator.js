@@ -0,0 +1,210 @@
+import BaseGenerator from './BaseGenerator.js';
+import path from 'path';
+
+const DEPENDENCIES = {
+    next: '^14.2.5',
+    react: '^18.3.1',
+    'react-dom': '^18.3.1'
+};
+
+const DEV_DEPENDENCIES = {
+    '@types/node': '^20.14.0',
+    '@types/react': '^18.3.3',
+    '@types/react-dom': '^18.3.0',
+    autoprefixer: '^10.4.19',
+    eslint: '^8.57.0',
+    'eslint-config-next': '^14.2.5',
+    postcss: '^8.4.39',
+    prettier: '^3.3.2',
+    'prettier-plugin-tailwindcss': '^0.6.5',
+    tailwindcss: '^3.4.4',
+    typescript: '^5.7.2'
+};
+
+/**
+ * Scaffolds the Next.js project around the generated code: package.json,
+ * TypeScript/Next/Tailwind configuration, the root layout with the DaisyUI
+ * theme switcher, the home page and the docs. Docker and CI files are added
+ * with the `docker` and `cicd` options.
+ */
+export default class ProjectGenerator extends BaseGenerator {
+    /**
+     * @param {Object} [context]
+     * @param {Array<{name: string, path: string}>} [context.resources] - Pages to link from the navbar
+     */
+    async generate(context = {}) {
+        this.emit('progress', { step: 'project', message: 'Generating project files...' });
+
+        const projectContext = this.getProjectContext(context.resources || []);
+        const files = [];
+
+        for (const [template, outputFile, type] of this.getProjectFiles()) {
+            try {
+                files.push(await this.writeTemplate(template, outputFile, projectContext, type));
+            } catch (error) {
+                this.handleError(`Failed to generate ${outputFile}`, error);
+            }
+        }
+
+        this.emit('progress', {
+            step: 'project',
+            message: `Generated ${files.length} project files`,
+            completed: true
+        });
+
+        return {
+            files,
+            totalFiles: files.length
+        };
+    }
+
+    /**
+     * Template, output path and file type for every project file
+     */
+    getProjectFiles() {
+        const files = [
+            ['project/package.json.hbs', 'package.json', 'config'],
+            ['project/tsconfig.json.hbs', 'tsconfig.json', 'config'],
+            ['project/next.config.mjs.hbs', 'next.config.mjs', 'config'],
+            ['project/tailwind.config.js.hbs', 'tailwind.config.js', 'config'],
+            ['project/postcss.config.js.hbs', 'postcss.config.js', 'config'],
+            ['project/eslintrc.json.hbs', '.eslintrc.json', 'config'],
+            ['project/prettierrc.json.hbs', '.prettierrc.json', 'config'],
+            ['project/env.example.hbs', '.env.example', 'config'],
+            ['project/gitignore.hbs', '.gitignore', 'config'],
+            ['project/globals.css.hbs', path.join('app', 'globals.css'), 'style'],
+            ['project/layout.tsx.hbs', path.join('app', 'layout.tsx'), 'layout'],
+            ['project/page.tsx.hbs', path.join('app', 'page.tsx'), 'project'],
+            ['project/docs/README.md.hbs', 'README.md', 'docs'],
+            ['project/docs/API.md.hbs', path.join('docs', 'API.md'), 'docs'],
+            ['project/docs/DEPLOYMENT.md.hbs', path.join('docs', 'DEPLOYMENT.md'), 'docs'],
+            ['project/docs/CONTRIBUTING.md.hbs', 'CONTRIBUTING.md', 'docs']
+        ];
+
+        if (this.options.daisyui) {
+            files.push(['project/components/ThemeSwitcher.tsx.hbs', path.join('components', 'ThemeSwitcher.tsx'), 'component']);
+        }
+
+        if (this.options.docker) {
+            files.push(
+                ['project/docker/Dockerfile.hbs', 'Dockerfile', 'config'],
+                ['project/docker/dockerignore.hbs', '.dockerignore', 'config'],
+                ['project/docker/docker-compose.yml.hbs', 'docker-compose.yml', 'config']
+            );
+        }
+
+        if (this.options.cicd) {
+            files.push(['project/ci/ci.yml.hbs', path.join('.github', 'workflows', 'ci.yml'), 'config']);
+        }
+
+        return files;
+    }
+
+    async writeTemplate(templatePath, relativePath, context, type) {
+        const content = await this.renderTemplate(templatePath, context);
+        const outputPath = path.join(this.options.output, relativePath);
+
+        if (!this.options.dryRun) {
+            await this.fileWriter.writeFile(outputPath, content);
+        }
+
+        return { file: outputPath, type };
+    }
+
+    getProjectContext(resources) {
+        const info = this.spec.info || {};
+        const themes = this.getThemeNames();
+
+        return {
+            projectName: this.getProjectName(),
+            title: info.title || 'Generated API',
+            version: info.version,
+            description: info.description ? info.description.split('\n')[0].trim() : '',
+            docker: !!this.options.docker,
+            dependencies: this.getDependencies(),
+            devDependencies: this.getDevDependencies(),
+            daisyuiThemes: JSON.stringify(this.getDaisyUIThemes(themes)),
+            darkTheme: themes.includes('dark') ? 'dark' : themes[0],
+            themesJson: JSON.stringify(themes),
+            themeList: themes.join(','),
+            apiUrls: this.getApiUrls(),
+            navigationItems: resources,
+            operationsByTag: this.getOperationsByTag(),
+            securitySchemes: this.hasAuthentication() ? this.getSecuritySchemes() : null,
+            strict: this.config.generation.typescript.strict,
+            prettierOptions: this.getPrettierOptions()
+        };
+    }
+
+    /**
+     * Options for the project's .prettierrc: the ones the files were
+     * generated with (generation.formatting.prettier in the config)
+     */
+    getPrettierOptions() {
+        const { enabled, ...options } = this.config.generation.formatting.prettier;
+        return options;
+    }
+
+    getDependencies() {
+        const dependencies = { ...DEPENDENCIES };
+
+        // The generated API handlers map errors with http-status-codes
+        if (this.options.generateServices) {
+            dependencies['http-status-codes'] = '^2.3.0';
+        }
+
+        // The generated API routes validate requests and responses with zod
+        const { requestValidation, responseValidation } = this.config.features.security;
+        if (this.options.generateRoutes && (requestValidation || responseValidation)) {
+            dependencies.zod = '^3.25.42';
+        }
+
+        return dependencies;
+    }
+
+    getDevDependencies() {
+        const devDependencies = { ...DEV_DEPENDENCIES };
+
+        if (this.options.daisyui) {
+            devDependencies.daisyui = '^4.12.10';
+        }
+
+        return Object.fromEntries(Object.entries(devDependencies).sort(([a], [b]) => a.localeCompare(b)));
+    }
+
+    /**
+     * Selected theme names; the default theme always comes first and a custom
+     * theme is offered as "custom"
+     */
+    getThemeNames() {
+        const { defaultTheme, availableThemes, customThemeContent } = this.getThemeConfig();
+        const themes = [defaultTheme, ...(availableThemes || [])].filter(Boolean);
+
+        if (customThemeContent) {
+            themes.push('custom');
+        }
+
+        return Array.from(new Set(themes));
+    }
+
+    getDaisyUIThemes(themes) {
+        const { customThemeContent } = this.getThemeConfig();
+
+        return themes.map(name => (name === 'custom' && customThemeContent ? { custom: customThemeContent } : name));
+    }
+
+    /**
+     * Backend URL variables for .env.example and the README; a workspace
+     * passes one per service in the apiUrls option
+     */
+    getApiUrls() {
+        if (this.options.apiUrls) {
+            return this.options.apiUrls;
+        }
+
+        return [{
+            name: this.getBaseUrlEnv(),
+            url: this.options.apiUrl || this.spec.servers?.[0]?.url || 'http://localhost:8080'
+        }];
+    }
+}
@@ -1,4 +1,5 @@
 import BaseGenerator from './BaseGenerator.js';
+import { getTagApis } from './ClientGenerator.js';
 import { toPascalCase, toCamelCase, toKebabCase } from '../utils/StringUtils.js';
 import path from 'path';
 
@@ -6,6 +7,8 @@ export default class ServiceGenerator extends BaseGenerator {
     constructor(spec, options) {
         super(spec, options);
         this.serviceName = options.serviceName || 'api';
+        // Workspace services are generated under app/api/<routePrefix>
+        this.routePrefix = options.routePrefix || '';
     }
 
     async generate() {
@@ -86,10 +89,17 @@ export default class ServiceGenerator extends BaseGenerator {
     }
 
     async generateServiceFile(resource) {
+        const clientModule = `@/${(this.options.clientDir || path.join('lib', 'api-client')).split(path.sep).join('/')}`;
+        const { serviceDir } = this.options;
         const templateContext = {
             serviceName: this.serviceName,
             resourceName: resource,
             apiUrl: this.options.apiUrl || process.env.NEXT_PUBLIC_API_URL || 'http://localhost:8080',
+            envVar: this.getBaseUrlEnv(),
+            // In a workspace the API class and the runtime come from the service's own modules
+            clientPath: serviceDir ? `${clientModule}/${serviceDir}` : clientModule,
+            runtimePath: serviceDir ? `${clientModule}/runtime` : clientModule,
+            apis: this.getResourceApis(resource)
         };
 
         // Render the template directly if template doesn't exist
@@ -110,6 +120,7 @@ export default class ServiceGenerator extends BaseGenerator {
             this.options.output,
             'app',
             'api',
+            this.routePrefix,
             `${toKebabCase(resource)}-service.ts`
         );
 
@@ -124,9 +135,26 @@ export default class ServiceGenerator extends BaseGenerator {
         };
     }
 
+    /**
+     * The API classes of the client (one per tag) with operations on the
+     * paths of a resource
+     */
+    getResourceApis(resource) {
+        const byTag = this.getOperationsByTag();
+        const apis = getTagApis(Object.keys(byTag), this.spec.tags, ['baseConfig', 'withSession', 'updateConfig']);
+
+        return apis.filter(api => byTag[api.name].some(op => this.extractResource(op.path) === resource));
+    }
+
     generateServiceContent(context) {
-        return `import { ${toPascalCase(context.serviceName)}Api, Configuration } from '@/lib/api-client';
-import { AxiosRequestConfig } from 'axios';
+        const apiNames = context.apis.map(api => api.className).join(', ');
+        const properties = context.apis.map(api => `  public ${api.propertyName}: ${api.className};`).join('\n');
+        const create = (indent) => context.apis
+            .map(api => `${indent}this.${api.propertyName} = new ${api.className}(this.baseConfig);`)
+            .join('\n');
+
+        return `import { ${apiNames} } from '${context.clientPath}';
+import { Configuration, RequestOptions } from '${context.runtimePath}';
 
 // Service instance singleton
 let ${toCamelCase(context.resourceName)}Service: ${toPascalCase(context.resourceName)}Service | null = null;
@@ -135,21 +163,21 @@ let ${toCamelCase(context.resourceName)}Service: ${toPascalCase(context.resource
  * Service wrapper for ${toPascalCase(context.resourceName)} API operations
  */
 export class ${toPascalCase(context.resourceName)}Service {
-  public ${toCamelCase(context.resourceName)}: ${toPascalCase(context.serviceName)}Api;
+${properties}
   private baseConfig: Configuration;
 
   constructor(config?: Configuration) {
     this.baseConfig = config || new Configuration({
-      basePath: process.env.NEXT_PUBLIC_API_URL || '${context.apiUrl}',
+      basePath: process.env.${context.envVar} || '${context.apiUrl}',
     });
     
-    this.${toCamelCase(context.resourceName)} = new ${toPascalCase(context.serviceName)}Api(this.baseConfig);
+${create('    ')}
   }
 
   /**
    * Create request config with session headers
    */
-  withSession(sessionId: string): AxiosRequestConfig {
+  withSession(sessionId: string): RequestOptions {
     return {
       headers: {
         'X-Session-ID': sessionId,
@@ -166,7 +194,7 @@ export class ${toPascalCase(context.resourceName)}Service {
       ...this.baseConfig,
       ...config,
     });
-    this.${toCamelCase(context.resourceName)} = new ${toPascalCase(context.serviceName)}Api(this.baseConfig);
+${create('    ')}
   }
 }
 
@@ -192,6 +220,8 @@ export function reset${toPascalCase(context.resourceName)}Service(): void {
         const templateContext = {
             serviceName: this.serviceName,
             resourceName: resource,
+            securitySchemes: this.getAuthSchemes(),
+            security: this.getSecurityRequirements() || []
         };
 
         // Render the template directly if template doesn't exist
@@ -212,6 +242,7 @@ export function reset${toPascalCase(context.resourceName)}Service(): void {
             this.options.output,
             'app',
             'api',
+            this.routePrefix,
             `${toKebabCase(resource)}-api-handler.ts`
         );
 
@@ -230,64 +261,26 @@ export function reset${toPascalCase(context.resourceName)}Service(): void {
         return `import { NextRequest, NextResponse } from 'next/server';
 import { StatusCodes } from 'http-status-codes';
 import { logger } from '@/utils/logger';
+import { authenticate, type AuthInfo, type SecurityRequirement, type SecurityScheme } from '@/lib/auth';
 
-export interface AuthInfo {
-  sessionId: string;
-  token: string;
-  userInfo?: {
-    id: string;
-    email?: string;
-    name?: string;
-  };
-}
+export type { AuthInfo };
+
+// Security schemes of the spec and the requirements that apply when a route names none
+const securitySchemes: Record<string, SecurityScheme> = ${JSON.stringify(context.securitySchemes, null, 2)};
+const defaultSecurity: SecurityRequirement[] = ${JSON.stringify(context.security, null, 2)};
 
 /**
- * Authentication middleware for ${toPascalCase(context.resourceName)} API routes
+ * Authentication middleware for ${toPascalCase(context.resourceName)} API routes: the request must
+ * satisfy one of the security requirements, by default the spec's global ones
  */
 export async function withAuthenticationAsync<T>(
   handler: (auth: AuthInfo) => Promise<T>,
-  request: NextRequest
+  request: NextRequest,
+  security: SecurityRequirement[] = defaultSecurity
 ): Promise<T | NextResponse> {
+  let auth: AuthInfo | NextResponse;
   try {
-    // Extract session from cookies or headers
-    const sessionId = request.cookies.get('session-id')?.value || 
-                     request.headers.get('X-Session-ID');
-
-    if (!sessionId) {
-      logger.warn('No session ID found in request');
-      return NextResponse.json({
-        success: false,
-        message: 'Authentication required',
-        error: 'NO_SESSION',
-      }, { status: StatusCodes.UNAUTHORIZED });
-    }
-
-    // Extract authorization token
-    const authHeader = request.headers.get('Authorization');
-    const token = authHeader?.replace('Bearer ', '') || '';
-
-    if (!token) {
-      logger.warn('No authorization token found in request');
-      return NextResponse.json({
-        success: false,
-        message: 'Authorization token required',
-        error: 'NO_TOKEN',
-      }, { status: StatusCodes.UNAUTHORIZED });
-    }
-
-    // TODO: Validate session and token with auth service
-    // For now, we'll pass through with the extracted values
-    const authInfo: AuthInfo = {
-      sessionId,
-      token,
-      userInfo: {
-        id: 'user-id', // This should come from token validation
-      },
-    };
-
-    // Call the handler with auth info
-    return await handler(authInfo);
-
+    auth = await authenticate(request, security, securitySchemes);
   } catch (error) {
     logger.error('Authentication error:', error);
     return NextResponse.json({
@@ -296,6 +289,13 @@ export async function withAuthenticationAsync<T>(
       error: 'AUTH_ERROR',
     }, { status: StatusCodes.UNAUTHORIZED });
   }
+
+  if (auth instanceof NextResponse) {
+    logger.warn(\`Request to \${request.nextUrl.pathname} rejected with \${auth.status}\`);
+    return auth;
+  }
+
+  return handler(auth);
 }
 
 /**
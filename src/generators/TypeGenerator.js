@@ -0,0 +1,373 @@
+import BaseGenerator from './BaseGenerator.js';
+import {
+    convertSchemaToTypeScript,
+    generateInterfaceName,
+    detectCircularReferences,
+    collectSchemaReferences,
+    getSchemaTypes,
+    isNullableSchema,
+    restoreComponentReferences
+} from '../utils/SchemaUtils.js';
+import { toNamingConvention, toDocText } from '../utils/StringUtils.js';
+import path from 'path';
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Generates one TypeScript module per component schema under types/ plus a
+ * barrel file. The generator prepares the context, the templates under
+ * templates/types render the modules.
+ */
+export default class TypeGenerator extends BaseGenerator {
+    constructor(spec, options) {
+        // Unions, extends and imports follow the $refs the loader inlined
+        super(restoreComponentReferences(spec), options);
+        // 'union' emits string-literal unions, 'enum' emits TypeScript enums
+        this.enumStyle = options.enumStyle || 'union';
+        this.typesDir = options.typesDir || 'types';
+        // Naming conventions and type mappings, e.g. from an OpenAPI Generator
+        // config (see core/OpenApiGeneratorConfig.js)
+        this.enumNaming = options.enumNaming || 'PascalCase';
+        this.removeEnumValuePrefix = !!options.removeEnumValuePrefix;
+        this.typeOptions = { typeMappings: options.typeMappings, propertyNaming: options.propertyNaming };
+    }
+
+    async generate() {
+        this.emit('progress', { step: 'types', message: 'Generating TypeScript types...' });
+
+        const schemas = this.getModelSchemas();
+        const files = [];
+        const modules = [];
+        let typeCount = 0;
+        let enumCount = 0;
+
+        for (const [schemaName, schema] of Object.entries(schemas)) {
+            try {
+                const model = this.buildModel(schemaName, schema);
+                const content = await this.renderTemplate('types/model.ts.hbs', { model });
+                const outputPath = path.join(this.options.output, this.typesDir, `${model.fileName}.ts`);
+
+                if (!this.options.dryRun) {
+                    await this.fileWriter.writeFile(outputPath, content);
+                }
+
+                files.push({ file: outputPath, type: 'types', schema: schemaName });
+                modules.push({ name: model.name, fileName: model.fileName, kind: model.kind });
+
+                if (model.kind === 'enum') {
+                    enumCount++;
+                } else {
+                    typeCount++;
+                }
+            } catch (error) {
+                this.handleError(`Failed to generate type for schema ${schemaName}`, error);
+            }
+        }
+
+        if (modules.length > 0) {
+            const content = await this.renderTemplate('types/index.ts.hbs', { modules });
+            const indexPath = path.join(this.options.output, this.typesDir, 'index.ts');
+
+            if (!this.options.dryRun) {
+                await this.fileWriter.writeFile(indexPath, content);
+            }
+
+            files.push({ file: indexPath, type: 'types' });
+        }
+
+        this.emit('progress', {
+            step: 'types',
+            message: `Generated ${typeCount} types and ${enumCount} enums`,
+            completed: true
+        });
+
+        return {
+            files,
+            types: typeCount,
+            enums: enumCount
+        };
+    }
+
+    /**
+     * Component schemas plus the $defs nested in them (OpenAPI 3.1); a $ref
+     * like #/components/schemas/Pet/$defs/Tag names its type by the last key
+     */
+    getModelSchemas() {
+        const schemas = { ...this.getSchemas() };
+
+        for (const schema of Object.values(this.getSchemas())) {
+            for (const [name, definition] of Object.entries(schema?.$defs || {})) {
+                if (!(name in schemas)) {
+                    schemas[name] = definition;
+                }
+            }
+        }
+
+        return schemas;
+    }
+
+    /**
+     * Build the template context for a single schema
+     */
+    buildModel(schemaName, schema) {
+        const name = generateInterfaceName(schemaName);
+        const model = {
+            name,
+            fileName: name,
+            schemaName,
+            description: toDocText(schema.description),
+            deprecated: !!schema.deprecated,
+            imports: this.collectImports(schema, name),
+            circular: this.findCycle(schemaName)
+        };
+
+        if (schema.enum) {
+            return { ...model, ...this.buildEnum(name, schema) };
+        }
+
+        if (schema.oneOf || schema.anyOf) {
+            return { ...model, kind: 'alias', type: this.buildUnion(schema) };
+        }
+
+        if (schema.allOf) {
+            return { ...model, ...this.buildComposition(schema) };
+        }
+
+        if (getSchemaTypes(schema).includes('object') || schema.properties) {
+            if (!schema.properties && !schema.additionalProperties) {
+                return { ...model, kind: 'alias', type: this.withNullable('Record<string, any>', schema) };
+            }
+            return { ...model, kind: 'interface', ...this.buildObject(schema) };
+        }
+
+        return {
+            ...model,
+            kind: 'alias',
+            type: this.withNullable(convertSchemaToTypeScript(schema, this.typeOptions), schema)
+        };
+    }
+
+    /**
+     * Build an enum model; falls back to a union when values are not all
+     * strings or numbers
+     */
+    buildEnum(name, schema) {
+        const values = schema.enum.filter(value => value !== null);
+        const literals = values.map(value => JSON.stringify(value));
+        const canUseEnum = values.length > 0 && values.every(
+            value => typeof value === 'string' || typeof value === 'number'
+        );
+
+        if (this.enumStyle !== 'enum' || !canUseEnum) {
+            if (schema.enum.includes(null) || isNullableSchema(schema)) {
+                literals.push('null');
+            }
+            return { kind: 'enum', isUnion: true, type: literals.join(' | ') || 'never' };
+        }
+
+        const varNames = schema['x-enum-varnames'] || [];
+        const prefix = this.removeEnumValuePrefix ? commonValuePrefix(values) : '';
+        const used = new Set();
+        const members = values.map((value, index) => {
+            let key = varNames[index] || this.enumMemberName(typeof value === 'string' ? value.slice(prefix.length) : value);
+            while (used.has(key)) {
+                key = `${key}_`;
+            }
+            used.add(key);
+            return { key, value: JSON.stringify(value) };
+        });
+
+        return { kind: 'enum', isUnion: false, members, name };
+    }
+
+    enumMemberName(value) {
+        if (typeof value === 'number') {
+            const name = value < 0 ? `ValueMinus${Math.abs(value)}`.replace('.', '_') : `Value${value}`.replace('.', '_');
+            return toNamingConvention(name, this.enumNaming);
+        }
+
+        const words = String(value).replace(/[^A-Za-z0-9]+/g, ' ').trim();
+        const key = this.enumNaming === 'original'
+            ? words.replace(/ /g, '_')
+            : toNamingConvention(words, this.enumNaming);
+        if (!key) return 'Empty';
+        return /^[0-9]/.test(key) ? `_${key}` : key;
+    }
+
+    /**
+     * oneOf/anyOf become a union; with a discriminator each member is
+     * narrowed to its discriminator value
+     */
+    buildUnion(schema) {
+        const variants = schema.oneOf || schema.anyOf;
+        const discriminator = schema.discriminator;
+
+        const members = variants.map(variant => {
+            const type = convertSchemaToTypeScript(variant, this.typeOptions);
+            if (!discriminator?.propertyName || !variant.$ref) {
+                return type;
+            }
+
+            const value = this.discriminatorValue(discriminator, variant.$ref);
+            return `(${type} & { ${this.propertyKey(discriminator.propertyName)}: ${JSON.stringify(value)} })`;
+        });
+
+        return this.withNullable(members.join(' | '), schema);
+    }
+
+    discriminatorValue(discriminator, ref) {
+        const mapping = discriminator.mapping || {};
+        const refName = ref.split('/').pop();
+        const entry = Object.entries(mapping).find(
+            ([, target]) => target === ref || target === refName
+        );
+
+        return entry ? entry[0] : refName;
+    }
+
+    /**
+     * allOf becomes an interface extending the referenced object schemas, or
+     * an intersection when one of the parts is not an object type
+     */
+    buildComposition(schema) {
+        const parents = [];
+        // Properties declared next to allOf belong to the composed type too
+        const inline = { properties: { ...schema.properties }, required: [...(schema.required || [])] };
+        let interfaceCompatible = true;
+
+        for (const part of schema.allOf) {
+            if (part.$ref) {
+                parents.push(convertSchemaToTypeScript(part, this.typeOptions));
+                const target = this.getSchema(part);
+                if (target && !this.isObjectSchema(target)) {
+                    interfaceCompatible = false;
+                }
+            } else if (this.isObjectSchema(part) && !part.allOf) {
+                Object.assign(inline.properties, part.properties || {});
+                inline.required.push(...(part.required || []));
+                if (part.additionalProperties) {
+                    inline.additionalProperties = part.additionalProperties;
+                }
+            } else {
+                interfaceCompatible = false;
+            }
+        }
+
+        if (!interfaceCompatible || isNullableSchema(schema)) {
+            const parts = schema.allOf.map(part => {
+                const type = convertSchemaToTypeScript(part, this.typeOptions);
+                return part.oneOf || part.anyOf ? `(${type})` : type;
+            });
+            return { kind: 'alias', type: this.withNullable(parts.join(' & '), schema) };
+        }
+
+        return {
+            kind: 'interface',
+            extends: parents,
+            ...this.buildObject(inline)
+        };
+    }
+
+    buildObject(schema) {
+        const required = schema.required || [];
+        const properties = Object.entries(schema.properties || {}).map(([propName, prop]) => {
+            const type = this.withNullable(convertSchemaToTypeScript(prop, this.typeOptions), prop);
+
+            return {
+                key: this.propertyKey(propName),
+                type,
+                optional: !required.includes(propName),
+                readOnly: !!prop.readOnly,
+                deprecated: !!prop.deprecated,
+                description: toDocText(prop.description)
+            };
+        });
+
+        // The index signature has to admit every declared property type
+        let indexSignature = null;
+        if (schema.additionalProperties) {
+            const valueType = schema.additionalProperties === true
+                ? 'any'
+                : convertSchemaToTypeScript(schema.additionalProperties, this.typeOptions);
+            const types = new Set([valueType, ...properties.map(prop => prop.type)]);
+            if (properties.some(prop => prop.optional)) {
+                types.add('undefined');
+            }
+            indexSignature = types.has('any') ? 'any' : Array.from(types).join(' | ');
+        }
+
+        return { properties, indexSignature };
+    }
+
+    isObjectSchema(schema) {
+        return getSchemaTypes(schema).includes('object') || !!schema.properties ||
+            (!!schema.allOf && !schema.oneOf && !schema.anyOf);
+    }
+
+    propertyKey(propName) {
+        const name = toNamingConvention(propName, this.typeOptions.propertyNaming);
+        return IDENTIFIER.test(name) ? name : JSON.stringify(name);
+    }
+
+    withNullable(type, schema) {
+        // 3.1 type arrays already carry null through convertSchemaToTypeScript
+        return isNullableSchema(schema) && !/\bnull\b/.test(type) ? `${type} | null` : type;
+    }
+
+    /**
+     * Collect the other schemas this schema references
+     */
+    collectImports(schema, selfName) {
+        // $defs become modules of their own (see getModelSchemas)
+        const { $defs, ...rest } = schema;
+        const names = collectSchemaReferences($defs ? rest : schema);
+        names.delete(selfName);
+
+        return Array.from(names).sort().map(name => ({ name, fileName: name }));
+    }
+
+    /**
+     * Find the reference cycle a schema takes part in, if any. Cycles are
+     * safe in TypeScript as long as they go through interfaces and type-only
+     * imports, which is how every module is emitted.
+     */
+    findCycle(schemaName) {
+        const base = this.spec.components?.schemas ? '#/components/schemas/' : '#/definitions/';
+        const result = detectCircularReferences({ $ref: `${base}${schemaName}` }, new Set(), [], this.spec);
+
+        if (!result || !result.circular) {
+            return null;
+        }
+
+        // Only report cycles this schema is part of, not ones it merely reaches
+        const ownRef = `${base}${schemaName}`;
+        if (result.path[result.path.length - 1] !== ownRef) {
+            return null;
+        }
+
+        return result.path
+            .filter(entry => entry.startsWith('#/'))
+            .map(ref => ref.split('/').pop())
+            .join(' -> ');
+    }
+}
+
+/**
+ * Prefix shared by all string values of an enum up to a separator, e.g.
+ * "STATUS_" for STATUS_ACTIVE and STATUS_INACTIVE
+ */
+function commonValuePrefix(values) {
+    if (values.length < 2 || !values.every(value => typeof value === 'string')) {
+        return '';
+    }
+
+    let prefix = values[0];
+    for (const value of values) {
+        while (!value.startsWith(prefix)) {
+            prefix = prefix.slice(0, -1);
+        }
+    }
+
+    prefix = prefix.slice(0, Math.max(...['_', '-', '.', ' '].map(separator => prefix.lastIndexOf(separator))) + 1);
+    return values.some(value => value.length === prefix.length) ? '' : prefix;
+}
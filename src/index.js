@@ -5,14 +5,18 @@
 import { EventEmitter } from 'node:events';
 import fs from 'node:fs/promises';
 import path from 'node:path';
-import yaml from 'js-yaml';
 import chalk from 'chalk';
 import { fileURLToPath } from 'node:url';
 
 // Core components
 import SwaggerLoader from './core/SwaggerLoader.js';
 import SwaggerValidator from './core/SwaggerValidator.js';
+import { describeIssue } from './core/ValidationReporter.js';
+import { loadLintRules } from './core/Linter.js';
 import FileWriter from './core/FileWriter.js';
+import { normalizeServices } from './core/Workspace.js';
+import ConfigLoader from './core/ConfigLoader.js';
+import { getDefaults, mergeDeep } from '../config/defaults.js';
 
 // Generators
 import TypeGenerator from './generators/TypeGenerator.js';
@@ -29,6 +33,22 @@ import TemplateTester from './TemplateTester.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Generators in the order they run: the client comes before the services
+ * that wrap it, services before the routes that call them, and the project
+ * files last so the navbar can link the generated pages
+ */
+export const GENERATOR_ORDER = ['types', 'client', 'services', 'routes', 'pages', 'project'];
+
+const PROGRESS_MESSAGES = {
+    types: (result) => `Generated ${result.types} types, ${result.enums} enums`,
+    client: (result) => `Generated API client with ${result.operations} operations`,
+    services: (result) => `Generated ${result.totalFiles} service files`,
+    routes: (result) => `Generated ${result.totalRoutes} API routes`,
+    pages: (result) => `Generated ${result.files.length} pages with ${result.components} DaisyUI components`,
+    project: (result) => `Generated ${result.totalFiles} project configuration files`
+};
+
 export default class SwaggerToNextjs extends EventEmitter {
     constructor(options = {}) {
         super();
@@ -40,14 +60,19 @@ export default class SwaggerToNextjs extends EventEmitter {
             generateServices: true, // New option for service generation
             generateRoutes: true,
             generatePages: true,
-            useTimestamp: true,
+            useTimestamp: false,
             force: false,
             dryRun: false,
             verbose: false,
             silent: false,
             testTemplates: true,
+            metaSchema: false, // Validate against the official OpenAPI JSON Schema first
+            lint: {}, // Lint rule settings ({ rules, plugins }), see core/Linter.js
+            loader: {}, // Spec loading: headers, tokenEnv, offline, cache, cacheDirectory (see core/SwaggerLoader.js)
             serviceName: 'api', // Default service name
+            services: null, // Workspace: one entry per backend service (see core/Workspace.js)
             generateSharedUtils: true, // Generate shared utilities like logger
+            environment: null, // Environment whose config overrides apply (default: NODE_ENV or development)
             // DaisyUI options
             daisyui: true,
             theme: 'light',
@@ -56,30 +81,77 @@ export default class SwaggerToNextjs extends EventEmitter {
             ...options
         };
 
+        // Layered configuration (see core/ConfigLoader.js), set up by initialize()
+        this.config = getDefaults(this.options.environment || undefined);
+        this.configSources = ['defaults'];
+
         this.swaggerSource = null;
         this.spec = null;
+        this.serviceSpecs = null;
         this.validation = null;
+        this.lintRules = [];
         this.generatedFiles = [];
         this.errors = [];
         this.warnings = [];
         this.daisyuiComponents = new Set();
         this.startTime = null;
 
+        // Per generator: last results, files it produced and templates it rendered
+        this.results = {};
+        this.generatorFiles = {};
+        this.templateUsage = {};
+
         // Initialize core components
-        this.loader = new SwaggerLoader();
+        this.loader = new SwaggerLoader(this.options.loader);
         this.validator = new SwaggerValidator();
-        this.fileWriter = new FileWriter({
+        this.fileWriter = this.createFileWriter();
+
+        // Generators will be initialized after spec is loaded
+        this.generators = {};
+    }
+
+    /**
+     * Options for SwaggerValidator.validate() from the current options
+     */
+    validationOptions() {
+        return {
+            metaSchema: this.options.metaSchema,
+            lint: this.options.lint,
+            lintRules: this.lintRules
+        };
+    }
+
+    /**
+     * Create a FileWriter from the current options
+     */
+    createFileWriter() {
+        const { enabled: format, ...prettierOptions } = this.config.generation.formatting.prettier;
+
+        return new FileWriter({
             force: this.options.force,
             dryRun: this.options.dryRun,
             interactive: this.options.interactive,
             useTimestamp: this.options.useTimestamp,
-            onProgress: (progress) => this.emit('file:progress', progress)
+            backup: this.options.backup,
+            backupDir: this.options.backupDir,
+            fileMode: this.options.fileMode,
+            directoryMode: this.options.directoryMode,
+            format,
+            prettierOptions: { ...prettierOptions, ...this.options.prettier },
+            onProgress: (progress) => {
+                this.emit('file:progress', progress);
+                if (progress.action === 'written') {
+                    this.emit('file:written', { path: progress.path, dryRun: progress.dryRun });
+                }
+            }
         });
-
-        // Generators will be initialized after spec is loaded
-        this.generators = {};
     }
 
+    /**
+     * Set the specification to generate from
+     * @param {string|string[]} source - File path, URL, "-" (stdin) or glob, or
+     *   several of them to merge into one specification
+     */
     withSwagger(source) {
         this.swaggerSource = source;
         return this;
@@ -90,38 +162,44 @@ export default class SwaggerToNextjs extends EventEmitter {
         return this;
     }
 
-    async initialize(config = {}) {
+    /**
+     * Load the layered configuration: defaults, environment overrides, the
+     * config file, package.json and `config` (see core/ConfigLoader.js)
+     * @param {string|Object} [config] - Config file to use instead of searching the working directory, or
+     *   options applied over the config file
+     * @param {Object} [flags] - Command line flags, applied over every layer
+     */
+    async initialize(config = {}, flags = {}) {
         this.emit('initialize:start', { config });
 
         try {
-            if (typeof config === 'string') {
-                // Load config from file
-                const configContent = await fs.readFile(config, 'utf-8');
-                const ext = path.extname(config);
-
-                if (ext === '.json') {
-                    config = JSON.parse(configContent);
-                } else if (ext === '.yaml' || ext === '.yml') {
-                    config = yaml.load(configContent);
-                }
+            const loader = new ConfigLoader({ environment: this.options.environment });
+            const loaded = await loader.load(typeof config === 'string'
+                ? { configFile: config }
+                : { overrides: config || {} });
+
+            this.config = loaded.config;
+            this.configSources = loaded.sources;
+            this.options = mergeDeep(mergeDeep(this.options, loaded.options), withoutUndefined(flags));
+            loaded.warnings.forEach(message => this.warnings.push(`Configuration: ${message}`));
+
+            // Lint plugins are resolved from the config file's directory
+            const configDir = loaded.configFile ? path.dirname(loaded.configFile) : process.cwd();
+
+            // Load custom lint rules
+            if (this.options.lint?.plugins?.length) {
+                this.lintRules = await loadLintRules(this.options.lint.plugins, configDir);
             }
 
-            Object.assign(this.options, config);
-
             // Load custom theme if provided
             if (this.options.customTheme && typeof this.options.customTheme === 'string') {
                 const themeContent = await fs.readFile(this.options.customTheme, 'utf-8');
                 this.options.customThemeContent = JSON.parse(themeContent);
             }
 
-            // Update FileWriter options
-            this.fileWriter = new FileWriter({
-                force: this.options.force,
-                dryRun: this.options.dryRun,
-                interactive: this.options.interactive,
-                useTimestamp: this.options.useTimestamp,
-                onProgress: (progress) => this.emit('file:progress', progress)
-            });
+            // Update FileWriter and loader options
+            this.fileWriter = this.createFileWriter();
+            this.loader = new SwaggerLoader(this.options.loader);
 
             this.emit('initialize:complete', { options: this.options });
             return this;
@@ -180,7 +258,13 @@ export default class SwaggerToNextjs extends EventEmitter {
         return result;
     }
 
-    initializeGenerators(actualOutputDir) {
+    /**
+     * Create the generators for a spec
+     * @param {string} actualOutputDir - Output directory of this run
+     * @param {Object} [spec] - Specification to generate from (default: the loaded one)
+     * @param {Object} [overrides] - Generator options that differ per workspace service
+     */
+    initializeGenerators(actualOutputDir, spec = this.spec, overrides = {}) {
         // Initialize generators with loaded spec and actual output directory
         const generatorOptions = {
             ...this.options,
@@ -190,17 +274,19 @@ export default class SwaggerToNextjs extends EventEmitter {
             force: this.options.force,
             noDaisyui: !this.options.daisyui,
             fileWriter: this.fileWriter,
+            config: this.config,
             serviceName: this.options.serviceName || 'api',
-            generateSharedUtils: this.options.generateSharedUtils
+            generateSharedUtils: this.options.generateSharedUtils,
+            ...overrides
         };
 
         this.generators = {
-            types: this.options.typescript ? new TypeGenerator(this.spec, generatorOptions) : null,
-            client: this.options.generateClient ? new ClientGenerator(this.spec, generatorOptions) : null,
-            services: this.options.generateServices ? new ServiceGenerator(this.spec, generatorOptions) : null,
-            routes: this.options.generateRoutes ? new ApiRouteGenerator(this.spec, generatorOptions) : null,
-            pages: this.options.generatePages ? new PageGenerator(this.spec, generatorOptions) : null,
-            project: new ProjectGenerator(this.spec, generatorOptions)
+            types: this.options.typescript ? new TypeGenerator(spec, generatorOptions) : null,
+            client: this.options.generateClient ? new ClientGenerator(spec, generatorOptions) : null,
+            services: this.options.generateServices ? new ServiceGenerator(spec, generatorOptions) : null,
+            routes: this.options.generateRoutes ? new ApiRouteGenerator(spec, generatorOptions) : null,
+            pages: this.options.generatePages ? new PageGenerator(spec, generatorOptions) : null,
+            project: new ProjectGenerator(spec, generatorOptions)
         };
 
         // Set file writer for each generator
@@ -228,44 +314,20 @@ export default class SwaggerToNextjs extends EventEmitter {
         try {
             this.emit('generate:start');
 
-            if (!this.swaggerSource) {
+            const services = this.options.services ? normalizeServices(this.options.services) : null;
+            if (!services && !this.swaggerSource) {
                 throw new Error('No OpenAPI specification source provided');
             }
 
-            // Step 1: Load spec
-            this.emit('progress', { step: 'load', message: 'Loading OpenAPI specification...' });
-            this.spec = await this.loader.load(this.swaggerSource);
-
-            // Extract theme hints from spec if available
-            if (this.spec.info?.['x-branding']) {
-                this.options.brandingColors = this.spec.info['x-branding'];
-            }
-
-            // Step 2: Validate spec
-            this.emit('progress', { step: 'validate', message: 'Validating specification...' });
-            this.validation = this.validator.validate(this.spec);
-
-            if (!this.validation.valid) {
-                const errorMessages = this.validation.errors.map(e => e.message).join('\n  - ');
-                throw new Error(`Invalid OpenAPI specification:\n  - ${errorMessages}`);
-            }
-
-            // Store warnings from validation
-            this.warnings.push(...this.validation.warnings.map(w => w.message));
-
-            // Log validation results if verbose
-            if (this.options.verbose && !this.options.silent) {
-                console.log('\nValidation Results:');
-                console.log(`  Valid: ${this.validation.valid}`);
-                console.log(`  Errors: ${this.validation.errors.length}`);
-                console.log(`  Warnings: ${this.validation.warnings.length}`);
-
-                if (this.validation.warnings.length > 0) {
-                    console.log('\nWarnings:');
-                    this.validation.warnings.forEach(w => {
-                        console.log(`  - ${w.message}`);
-                    });
+            // Step 1-2: Load and validate each spec
+            if (services) {
+                this.serviceSpecs = [];
+                for (const service of services) {
+                    this.serviceSpecs.push({ service, spec: await this.loadSpec(service.inputSpec, service.name) });
                 }
+                this.spec = this.serviceSpecs[0].spec;
+            } else {
+                this.spec = await this.loadSpec(this.swaggerSource);
             }
 
             // Step 3: Test templates if enabled
@@ -316,92 +378,35 @@ export default class SwaggerToNextjs extends EventEmitter {
                 }
             }
 
-            // Step 5: Initialize generators with the actual output directory
-            this.initializeGenerators(actualOutputDir);
-
-            // Step 6: Create output directory
+            // Step 5: Create output directory
             if (!this.options.dryRun) {
                 await fs.mkdir(actualOutputDir, { recursive: true });
             }
 
-            // Step 7: Run generators in sequence (order matters!)
-            const results = {};
-
-            // Generate TypeScript types first
-            if (this.generators.types) {
-                const typeResult = await this.generators.types.generate();
-                results.types = typeResult;
-                this.emit('progress', {
-                    step: 'types',
-                    message: `Generated ${typeResult.types} types, ${typeResult.enums} enums`,
-                    completed: true
-                });
-            }
-
-            // Generate API client (must be before services)
-            if (this.generators.client) {
-                const clientResult = await this.generators.client.generate();
-                results.client = clientResult;
-                this.emit('progress', {
-                    step: 'client',
-                    message: `Generated API client with ${clientResult.operations} operations`,
-                    completed: true
-                });
-            }
-
-            // Generate service wrappers (must be before routes)
-            if (this.generators.services) {
-                const serviceResult = await this.generators.services.generate();
-                results.services = serviceResult;
-                this.emit('progress', {
-                    step: 'services',
-                    message: `Generated ${serviceResult.totalFiles} service files`,
-                    completed: true
-                });
-            }
-
-            // Generate API routes (depends on services)
-            if (this.generators.routes) {
-                const routeResult = await this.generators.routes.generate();
-                results.routes = routeResult;
-                this.emit('progress', {
-                    step: 'routes',
-                    message: `Generated ${routeResult.totalRoutes} API routes`,
-                    completed: true
-                });
-            }
-
-            // Generate UI pages
-            if (this.generators.pages) {
-                const pageResult = await this.generators.pages.generate();
-                results.pages = pageResult;
-
-                // Track DaisyUI component usage
-                if (pageResult.usage) {
-                    Object.keys(pageResult.usage).forEach(comp => this.daisyuiComponents.add(comp));
-                }
-
-                this.emit('progress', {
-                    step: 'pages',
-                    message: `Generated ${pageResult.files.length} pages with ${pageResult.components} DaisyUI components`,
-                    completed: true
-                });
+            // Step 6-7: Initialize generators with the actual output directory
+            // and run them in sequence (order matters!)
+            let results;
+            if (services) {
+                results = await this.runWorkspace(actualOutputDir);
+            } else {
+                this.initializeGenerators(actualOutputDir);
+                results = await this.runGenerators();
             }
-
-            // Generate project files last
-            const projectResult = await this.generators.project.generate();
-            results.project = projectResult;
-            this.emit('progress', {
-                step: 'project',
-                message: `Generated ${projectResult.totalFiles} project configuration files`,
-                completed: true
-            });
+            this.results = results;
 
             // Collect all generated files
             this.collectGeneratedFiles(results);
 
-            // Get the FileWriter summary
+            // Get the FileWriter summary and record what was written
             const fileWriterSummary = this.fileWriter.getSummary();
+            const manifestPath = await this.fileWriter.writeManifest();
+            this.emit('progress', {
+                step: 'write',
+                message: `Wrote ${fileWriterSummary.written} files ` +
+                    `(${fileWriterSummary.merged} merged, ${fileWriterSummary.conflicts} conflicts, ` +
+                    `${fileWriterSummary.skipped} skipped, ${fileWriterSummary.unchanged} unchanged)`,
+                completed: true
+            });
 
             // Show dry run summary if applicable
             if (this.options.dryRun) {
@@ -411,14 +416,26 @@ export default class SwaggerToNextjs extends EventEmitter {
                 });
             }
 
+            // Files that could not be written fail the run like generator errors do
+            const errors = [
+                ...this.errors,
+                ...fileWriterSummary.files.errors.map(({ file, error }) => ({
+                    generator: 'FileWriter',
+                    message: `Failed to write ${file}`,
+                    error
+                }))
+            ];
+
             const duration = Date.now() - this.startTime;
             const result = {
-                success: true,
+                success: errors.length === 0,
                 duration,
                 outputDirectory: actualOutputDir,
                 timestamp: this.fileWriter.timestamp,
+                manifest: manifestPath,
                 files: this.generatedFiles,
-                errors: this.errors,
+                conflicts: fileWriterSummary.files.conflicts,
+                errors,
                 warnings: this.warnings,
                 daisyuiComponents: Array.from(this.daisyuiComponents),
                 themes: this.options.themes,
@@ -426,6 +443,9 @@ export default class SwaggerToNextjs extends EventEmitter {
                     totalFiles: this.generatedFiles.length,
                     writtenFiles: fileWriterSummary.written,
                     skippedFiles: fileWriterSummary.skipped,
+                    unchangedFiles: fileWriterSummary.unchanged,
+                    mergedFiles: fileWriterSummary.merged,
+                    conflictFiles: fileWriterSummary.conflicts,
                     types: results.types?.types || 0,
                     routes: results.routes?.totalRoutes || 0,
                     services: results.services?.totalFiles || 0,
@@ -443,6 +463,125 @@ export default class SwaggerToNextjs extends EventEmitter {
         }
     }
 
+    /**
+     * Load a spec, pick up its branding and validate it
+     * @param {string|string[]} source - Spec source(s), see SwaggerLoader.load()
+     * @param {string} [serviceName] - Workspace service the spec belongs to, for messages
+     * @returns {Promise<Object>} The loaded spec
+     */
+    async loadSpec(source, serviceName) {
+        const label = serviceName ? ` (${serviceName})` : '';
+
+        this.emit('progress', { step: 'load', message: `Loading OpenAPI specification${label}...` });
+        const spec = await this.loader.load(source);
+
+        // Extract theme hints from spec if available; in a workspace the first service's win
+        if (spec.info?.['x-branding'] && !(serviceName && this.options.brandingColors)) {
+            this.options.brandingColors = spec.info['x-branding'];
+        }
+
+        this.emit('progress', { step: 'validate', message: `Validating specification${label}...` });
+        this.validation = this.validator.validate(spec, this.validationOptions());
+
+        if (!this.validation.valid) {
+            const errorMessages = this.validation.errors.map(describeIssue).join('\n  - ');
+            throw new Error(`Invalid OpenAPI specification${label}:\n  - ${errorMessages}`);
+        }
+
+        // Store warnings from validation
+        this.warnings.push(...this.validation.warnings.map(w => (serviceName ? `${serviceName}: ${describeIssue(w)}` : describeIssue(w))));
+
+        // Log validation results if verbose
+        if (this.options.verbose && !this.options.silent) {
+            console.log(`\nValidation Results${label}:`);
+            console.log(`  Valid: ${this.validation.valid}`);
+            console.log(`  Errors: ${this.validation.errors.length}`);
+            console.log(`  Warnings: ${this.validation.warnings.length}`);
+
+            if (this.validation.warnings.length > 0) {
+                console.log('\nWarnings:');
+                this.validation.warnings.forEach(w => {
+                    console.log(`  - ${describeIssue(w)}`);
+                });
+            }
+        }
+
+        return spec;
+    }
+
+    /**
+     * Generate every workspace service under its own prefix, then the client
+     * entry points and the middleware shared by all of them and the project
+     * files once
+     * @param {string} actualOutputDir - Output directory of this run
+     * @returns {Promise<Object>} Results keyed by generator name, summed over the services
+     */
+    async runWorkspace(actualOutputDir) {
+        const results = {};
+        const generatorFiles = {};
+        const clients = [];
+        let clientGenerator = null;
+        let routeGenerator = null;
+        const apiUrls = this.serviceSpecs.map(({ service, spec }) => ({
+            name: service.baseUrlEnv,
+            url: service.apiUrl || spec.servers?.[0]?.url || 'http://localhost:8080'
+        }));
+
+        for (const [index, { service, spec }] of this.serviceSpecs.entries()) {
+            this.emit('progress', { step: 'service', message: `Generating service ${service.name}...` });
+
+            this.initializeGenerators(actualOutputDir, spec, {
+                serviceName: service.name,
+                baseUrlEnv: service.baseUrlEnv,
+                apiUrl: service.apiUrl,
+                typesDir: `types/${service.outputPrefix}`,
+                clientDir: 'lib',
+                serviceDir: service.outputPrefix,
+                routePrefix: service.outputPrefix,
+                sharedFiles: false,
+                // The logger is shared by all services
+                generateSharedUtils: this.options.generateSharedUtils && index === 0
+            });
+
+            combineResults(results, await this.runGenerators(GENERATOR_ORDER.filter(name => name !== 'project')));
+            for (const [name, files] of Object.entries(this.generatorFiles)) {
+                generatorFiles[name] = [...(generatorFiles[name] || []), ...files];
+            }
+
+            if (this.generators.client) {
+                clientGenerator = clientGenerator || this.generators.client;
+                clients.push({
+                    name: service.outputPrefix,
+                    className: service.className,
+                    namespace: service.namespace,
+                    hasAuth: this.generators.client.hasAuthentication()
+                });
+            }
+            routeGenerator = routeGenerator || this.generators.routes;
+        }
+
+        if (clientGenerator) {
+            const before = new Set(this.fileWriter.manifest.keys());
+            results.client.files.push(...await clientGenerator.generateSharedFiles(clients));
+            generatorFiles.client.push(...Array.from(this.fileWriter.manifest.keys()).filter(file => !before.has(file)));
+        }
+
+        if (routeGenerator && results.routes?.totalRoutes > 0) {
+            const before = new Set(this.fileWriter.manifest.keys());
+            results.routes.files.push(...await routeGenerator.generateMiddleware(results.routes.routePolicies, apiUrls));
+            generatorFiles.routes.push(...Array.from(this.fileWriter.manifest.keys()).filter(file => !before.has(file)));
+        }
+
+        this.initializeGenerators(actualOutputDir, this.spec, { apiUrls });
+        Object.assign(results, await this.runGenerators(['project'], results));
+        if (results.pages) {
+            results.pages.components = Object.keys(results.pages.usage || {}).length;
+        }
+        this.generatorFiles = { ...generatorFiles, project: this.generatorFiles.project };
+
+        return results;
+    }
+
     collectGeneratedFiles(results) {
         // Collect files from each generator result
         Object.values(results).forEach(result => {
@@ -473,6 +612,82 @@ export default class SwaggerToNextjs extends EventEmitter {
         });
     }
 
+    /**
+     * Run generators in order
+     * @param {string[]} [names] - Generators to run, all of them by default
+     * @param {Object} [previous] - Results of an earlier run, for inputs of
+     *   generators that are not re-run
+     * @returns {Promise<Object>} Results keyed by generator name
+     */
+    async runGenerators(names = GENERATOR_ORDER, previous = {}) {
+        const results = {};
+
+        for (const name of GENERATOR_ORDER) {
+            const generator = this.generators[name];
+            if (!generator || !names.includes(name)) continue;
+
+            const before = new Set(this.fileWriter.manifest.keys());
+            const result = name === 'project'
+                ? await generator.generate({ resources: (results.pages || previous.pages)?.resources })
+                : await generator.generate();
+
+            results[name] = result;
+            this.generatorFiles[name] = Array.from(this.fileWriter.manifest.keys()).filter(file => !before.has(file));
+            this.templateUsage[name] = new Set(generator.templateEngine.renderedTemplates);
+
+            // Track DaisyUI component usage
+            if (name === 'pages' && result.usage) {
+                Object.keys(result.usage).forEach(comp => this.daisyuiComponents.add(comp));
+            }
+
+            this.emit('progress', { step: name, message: PROGRESS_MESSAGES[name](result), completed: true });
+        }
+
+        return results;
+    }
+
+    /**
+     * Re-run some generators after an input changed (watch mode). The spec is
+     * reloaded through the loader cache and output goes to the same directory
+     * as the last generate() run, so this requires useTimestamp to be off.
+     * Files the generators produced before but no longer do are deleted,
+     * unless they carry local edits (see FileWriter.removeStaleFile).
+     * @param {string[]} names - Generators to run
+     * @returns {Promise<Object>} Results of the generators that ran
+     */
+    async regenerate(names) {
+        if (this.options.services) {
+            throw new Error('Watch mode does not support workspaces');
+        }
+
+        this.errors = [];
+        this.warnings = [];
+
+        this.spec = await this.loader.load(this.swaggerSource);
+        this.validation = this.validator.validate(this.spec, this.validationOptions());
+
+        if (!this.validation.valid) {
+            const errorMessages = this.validation.errors.map(describeIssue).join('\n  - ');
+            throw new Error(`Invalid OpenAPI specification:\n  - ${errorMessages}`);
+        }
+
+        this.fileWriter = this.createFileWriter();
+        const actualOutputDir = this.fileWriter.initializeOutputDirectory(this.options.outputDir);
+        this.initializeGenerators(actualOutputDir);
+
+        const previousFiles = names.flatMap(name => this.generatorFiles[name] || []);
+        const results = await this.runGenerators(names, this.results);
+        Object.assign(this.results, results);
+
+        // Outputs of operations and schemas that left the spec
+        for (const file of previousFiles.filter(file => !this.fileWriter.manifest.has(file))) {
+            await this.fileWriter.removeStaleFile(file);
+        }
+
+        await this.fileWriter.writeManifest({ carryOver: true });
+        return results;
+    }
+
     async cleanup() {
         this.emit('cleanup:start');
 
@@ -486,11 +701,15 @@ export default class SwaggerToNextjs extends EventEmitter {
 
         // Reset state
         this.spec = null;
+        this.serviceSpecs = null;
         this.validation = null;
         this.generatedFiles = [];
         this.errors = [];
         this.warnings = [];
         this.daisyuiComponents.clear();
+        this.results = {};
+        this.generatorFiles = {};
+        this.templateUsage = {};
 
         // Reset FileWriter
         this.fileWriter.reset();
@@ -503,8 +722,38 @@ export default class SwaggerToNextjs extends EventEmitter {
     }
 }
 
+/**
+ * Add the results of one workspace service to the totals: file lists are
+ * concatenated and counts summed
+ */
+function combineResults(total, results) {
+    for (const [key, value] of Object.entries(results)) {
+        if (Array.isArray(value)) {
+            total[key] = [...(total[key] || []), ...value];
+        } else if (typeof value === 'number') {
+            total[key] = (total[key] || 0) + value;
+        } else if (value && typeof value === 'object') {
+            total[key] = combineResults({ ...total[key] }, value);
+        } else {
+            total[key] = value;
+        }
+    }
+    return total;
+}
+
+/**
+ * Copy of an options object without undefined values, so flags that were
+ * not given do not override the config
+ */
+function withoutUndefined(options) {
+    return Object.fromEntries(Object.entries(options)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => [key, value && typeof value === 'object' && value.constructor === Object ? withoutUndefined(value) : value]));
+}
+
 // Named export for the class
 export { SwaggerToNextjs };
 
 // Re-export the class as a property for compatibility
-SwaggerToNextjs.SwaggerToNextjs = SwaggerToNextjs;
\ No newline at end of file
+SwaggerToNextjs.SwaggerToNextjs = SwaggerToNextjs;
+
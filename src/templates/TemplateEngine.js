@@ -55,6 +55,9 @@ export default class TemplateEngine {
         this.templateCache = new Map();
         this.partialCache = new Map();
 
+        // Templates rendered by this engine, so watch mode knows who uses what
+        this.renderedTemplates = new Set();
+
         // Override directories for custom templates
         this.overrideDirs = options.overrideDirs || [];
         if (options.templateDir) {
@@ -245,6 +248,7 @@ export default class TemplateEngine {
     render(templatePath, data = {}) {
         try {
             const template = this.loadTemplate(templatePath);
+            this.renderedTemplates.add(this.normalizeTemplatePath(templatePath));
 
             // Add metadata to context
             const context = {
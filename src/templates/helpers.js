@@ -0,0 +1,309 @@
+/**
+ * helpers.js - Handlebars helpers registered by TemplateEngine
+ *
+ * Every named export is registered under its own name, so this module is the
+ * helper API available to built-in and custom templates (--template-dir).
+ * Helpers wrap StringUtils, SchemaUtils and PathUtils so templates and
+ * generators share one implementation. Handlebars passes an options object
+ * as the last argument; helpers strip it so optional parameters keep their
+ * defaults when called from a template.
+ */
+import {
+    toPascalCase,
+    toCamelCase,
+    toKebabCase,
+    toSnakeCase,
+    toUpperCase,
+    toHumanReadable,
+    toDaisyUIComponentClass,
+    capitalize as capitalizeString,
+    pluralize as pluralizeString,
+    singularize as singularizeString,
+    truncate as truncateString
+} from '../utils/StringUtils.js';
+import {
+    convertSchemaToTypeScript,
+    determineInputType,
+    getBadgeColor
+} from '../utils/SchemaUtils.js';
+import {
+    pathToRoute as toNextRoute,
+    extractPathParams as extractParams,
+    routeToFilePath as toFilePath
+} from '../utils/PathUtils.js';
+
+const LARGE_TEXT_FIELDS = ['description', 'note', 'comment', 'content', 'body', 'bio', 'summary'];
+const MANAGED_FIELDS = ['id', 'createdAt', 'updatedAt', 'deletedAt', 'created_at', 'updated_at', 'deleted_at'];
+
+function isHelperOptions(value) {
+    return !!value && typeof value === 'object' && 'hash' in value && 'name' in value;
+}
+
+/**
+ * Drop the trailing Handlebars options object before calling the helper
+ */
+function helper(fn) {
+    return (...args) => {
+        if (args.length > 0 && isHelperOptions(args[args.length - 1])) {
+            args.pop();
+        }
+        return fn(...args);
+    };
+}
+
+function verbOf(operationId = '') {
+    const match = /^(create|add|post|delete|remove|destroy|update|edit|patch|put|list|get|find|search)/i.exec(operationId);
+    return match ? match[1].toLowerCase() : null;
+}
+
+// ---------------------------------------------------------------------------
+// Case conversion
+// ---------------------------------------------------------------------------
+
+/** user-profile -> UserProfile */
+export const pascalCase = helper((str) => toPascalCase(str ? String(str) : ''));
+
+/** user-profile -> userProfile */
+export const camelCase = helper((str) => toCamelCase(str ? String(str) : ''));
+
+/** UserProfile -> user-profile */
+export const kebabCase = helper((str) => toKebabCase(str ? String(str) : ''));
+
+/** userProfile -> user_profile */
+export const snakeCase = helper((str) => toSnakeCase(str ? String(str) : ''));
+
+/** userProfile -> USER_PROFILE */
+export const upperCase = helper((str) => toUpperCase(str ? String(str) : ''));
+
+/** userProfile -> User Profile */
+export const humanize = helper((str) => toHumanReadable(str ? String(str) : ''));
+
+export const capitalize = helper((str) => capitalizeString(str ? String(str) : ''));
+
+export const pluralize = helper((str) => pluralizeString(str ? String(str) : ''));
+
+export const singularize = helper((str) => singularizeString(str ? String(str) : ''));
+
+export const truncate = helper((str, maxLength = 50) => truncateString(str ? String(str) : '', maxLength));
+
+// ---------------------------------------------------------------------------
+// Types and schemas
+// ---------------------------------------------------------------------------
+
+/** TypeScript type for a schema: { type: 'integer' } -> number */
+export const typeString = helper((schema) => convertSchemaToTypeScript(schema));
+
+/** Like typeString, adding `| null` for nullable schemas */
+export const tsType = helper((schema) => {
+    const type = convertSchemaToTypeScript(schema);
+    return isNullable(schema) && !/\bnull\b/.test(type) ? `${type} | null` : type;
+});
+
+export const isRequired = helper((name, required) => Array.isArray(required) && required.includes(name));
+
+export const isNullable = helper((schema) => !!schema && (
+    schema.nullable === true || (Array.isArray(schema.type) && schema.type.includes('null'))
+));
+
+/** Schema as a JSON literal, e.g. to embed it in generated code */
+export const jsonSchema = helper((schema, indent = 2) => jsonStringify(schema ?? {}, indent));
+
+// ---------------------------------------------------------------------------
+// Paths
+// ---------------------------------------------------------------------------
+
+/** /users/{userId} -> /users/[userId] */
+export const pathToRoute = helper((openApiPath) => toNextRoute(openApiPath));
+
+/** /users/{userId}/posts/{postId} -> ['userId', 'postId'] */
+export const extractPathParams = helper((openApiPath) => extractParams(openApiPath));
+
+/** /users/[userId] -> users/[userId] */
+export const routeToFilePath = helper((route) => toFilePath(route));
+
+/** App directory of an OpenAPI path: /users/{userId} -> users/[userId] */
+export const routePath = helper((openApiPath) => toFilePath(toNextRoute(openApiPath)));
+
+// ---------------------------------------------------------------------------
+// Operations
+// ---------------------------------------------------------------------------
+
+export const hasBody = helper((operation) => {
+    const content = operation?.requestBody?.content;
+    return !!content && Object.keys(content).length > 0;
+});
+
+/** Whether a schema has fields a user fills in (not read-only, hidden or server-managed) */
+export const hasFormFields = helper((schema) => Object.entries(schema?.properties || {}).some(([name, prop]) =>
+    !prop.readOnly && !prop['x-ui-hidden'] && !prop['x-ui-readonly'] && !MANAGED_FIELDS.includes(name)
+));
+
+/** First 2xx status of a responses object, '200' when there is none */
+export const getSuccessStatus = helper((responses) => Object.keys(responses || {})
+    .filter(code => /^2\d\d$/.test(code))
+    .sort()[0] || '200');
+
+/** GET on a collection path returning an array */
+export const isListOperation = helper((operation, operationPath = '') => {
+    if (String(operation?.method).toLowerCase() !== 'get' || /\{[^}]+\}$/.test(operationPath)) {
+        return false;
+    }
+
+    const status = getSuccessStatus(operation.responses);
+    const content = operation.responses?.[status]?.content || {};
+    const schema = (content['application/json'] || Object.values(content)[0])?.schema;
+
+    return schema?.type === 'array' ||
+        Object.values(schema?.properties || {}).some(prop => prop.type === 'array');
+});
+
+export const needsConfirmation = helper((operation) => !!operation && (
+    String(operation.method).toUpperCase() === 'DELETE' ||
+    !!operation['x-ui-confirm'] ||
+    ['delete', 'remove', 'destroy'].includes(verbOf(operation.operationId))
+));
+
+/** Heroicons/lucide-style icon name for an operation */
+export const getOperationIcon = helper((operation = {}, method = operation.method) => {
+    if (operation['x-ui-icon']) return operation['x-ui-icon'];
+
+    const icons = {
+        create: 'Plus', add: 'Plus', post: 'Plus',
+        delete: 'Trash2', remove: 'Trash2', destroy: 'Trash2',
+        update: 'Pencil', edit: 'Pencil', patch: 'Pencil', put: 'Pencil',
+        list: 'List', search: 'Search', find: 'Search'
+    };
+    const byVerb = icons[verbOf(operation.operationId)];
+    if (byVerb) return byVerb;
+
+    const byMethod = { GET: 'Eye', POST: 'Plus', PUT: 'Pencil', PATCH: 'Pencil', DELETE: 'Trash2' };
+    return byMethod[String(method).toUpperCase()] || 'Circle';
+});
+
+// ---------------------------------------------------------------------------
+// DaisyUI
+// ---------------------------------------------------------------------------
+
+/** Component class with modifiers: daisyClass 'btn' 'primary' 'sm' -> btn btn-primary btn-sm */
+export const daisyClass = helper((component, ...modifiers) => toDaisyUIComponentClass(component, modifiers));
+
+/** DaisyUI form component and classes for a schema */
+export const daisyInputType = helper((schema, fieldName = '') => {
+    const component = determineInputType(schema, fieldName);
+    const classes = {
+        checkbox: 'checkbox',
+        toggle: 'toggle',
+        radio: 'radio',
+        range: 'range',
+        select: 'select select-bordered w-full',
+        textarea: 'textarea textarea-bordered w-full',
+        file: 'file-input file-input-bordered w-full'
+    };
+
+    return { component, class: classes[component] || 'input input-bordered w-full' };
+});
+
+/** Button color for an operation: explicit hint, then operationId verb, then HTTP method */
+export const daisyButtonVariant = helper((operation = {}, method = operation.method) => {
+    if (operation['x-ui-button-variant']) return operation['x-ui-button-variant'];
+
+    const verb = verbOf(operation.operationId);
+    if (['create', 'add'].includes(verb)) return 'success';
+    if (['delete', 'remove', 'destroy'].includes(verb)) return 'error';
+    if (['update', 'edit', 'patch'].includes(verb)) return 'warning';
+
+    const variants = { POST: 'success', DELETE: 'error', PUT: 'warning', PATCH: 'warning' };
+    return variants[String(method).toUpperCase()] || 'primary';
+});
+
+export const daisyAlertType = helper((type) => (
+    ['error', 'warning', 'info', 'success'].includes(type) ? `alert-${type}` : 'alert-error'
+));
+
+export const daisyTableClass = helper((options = {}) => {
+    const classes = ['table'];
+    if (options.zebra !== false) classes.push('table-zebra');
+    if (options.hover) classes.push('hover');
+    if (options.compact) classes.push('table-compact');
+    if (options.pinRows) classes.push('table-pin-rows');
+    return classes.join(' ');
+});
+
+export const formControlClass = helper((field, errors = {}, touched = {}) => (
+    field && errors?.[field] && touched?.[field] ? 'form-control has-error' : 'form-control'
+));
+
+/** DaisyUI color for a status value; honours x-ui-colors on the schema */
+export const badgeColor = helper((value, schema) => getBadgeColor(value === undefined || value === null ? '' : String(value), schema));
+
+export const methodColor = helper((method) => {
+    const colors = { get: 'primary', post: 'success', put: 'warning', patch: 'warning', delete: 'error' };
+    return `badge-${colors[String(method).toLowerCase()] || 'neutral'}`;
+});
+
+export const daisyLoading = helper((type = 'spinner', size) => (
+    size ? `loading loading-${type} loading-${size}` : `loading loading-${type}`
+));
+
+export const daisySkeleton = helper((type = 'text', dimensions = {}) => {
+    const shapes = {
+        text: 'h-4 w-full',
+        title: 'h-8 w-3/4',
+        avatar: 'h-12 w-12 rounded-full',
+        button: 'h-10 w-24',
+        card: 'h-32 w-full'
+    };
+    return ['skeleton', shapes[type] || shapes.text, dimensions.width, dimensions.height].filter(Boolean).join(' ');
+});
+
+export const hasTooltip = helper((schema) => !!schema && !!(
+    schema.description || schema.example !== undefined || schema.pattern || schema['x-ui-help-text']
+));
+
+export const tooltipContent = helper((schema = {}) => {
+    const parts = [];
+    if (schema.description) parts.push(schema.description);
+    if (schema['x-ui-help-text']) parts.push(schema['x-ui-help-text']);
+    if (schema.example !== undefined) parts.push(`Example: ${schema.example}`);
+    if (schema.pattern) parts.push(`Pattern: ${schema.pattern}`);
+    if (schema.minimum !== undefined) parts.push(`Min: ${schema.minimum}`);
+    if (schema.maximum !== undefined) parts.push(`Max: ${schema.maximum}`);
+    if (schema.minLength !== undefined) parts.push(`Min length: ${schema.minLength}`);
+    if (schema.maxLength !== undefined) parts.push(`Max length: ${schema.maxLength}`);
+    return parts.join(' | ');
+});
+
+/** Breadcrumb items for a route, skipping dynamic segments */
+export const generateBreadcrumbs = helper((route = '') => {
+    const breadcrumbs = [{ label: 'Home', path: '/' }];
+    let current = '';
+
+    for (const segment of String(route).split('/').filter(Boolean)) {
+        current += `/${segment}`;
+        if (/^[[{].*[\]}]$/.test(segment)) continue;
+        breadcrumbs.push({ label: toHumanReadable(segment), path: current });
+    }
+
+    return breadcrumbs;
+});
+
+// ---------------------------------------------------------------------------
+// Utilities
+// ---------------------------------------------------------------------------
+
+/** JSON.stringify that never throws; circular values render as {} */
+export const jsonStringify = helper((value, indent = 2) => {
+    try {
+        return JSON.stringify(value, null, indent);
+    } catch {
+        return '{}';
+    }
+});
+
+export const isLargeTextField = helper((schema, fieldName = '') => {
+    if (schema?.type !== 'string') return false;
+    if (schema.maxLength > 255) return true;
+
+    const name = String(fieldName).toLowerCase();
+    return LARGE_TEXT_FIELDS.some(hint => name.includes(hint));
+});
@@ -0,0 +1,201 @@
+/**
+ * MergeUtils.js - Merging regenerated files with hand-edited copies
+ *
+ * Generated files may contain protected regions:
+ *
+ *   // @custom-start handlers
+ *   ...hand-written code...
+ *   // @custom-end
+ *
+ * Any comment syntax works (JSX comments, #, <!-- -->) as long as the markers
+ * sit on their own lines. Regions are matched by name; unnamed regions are
+ * matched by position. Edits outside regions are merged with a line-based
+ * three-way merge against the previously generated content.
+ */
+
+const START_MARKER = /@custom-start(?:[ \t]+([\w.-]+))?/;
+const END_MARKER = /@custom-end\b/;
+
+function splitLines(content) {
+    return content === '' ? [] : content.split('\n');
+}
+
+/**
+ * Locate the protected regions of a file
+ * @returns {Array<{name: string, start: number, end: number}>} Marker line indexes
+ */
+function findRegions(lines) {
+    const regions = [];
+    let open = null;
+    let unnamed = 0;
+
+    lines.forEach((line, index) => {
+        const start = open ? null : START_MARKER.exec(line);
+        if (start) {
+            open = { name: start[1] || `#${unnamed++}`, start: index };
+        } else if (open && END_MARKER.test(line)) {
+            regions.push({ ...open, end: index });
+            open = null;
+        }
+    });
+
+    // An unterminated region is not protected
+    return regions;
+}
+
+/**
+ * Extract the bodies of all protected regions
+ * @param {string} content - File content
+ * @returns {Map<string, string>} Region name -> body
+ */
+export function extractCustomRegions(content) {
+    const lines = splitLines(content);
+    const regions = new Map();
+
+    for (const { name, start, end } of findRegions(lines)) {
+        if (!regions.has(name)) {
+            regions.set(name, lines.slice(start + 1, end).join('\n'));
+        }
+    }
+
+    return regions;
+}
+
+/**
+ * Replace the bodies of protected regions in freshly generated content
+ * @param {string} content - Generated content
+ * @param {Map<string, string>} regions - Bodies to restore, by region name
+ * @returns {string} Content with the restored bodies
+ */
+export function applyCustomRegions(content, regions) {
+    if (!regions || regions.size === 0) return content;
+
+    const lines = splitLines(content);
+    const output = [];
+    let cursor = 0;
+
+    for (const { name, start, end } of findRegions(lines)) {
+        output.push(...lines.slice(cursor, start + 1));
+        if (regions.has(name)) {
+            output.push(...splitLines(regions.get(name)));
+        } else {
+            output.push(...lines.slice(start + 1, end));
+        }
+        cursor = end;
+    }
+
+    output.push(...lines.slice(cursor));
+    return output.join('\n');
+}
+
+/**
+ * Empty every protected region, leaving only the generator-owned content
+ * @param {string} content - File content
+ * @returns {string}
+ */
+export function stripCustomRegions(content) {
+    const names = findRegions(splitLines(content)).map(region => region.name);
+    return applyCustomRegions(content, new Map(names.map(name => [name, ''])));
+}
+
+/**
+ * Longest common subsequence of two line arrays
+ * @returns {Int32Array} For each line of `a`, the matching index in `b` or -1
+ */
+function matchLines(a, b) {
+    const width = b.length + 1;
+    const lengths = new Uint32Array((a.length + 1) * width);
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i * width + j] = a[i] === b[j]
+                ? lengths[(i + 1) * width + j + 1] + 1
+                : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+        }
+    }
+
+    const matches = new Int32Array(a.length).fill(-1);
+    let i = 0;
+    let j = 0;
+
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            matches[i++] = j++;
+        } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+
+    return matches;
+}
+
+function sameLines(a, b) {
+    return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Line-based three-way merge (diff3). Changes made on only one side are
+ * taken; lines changed differently on both sides become a conflict block:
+ *
+ *   <<<<<<< current
+ *   ||||||| base
+ *   =======
+ *   >>>>>>> generated
+ *
+ * @param {string} base - Content generated by the previous run
+ * @param {string} current - Content on disk, possibly hand-edited
+ * @param {string} generated - Content generated by this run
+ * @returns {{content: string, conflicts: number}} Merged content and number of conflict blocks
+ */
+export function mergeThreeWay(base, current, generated) {
+    const baseLines = splitLines(base);
+    const currentLines = splitLines(current);
+    const generatedLines = splitLines(generated);
+    const toCurrent = matchLines(baseLines, currentLines);
+    const toGenerated = matchLines(baseLines, generatedLines);
+
+    const output = [];
+    let conflicts = 0;
+    let b = 0;
+    let c = 0;
+    let g = 0;
+
+    while (true) {
+        // Next base line kept by both sides
+        let k = b;
+        while (k < baseLines.length && (toCurrent[k] < 0 || toGenerated[k] < 0)) k++;
+
+        const stable = k < baseLines.length;
+        const cEnd = stable ? toCurrent[k] : currentLines.length;
+        const gEnd = stable ? toGenerated[k] : generatedLines.length;
+
+        const baseChunk = baseLines.slice(b, k);
+        const currentChunk = currentLines.slice(c, cEnd);
+        const generatedChunk = generatedLines.slice(g, gEnd);
+
+        if (sameLines(baseChunk, currentChunk) || sameLines(currentChunk, generatedChunk)) {
+            output.push(...generatedChunk);
+        } else if (sameLines(baseChunk, generatedChunk)) {
+            output.push(...currentChunk);
+        } else {
+            conflicts++;
+            output.push(
+                '<<<<<<< current', ...currentChunk,
+                '||||||| base', ...baseChunk,
+                '=======', ...generatedChunk,
+                '>>>>>>> generated'
+            );
+        }
+
+        if (!stable) break;
+
+        output.push(baseLines[k]);
+        b = k + 1;
+        c = cEnd + 1;
+        g = gEnd + 1;
+    }
+
+    return { content: output.join('\n'), conflicts };
+}
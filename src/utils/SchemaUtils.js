@@ -38,14 +38,38 @@
 
 // Note: Import toPascalCase from StringUtils.js
 // For this file to work, ensure StringUtils.js has the correct toPascalCase implementation
-import { toPascalCase, toHumanReadable } from './StringUtils.js';
+import { toPascalCase, toHumanReadable, toNamingConvention } from './StringUtils.js';
+
+// Names OpenAPI Generator uses for formats in typeMappings
+const TYPE_MAPPING_FORMATS = {
+    'date-time': 'DateTime',
+    'byte': 'ByteArray',
+    'uuid': 'UUID',
+    'uri': 'URI'
+};
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Extension the loader adds to the copy of a component schema it puts in
+ * place of a $ref, so that generators can still name its type
+ */
+export const COMPONENT_NAME = 'x-component-name';
 
 /**
  * Convert OpenAPI schema to TypeScript type string
  * Main function used by TypeGenerator
+ * @param {Object} schema - Schema to convert
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.typeMappings] - TypeScript types by OpenAPI type or format,
+ *   as in OpenAPI Generator (e.g. `{ DateTime: 'Date' }`)
+ * @param {string} [options.propertyNaming] - Naming convention of inline object properties
  */
 export function convertSchemaToTypeScript(schema, options = {}) {
-    if (!schema) return 'any';
+    if (!schema) return schema === false ? 'never' : 'any';
+
+    // JSON Schema 2020-12 (OpenAPI 3.1) allows boolean schemas
+    if (schema === true) return 'any';
 
     // Handle empty object specially
     if (typeof schema === 'object' && Object.keys(schema).length === 0) {
@@ -58,8 +82,35 @@ export function convertSchemaToTypeScript(schema, options = {}) {
         return toPascalCase(refName);
     }
 
+    // Handle const (OpenAPI 3.1)
+    if (schema.const !== undefined) {
+        return toLiteral(schema.const);
+    }
+
+    // Handle type arrays (OpenAPI 3.1), e.g. ['string', 'null']
+    if (Array.isArray(schema.type) && !schema.enum) {
+        const types = schema.type.filter(type => type !== 'null');
+        const parts = types.map(type => convertSchemaToTypeScript({ ...schema, type }, options));
+        if (schema.type.includes('null')) parts.push('null');
+        return [...new Set(parts)].join(' | ') || 'any';
+    }
+
+    const mapped = findTypeMapping(schema, options.typeMappings);
+    if (mapped) {
+        return mapped;
+    }
+
     // Handle arrays
     if (schema.type === 'array') {
+        // Tuples (OpenAPI 3.1): prefixItems, then items for the rest
+        if (Array.isArray(schema.prefixItems)) {
+            const members = schema.prefixItems.map(item => convertSchemaToTypeScript(item, options));
+            if (schema.items !== false) {
+                members.push(`...${convertSchemaToTypeScript(schema.items, options)}[]`);
+            }
+            return `[${members.join(', ')}]`;
+        }
+
         const itemType = convertSchemaToTypeScript(schema.items, options);
         return `${itemType}[]`;
     }
@@ -78,7 +129,7 @@ export function convertSchemaToTypeScript(schema, options = {}) {
                     type = `${type} | null`;
                 }
 
-                return `${key}${required ? '' : '?'}: ${type}`;
+                return `${toNamingConvention(key, options.propertyNaming)}${required ? '' : '?'}: ${type}`;
             })
             .join(';\n  ');
 
@@ -87,7 +138,7 @@ export function convertSchemaToTypeScript(schema, options = {}) {
 
     // Handle enums
     if (schema.enum) {
-        return schema.enum.map(v => typeof v === 'string' ? `'${v}'` : v).join(' | ');
+        return schema.enum.map(toLiteral).join(' | ');
     }
 
     // Handle allOf
@@ -109,6 +160,25 @@ export function convertSchemaToTypeScript(schema, options = {}) {
     return mapOpenAPITypeToTypeScript(schema.type, schema.format);
 }
 
+/**
+ * Type configured in typeMappings for a schema: its format first (under
+ * OpenAPI Generator's name for it, then as is), then its type
+ */
+function findTypeMapping(schema, typeMappings) {
+    if (!typeMappings || typeof schema.type !== 'string') return null;
+
+    const candidates = schema.format
+        ? [TYPE_MAPPING_FORMATS[schema.format], schema.format, schema.type]
+        : [schema.type];
+    const key = candidates.find(candidate => candidate && Object.hasOwn(typeMappings, candidate));
+
+    return key ? typeMappings[key] : null;
+}
+
+function toLiteral(value) {
+    return typeof value === 'string' ? `'${value}'` : String(value);
+}
+
 /**
  * Map OpenAPI types to TypeScript types
  */
@@ -116,6 +186,11 @@ export function mapOpenAPITypeToTypeScript(type, format) {
     // Handle null/undefined type parameter
     if (!type) return 'any';
 
+    // Type arrays (OpenAPI 3.1)
+    if (Array.isArray(type)) {
+        return [...new Set(type.map(item => mapOpenAPITypeToTypeScript(item, format)))].join(' | ') || 'any';
+    }
+
     const typeMap = {
         'string': 'string',
         'number': 'number',
@@ -148,6 +223,219 @@ export function mapOpenAPITypeToTypeScript(type, format) {
     return typeMap[type] || 'any';
 }
 
+// zod string checks for OpenAPI string formats
+const ZOD_STRING_FORMATS = {
+    'email': '.email()',
+    'uuid': '.uuid()',
+    'uri': '.url()',
+    'url': '.url()',
+    'date': '.date()',
+    'date-time': '.datetime({ offset: true })',
+    'ipv4': ".ip({ version: 'v4' })",
+    'ipv6': ".ip({ version: 'v6' })"
+};
+
+/**
+ * Convert OpenAPI schema to a zod schema expression, used by the generated
+ * API routes to validate requests and responses. oneOf is checked like
+ * anyOf, and schemas that refer back to themselves accept anything from that
+ * point on.
+ * @param {Object} schema - Schema to convert
+ * @param {Object} [options]
+ * @param {boolean} [options.coerce] - Numbers and booleans arrive as strings, as in path, query and header parameters
+ * @param {boolean} [options.request] - Schema of a request body: readOnly properties are optional
+ * @param {boolean} [options.response] - Schema of a response body: writeOnly properties are optional
+ * @param {boolean} [options.form] - Field of a multipart or urlencoded body: binary strings are uploaded files
+ * @param {Function} [options.resolveRef] - Schema of a $ref; unresolved references accept anything
+ * @returns {string}
+ */
+export function convertSchemaToZod(schema, options = {}) {
+    return zodSchema(schema, options, new Set());
+}
+
+function zodSchema(schema, options, seen) {
+    if (schema === false) return 'z.never()';
+    if (!schema || typeof schema !== 'object') return 'z.any()';
+
+    if (schema.$ref) {
+        const resolved = options.resolveRef?.(schema.$ref);
+        return resolved ? zodSchema(resolved, options, seen) : 'z.any()';
+    }
+
+    if (seen.has(schema)) return 'z.any()';
+    const inner = new Set(seen).add(schema);
+    const zod = zodBaseSchema(schema, options, inner);
+
+    return schema.nullable === true && zod !== 'z.any()' ? `${zod}.nullable()` : zod;
+}
+
+function zodBaseSchema(schema, options, seen) {
+    const convert = member => zodSchema(member, options, seen);
+
+    if (schema.const !== undefined) {
+        return zodLiteral(schema.const, options);
+    }
+
+    if (Array.isArray(schema.enum)) {
+        const values = schema.enum.filter(value => value !== null);
+        const zod = zodEnum(values, options);
+        return values.length < schema.enum.length ? `${zod}.nullable()` : zod;
+    }
+
+    // Type arrays (OpenAPI 3.1), e.g. ['string', 'null']
+    if (Array.isArray(schema.type)) {
+        const types = schema.type.filter(type => type !== 'null');
+        const members = types.map(type => zodBaseSchema({ ...schema, type }, options, seen));
+        const zod = members.length > 1 ? `z.union([${members.join(', ')}])` : (members[0] || 'z.null()');
+        return schema.type.includes('null') && members.length > 0 ? `${zod}.nullable()` : zod;
+    }
+
+    if (Array.isArray(schema.allOf)) {
+        const members = schema.allOf.map(convert);
+        if (schema.properties) {
+            members.push(zodBaseSchema({ ...schema, allOf: undefined }, options, seen));
+        }
+        return members.reduce((zod, member) => `${zod}.and(${member})`);
+    }
+
+    const alternatives = schema.oneOf || schema.anyOf;
+    if (Array.isArray(alternatives)) {
+        const members = alternatives.map(convert);
+        return members.length > 1 ? `z.union([${members.join(', ')}])` : (members[0] || 'z.any()');
+    }
+
+    if (schema.type === 'object' || schema.properties || typeof schema.additionalProperties === 'object') {
+        return zodObject(schema, options, seen);
+    }
+
+    if (schema.type === 'array' || schema.items || schema.prefixItems) {
+        if (Array.isArray(schema.prefixItems)) {
+            const tuple = `z.tuple([${schema.prefixItems.map(convert).join(', ')}])`;
+            return schema.items === false ? tuple : `${tuple}.rest(${convert(schema.items)})`;
+        }
+
+        let zod = `z.array(${convert(schema.items)})`;
+        if (schema.minItems !== undefined) zod += `.min(${schema.minItems})`;
+        if (schema.maxItems !== undefined) zod += `.max(${schema.maxItems})`;
+        return zod;
+    }
+
+    switch (schema.type) {
+        case 'string':
+            if (options.form && (schema.format === 'binary' || (schema.contentMediaType && !schema.contentEncoding))) {
+                return 'z.instanceof(Blob)';
+            }
+            return zodString(schema);
+        case 'integer':
+        case 'number':
+            return zodNumber(schema, options);
+        case 'boolean':
+            return options.coerce ? "z.enum(['true', 'false'])" : 'z.boolean()';
+        case 'null':
+            return 'z.null()';
+        default:
+            return 'z.any()';
+    }
+}
+
+function zodObject(schema, options, seen) {
+    const additional = schema.additionalProperties;
+    const additionalZod = additional && typeof additional === 'object'
+        ? zodSchema(additional, options, seen)
+        : null;
+
+    if (!schema.properties) {
+        return additional === false ? 'z.object({}).strict()' : `z.record(z.string(), ${additionalZod || 'z.any()'})`;
+    }
+
+    const properties = Object.entries(schema.properties).map(([key, property]) => {
+        const optional = !schema.required?.includes(key) ||
+            (options.request && property?.readOnly) || (options.response && property?.writeOnly);
+        const zod = zodSchema(property, options, seen);
+        return `${IDENTIFIER.test(key) ? key : JSON.stringify(key)}: ${zod}${optional ? '.optional()' : ''}`;
+    });
+
+    const zod = properties.length > 0 ? `z.object({ ${properties.join(', ')} })` : 'z.object({})';
+    if (additional === false) return `${zod}.strict()`;
+    return additionalZod ? `${zod}.catchall(${additionalZod})` : `${zod}.passthrough()`;
+}
+
+function zodString(schema) {
+    let zod = 'z.string()';
+    if (ZOD_STRING_FORMATS[schema.format]) zod += ZOD_STRING_FORMATS[schema.format];
+    if (schema.minLength !== undefined) zod += `.min(${schema.minLength})`;
+    if (schema.maxLength !== undefined) zod += `.max(${schema.maxLength})`;
+    if (schema.pattern) zod += `.regex(new RegExp(${JSON.stringify(schema.pattern)}))`;
+    return zod;
+}
+
+function zodNumber(schema, options) {
+    let zod = options.coerce ? 'z.coerce.number()' : 'z.number()';
+    if (schema.type === 'integer') zod += '.int()';
+
+    // exclusiveMinimum/exclusiveMaximum are flags in OpenAPI 3.0 and bounds in 3.1
+    if (typeof schema.exclusiveMinimum === 'number') {
+        zod += `.gt(${schema.exclusiveMinimum})`;
+    } else if (schema.minimum !== undefined) {
+        zod += schema.exclusiveMinimum === true ? `.gt(${schema.minimum})` : `.gte(${schema.minimum})`;
+    }
+    if (typeof schema.exclusiveMaximum === 'number') {
+        zod += `.lt(${schema.exclusiveMaximum})`;
+    } else if (schema.maximum !== undefined) {
+        zod += schema.exclusiveMaximum === true ? `.lt(${schema.maximum})` : `.lte(${schema.maximum})`;
+    }
+    if (schema.multipleOf !== undefined) zod += `.multipleOf(${schema.multipleOf})`;
+
+    return zod;
+}
+
+/**
+ * Parameters arrive as strings, so with `coerce` enum members and constants
+ * are compared in their string form
+ */
+function zodEnum(values, options) {
+    if (values.length === 0) return 'z.never()';
+    if (values.length === 1) return zodLiteral(values[0], options);
+
+    const members = options.coerce ? values.map(String) : values;
+    if (members.every(value => typeof value === 'string')) {
+        return `z.enum([${members.map(value => JSON.stringify(value)).join(', ')}])`;
+    }
+    return `z.union([${members.map(value => zodLiteral(value, options)).join(', ')}])`;
+}
+
+function zodLiteral(value, options) {
+    if (value !== null && typeof value === 'object') return 'z.any()';
+    return `z.literal(${JSON.stringify(options.coerce && value !== null ? String(value) : value)})`;
+}
+
+/**
+ * Types a schema allows: OpenAPI 3.1 type arrays as is, a single type as a
+ * one-element list
+ */
+export function getSchemaTypes(schema) {
+    if (!schema || typeof schema !== 'object' || !schema.type) return [];
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Whether a media type carries JSON: application/json or a +json vendor
+ * type such as application/vnd.api+json; parameters are ignored
+ */
+export function isJsonMediaType(mediaType) {
+    const essence = String(mediaType || '').split(';')[0].trim().toLowerCase();
+    return essence === 'application/json' || essence.endsWith('+json');
+}
+
+/**
+ * Whether a schema admits null, as `nullable: true` (OpenAPI 3.0) or a
+ * 'null' type (OpenAPI 3.1)
+ */
+export function isNullableSchema(schema) {
+    return !!schema && typeof schema === 'object' &&
+        (schema.nullable === true || (Array.isArray(schema.type) && schema.type.includes('null')));
+}
+
 /**
  * Extract UI hints from schema extensions
  * Used by generators to determine DaisyUI component selection
@@ -355,8 +643,9 @@ export function getBadgeColor(value, schema) {
 
 /**
  * Detect circular references in schema
+ * When definitions (the spec root) is given, $ref targets are followed
  */
-export function detectCircularReferences(schema, visited = new Set(), path = []) {
+export function detectCircularReferences(schema, visited = new Set(), path = [], definitions = null) {
     if (!schema || typeof schema !== 'object') return false;
 
     const schemaId = schema.$ref || JSON.stringify(schema);
@@ -368,17 +657,23 @@ export function detectCircularReferences(schema, visited = new Set(), path = [])
     visited.add(schemaId);
     path.push(schemaId);
 
+    // Follow the reference into its target
+    if (schema.$ref && definitions && !schema.properties) {
+        const target = resolveRef(schema.$ref, definitions);
+        return target ? detectCircularReferences(target, visited, path, definitions) : false;
+    }
+
     // Check properties
     if (schema.properties) {
-        for (const [key, prop] of Object.entries(schema.properties)) {
-            const result = detectCircularReferences(prop, new Set(visited), [...path]);
+        for (const prop of Object.values(schema.properties)) {
+            const result = detectCircularReferences(prop, new Set(visited), [...path], definitions);
             if (result && result.circular) return result;
         }
     }
 
     // Check array items
     if (schema.items) {
-        const result = detectCircularReferences(schema.items, new Set(visited), [...path]);
+        const result = detectCircularReferences(schema.items, new Set(visited), [...path], definitions);
         if (result && result.circular) return result;
     }
 
@@ -387,7 +682,7 @@ export function detectCircularReferences(schema, visited = new Set(), path = [])
     for (const comp of compositions) {
         if (schema[comp]) {
             for (const subSchema of schema[comp]) {
-                const result = detectCircularReferences(subSchema, new Set(visited), [...path]);
+                const result = detectCircularReferences(subSchema, new Set(visited), [...path], definitions);
                 if (result && result.circular) return result;
             }
         }
@@ -396,6 +691,27 @@ export function detectCircularReferences(schema, visited = new Set(), path = [])
     return false;
 }
 
+/**
+ * Collect the type names of all schemas referenced via $ref
+ * Names match the ones produced by convertSchemaToTypeScript
+ */
+export function collectSchemaReferences(schema, names = new Set()) {
+    if (!schema || typeof schema !== 'object') return names;
+
+    if (Array.isArray(schema)) {
+        schema.forEach(item => collectSchemaReferences(item, names));
+        return names;
+    }
+
+    if (typeof schema.$ref === 'string') {
+        names.add(convertSchemaToTypeScript({ $ref: schema.$ref }));
+        return names;
+    }
+
+    Object.values(schema).forEach(value => collectSchemaReferences(value, names));
+    return names;
+}
+
 /**
  * Generate TypeScript interface name from schema name
  */
@@ -465,3 +781,45 @@ export function identifySpecialFields(schema) {
 
     return specialFields;
 }
+
+/**
+ * Append segments to a JSON pointer, escaping ~ and /
+ * @param {string} pointer - Base pointer ('' for the document root)
+ * @param {...string} segments - Unescaped reference tokens
+ * @returns {string}
+ */
+export function appendPointer(pointer, ...segments) {
+    return pointer + segments
+        .map(segment => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1'))
+        .join('');
+}
+
+/**
+ * Put $refs back in place of the component schemas the loader inlined
+ * (see COMPONENT_NAME)
+ * @param {Object} spec - Specification
+ * @returns {Object} Copy of the specification with $refs to the components
+ */
+export function restoreComponentReferences(spec) {
+    const base = spec?.components?.schemas ? '#/components/schemas' : '#/definitions';
+
+    const restore = (value) => {
+        if (!value || typeof value !== 'object') {
+            return value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(restore);
+        }
+        if (typeof value[COMPONENT_NAME] === 'string') {
+            return { $ref: base + appendPointer('', value[COMPONENT_NAME]) };
+        }
+
+        const restored = {};
+        for (const [key, item] of Object.entries(value)) {
+            restored[key] = restore(item);
+        }
+        return restored;
+    };
+
+    return restore(spec);
+}
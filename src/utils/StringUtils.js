@@ -114,6 +114,27 @@ export function toUpperCase(str) {
     return toSnakeCase(str).toUpperCase();
 }
 
+/**
+ * Apply a naming convention as used by OpenAPI Generator options like
+ * modelPropertyNaming: camelCase, PascalCase, snake_case, UPPERCASE or original
+ */
+export function toNamingConvention(str, convention = 'original') {
+    if (!str) return '';
+
+    switch (convention) {
+        case 'camelCase':
+            return toCamelCase(str);
+        case 'PascalCase':
+            return toPascalCase(str);
+        case 'snake_case':
+            return toSnakeCase(str);
+        case 'UPPERCASE':
+            return toUpperCase(str);
+        default:
+            return str;
+    }
+}
+
 /**
  * Pluralize a word (simple version)
  */
@@ -372,6 +393,14 @@ export function truncate(str, maxLength = 50, suffix = '...') {
     return str.substring(0, truncateAt) + suffix;
 }
 
+/**
+ * Make text safe to place on one line of a JSDoc block
+ */
+export function toDocText(text) {
+    if (!text) return undefined;
+    return String(text).replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ').trim();
+}
+
 /**
  * Generate CSS-safe class name
  */
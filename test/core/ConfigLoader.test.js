@@ -0,0 +1,125 @@
+/**
+ * ConfigLoader.test.js
+ * Unit tests for layering defaults, config files, package.json and overrides
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import ConfigLoader, { configToOptions } from '../../src/core/ConfigLoader.js';
+
+describe('ConfigLoader', () => {
+    let cwd;
+
+    beforeEach(async () => {
+        cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'config-loader-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(cwd, { recursive: true, force: true });
+    });
+
+    it('should return the defaults of the environment without a config file', async () => {
+        const loaded = await new ConfigLoader({ cwd, environment: 'production' }).load();
+
+        assert.equal(loaded.configFile, null);
+        assert.deepEqual(loaded.sources, ['defaults', 'environments.production']);
+        assert.deepEqual(loaded.options, {});
+        assert.equal(loaded.config.output.baseDir, './generated');
+        assert.equal(loaded.config.output.clean, true);
+    });
+
+    it('should layer the config file, package.json and overrides', async () => {
+        await fs.writeFile(path.join(cwd, 'swagger-to-nextjs.config.yaml'), [
+            'force: true',
+            'generatePages: false',
+            'output:',
+            '  baseDir: ./from-file',
+            'apiClient:',
+            '  timeout: 5000'
+        ].join('\n'));
+        await fs.writeFile(path.join(cwd, 'package.json'), JSON.stringify({
+            name: 'app',
+            'swagger-to-nextjs': { generatePages: true, apiClient: { retries: 1 } }
+        }));
+
+        const loaded = await new ConfigLoader({ cwd, environment: 'test' }).load({
+            overrides: { output: { baseDir: './from-overrides' } }
+        });
+
+        assert.equal(loaded.configFile, path.join(cwd, 'swagger-to-nextjs.config.yaml'));
+        assert.deepEqual(loaded.sources, ['defaults', 'environments.test', 'swagger-to-nextjs.config.yaml', 'package.json#swagger-to-nextjs']);
+        assert.equal(loaded.config.output.baseDir, './from-overrides');
+        assert.equal(loaded.config.apiClient.timeout, 5000);
+        assert.equal(loaded.config.apiClient.retries, 1);
+        assert.deepEqual(loaded.options, { outputDir: './from-overrides', force: true, generatePages: true });
+    });
+
+    it('should apply the environments block of a config file', async () => {
+        await fs.writeFile(path.join(cwd, 'swagger-to-nextjs.config.json'), JSON.stringify({
+            typescript: true,
+            environments: { production: { typescript: false, output: { backup: false } } }
+        }));
+
+        const development = await new ConfigLoader({ cwd, environment: 'development' }).load();
+        const production = await new ConfigLoader({ cwd, environment: 'production' }).load();
+
+        assert.equal(development.options.typescript, true);
+        assert.equal(production.options.typescript, false);
+        assert.equal(production.options.backup, false);
+    });
+
+    it('should call a JavaScript config exporting a function with the environment', async () => {
+        const file = path.join(cwd, 'custom.config.mjs');
+        await fs.writeFile(file, 'export default ({ environment }) => ({ serviceName: environment });\n');
+
+        const loaded = await new ConfigLoader({ cwd, environment: 'staging' }).load({ configFile: file });
+
+        assert.equal(loaded.options.serviceName, 'staging');
+        assert.ok(loaded.sources.includes('custom.config.mjs'));
+    });
+
+    it('should reject invalid configurations and config files', async () => {
+        const loader = new ConfigLoader({ cwd });
+
+        await assert.rejects(loader.load({ overrides: { apiClient: { type: 'jquery' } } }),
+            /Invalid configuration \(defaults.*\): apiClient\.type must be one of: fetch, axios, ky, got/);
+        await assert.rejects(loader.load({ overrides: { features: { security: { responseValidation: 'loud' } } } }),
+            /features\.security\.responseValidation must be true, false or 'strict'/);
+        await assert.rejects(loader.load({ overrides: { features: { security: { rateLimiting: { limit: 0 } } } } }),
+            /features\.security\.rateLimiting\.limit and \.window must be positive numbers/);
+        await assert.rejects(loader.load({ overrides: { features: { security: { rateLimiting: { trustedProxies: -1 } } } } }),
+            /features\.security\.rateLimiting\.trustedProxies must be a whole number of proxies/);
+
+        await fs.writeFile(path.join(cwd, 'config.toml'), 'force = true');
+        await assert.rejects(loader.load({ configFile: 'config.toml' }), /Unsupported config file/);
+
+        await fs.writeFile(path.join(cwd, 'list.json'), '[]');
+        await assert.rejects(loader.load({ configFile: 'list.json' }), /must contain an object/);
+
+        await fs.writeFile(path.join(cwd, 'package.json'), JSON.stringify({ 'swagger-to-nextjs': 'yes' }));
+        await assert.rejects(loader.load(), /"swagger-to-nextjs" in package.json must be an object/);
+    });
+
+    it('should map the sections a config sets onto options', () => {
+        assert.deepEqual(configToOptions({}), {});
+        assert.deepEqual(configToOptions({
+            output: { baseDir: './app', overwrite: true },
+            templates: { customTemplatesDir: './templates' },
+            generation: { typescript: { enabled: false } },
+            apiClient: { baseURL: 'https://api.example.com' },
+            logging: { level: 'debug' },
+            cache: { enabled: false }
+        }), {
+            outputDir: './app',
+            force: true,
+            templateDir: './templates',
+            typescript: false,
+            apiUrl: 'https://api.example.com',
+            verbose: true,
+            silent: false,
+            loader: { cache: false }
+        });
+    });
+});
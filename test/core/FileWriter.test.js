@@ -9,7 +9,7 @@ import { dirname, join } from 'path';
 import fs from 'fs/promises';
 import { existsSync } from 'fs';
 import os from 'os';
-import FileWriter from '../../src/core/FileWriter.js';
+import FileWriter, { MANIFEST_FILE, SNAPSHOT_DIR } from '../../src/core/FileWriter.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -554,4 +554,191 @@ describe('FileWriter', () => {
             assert.equal(writer.timestamp, null);
         });
     });
-});
\ No newline at end of file
+
+    describe('Unchanged Files, Backups and Manifest', () => {
+        it('should report identical content as unchanged', async () => {
+            const filePath = join(tempDir, 'same.txt');
+            await fs.writeFile(filePath, 'same');
+
+            const result = await writer.writeFile(filePath, 'same');
+
+            assert.equal(result, true);
+            assert.equal(writer.unchangedFiles.length, 1);
+            assert.equal(writer.writtenFiles.length, 0);
+            assert.equal(writer.getSummary().unchanged, 1);
+            assert.ok(progressEvents.some(e => e.action === 'unchanged'));
+        });
+
+        it('should back up files before overwriting them', async () => {
+            writer = new FileWriter({ force: true, backup: true, useTimestamp: false });
+            writer.initializeOutputDirectory(tempDir);
+
+            const filePath = join(tempDir, 'config.txt');
+            await fs.writeFile(filePath, 'original');
+            await writer.writeFile(filePath, 'updated');
+
+            assert.equal(await fs.readFile(filePath, 'utf8'), 'updated');
+            assert.equal(writer.backedUpFiles.length, 1);
+            assert.ok(writer.backedUpFiles[0].includes('.backup'));
+            assert.equal(await fs.readFile(writer.backedUpFiles[0], 'utf8'), 'original');
+        });
+
+        it('should write a manifest with hashes for each file', async () => {
+            writer.initializeOutputDirectory(tempDir);
+            await writer.writeFile(join(tempDir, 'a.txt'), 'a');
+            await writer.writeFile(join(tempDir, 'nested', 'b.txt'), 'b');
+
+            const manifestPath = await writer.writeManifest();
+            const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf8'));
+
+            assert.deepEqual(manifest.files.map(f => f.path), ['a.txt', 'nested/b.txt']);
+            assert.equal(manifest.files[0].status, 'written');
+            assert.match(manifest.files[0].hash, /^[a-f0-9]{64}$/);
+        });
+
+        it('should not write a manifest in dry run mode', async () => {
+            writer = new FileWriter({ dryRun: true, useTimestamp: false });
+            writer.initializeOutputDirectory(tempDir);
+            await writer.writeFile(join(tempDir, 'a.txt'), 'a');
+
+            assert.equal(await writer.writeManifest(), null);
+            assert.equal(existsSync(join(tempDir, 'a.txt')), false);
+        });
+    });
+
+    describe('Incremental Regeneration', () => {
+        const original = [
+            'const a = 1;',
+            '// @custom-start handlers',
+            '// add handlers here',
+            '// @custom-end',
+            'const b = 2;',
+            'const c = 3;'
+        ].join('\n');
+
+        // Simulate an earlier run that wrote the file and the manifest
+        async function generateOnce(content = original) {
+            const first = new FileWriter({ useTimestamp: false });
+            first.initializeOutputDirectory(tempDir);
+            await first.writeFile(join(tempDir, 'route.txt'), content);
+            await first.writeManifest();
+        }
+
+        function regenerate(options = {}) {
+            const next = new FileWriter({ useTimestamp: false, ...options });
+            next.initializeOutputDirectory(tempDir);
+            return next;
+        }
+
+        it('should store a snapshot of the generated content', async () => {
+            await generateOnce();
+            assert.equal(await fs.readFile(join(tempDir, SNAPSHOT_DIR, 'route.txt'), 'utf8'), original);
+        });
+
+        it('should update files that were not edited', async () => {
+            await generateOnce();
+            const next = regenerate();
+
+            const updated = original.replace('const c = 3;', 'const c = 4;');
+            assert.equal(await next.writeFile(join(tempDir, 'route.txt'), updated), true);
+
+            assert.equal(await fs.readFile(join(tempDir, 'route.txt'), 'utf8'), updated);
+            assert.equal(next.writtenFiles.length, 1);
+        });
+
+        it('should keep protected regions and merge other edits', async () => {
+            await generateOnce();
+            const filePath = join(tempDir, 'route.txt');
+            await fs.writeFile(filePath, original
+                .replace('// add handlers here', 'export const custom = true;')
+                .replace('const a = 1;', 'const a = 10;'));
+
+            const next = regenerate();
+            await next.writeFile(filePath, original.replace('const c = 3;', 'const c = 4;'));
+            await next.writeManifest();
+
+            const merged = await fs.readFile(filePath, 'utf8');
+            assert.match(merged, /const a = 10;/);
+            assert.match(merged, /export const custom = true;/);
+            assert.match(merged, /const c = 4;/);
+            assert.equal(next.getSummary().merged, 1);
+
+            // The merged file keeps counting as edited in the next run
+            const third = regenerate();
+            await third.writeFile(filePath, original.replace('const c = 3;', 'const c = 5;'));
+            assert.match(await fs.readFile(filePath, 'utf8'), /export const custom = true;[\s\S]*const c = 5;/);
+        });
+
+        it('should write a conflict report for edits that cannot be merged', async () => {
+            await generateOnce();
+            const filePath = join(tempDir, 'route.txt');
+            const edited = original.replace('const b = 2;', 'const b = 20;');
+            await fs.writeFile(filePath, edited);
+
+            const next = regenerate();
+            const result = await next.writeFile(filePath, original.replace('const b = 2;', 'const b = 200;'));
+            await next.writeManifest();
+
+            assert.equal(result, false);
+            assert.equal(await fs.readFile(filePath, 'utf8'), edited);
+            assert.equal(next.getSummary().conflicts, 1);
+
+            const report = await fs.readFile(`${filePath}.conflict`, 'utf8');
+            assert.match(report, /<<<<<<< current\nconst b = 20;\n\|\|\|\|\|\|\| base\nconst b = 2;\n=======\nconst b = 200;\n>>>>>>> generated/);
+
+            // The earlier hash is kept so the edits are still detected next time
+            const manifest = JSON.parse(await fs.readFile(join(tempDir, MANIFEST_FILE), 'utf8'));
+            assert.equal(manifest.files[0].status, 'conflict');
+            assert.equal(manifest.files[0].hash, next.hashContent(original));
+        });
+
+        it('should overwrite conflicting files in force mode but keep protected regions', async () => {
+            await generateOnce();
+            const filePath = join(tempDir, 'route.txt');
+            await fs.writeFile(filePath, original
+                .replace('// add handlers here', 'export const custom = true;')
+                .replace('const b = 2;', 'const b = 20;'));
+
+            const next = regenerate({ force: true });
+            await next.writeFile(filePath, original.replace('const b = 2;', 'const b = 200;'));
+
+            const content = await fs.readFile(filePath, 'utf8');
+            assert.match(content, /const b = 200;/);
+            assert.match(content, /export const custom = true;/);
+        });
+
+        it('should delete stale files unless they carry local edits', async () => {
+            const first = new FileWriter({ useTimestamp: false });
+            first.initializeOutputDirectory(tempDir);
+            const stale = join(tempDir, 'api', 'owners', 'route.ts');
+            const edited = join(tempDir, 'owners', 'page.tsx');
+            await first.writeFile(stale, original);
+            await first.writeFile(edited, original);
+            await first.writeManifest();
+            await fs.appendFile(edited, '\n// mine');
+
+            const next = regenerate();
+            assert.equal(await next.removeStaleFile(stale), 'deleted');
+            assert.equal(await next.removeStaleFile(edited), 'orphaned');
+            await next.writeManifest({ carryOver: true });
+
+            await assert.rejects(fs.access(join(tempDir, 'api')));
+            await assert.rejects(fs.access(join(tempDir, SNAPSHOT_DIR, 'owners', 'page.tsx')));
+            assert.match(await fs.readFile(edited, 'utf8'), /\/\/ mine$/);
+            assert.deepEqual(next.getSummary().files.orphaned, [edited]);
+
+            const manifest = JSON.parse(await fs.readFile(join(tempDir, MANIFEST_FILE), 'utf8'));
+            assert.deepEqual(manifest.files, []);
+        });
+
+        it('should fall back to the conflict policy when incremental mode is off', async () => {
+            await generateOnce();
+            const filePath = join(tempDir, 'route.txt');
+            await fs.writeFile(filePath, 'edited');
+
+            const next = regenerate({ incremental: false });
+            assert.equal(await next.writeFile(filePath, 'new'), false);
+            assert.equal(next.skippedFiles.length, 1);
+        });
+    });
+});
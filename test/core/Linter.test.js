@@ -0,0 +1,338 @@
+/**
+ * Linter.test.js
+ * Unit tests for the lint rule engine and the built-in style rules
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import Linter, { loadLintRules } from '../../src/core/Linter.js';
+import SwaggerValidator from '../../src/core/SwaggerValidator.js';
+
+function petSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Pets', version: '1.0.0' },
+        servers: [{ url: 'https://api.example.com' }],
+        paths: {
+            '/pets': {
+                get: {
+                    operationId: 'listPets',
+                    description: 'List pets',
+                    tags: ['pets'],
+                    parameters: [
+                        { name: 'page', in: 'query', schema: { type: 'integer' } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer' } }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Pets',
+                            content: {
+                                'application/json': {
+                                    schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } },
+                                    example: [{ id: 1, name: 'Rex' }]
+                                }
+                            }
+                        },
+                        default: { description: 'Error' }
+                    }
+                }
+            },
+            '/owners': {
+                get: {
+                    operationId: 'listOwners',
+                    description: 'List owners',
+                    tags: ['owners'],
+                    parameters: [
+                        { name: 'page', in: 'query', schema: { type: 'integer' } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer' } }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Owners',
+                            content: { 'application/json': { schema: { type: 'object', properties: { data: { type: 'array' } } }, example: {} } }
+                        },
+                        400: { description: 'Bad request' }
+                    }
+                }
+            }
+        },
+        components: {
+            schemas: {
+                Pet: {
+                    type: 'object',
+                    properties: { id: { type: 'integer' }, name: { type: 'string' } }
+                }
+            }
+        }
+    };
+}
+
+describe('Linter', () => {
+    let linter;
+    let spec;
+
+    const rules = issues => issues.map(issue => issue.rule);
+
+    beforeEach(() => {
+        linter = new Linter();
+        spec = petSpec();
+    });
+
+    it('should report nothing for a clean spec with the default settings', () => {
+        assert.deepEqual(linter.lint(spec), []);
+    });
+
+    describe('Configuration', () => {
+        beforeEach(() => {
+            delete spec.servers;
+        });
+
+        it('should run the default rules as warnings', () => {
+            assert.deepEqual(linter.lint(spec), [{
+                type: 'warning',
+                severity: 'warning',
+                rule: 'servers',
+                pointer: '',
+                message: 'No servers defined. Consider adding server information'
+            }]);
+        });
+
+        it('should disable and re-level rules', () => {
+            assert.deepEqual(linter.lint(spec, { servers: 'off' }), []);
+            assert.deepEqual(linter.lint(spec, { servers: false }), []);
+            assert.equal(linter.lint(spec, { servers: 'error' })[0].severity, 'error');
+            assert.equal(linter.lint(spec, { servers: ['warn'] })[0].severity, 'warning');
+        });
+
+        it('should enable rules that are off by default', () => {
+            spec.paths['/pets'].get.operationId = 'list_pets';
+
+            assert.equal(linter.lint(spec, { servers: 'off' }).length, 0);
+            assert.deepEqual(rules(linter.lint(spec, { servers: 'off', 'operation-id-casing': true })), ['operation-id-casing']);
+        });
+
+        it('should configure the operation and response checks', () => {
+            delete spec.paths['/pets'].get.operationId;
+            delete spec.paths['/pets'].get.description;
+            delete spec.paths['/owners'].get.responses[200].content;
+            const settings = { servers: 'off' };
+
+            assert.deepEqual(linter.lint(spec, settings).map(issue => [issue.rule, issue.pointer, issue.message]), [
+                ['operation-id', '/paths/~1pets/get', 'Missing operationId. Generated: getPets'],
+                ['operation-description', '/paths/~1pets/get', 'Operation should have a summary or description'],
+                ['response-content', '/paths/~1owners/get/responses/200', 'Success response should define content']
+            ]);
+            assert.deepEqual(linter.lint(spec, { ...settings, 'operation-id': 'off', 'operation-description': false, 'response-content': 'off' }), []);
+            assert.deepEqual(rules(linter.lint(spec, { ...settings, 'response-content': 'error' }).filter(issue => issue.severity === 'error')),
+                ['response-content']);
+        });
+
+        it('should reject unknown rules and severities', () => {
+            assert.throws(() => linter.lint(spec, { 'no-such-rule': 'error' }), /Unknown lint rule: no-such-rule/);
+            assert.throws(() => linter.lint(spec, { servers: 'fatal' }), /Unknown severity for lint rule servers: fatal/);
+            assert.throws(() => linter.lint(spec, { 'naming-convention': ['error', { paths: 'Train-Case' }] }), /Unknown case 'Train-Case'/);
+        });
+    });
+
+    describe('Custom rules', () => {
+        const summaryRule = {
+            id: 'operation-summary',
+            description: 'Operations have a summary',
+            severity: 'error',
+            create(context) {
+                return {
+                    operation({ operation, pointer, label }) {
+                        if (!operation.summary) context.report({ pointer, message: `${label} has no summary` });
+                    }
+                };
+            }
+        };
+
+        it('should run rules added to the linter', () => {
+            const issues = new Linter([summaryRule]).lint(spec);
+
+            assert.deepEqual(issues.map(issue => [issue.severity, issue.pointer, issue.message]), [
+                ['error', '/paths/~1pets/get', 'GET /pets has no summary'],
+                ['error', '/paths/~1owners/get', 'GET /owners has no summary']
+            ]);
+        });
+
+        it('should reject rules without an id or create function', () => {
+            assert.throws(() => linter.addRule({ id: 'broken' }), /need an id and a create function/);
+        });
+
+        it('should load rules from plugin modules', async () => {
+            const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'lint-plugin-'));
+            try {
+                await fs.writeFile(path.join(dir, 'rules.mjs'), `export default { rules: [{
+                    id: 'no-delete',
+                    create: context => ({ operation({ method, pointer }) {
+                        if (method === 'delete') context.report({ pointer, message: 'No deletes' });
+                    } })
+                }] };`);
+
+                const loaded = await loadLintRules(['./rules.mjs'], dir);
+                spec.paths['/pets'].delete = {
+                    operationId: 'deletePets',
+                    description: 'Delete all pets',
+                    responses: { 204: { description: 'Deleted' } },
+                    tags: ['pets']
+                };
+
+                assert.deepEqual(rules(new Linter(loaded).lint(spec)), ['no-delete']);
+            } finally {
+                await fs.rm(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('Built-in rules', () => {
+        it('should check naming conventions with suggestions', () => {
+            spec.paths['/petOwners/{owner_id}'] = {
+                get: {
+                    operationId: 'getPetOwner',
+                    description: 'Get a pet owner',
+                    tags: ['owners'],
+                    parameters: [{ name: 'owner_id', in: 'path', required: true, schema: { type: 'string' } }],
+                    responses: {
+                        200: { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } },
+                        404: { description: 'Missing' }
+                    }
+                }
+            };
+            spec.components.schemas.pet_owner = { type: 'object', properties: { first_name: { type: 'string' } } };
+
+            const messages = linter.lint(spec, { 'naming-convention': 'warning' }).map(issue => issue.message);
+
+            assert.deepEqual(messages, [
+                "Schema 'pet_owner' should be PascalCase (PetOwner)",
+                "Property 'first_name' should be camelCase (firstName)",
+                "Path segment 'petOwners' should be kebab-case (pet-owners)",
+                "Parameter 'owner_id' should be camelCase (ownerId)"
+            ]);
+        });
+
+        it('should accept configured cases for naming conventions', () => {
+            spec.components.schemas.Pet.properties = { first_name: { type: 'string' } };
+
+            const issues = linter.lint(spec, { 'naming-convention': ['error', { properties: 'snake_case' }] });
+
+            assert.deepEqual(issues, []);
+        });
+
+        it('should check operationId casing', () => {
+            spec.paths['/pets'].get.operationId = 'ListPets';
+
+            const [issue] = linter.lint(spec, { 'operation-id-casing': ['error', { case: 'snake_case' }] })
+                .filter(({ pointer }) => pointer === '/paths/~1pets/get/operationId');
+
+            assert.equal(issue.message, "operationId 'ListPets' should be snake_case (list_pets)");
+        });
+
+        it('should report request bodies and success responses without examples', () => {
+            spec.paths['/pets'].post = {
+                operationId: 'createPet',
+                description: 'Add a pet',
+                tags: ['pets'],
+                requestBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+                responses: { 201: { description: 'Created', content: { 'application/json': { schema: { type: 'object' } } } } }
+            };
+
+            const issues = linter.lint(spec, { 'missing-examples': 'warning' });
+
+            assert.deepEqual(issues.map(issue => [issue.pointer, issue.message]), [
+                ['/paths/~1pets/post/requestBody/content/application~1json', 'POST /pets request body (application/json) has no example'],
+                ['/paths/~1pets/post/responses/201/content/application~1json', 'POST /pets response 201 (application/json) has no example']
+            ]);
+
+            spec.components.schemas.Pet.example = { id: 1, name: 'Rex' };
+            assert.equal(linter.lint(spec, { 'missing-examples': ['warning', { responses: false }] }).length, 0);
+        });
+
+        it('should report operations without error responses', () => {
+            delete spec.paths['/owners'].get.responses[400];
+
+            const issues = linter.lint(spec, { 'missing-error-responses': 'warning' });
+
+            assert.deepEqual(issues.map(issue => [issue.pointer, issue.message]), [
+                ['/paths/~1owners/get/responses', 'GET /owners defines no error responses (4xx, 5xx or default)']
+            ]);
+        });
+
+        it('should require configured error statuses, accepting ranges', () => {
+            spec.paths['/owners'].get.responses['5XX'] = { description: 'Server error' };
+
+            const issues = linter.lint(spec, { 'missing-error-responses': ['error', { statuses: [400, 401, 500] }] });
+
+            assert.deepEqual(issues.map(issue => issue.message), [
+                'GET /pets is missing the 400 response',
+                'GET /pets is missing the 401 response',
+                'GET /pets is missing the 500 response',
+                'GET /owners is missing the 401 response'
+            ]);
+        });
+
+        it('should report list operations that paginate differently from the rest', () => {
+            spec.paths['/toys'] = {
+                get: {
+                    operationId: 'listToys',
+                    description: 'List toys',
+                    tags: ['toys'],
+                    parameters: [
+                        { name: 'offset', in: 'query', schema: { type: 'integer' } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer' } }
+                    ],
+                    responses: { 200: { description: 'Toys', content: { 'application/json': { schema: { type: 'array' } } } } }
+                }
+            };
+            spec.paths['/vets'] = {
+                get: {
+                    operationId: 'listVets',
+                    description: 'List vets',
+                    tags: ['vets'],
+                    responses: { 200: { description: 'Vets', content: { 'application/json': { schema: { type: 'array' } } } } }
+                }
+            };
+            // Not a list: single resource and non-array response
+            spec.paths['/health'] = {
+                get: {
+                    operationId: 'getHealth',
+                    description: 'Health check',
+                    tags: ['ops'],
+                    responses: { 200: { description: 'OK', content: { 'application/json': { schema: { type: 'object' } } } } }
+                }
+            };
+
+            const issues = linter.lint(spec, { 'pagination-consistency': 'warning' });
+
+            assert.deepEqual(issues.map(issue => [issue.pointer, issue.message]), [
+                ['/paths/~1toys/get', 'GET /toys paginates with offset, limit instead of page, limit'],
+                ['/paths/~1vets/get', 'GET /vets is not paginated; list operations use page, limit']
+            ]);
+        });
+
+        it('should use configured pagination parameters', () => {
+            const issues = linter.lint(spec, { 'pagination-consistency': ['warning', { parameters: ['cursor', 'limit'] }] });
+
+            assert.equal(issues.length, 2);
+            assert.match(issues[0].message, /instead of cursor, limit/);
+        });
+    });
+
+    describe('SwaggerValidator integration', () => {
+        it('should apply lint settings and make error-level rules block validation', () => {
+            spec.paths['/pets'].get.operationId = 'list_pets';
+            delete spec.servers;
+
+            const result = new SwaggerValidator().validate(spec, {
+                lint: { rules: { servers: 'off', 'operation-id-casing': 'error' } }
+            });
+
+            assert.equal(result.valid, false);
+            assert.deepEqual(result.errors.map(error => error.rule), ['operation-id-casing']);
+            assert.equal(result.warnings.some(warning => warning.rule === 'servers'), false);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * MetaSchema.test.js
+ * Unit tests for validating specs against the official OpenAPI JSON Schemas
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateMetaSchema, getMetaSchemaVersion } from '../../src/core/MetaSchema.js';
+
+function openapiSpec(version, parameters) {
+    return {
+        openapi: version,
+        info: { title: 'Pets', version: '1.0.0' },
+        paths: {
+            '/pets': {
+                get: {
+                    parameters,
+                    responses: {
+                        200: {
+                            description: 'Pets',
+                            content: { 'application/json': { schema: { type: 'array', items: { type: 'string' } } } }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+const messages = errors => errors.map(error => `${error.pointer} ${error.message}`);
+
+describe('MetaSchema', () => {
+    describe('getMetaSchemaVersion()', () => {
+        it('should pick the meta-schema by spec version', () => {
+            assert.equal(getMetaSchemaVersion({ swagger: '2.0' }), 'v2');
+            assert.equal(getMetaSchemaVersion({ openapi: '3.0.3' }), 'v3');
+            assert.equal(getMetaSchemaVersion({ openapi: '3.1.0' }), 'v31');
+            assert.equal(getMetaSchemaVersion({ openapi: '4.0.0' }), null);
+        });
+    });
+
+    describe('validateMetaSchema()', () => {
+        it('should accept valid OpenAPI 3.0 and 3.1 documents', () => {
+            const parameters = [{ name: 'limit', in: 'query', schema: { type: 'integer' } }];
+
+            assert.deepEqual(validateMetaSchema(openapiSpec('3.0.3', parameters)), []);
+            assert.deepEqual(validateMetaSchema(openapiSpec('3.1.0', parameters)), []);
+        });
+
+        it('should skip documents without a supported version', () => {
+            assert.deepEqual(validateMetaSchema({ info: {} }), []);
+        });
+
+        it('should report one error per mistake instead of one per alternative', () => {
+            const errors = validateMetaSchema(openapiSpec('3.0.3', [{ name: 'limit', in: 'body' }]));
+
+            assert.deepEqual(messages(errors), [
+                "/paths/~1pets/get/parameters/0 Must have one of the properties 'schema', 'content'",
+                "/paths/~1pets/get/parameters/0/in Must be one of 'path', 'query', 'header', 'cookie'"
+            ]);
+            assert.equal(errors[1].location, 'paths./pets.get.parameters.0.in');
+        });
+
+        it('should report unknown properties and nested schema mistakes', () => {
+            const spec = openapiSpec('3.0.3', []);
+            spec.servers = 'https://pets.example.com';
+            spec.paths['/pets'].get.responses[200].content['application/json'].schema.items.type = 'text';
+            delete spec.paths['/pets'].get.responses[200].description;
+
+            assert.deepEqual(messages(validateMetaSchema(spec)), [
+                '/paths/~1pets/get/responses/200 Missing required property \'description\'',
+                "/paths/~1pets/get/responses/200/content/application~1json/schema/items/type Must be one of 'array', 'boolean', 'integer', 'number', 'object', 'string'",
+                '/servers Must be array'
+            ]);
+        });
+
+        it('should follow the matching alternative in Swagger 2.0 parameters', () => {
+            const spec = {
+                swagger: '2.0',
+                info: { title: 'Pets', version: '1.0.0' },
+                paths: {
+                    '/pets': {
+                        get: {
+                            parameters: [
+                                { name: 'limit', in: 'query', type: 'int' },
+                                { name: 'pet', in: 'body' }
+                            ],
+                            responses: { 200: { description: 'Pets' } }
+                        }
+                    }
+                }
+            };
+
+            assert.deepEqual(messages(validateMetaSchema(spec)), [
+                "/paths/~1pets/get/parameters/0/type Must be one of 'string', 'number', 'boolean', 'integer', 'array', 'file'",
+                "/paths/~1pets/get/parameters/1 Missing required property 'schema'"
+            ]);
+        });
+
+        it('should report unexpected properties in OpenAPI 3.1', () => {
+            const spec = { ...openapiSpec('3.1.0', []), servers: [{ url: 'https://pets.example.com', name: 'prod' }] };
+
+            assert.deepEqual(messages(validateMetaSchema(spec)), ["/servers/0 Unexpected property 'name'"]);
+        });
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * OpenApiGeneratorConfig.test.js
+ * Unit tests for mapping OpenAPI Generator config options onto generator options
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import yaml from 'js-yaml';
+import { mapGeneratorConfig } from '../../src/core/OpenApiGeneratorConfig.js';
+
+describe('OpenApiGeneratorConfig', () => {
+    it('should map the options of the typelist service config', async () => {
+        const config = yaml.load(await fs.readFile(new URL('../../openapi-config-typelist-service.yaml', import.meta.url), 'utf8'));
+        const { options, ignored } = mapGeneratorConfig(config);
+
+        assert.deepEqual(options, {
+            enumStyle: 'enum',
+            enumNaming: 'UPPERCASE',
+            removeEnumValuePrefix: true,
+            propertyNaming: 'camelCase',
+            singleRequestParameter: true,
+            apiDir: 'api',
+            modelsDir: 'model',
+            typeMappings: { DateTime: 'Date', date: 'Date' }
+        });
+        assert.ok(ignored.includes('supportsES6'));
+        assert.ok(!ignored.includes('stringEnums'));
+    });
+
+    it('should return no options for a config without generator options', () => {
+        assert.deepEqual(mapGeneratorConfig({ inputSpec: 'api.yaml' }), { options: {}, ignored: [] });
+    });
+
+    it('should accept string values as passed on the OpenAPI Generator command line', () => {
+        const { options } = mapGeneratorConfig({
+            additionalProperties: { stringEnums: 'false', withSeparateModelsAndApi: 'true', modelPackage: 'client.models' },
+            typeMappings: 'DateTime=Date, UUID=string'
+        });
+
+        assert.deepEqual(options, {
+            enumStyle: 'union',
+            apiDir: 'api',
+            modelsDir: 'client/models',
+            typeMappings: { DateTime: 'Date', UUID: 'string' }
+        });
+    });
+
+    it('should ignore the packages unless models and APIs are separated', () => {
+        const { options } = mapGeneratorConfig({ additionalProperties: { apiPackage: 'apis', modelPackage: 'models' } });
+
+        assert.deepEqual(options, {});
+    });
+
+    it('should reject invalid values', () => {
+        assert.throws(() => mapGeneratorConfig({ additionalProperties: { modelPropertyNaming: 'kebab-case' } }),
+            /modelPropertyNaming "kebab-case" must be one of camelCase, PascalCase, snake_case, UPPERCASE, original/);
+        assert.throws(() => mapGeneratorConfig({ additionalProperties: { withSeparateModelsAndApi: true, apiPackage: '../api' } }),
+            /apiPackage "\.\.\/api" must be a package name/);
+        assert.throws(() => mapGeneratorConfig({ typeMappings: ['DateTime'] }), /typeMappings must map/);
+        assert.throws(() => mapGeneratorConfig({ additionalProperties: 'stringEnums' }), /"additionalProperties" must be a mapping/);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * SpecCache.test.js
+ * Unit tests for the on-disk cache of URL specifications
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import SpecCache from '../../src/core/SpecCache.js';
+import { defaults } from '../../config/defaults.js';
+
+describe('SpecCache', () => {
+    const url = 'https://api.example.com/openapi.yaml';
+    let directory;
+    let cache;
+
+    beforeEach(async () => {
+        directory = await fs.mkdtemp(path.join(os.tmpdir(), 'spec-cache-'));
+        cache = new SpecCache({ directory: path.join(directory, 'cache') });
+    });
+
+    afterEach(async () => {
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('should default to the cache directory from the defaults config', () => {
+        assert.equal(new SpecCache().directory, defaults.cache.directory);
+    });
+
+    it('should store and read entries with their validators', async () => {
+        await cache.write(url, { content: 'openapi: 3.0.0', etag: '"v1"', lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT' });
+
+        const entry = await cache.read(url);
+
+        assert.equal(entry.url, url);
+        assert.equal(entry.content, 'openapi: 3.0.0');
+        assert.equal(entry.etag, '"v1"');
+        assert.equal(entry.lastModified, 'Mon, 01 Jan 2024 00:00:00 GMT');
+        assert.ok(!Number.isNaN(Date.parse(entry.cachedAt)));
+    });
+
+    it('should return null for URLs that are not cached or unreadable', async () => {
+        assert.equal(await cache.read(url), null);
+
+        await fs.mkdir(cache.directory, { recursive: true });
+        await fs.writeFile(cache.getPath(url), '{ not json');
+        assert.equal(await cache.read(url), null);
+    });
+
+    it('should keep entries private to the current user', { skip: process.platform === 'win32' }, async () => {
+        await cache.write(url, { content: 'secret' });
+
+        const stats = await fs.stat(cache.getPath(url));
+        assert.equal(stats.mode & 0o077, 0);
+    });
+
+    it('should delete entries', async () => {
+        await cache.write(url, { content: 'openapi: 3.0.0' });
+        await cache.delete(url);
+
+        assert.equal(await cache.read(url), null);
+    });
+});
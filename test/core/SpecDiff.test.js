@@ -0,0 +1,222 @@
+/**
+ * SpecDiff.test.js
+ * Unit tests for comparing specifications and classifying changes
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import SpecDiff, { BREAKING, NON_BREAKING, INFO } from '../../src/core/SpecDiff.js';
+
+function petSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Pets', version: '1.0.0' },
+        paths: {
+            '/pets': {
+                get: {
+                    operationId: 'listPets',
+                    parameters: [{ name: 'limit', in: 'query', schema: { type: 'integer' } }],
+                    responses: {
+                        200: {
+                            description: 'Pets',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'array',
+                                        items: {
+                                            type: 'object',
+                                            required: ['id', 'status'],
+                                            properties: {
+                                                id: { type: 'integer' },
+                                                status: { type: 'string', enum: ['available', 'sold'] }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                },
+                post: {
+                    operationId: 'createPet',
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['name'],
+                                    properties: {
+                                        name: { type: 'string' },
+                                        status: { type: 'string', enum: ['available', 'sold'] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: { 201: { description: 'Created' } }
+                }
+            }
+        },
+        components: { schemas: { Pet: { type: 'object' } } }
+    };
+}
+
+describe('SpecDiff', () => {
+    let specDiff;
+    let oldSpec;
+    let newSpec;
+
+    const find = (result, code) => result.changes.filter(change => change.code === code);
+
+    beforeEach(() => {
+        specDiff = new SpecDiff();
+        oldSpec = petSpec();
+        newSpec = petSpec();
+    });
+
+    it('should report no changes for identical specs', () => {
+        const result = specDiff.compare(oldSpec, newSpec);
+
+        assert.equal(result.changes.length, 0);
+        assert.equal(result.hasBreakingChanges, false);
+    });
+
+    describe('Operations', () => {
+        it('should classify removed operations as breaking and added ones as non-breaking', () => {
+            delete newSpec.paths['/pets'].post;
+            newSpec.paths['/pets/{id}'] = { get: { operationId: 'getPet', responses: {} } };
+
+            const result = specDiff.compare(oldSpec, newSpec);
+
+            assert.deepEqual(find(result, 'operation-removed').map(c => [c.level, c.location]), [[BREAKING, 'POST /pets']]);
+            assert.deepEqual(find(result, 'operation-added').map(c => [c.level, c.location]), [[NON_BREAKING, 'GET /pets/{id}']]);
+        });
+
+        it('should treat renamed operationIds as breaking and deprecations as informational', () => {
+            newSpec.paths['/pets'].get.operationId = 'getPets';
+            newSpec.paths['/pets'].get.deprecated = true;
+
+            const result = specDiff.compare(oldSpec, newSpec);
+
+            assert.equal(find(result, 'operation-id-changed')[0].level, BREAKING);
+            assert.equal(find(result, 'operation-deprecated')[0].level, INFO);
+        });
+    });
+
+    describe('Parameters', () => {
+        it('should classify parameter changes', () => {
+            const get = newSpec.paths['/pets'].get;
+            get.parameters = [
+                { name: 'limit', in: 'query', required: true, schema: { type: 'string' } },
+                { name: 'tenant', in: 'header', required: true, schema: { type: 'string' } },
+                { name: 'sort', in: 'query', schema: { type: 'string' } }
+            ];
+
+            const result = specDiff.compare(oldSpec, newSpec);
+
+            assert.equal(find(result, 'parameter-became-required')[0].level, BREAKING);
+            assert.match(find(result, 'type-changed')[0].message, /Query parameter 'limit' type changed from integer to string/);
+            assert.equal(find(result, 'required-parameter-added')[0].level, BREAKING);
+            assert.equal(find(result, 'optional-parameter-added')[0].level, NON_BREAKING);
+        });
+    });
+
+    describe('Request bodies', () => {
+        it('should break on new required properties and narrowed enums', () => {
+            const schema = newSpec.paths['/pets'].post.requestBody.content['application/json'].schema;
+            schema.required.push('owner');
+            schema.properties.owner = { type: 'string' };
+            schema.properties.status.enum = ['available', 'pending'];
+
+            const result = specDiff.compare(oldSpec, newSpec);
+
+            assert.equal(find(result, 'required-property-added')[0].level, BREAKING);
+            assert.equal(find(result, 'enum-value-removed')[0].level, BREAKING);
+            assert.equal(find(result, 'enum-value-added')[0].level, NON_BREAKING);
+        });
+
+        it('should break when the body is removed or a media type is dropped', () => {
+            newSpec.paths['/pets'].post.requestBody.content = { 'multipart/form-data': { schema: { type: 'object' } } };
+
+            const result = specDiff.compare(oldSpec, newSpec);
+
+            assert.equal(find(result, 'media-type-removed')[0].level, BREAKING);
+            assert.equal(find(result, 'media-type-added')[0].level, NON_BREAKING);
+        });
+    });
+
+    describe('Responses', () => {
+        it('should classify response schema changes from the reader\'s side', () => {
+            const items = newSpec.paths['/pets'].get.responses[200].content['application/json'].schema.items;
+            items.properties.status.enum.push('pending');
+            items.properties.name = { type: 'string' };
+            items.required = ['id'];
+
+            const result = specDiff.compare(oldSpec, newSpec);
+
+            assert.equal(find(result, 'enum-value-added')[0].level, BREAKING);
+            assert.equal(find(result, 'property-added')[0].level, NON_BREAKING);
+            assert.equal(find(result, 'property-became-optional')[0].level, BREAKING);
+            assert.match(find(result, 'property-became-optional')[0].message, /property '\[\]\.status'/);
+        });
+
+        it('should break when a success response is removed', () => {
+            newSpec.paths['/pets'].post.responses = { 200: { description: 'OK' } };
+
+            const result = specDiff.compare(oldSpec, newSpec);
+
+            assert.equal(find(result, 'response-removed')[0].level, BREAKING);
+            assert.equal(find(result, 'response-added')[0].level, BREAKING);
+        });
+    });
+
+    it('should report removed component schemas as breaking', () => {
+        delete newSpec.components.schemas.Pet;
+
+        const result = specDiff.compare(oldSpec, newSpec);
+
+        assert.equal(find(result, 'schema-removed')[0].level, BREAKING);
+    });
+
+    it('should not recurse forever on recursive schemas', () => {
+        const node = { type: 'object', properties: {} };
+        node.properties.children = { type: 'array', items: node };
+        oldSpec.paths['/pets'].post.requestBody.content['application/json'].schema = node;
+        newSpec.paths['/pets'].post.requestBody.content['application/json'].schema = node;
+
+        assert.equal(specDiff.compare(oldSpec, newSpec).changes.length, 0);
+    });
+
+    describe('Formatting', () => {
+        beforeEach(() => {
+            delete newSpec.paths['/pets'].post;
+            newSpec.info.version = '2.0.0';
+        });
+
+        it('should format as text grouped by level', () => {
+            const text = specDiff.format(specDiff.compare(oldSpec, newSpec), 'text');
+
+            assert.match(text, /^1 breaking, 0 non-breaking, 1 informational change\(s\)/);
+            assert.match(text, /Breaking changes:\n {2}POST \/pets: Operation was removed/);
+        });
+
+        it('should format as Markdown for PR comments', () => {
+            const markdown = specDiff.format(specDiff.compare(oldSpec, newSpec), 'markdown');
+
+            assert.match(markdown, /^## API changes/);
+            assert.match(markdown, /\| 1 \| 0 \| 1 \|/);
+            assert.match(markdown, /### ⚠️ Breaking changes\n\n- `POST \/pets`: Operation was removed/);
+        });
+
+        it('should format as JSON', () => {
+            const json = JSON.parse(specDiff.format(specDiff.compare(oldSpec, newSpec), 'json'));
+
+            assert.equal(json.summary.breaking, 1);
+            assert.equal(json.to, '2.0.0');
+        });
+
+        it('should reject unknown formats', () => {
+            assert.throws(() => specDiff.format({ changes: [] }, 'xml'), /Unknown diff format/);
+        });
+    });
+});
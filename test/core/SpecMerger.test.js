@@ -0,0 +1,185 @@
+/**
+ * SpecMerger.test.js
+ * Unit tests for merging several OpenAPI documents into one
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import SpecMerger from '../../src/core/SpecMerger.js';
+
+function usersSpec() {
+    return {
+        openapi: '3.0.3',
+        info: { title: 'Users', version: '1.0.0' },
+        servers: [{ url: 'https://users.example.com' }],
+        tags: [{ name: 'users' }],
+        paths: {
+            '/users': {
+                get: {
+                    operationId: 'list',
+                    responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } } }
+                }
+            },
+            '/health': {
+                get: { operationId: 'health', responses: { 200: { description: 'OK' } } }
+            }
+        },
+        components: {
+            schemas: {
+                User: { type: 'object', properties: { id: { type: 'string' } } },
+                Error: { type: 'object', properties: { message: { type: 'string' } } }
+            }
+        }
+    };
+}
+
+function billingSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Billing', version: '2.0.0' },
+        servers: [{ url: 'https://billing.example.com' }],
+        security: [{ apiKey: [] }],
+        tags: [{ name: 'users' }, { name: 'invoices' }],
+        paths: {
+            '/invoices': {
+                get: {
+                    operationId: 'list',
+                    responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Invoice' } } } } }
+                }
+            },
+            '/health': {
+                get: { operationId: 'billingHealth', responses: { 200: { description: 'OK' } } }
+            },
+            '/users': {
+                parameters: [{ name: 'X-Tenant', in: 'header', schema: { type: 'string' } }],
+                post: { operationId: 'chargeUser', responses: { 204: { description: 'Charged' } } }
+            }
+        },
+        components: {
+            schemas: {
+                User: { type: 'object', properties: { accountId: { type: 'string' } } },
+                Invoice: {
+                    type: 'object',
+                    properties: { owner: { $ref: '#/components/schemas/User' } },
+                    discriminator: { propertyName: 'kind', mapping: { user: 'User' } }
+                },
+                Error: { type: 'object', properties: { message: { type: 'string' } } }
+            },
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-Key' }
+            }
+        }
+    };
+}
+
+function merge(...specs) {
+    return new SpecMerger().merge(specs.map(([prefix, spec]) => ({ source: `${prefix}.yaml`, prefix, spec })));
+}
+
+describe('SpecMerger', () => {
+    it('should take info, servers and security from the first document', () => {
+        const merged = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.equal(merged.openapi, '3.0.3');
+        assert.deepEqual(merged.info, usersSpec().info);
+        assert.deepEqual(merged.servers, usersSpec().servers);
+        assert.equal(merged.security, undefined);
+        assert.deepEqual(merged['x-sources'], [
+            { source: 'users.yaml', prefix: 'users' },
+            { source: 'billing.yaml', prefix: 'billing' }
+        ]);
+    });
+
+    it('should use the configured info', () => {
+        const merged = new SpecMerger({ info: { title: 'Platform' } }).merge([{ source: 'users.yaml', prefix: 'users', spec: usersSpec() }]);
+
+        assert.deepEqual(merged.info, { title: 'Platform', version: '1.0.0' });
+    });
+
+    it('should rename colliding components and the references to them', () => {
+        const { components } = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.deepEqual(Object.keys(components.schemas), ['User', 'Error', 'BillingUser', 'Invoice']);
+        assert.equal(components.schemas.BillingUser['x-original-name'], 'User');
+        assert.equal(components.schemas.BillingUser['x-source'], 'billing.yaml');
+        assert.equal(components.schemas.Invoice.properties.owner.$ref, '#/components/schemas/BillingUser');
+        assert.deepEqual(components.schemas.Invoice.discriminator.mapping, { user: '#/components/schemas/BillingUser' });
+    });
+
+    it('should share identical components', () => {
+        const { components } = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.equal(components.schemas.BillingError, undefined);
+        assert.equal(components.schemas.Error['x-source'], 'users.yaml');
+    });
+
+    it('should prefix paths whose operations collide', () => {
+        const { paths } = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.deepEqual(Object.keys(paths), ['/users', '/health', '/invoices', '/billing/health']);
+        assert.equal(paths['/billing/health']['x-original-path'], '/health');
+        assert.equal(paths['/billing/health'].get['x-source'], 'billing.yaml');
+    });
+
+    it('should merge different methods of the same path', () => {
+        const { paths } = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.equal(paths['/users'].get['x-source'], 'users.yaml');
+        assert.equal(paths['/users'].post['x-source'], 'billing.yaml');
+        assert.equal(paths['/users'].parameters, undefined);
+        assert.deepEqual(paths['/users'].post.parameters, [{ name: 'X-Tenant', in: 'header', schema: { type: 'string' } }]);
+    });
+
+    it('should prefix colliding operationIds', () => {
+        const { paths } = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.equal(paths['/users'].get.operationId, 'list');
+        assert.equal(paths['/invoices'].get.operationId, 'billingList');
+        assert.equal(paths['/invoices'].get['x-original-operation-id'], 'list');
+    });
+
+    it('should keep the servers and security of later documents on their operations', () => {
+        const { paths } = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.equal(paths['/users'].get.servers, undefined);
+        assert.deepEqual(paths['/invoices'].get.servers, billingSpec().servers);
+        assert.deepEqual(paths['/invoices'].get.security, [{ apiKey: [] }]);
+    });
+
+    it('should rename colliding security schemes in security requirements', () => {
+        const other = billingSpec();
+        other.components.securitySchemes.apiKey = { type: 'http', scheme: 'bearer' };
+
+        const { paths, components } = merge(['billing', billingSpec()], ['accounts', other]);
+
+        assert.equal(components.securitySchemes.AccountsApiKey['x-original-name'], 'apiKey');
+        assert.deepEqual(paths['/invoices'].get.security, undefined);
+        assert.deepEqual(paths['/accounts/invoices'].get.security, [{ AccountsApiKey: [] }]);
+    });
+
+    it('should merge tags without duplicates', () => {
+        const { tags } = merge(['users', usersSpec()], ['billing', billingSpec()]);
+
+        assert.deepEqual(tags.map(tag => tag.name), ['users', 'invoices']);
+    });
+
+    it('should not modify the input documents', () => {
+        const billing = billingSpec();
+        merge(['users', usersSpec()], ['billing', billing]);
+
+        assert.deepEqual(billing, billingSpec());
+    });
+
+    it('should refuse to merge different OpenAPI versions', () => {
+        const other = { ...billingSpec(), openapi: '3.1.0' };
+
+        assert.throws(() => merge(['users', usersSpec()], ['billing', other]),
+            /Cannot merge OpenAPI 3\.1\.0 \(billing\.yaml\) with OpenAPI 3\.0\.3 \(users\.yaml\)/);
+    });
+
+    it('should fail when a prefixed name collides too', () => {
+        const other = billingSpec();
+        other.components.schemas.BillingUser = { type: 'string' };
+
+        assert.throws(() => merge(['users', usersSpec()], ['billing', other]), /prefixed name BillingUser/);
+    });
+});
@@ -0,0 +1,314 @@
+/**
+ * Swagger2Converter.test.js
+ * Unit tests for converting Swagger 2.0 documents to OpenAPI 3.0
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { convertSwagger2ToOpenAPI3 } from '../../src/core/Swagger2Converter.js';
+import SwaggerLoader from '../../src/core/SwaggerLoader.js';
+
+function petStore2() {
+    return {
+        swagger: '2.0',
+        info: { title: 'Pets', version: '1.0.0' },
+        host: 'api.example.com',
+        basePath: '/v1',
+        schemes: ['https', 'http'],
+        consumes: ['application/json'],
+        produces: ['application/json'],
+        'x-owner': 'pets-team',
+        paths: {
+            '/pets': {
+                parameters: [{ $ref: '#/parameters/Tenant' }],
+                get: {
+                    operationId: 'listPets',
+                    parameters: [
+                        { name: 'tags', in: 'query', type: 'array', items: { type: 'string' }, collectionFormat: 'multi' },
+                        { name: 'ids', in: 'query', type: 'array', items: { type: 'integer' } },
+                        { name: 'limit', in: 'query', type: 'integer', format: 'int32', maximum: 100, 'x-example': 20 }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Pets',
+                            schema: { type: 'array', items: { $ref: '#/definitions/Pet' } },
+                            headers: { 'X-Total': { type: 'integer', description: 'Total pets' } },
+                            examples: { 'application/json': [{ id: 1, name: 'Rex' }] },
+                            'x-cache': true
+                        },
+                        default: { $ref: '#/responses/Error' }
+                    }
+                },
+                post: {
+                    operationId: 'createPet',
+                    parameters: [{ $ref: '#/parameters/PetBody' }],
+                    responses: { 201: { description: 'Created', schema: { $ref: '#/definitions/Pet' } } }
+                }
+            },
+            '/pets/{petId}/photo': {
+                post: {
+                    operationId: 'uploadPhoto',
+                    consumes: ['multipart/form-data'],
+                    produces: ['text/plain'],
+                    parameters: [
+                        { name: 'petId', in: 'path', required: true, type: 'integer' },
+                        { name: 'file', in: 'formData', required: true, type: 'file', description: 'The photo' },
+                        { name: 'caption', in: 'formData', type: 'string' }
+                    ],
+                    responses: { 200: { description: 'Uploaded', schema: { type: 'string' } } }
+                }
+            }
+        },
+        parameters: {
+            Tenant: { name: 'X-Tenant', in: 'header', type: 'string' },
+            PetBody: { name: 'pet', in: 'body', required: true, schema: { $ref: '#/definitions/Pet' } }
+        },
+        responses: {
+            Error: { description: 'Error', schema: { $ref: '#/definitions/Error' } }
+        },
+        definitions: {
+            Pet: {
+                type: 'object',
+                discriminator: 'kind',
+                required: ['id', 'kind'],
+                properties: {
+                    id: { type: 'integer' },
+                    kind: { type: 'string' },
+                    nickname: { type: 'string', 'x-nullable': true }
+                }
+            },
+            Error: { type: 'object', properties: { message: { type: 'string' } } }
+        },
+        securityDefinitions: {
+            petAuth: {
+                type: 'oauth2',
+                flow: 'accessCode',
+                authorizationUrl: 'https://auth.example.com/authorize',
+                tokenUrl: 'https://auth.example.com/token',
+                scopes: { 'read:pets': 'Read pets' }
+            }
+        },
+        security: [{ petAuth: ['read:pets'] }]
+    };
+}
+
+// The OpenAPI 3.0 document petStore2() describes
+function petStore3() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Pets', version: '1.0.0' },
+        servers: [{ url: 'https://api.example.com/v1' }, { url: 'http://api.example.com/v1' }],
+        paths: {
+            '/pets': {
+                parameters: [{ $ref: '#/components/parameters/Tenant' }],
+                get: {
+                    operationId: 'listPets',
+                    parameters: [
+                        { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+                        { name: 'ids', in: 'query', schema: { type: 'array', items: { type: 'integer' } }, style: 'form', explode: false },
+                        { name: 'limit', in: 'query', example: 20, schema: { type: 'integer', format: 'int32', maximum: 100 } }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Pets',
+                            content: {
+                                'application/json': {
+                                    schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } },
+                                    example: [{ id: 1, name: 'Rex' }]
+                                }
+                            },
+                            headers: { 'X-Total': { description: 'Total pets', schema: { type: 'integer' } } },
+                            'x-cache': true
+                        },
+                        default: { $ref: '#/components/responses/Error' }
+                    }
+                },
+                post: {
+                    operationId: 'createPet',
+                    requestBody: { $ref: '#/components/requestBodies/PetBody' },
+                    responses: {
+                        201: {
+                            description: 'Created',
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                        }
+                    }
+                }
+            },
+            '/pets/{petId}/photo': {
+                post: {
+                    operationId: 'uploadPhoto',
+                    parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+                    requestBody: {
+                        content: {
+                            'multipart/form-data': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        file: { type: 'string', format: 'binary', description: 'The photo' },
+                                        caption: { type: 'string' }
+                                    },
+                                    required: ['file']
+                                }
+                            }
+                        },
+                        required: true
+                    },
+                    responses: { 200: { description: 'Uploaded', content: { 'text/plain': { schema: { type: 'string' } } } } }
+                }
+            }
+        },
+        components: {
+            schemas: {
+                Pet: {
+                    type: 'object',
+                    discriminator: { propertyName: 'kind' },
+                    required: ['id', 'kind'],
+                    properties: {
+                        id: { type: 'integer' },
+                        kind: { type: 'string' },
+                        nickname: { type: 'string', nullable: true }
+                    }
+                },
+                Error: { type: 'object', properties: { message: { type: 'string' } } }
+            },
+            parameters: {
+                Tenant: { name: 'X-Tenant', in: 'header', schema: { type: 'string' } }
+            },
+            requestBodies: {
+                PetBody: {
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } },
+                    required: true
+                }
+            },
+            responses: {
+                Error: {
+                    description: 'Error',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            },
+            securitySchemes: {
+                petAuth: {
+                    type: 'oauth2',
+                    flows: {
+                        authorizationCode: {
+                            authorizationUrl: 'https://auth.example.com/authorize',
+                            tokenUrl: 'https://auth.example.com/token',
+                            scopes: { 'read:pets': 'Read pets' }
+                        }
+                    }
+                }
+            }
+        },
+        security: [{ petAuth: ['read:pets'] }],
+        'x-owner': 'pets-team'
+    };
+}
+
+describe('Swagger2Converter', () => {
+    it('should produce the equivalent OpenAPI 3.0 document', () => {
+        assert.deepEqual(convertSwagger2ToOpenAPI3(petStore2()), petStore3());
+    });
+
+    it('should not modify the input document', () => {
+        const swagger2 = petStore2();
+        convertSwagger2ToOpenAPI3(swagger2);
+
+        assert.deepEqual(swagger2, petStore2());
+    });
+
+    it('should load a 2.0 spec and its 3.0 equivalent identically', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'swagger2-converter-'));
+        try {
+            await fs.writeFile(path.join(dir, 'swagger.json'), JSON.stringify(petStore2()));
+            await fs.writeFile(path.join(dir, 'openapi.json'), JSON.stringify(petStore3()));
+
+            const loader = new SwaggerLoader();
+            assert.deepEqual(
+                await loader.load(path.join(dir, 'swagger.json')),
+                await loader.load(path.join(dir, 'openapi.json'))
+            );
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    describe('Parameters', () => {
+        const convertParameters = (parameters, extra = {}) => convertSwagger2ToOpenAPI3({
+            swagger: '2.0',
+            info: { title: 'T', version: '1' },
+            paths: { '/items': { post: { parameters, responses: { 204: { description: 'OK' } } }, ...extra } }
+        }).paths['/items'];
+
+        it('should map collection formats to style and explode', () => {
+            const array = { type: 'array', items: { type: 'string' } };
+            const { post } = convertParameters([
+                { name: 'a', in: 'query', ...array, collectionFormat: 'ssv' },
+                { name: 'b', in: 'query', ...array, collectionFormat: 'pipes' },
+                { name: 'c', in: 'query', ...array, collectionFormat: 'tsv' },
+                { name: 'd', in: 'header', ...array, collectionFormat: 'csv' }
+            ]);
+
+            assert.deepEqual(post.parameters.map(({ style, explode, 'x-collectionFormat': format }) => [style, explode, format]), [
+                ['spaceDelimited', undefined, undefined],
+                ['pipeDelimited', undefined, undefined],
+                ['form', false, 'tsv'],
+                [undefined, undefined, undefined]
+            ]);
+        });
+
+        it('should turn form fields into a url-encoded body with encodings', () => {
+            const { post } = convertParameters([
+                { name: 'name', in: 'formData', type: 'string', required: true },
+                { name: 'tags', in: 'formData', type: 'array', items: { type: 'string' } }
+            ]);
+
+            assert.deepEqual(post.requestBody, {
+                content: {
+                    'application/x-www-form-urlencoded': {
+                        schema: {
+                            type: 'object',
+                            properties: { name: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+                            required: ['name']
+                        },
+                        encoding: { tags: { style: 'form', explode: false } }
+                    }
+                },
+                required: true
+            });
+        });
+
+        it('should apply path-level body parameters to each operation unless overridden', () => {
+            const item = convertParameters(
+                [{ name: 'payload', in: 'body', schema: { type: 'string' } }],
+                { parameters: [{ name: 'payload', in: 'body', schema: { type: 'object' } }], put: { responses: {} } }
+            );
+
+            assert.equal(item.parameters, undefined);
+            assert.equal(item.post.requestBody.content['application/json'].schema.type, 'string');
+            assert.equal(item.put.requestBody.content['application/json'].schema.type, 'object');
+        });
+    });
+
+    it('should map every security definition type and OAuth2 flow', () => {
+        const { components } = convertSwagger2ToOpenAPI3({
+            swagger: '2.0',
+            info: { title: 'T', version: '1' },
+            paths: {},
+            securityDefinitions: {
+                basic: { type: 'basic', description: 'Basic auth' },
+                key: { type: 'apiKey', in: 'query', name: 'api_key' },
+                app: { type: 'oauth2', flow: 'application', tokenUrl: 'https://auth/token', scopes: {} },
+                pwd: { type: 'oauth2', flow: 'password', tokenUrl: 'https://auth/token' }
+            }
+        });
+
+        assert.deepEqual(components.securitySchemes, {
+            basic: { type: 'http', scheme: 'basic', description: 'Basic auth' },
+            key: { type: 'apiKey', in: 'query', name: 'api_key' },
+            app: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: 'https://auth/token', scopes: {} } } },
+            pwd: { type: 'oauth2', flows: { password: { tokenUrl: 'https://auth/token', scopes: {} } } }
+        });
+    });
+});
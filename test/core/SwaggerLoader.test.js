@@ -33,7 +33,10 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import fs from 'fs/promises';
 import { createServer } from 'http';
+import { gzipSync } from 'zlib';
 import os from 'os';
+import { Readable } from 'stream';
+import yaml from 'js-yaml';
 import SwaggerLoader from '../../src/core/SwaggerLoader.js';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -239,6 +242,138 @@ paths:
         });
     });
 
+    describe('Authenticated and Cached URL Loading', () => {
+        const remoteSpec = JSON.stringify({ openapi: '3.0.0', info: { title: 'Private API', version: '1.0.0' }, paths: {} });
+        let requests;
+        let otherServer;
+        let baseUrl;
+        let otherUrl;
+        let cacheDirectory;
+
+        const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () =>
+            resolve(`http://127.0.0.1:${server.address().port}`)));
+
+        beforeEach(async () => {
+            requests = [];
+            cacheDirectory = join(tempDir, 'cache');
+
+            // Another origin, to check that credentials are not forwarded
+            otherServer = createServer((req, res) => {
+                requests.push({ url: `other${req.url}`, headers: req.headers });
+                res.writeHead(200);
+                res.end(remoteSpec);
+            });
+            otherUrl = await listen(otherServer);
+
+            httpServer = createServer((req, res) => {
+                requests.push({ url: req.url, headers: req.headers });
+
+                if (req.url === '/private.json') {
+                    const authorized = req.headers.authorization === 'Bearer secret-token' && req.headers['x-api-key'] === 'key-1';
+                    res.writeHead(authorized ? 200 : 401);
+                    res.end(authorized ? remoteSpec : 'Unauthorized');
+                } else if (req.url === '/moved.json') {
+                    res.writeHead(302, { Location: '/private.json' });
+                    res.end();
+                } else if (req.url === '/elsewhere.json') {
+                    res.writeHead(307, { Location: `${otherUrl}/spec.json` });
+                    res.end();
+                } else if (req.url === '/loop.json') {
+                    res.writeHead(301, { Location: '/loop.json' });
+                    res.end();
+                } else if (req.url === '/etag.json') {
+                    if (req.headers['if-none-match'] === '"v1"') {
+                        res.writeHead(304);
+                        res.end();
+                    } else {
+                        res.writeHead(200, { ETag: '"v1"', 'Content-Encoding': 'gzip' });
+                        res.end(gzipSync(remoteSpec));
+                    }
+                } else {
+                    res.writeHead(404);
+                    res.end('Not found');
+                }
+            });
+            baseUrl = await listen(httpServer);
+
+            process.env.SPEC_TEST_TOKEN = 'secret-token';
+            process.env.SPEC_TEST_KEY = 'key-1';
+        });
+
+        afterEach(() => {
+            otherServer.close();
+            delete process.env.SPEC_TEST_TOKEN;
+            delete process.env.SPEC_TEST_KEY;
+        });
+
+        const authLoader = (options = {}) => new SwaggerLoader({
+            headers: { 'X-Api-Key': '${SPEC_TEST_KEY}' },
+            tokenEnv: 'SPEC_TEST_TOKEN',
+            cacheDirectory,
+            ...options
+        });
+
+        it('should send headers and a bearer token from environment variables', async () => {
+            await assert.rejects(new SwaggerLoader({ cache: false }).load(`${baseUrl}/private.json`), /HTTP 401/);
+
+            const loaded = await authLoader().load(`${baseUrl}/private.json`);
+
+            assert.equal(loaded.info.title, 'Private API');
+        });
+
+        it('should report environment variables that are not set', async () => {
+            delete process.env.SPEC_TEST_TOKEN;
+
+            await assert.rejects(authLoader().load(`${baseUrl}/private.json`),
+                /Environment variable SPEC_TEST_TOKEN is not set/);
+        });
+
+        it('should follow redirects, keeping credentials on the same origin only', async () => {
+            const loader = authLoader();
+
+            assert.equal((await loader.load(`${baseUrl}/moved.json`)).info.title, 'Private API');
+            await loader.load(`${baseUrl}/elsewhere.json`);
+
+            const forwarded = requests.find(request => request.url === 'other/spec.json');
+            assert.equal(forwarded.headers.authorization, undefined);
+            assert.equal(forwarded.headers['x-api-key'], undefined);
+        });
+
+        it('should stop after too many redirects', async () => {
+            await assert.rejects(authLoader({ maxRedirects: 2 }).load(`${baseUrl}/loop.json`), /more than 2 redirects/);
+        });
+
+        it('should decompress gzip responses and revalidate the disk cache with the ETag', async () => {
+            const url = `${baseUrl}/etag.json`;
+
+            assert.equal((await authLoader().load(url)).info.title, 'Private API');
+            // A new loader has an empty memory cache, so it asks the server again
+            assert.equal((await authLoader().load(url)).info.title, 'Private API');
+
+            const etagRequests = requests.filter(request => request.url === '/etag.json');
+            assert.equal(etagRequests.length, 2);
+            assert.equal(etagRequests[0].headers['if-none-match'], undefined);
+            assert.equal(etagRequests[1].headers['if-none-match'], '"v1"');
+        });
+
+        it('should load the cached copy without a request in offline mode', async () => {
+            const url = `${baseUrl}/private.json`;
+
+            await assert.rejects(authLoader({ offline: true }).load(url), /No cached copy of .* for offline mode/);
+
+            await authLoader().load(url);
+            requests = [];
+            const loaded = await authLoader({ offline: true }).load(url);
+
+            assert.equal(loaded.info.title, 'Private API');
+            assert.deepEqual(requests, []);
+        });
+
+        it('should refuse offline mode without the cache', () => {
+            assert.throws(() => new SwaggerLoader({ offline: true, cache: false }), /Offline mode needs the spec cache/);
+        });
+    });
+
     describe('Swagger 2.0 to OpenAPI 3.0 Conversion', () => {
         it('should convert basic Swagger 2.0 structure', async () => {
             const swagger2 = {
@@ -391,6 +526,9 @@ paths:
             assert.equal(responseSchema.type, 'object');
             assert.ok(responseSchema.properties.id);
             assert.ok(responseSchema.properties.name);
+            // The copy remembers the component it came from
+            assert.equal(responseSchema['x-component-name'], 'User');
+            assert.equal(loaded.components.schemas.User['x-component-name'], undefined);
         });
 
         it('should resolve external file references', async () => {
@@ -473,6 +611,320 @@ paths:
                 assert.ok(err.message.includes('Failed to resolve reference'));
             }
         });
+
+        it('should keep unresolvable references in place when asked', async () => {
+            const spec = {
+                openapi: '3.0.0',
+                info: { title: 'Test API', version: '1.0.0' },
+                paths: {
+                    '/users': {
+                        get: {
+                            responses: {
+                                '200': { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Missing' } } } },
+                                '400': { description: 'Bad', content: { 'application/json': { schema: { $ref: './missing.yaml' } } } },
+                                '404': { description: 'Gone', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+                            }
+                        }
+                    }
+                },
+                components: { schemas: { Error: { type: 'object' } } }
+            };
+
+            const filePath = join(tempDir, 'unresolved-ref.json');
+            await fs.writeFile(filePath, JSON.stringify(spec));
+
+            const loaded = await new SwaggerLoader({ cache: false, keepUnresolvedReferences: true }).load(filePath);
+            const responses = loaded.paths['/users'].get.responses;
+
+            assert.deepEqual(responses['200'].content['application/json'].schema, { $ref: '#/components/schemas/Missing' });
+            assert.deepEqual(responses['400'].content['application/json'].schema, { $ref: './missing.yaml' });
+            assert.equal(responses['404'].content['application/json'].schema.type, 'object');
+        });
+
+        // root.yaml -> schemas/pet.yaml -> schemas/tag.yaml and common/error.yaml
+        async function writeMultiFileSpec(dir) {
+            await fs.mkdir(join(dir, 'schemas'), { recursive: true });
+            await fs.mkdir(join(dir, 'common'), { recursive: true });
+            await fs.writeFile(join(dir, 'common', 'error.yaml'), 'type: object\nproperties:\n  message:\n    type: string\n');
+            await fs.writeFile(join(dir, 'schemas', 'tag.yaml'), 'type: object\nproperties:\n  label:\n    type: string\n');
+            await fs.writeFile(join(dir, 'schemas', 'pet.yaml'), [
+                'type: object',
+                'properties:',
+                '  tag:',
+                "    $ref: './tag.yaml'",
+                '  parent:',
+                "    $ref: './pet.yaml'",
+                '  error:',
+                "    $ref: '../common/error.yaml'"
+            ].join('\n'));
+            await fs.writeFile(join(dir, 'root.yaml'), [
+                'openapi: 3.0.0',
+                'info:',
+                '  title: Pets',
+                "  version: '1.0.0'",
+                'paths:',
+                '  /pets:',
+                '    get:',
+                '      responses:',
+                "        '200':",
+                '          description: Pets',
+                '          content:',
+                '            application/json:',
+                '              schema:',
+                "                $ref: '#/components/schemas/Pet'",
+                'components:',
+                '  schemas:',
+                '    Pet:',
+                "      $ref: './schemas/pet.yaml'",
+                '    Error:',
+                "      $ref: './common/error.yaml'"
+            ].join('\n'));
+
+            return join(dir, 'root.yaml');
+        }
+
+        it('should resolve refs relative to the file that contains them', async () => {
+            const loaded = await loader.load(await writeMultiFileSpec(tempDir));
+            const pet = loaded.components.schemas.Pet;
+
+            assert.equal(pet.properties.tag.properties.label.type, 'string');
+            assert.equal(pet.properties.error.properties.message.type, 'string');
+            assert.equal(loaded.paths['/pets'].get.responses['200'].content['application/json'].schema.type, 'object');
+        });
+
+        it('should keep circular references as internal refs', async () => {
+            const loaded = await loader.load(await writeMultiFileSpec(tempDir));
+
+            assert.deepEqual(loaded.components.schemas.Pet.properties.parent, { $ref: '#/components/schemas/Pet' });
+            assert.doesNotThrow(() => JSON.stringify(loaded));
+        });
+
+        it('should resolve relative refs in documents loaded from URLs', async () => {
+            await writeMultiFileSpec(tempDir);
+            httpServer = createServer(async (req, res) => {
+                try {
+                    const content = await fs.readFile(join(tempDir, req.url));
+                    res.writeHead(200);
+                    res.end(content);
+                } catch {
+                    res.writeHead(404);
+                    res.end('Not found');
+                }
+            });
+            await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+            const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+
+            const loaded = await loader.load(`${baseUrl}/root.yaml`);
+
+            assert.equal(loaded.components.schemas.Pet.properties.error.properties.message.type, 'string');
+            assert.deepEqual(loader.getDependencies(`${baseUrl}/root.yaml`).sort(), [
+                `${baseUrl}/common/error.yaml`,
+                `${baseUrl}/root.yaml`,
+                `${baseUrl}/schemas/pet.yaml`,
+                `${baseUrl}/schemas/tag.yaml`
+            ]);
+        });
+
+        it('should report missing external files', async () => {
+            const filePath = join(tempDir, 'missing-file.json');
+            await fs.writeFile(filePath, JSON.stringify({
+                openapi: '3.0.0',
+                info: { title: 'Test API', version: '1.0.0' },
+                paths: {},
+                components: { schemas: { User: { $ref: './nowhere.json' } } }
+            }));
+
+            await assert.rejects(loader.load(filePath), /Failed to resolve reference.*Specification file not found/s);
+        });
+
+        it('should bundle a multi-file spec into one document with internal refs only', async () => {
+            const filePath = await writeMultiFileSpec(tempDir);
+
+            const bundled = await loader.bundle(filePath);
+            const refs = JSON.stringify(bundled).match(/"\$ref":"[^"]*"/g);
+
+            assert.ok(refs.length > 0);
+            assert.ok(refs.every(ref => ref.startsWith('"$ref":"#/')), refs.join(', '));
+
+            const bundledPath = join(tempDir, 'bundled.json');
+            await fs.writeFile(bundledPath, JSON.stringify(bundled));
+            assert.deepEqual(await loader.load(bundledPath), await loader.load(filePath));
+        });
+    });
+
+    describe('OpenAPI 3.1', () => {
+        const spec31 = () => ({
+            openapi: '3.1.0',
+            info: { title: 'Test API', version: '1.0.0' },
+            paths: {
+                '/pets': { $ref: '#/components/pathItems/Pets' }
+            },
+            webhooks: {
+                newPet: { $ref: '#/components/pathItems/Pets' }
+            },
+            components: {
+                pathItems: {
+                    Pets: {
+                        post: {
+                            requestBody: {
+                                content: {
+                                    'application/json': {
+                                        schema: { $ref: '#/components/schemas/Pet', description: 'The new pet' }
+                                    }
+                                }
+                            },
+                            responses: { 200: { description: 'OK' } }
+                        }
+                    }
+                },
+                schemas: {
+                    Pet: {
+                        type: 'object',
+                        description: 'A pet',
+                        properties: {
+                            name: { type: ['string', 'null'] },
+                            tag: { $ref: '#/components/schemas/Pet/$defs/Tag' }
+                        },
+                        $defs: { Tag: { const: 'dog' } }
+                    }
+                }
+            }
+        });
+
+        it('should resolve pathItems for paths and webhooks and keep 3.1 keywords', async () => {
+            const filePath = join(tempDir, 'spec-31.json');
+            await fs.writeFile(filePath, JSON.stringify(spec31()));
+
+            const loaded = await loader.load(filePath);
+
+            assert.equal(loaded.openapi, '3.1.0');
+            assert.ok(loaded.paths['/pets'].post);
+            assert.ok(loaded.webhooks.newPet.post);
+
+            const schema = loaded.webhooks.newPet.post.requestBody.content['application/json'].schema;
+            assert.deepEqual(schema.properties.name.type, ['string', 'null']);
+            assert.deepEqual(schema.properties.tag, { const: 'dog' });
+        });
+
+        it('should apply keywords next to a $ref in 3.1 but not in 3.0', async () => {
+            const filePath = join(tempDir, 'spec-31-siblings.json');
+            await fs.writeFile(filePath, JSON.stringify(spec31()));
+
+            const loaded = await loader.load(filePath);
+            const schema = loaded.paths['/pets'].post.requestBody.content['application/json'].schema;
+            assert.equal(schema.description, 'The new pet');
+            assert.equal(schema.type, 'object');
+
+            const spec30 = spec31();
+            spec30.openapi = '3.0.3';
+            spec30.paths['/pets'] = spec30.components.pathItems.Pets;
+            delete spec30.webhooks;
+            const filePath30 = join(tempDir, 'spec-30-siblings.json');
+            await fs.writeFile(filePath30, JSON.stringify(spec30));
+
+            const loaded30 = await loader.load(filePath30);
+            assert.equal(loaded30.paths['/pets'].post.requestBody.content['application/json'].schema.description, 'A pet');
+        });
+
+        it('should decode escaped JSON pointer tokens', async () => {
+            const spec = spec31();
+            spec.paths['/pet-alias'] = { $ref: '#/paths/~1pets' };
+            const filePath = join(tempDir, 'spec-31-pointer.json');
+            await fs.writeFile(filePath, JSON.stringify(spec));
+
+            const loaded = await loader.load(filePath);
+
+            assert.ok(loaded.paths['/pet-alias'].post);
+        });
+    });
+
+    describe('Stdin, Globs and Merging', () => {
+        const serviceSpec = (title, pathName, schema) => ({
+            openapi: '3.0.0',
+            info: { title, version: '1.0.0' },
+            paths: {
+                [pathName]: {
+                    get: {
+                        operationId: 'list',
+                        responses: { 200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Item' } } } } }
+                    }
+                }
+            },
+            components: { schemas: { Item: schema } }
+        });
+
+        async function writeServices() {
+            await fs.mkdir(join(tempDir, 'services'));
+            await fs.writeFile(join(tempDir, 'services', 'users.json'),
+                JSON.stringify(serviceSpec('Users', '/users', { type: 'object', properties: { name: { type: 'string' } } })));
+            await fs.writeFile(join(tempDir, 'services', 'billing.v2.json'),
+                JSON.stringify(serviceSpec('Billing', '/invoices', { type: 'object', properties: { total: { type: 'number' } } })));
+        }
+
+        it('should load a specification from stdin', async () => {
+            const spec = serviceSpec('Piped', '/items', { type: 'string' });
+            loader = new SwaggerLoader({ stdin: Readable.from([yaml.dump(spec)]) });
+
+            const loaded = await loader.load('-');
+
+            assert.equal(loaded.info.title, 'Piped');
+            assert.deepEqual(loaded.paths['/items'].get.responses[200].content['application/json'].schema,
+                { type: 'string', 'x-component-name': 'Item' });
+            assert.deepEqual(loader.getDependencies('-'), ['-']);
+        });
+
+        it('should reject empty stdin', async () => {
+            loader = new SwaggerLoader({ stdin: Readable.from([]) });
+
+            await assert.rejects(loader.load('-'), /No specification on stdin/);
+        });
+
+        it('should merge every file a glob matches', async () => {
+            await writeServices();
+
+            const loaded = await loader.load(join(tempDir, 'services', '*.json'));
+
+            // Sorted by path, so billing.v2.json comes first and keeps its names
+            assert.equal(loaded.info.title, 'Billing');
+            assert.deepEqual(Object.keys(loaded.paths), ['/invoices', '/users']);
+            assert.equal(loaded.paths['/users'].get.operationId, 'usersList');
+            assert.deepEqual(loaded.paths['/users'].get.responses[200].content['application/json'].schema,
+                { type: 'object', properties: { name: { type: 'string' } }, 'x-source': join(tempDir, 'services', 'users.json'), 'x-original-name': 'Item', 'x-component-name': 'UsersItem' });
+            assert.deepEqual(loaded['x-sources'].map(({ prefix }) => prefix), ['billing', 'users']);
+        });
+
+        it('should use the configured merge prefixes and info', async () => {
+            await writeServices();
+            loader = new SwaggerLoader({ merge: { prefixes: { 'billing.v2.json': 'accounts' }, info: { title: 'Platform' } } });
+
+            const loaded = await loader.load([join(tempDir, 'services', 'users.json'), join(tempDir, 'services', 'billing.v2.json')]);
+
+            assert.equal(loaded.info.title, 'Platform');
+            assert.equal(loaded.paths['/invoices'].get.operationId, 'accountsList');
+            assert.ok(loaded.components.schemas.AccountsItem);
+        });
+
+        it('should fail when a glob matches nothing', async () => {
+            await assert.rejects(loader.load(join(tempDir, 'missing', '*.yaml')), /No specification files match/);
+        });
+
+        it('should track the files of a merged specification', async () => {
+            await writeServices();
+            const pattern = join(tempDir, 'services', '*.json');
+            await loader.load(pattern);
+
+            assert.deepEqual(
+                loader.getDependencies(pattern).map(file => file.slice(tempDir.length + 1)).sort(),
+                [join('services', 'billing.v2.json'), join('services', 'users.json')]
+            );
+
+            await fs.writeFile(join(tempDir, 'services', 'users.json'),
+                JSON.stringify(serviceSpec('Users', '/people', { type: 'string' })));
+            loader.invalidate(join(tempDir, 'services', 'users.json'));
+
+            const reloaded = await loader.load(pattern);
+            assert.deepEqual(Object.keys(reloaded.paths), ['/invoices', '/people']);
+        });
     });
 
     describe('Caching', () => {
@@ -528,5 +980,59 @@ paths:
             assert.equal(loaded1.info.title, 'API 1');
             assert.equal(loaded2.info.title, 'API 2');
         });
+
+        async function writeSpecWithRefs() {
+            await fs.writeFile(join(tempDir, 'address.json'), JSON.stringify({
+                type: 'object',
+                properties: { street: { type: 'string' } }
+            }));
+            await fs.writeFile(join(tempDir, 'user.json'), JSON.stringify({
+                type: 'object',
+                properties: { address: { $ref: './address.json' } }
+            }));
+            await fs.writeFile(join(tempDir, 'other.json'), JSON.stringify({ type: 'string' }));
+
+            const filePath = join(tempDir, 'root.json');
+            await fs.writeFile(filePath, JSON.stringify({
+                openapi: '3.0.0',
+                info: { title: 'Refs', version: '1.0.0' },
+                paths: {},
+                components: {
+                    schemas: {
+                        User: { $ref: './user.json' },
+                        Other: { $ref: './other.json' }
+                    }
+                }
+            }));
+
+            return filePath;
+        }
+
+        it('should report every file a spec was assembled from', async () => {
+            const filePath = await writeSpecWithRefs();
+            await loader.load(filePath);
+
+            assert.deepEqual(
+                loader.getDependencies(filePath).map(file => file.slice(tempDir.length + 1)).sort(),
+                ['address.json', 'other.json', 'root.json', 'user.json']
+            );
+        });
+
+        it('should invalidate a changed file and the documents that reference it', async () => {
+            const filePath = await writeSpecWithRefs();
+            await loader.load(filePath);
+
+            const invalidated = loader.invalidate(join(tempDir, 'address.json'));
+
+            assert.deepEqual(
+                invalidated.map(file => file.slice(tempDir.length + 1)).sort(),
+                ['address.json', 'root.json', 'user.json']
+            );
+            assert.ok(loader.cache.has(join(tempDir, 'other.json')));
+
+            await fs.writeFile(join(tempDir, 'address.json'), JSON.stringify({ type: 'string' }));
+            const reloaded = await loader.load(filePath);
+            assert.equal(reloaded.components.schemas.User.properties.address.type, 'string');
+        });
     });
-});
\ No newline at end of file
+});
@@ -135,7 +135,7 @@ describe('SwaggerValidator', () => {
 
             const result = validator.validate(spec);
             assert.ok(!result.valid);
-            assert.ok(result.errors.some(e => e.message === 'info.title is required'));
+            assert.ok(result.errors.some(e => e.pointer === '/info' && e.message === 'Missing required field: title'));
         });
 
         it('should error on missing version', () => {
@@ -149,7 +149,7 @@ describe('SwaggerValidator', () => {
 
             const result = validator.validate(spec);
             assert.ok(!result.valid);
-            assert.ok(result.errors.some(e => e.message === 'info.version is required'));
+            assert.ok(result.errors.some(e => e.pointer === '/info' && e.message === 'Missing required field: version'));
         });
 
         it('should error on non-string title', () => {
@@ -164,7 +164,7 @@ describe('SwaggerValidator', () => {
 
             const result = validator.validate(spec);
             assert.ok(!result.valid);
-            assert.ok(result.errors.some(e => e.message === 'info.title must be a string'));
+            assert.ok(result.errors.some(e => e.pointer === '/info/title' && e.message === 'Title must be a string'));
         });
     });
 
@@ -774,4 +774,199 @@ describe('SwaggerValidator', () => {
             assert.ok(result.warnings.some(w => w.message.includes('Missing schema definition')));
         });
     });
-});
\ No newline at end of file
+
+    describe('Issue Locations', () => {
+        it('should report a rule id, severity and JSON pointer for each issue', () => {
+            const spec = {
+                openapi: '3.0.0',
+                info: { title: 'Test API', version: '1.0.0' },
+                paths: {
+                    '/users/{userId}': {
+                        get: {
+                            parameters: [{ name: 'userId', in: 'path' }],
+                            responses: { '200': { description: 'OK' } }
+                        }
+                    }
+                },
+                components: { schemas: { 'a/b~c': { type: 'array' } } }
+            };
+
+            const result = validator.validate(spec);
+            const required = result.errors.find(e => e.rule === 'path-parameter-required');
+            const items = result.errors.find(e => e.rule === 'schema-items');
+            const content = result.warnings.find(w => w.rule === 'response-content');
+
+            assert.equal(required.severity, 'error');
+            assert.equal(required.pointer, '/paths/~1users~1{userId}/get/parameters/0');
+            assert.equal(items.pointer, '/components/schemas/a~1b~0c');
+            assert.equal(content.severity, 'warning');
+            assert.equal(content.pointer, '/paths/~1users~1{userId}/get/responses/200');
+        });
+    });
+
+    describe('Reference Validation', () => {
+        it('should report unresolved references and skip the other checks', () => {
+            const result = validator.validate({
+                openapi: '3.0.3',
+                info: { title: 'Test API', version: '1.0.0' },
+                paths: {
+                    '/users': {
+                        get: {
+                            responses: {
+                                '200': { $ref: '#/components/responses/Missing' },
+                                '400': { description: 'Bad', content: { 'application/json': { schema: { $ref: 'error.yaml' } } } }
+                            }
+                        }
+                    }
+                },
+                components: { schemas: { 'a/b': { items: { $ref: '#/components/schemas/a~1b' } } } }
+            });
+
+            assert.equal(result.valid, false);
+            assert.deepEqual(result.errors.map(({ rule, pointer, message }) => ({ rule, pointer, message })), [
+                {
+                    rule: 'ref-resolved',
+                    pointer: '/paths/~1users/get/responses/200/$ref',
+                    message: "Cannot resolve reference '#/components/responses/Missing'"
+                },
+                {
+                    rule: 'ref-resolved',
+                    pointer: '/paths/~1users/get/responses/400/content/application~1json/schema/$ref',
+                    message: "Cannot resolve reference 'error.yaml'"
+                }
+            ]);
+            assert.equal(result.warnings.length, 0);
+        });
+    });
+
+    describe('Meta-Schema Validation', () => {
+        const spec = () => ({
+            openapi: '3.0.3',
+            info: { title: 'Test API', version: '1.0.0' },
+            paths: {
+                '/users': {
+                    get: {
+                        parameters: [{ name: 'limit', in: 'body' }],
+                        responses: { '200': { description: 'OK' } }
+                    }
+                }
+            }
+        });
+
+        it('should only run the hand-written checks by default', () => {
+            const result = validator.validate(spec());
+
+            assert.ok(result.valid);
+            assert.ok(!result.errors.some(e => e.rule === 'openapi-schema'));
+        });
+
+        it('should report meta-schema errors and skip the hand-written checks', () => {
+            const result = validator.validate(spec(), { metaSchema: true });
+
+            assert.equal(result.valid, false);
+            assert.ok(result.errors.every(e => e.rule === 'openapi-schema' && e.type === 'error'));
+            assert.ok(result.errors.some(e =>
+                e.pointer === '/paths/~1users/get/parameters/0/in' &&
+                e.message === "Must be one of 'path', 'query', 'header', 'cookie'"));
+            assert.equal(result.warnings.length, 0);
+        });
+
+        it('should continue with the hand-written checks when the document matches', () => {
+            const valid = spec();
+            valid.paths['/users'].get.parameters[0] = { name: 'limit', in: 'query', schema: { type: 'integer' } };
+
+            const result = validator.validate(valid, { metaSchema: true });
+
+            assert.ok(result.valid);
+            assert.ok(result.warnings.some(w => w.rule === 'operation-id'));
+        });
+    });
+
+    describe('OpenAPI 3.1', () => {
+        const spec = () => ({
+            openapi: '3.1.0',
+            info: { title: 'Webhooks', version: '1.0.0' },
+            servers: [{ url: 'https://api.example.com' }],
+            webhooks: {
+                newPet: {
+                    post: {
+                        operationId: 'newPet',
+                        summary: 'A pet was added',
+                        tags: ['pets'],
+                        requestBody: {
+                            content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                        },
+                        responses: { '204': { description: 'Received' } }
+                    }
+                }
+            },
+            components: {
+                schemas: {
+                    Pet: {
+                        type: 'object',
+                        required: ['name'],
+                        properties: {
+                            name: { type: 'string' },
+                            nickname: { type: ['string', 'null'] },
+                            kind: { const: 'pet' },
+                            tags: { type: 'array', prefixItems: [{ type: 'string' }] }
+                        },
+                        $defs: { Empty: { type: 'array' } }
+                    },
+                    Anything: true
+                }
+            }
+        });
+
+        it('should accept a document without paths', () => {
+            const result = validator.validate(spec());
+
+            assert.deepEqual(result.errors.map(e => [e.pointer, e.message]), [['/components/schemas/Pet/$defs/Empty', 'Array schema must define items']]);
+            assert.equal(result.warnings.length, 0);
+        });
+
+        it('should validate webhook operations with their own pointers', () => {
+            const document = spec();
+            delete document.webhooks.newPet.post.responses;
+            delete document.components.schemas.Pet.$defs;
+
+            const result = validator.validate(document);
+
+            assert.deepEqual(result.errors.map(e => [e.rule, e.pointer, e.message]), [
+                ['operation-responses', '/webhooks/newPet/post', "Missing required field 'responses'"]
+            ]);
+        });
+
+        it('should still require paths, webhooks or components', () => {
+            const result = validator.validate({ openapi: '3.1.0', info: { title: 'Empty', version: '1.0.0' } });
+
+            assert.ok(result.errors.some(e => e.message === 'Missing required field: paths, webhooks or components'));
+        });
+    });
+
+    describe('Security Requirements', () => {
+        it('should report requirements that name undefined schemes', () => {
+            const result = validator.validate({
+                openapi: '3.0.0',
+                info: { title: 'Secured', version: '1.0.0' },
+                security: [{ bearerAuth: [] }, { apiKey: [] }],
+                components: { securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } } },
+                paths: {
+                    '/users': {
+                        get: {
+                            operationId: 'getUsers',
+                            security: [{ oauth: ['read'] }],
+                            responses: { '204': { description: 'OK' } }
+                        }
+                    }
+                }
+            });
+
+            assert.equal(result.valid, false);
+            assert.deepEqual(result.errors.map(e => [e.rule, e.pointer, e.message]), [
+                ['security-scheme-defined', '/security/1/apiKey', "Security scheme 'apiKey' is not defined"],
+                ['security-scheme-defined', '/paths/~1users/get/security/0/oauth', "Security scheme 'oauth' is not defined"]
+            ]);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * ValidationReporter.test.js
+ * Unit tests for formatting validation results and severity thresholds
+ */
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import SwaggerValidator from '../../src/core/SwaggerValidator.js';
+import ValidationReporter from '../../src/core/ValidationReporter.js';
+
+function invalidSpec() {
+    return {
+        openapi: '3.0.0',
+        info: { title: 'Pets & <Friends>' },
+        servers: [{ url: 'https://pets.example.com' }],
+        paths: {
+            '/pets/{id}': {
+                get: {
+                    operationId: 'getPet',
+                    summary: 'Get a pet',
+                    tags: ['pets'],
+                    responses: { '200': { description: 'OK' } }
+                }
+            }
+        }
+    };
+}
+
+describe('ValidationReporter', () => {
+    let reporter;
+    let result;
+
+    beforeEach(() => {
+        reporter = new ValidationReporter({ source: 'api.yaml', toolVersion: '2.0.0' });
+        result = new SwaggerValidator().validate(invalidSpec());
+    });
+
+    describe('fails()', () => {
+        it('should compare issues against the severity threshold', () => {
+            const warningsOnly = { errors: [], warnings: result.warnings };
+
+            assert.equal(reporter.fails(result, 'error'), true);
+            assert.equal(reporter.fails(warningsOnly, 'error'), false);
+            assert.equal(reporter.fails(warningsOnly, 'warning'), true);
+            assert.equal(reporter.fails(result, 'none'), false);
+        });
+
+        it('should reject unknown severities', () => {
+            assert.throws(() => reporter.fails(result, 'fatal'), /Unknown severity/);
+        });
+    });
+
+    describe('format()', () => {
+        it('should format as pretty text grouped by severity', () => {
+            const text = reporter.format(result, 'pretty');
+
+            assert.match(text, /^api\.yaml: 2 error\(s\), 1 warning\(s\)/);
+            assert.match(text, /Errors:\n {2}\/info {2}Missing required field: version {2}\[info-version\]/);
+            assert.doesNotMatch(text, /paths\./);
+            assert.match(text, /Warnings:\n {2}\/paths\/~1pets~1\{id\}\/get\/responses\/200 .*\[response-content\]/);
+        });
+
+        it('should format as JSON', () => {
+            const json = JSON.parse(reporter.format(result, 'json'));
+
+            assert.equal(json.valid, false);
+            assert.deepEqual(json.summary, { errors: 2, warnings: 1 });
+            assert.deepEqual(json.issues[0], {
+                severity: 'error',
+                rule: 'info-version',
+                pointer: '/info',
+                message: 'Missing required field: version'
+            });
+        });
+
+        it('should format as JUnit XML with one failing test case per issue', () => {
+            const xml = reporter.format(result, 'junit');
+
+            assert.match(xml, /<testsuite name="api\.yaml" tests="3" failures="3" errors="0">/);
+            assert.match(xml, /<testcase classname="api\.yaml" name="info-version \/info">/);
+            assert.match(xml, /<failure type="warning" message="[^"]*Success response should define content">/);
+            assert.equal((xml.match(/<testcase /g) || []).length, 3);
+        });
+
+        it('should format as SARIF', () => {
+            const sarif = JSON.parse(reporter.format(result, 'sarif'));
+            const [run] = sarif.runs;
+            const definedParam = run.results.find(r => r.ruleId === 'path-parameter-defined');
+
+            assert.equal(sarif.version, '2.1.0');
+            assert.equal(run.tool.driver.version, '2.0.0');
+            assert.equal(run.tool.driver.rules[definedParam.ruleIndex].id, 'path-parameter-defined');
+            assert.equal(definedParam.level, 'error');
+            assert.equal(definedParam.locations[0].physicalLocation.artifactLocation.uri, 'api.yaml');
+            assert.equal(definedParam.locations[0].logicalLocations[0].fullyQualifiedName, '/paths/~1pets~1{id}/get');
+        });
+
+        it('should reject unknown formats', () => {
+            assert.throws(() => reporter.format(result, 'xml'), /Unknown validation format/);
+        });
+    });
+});
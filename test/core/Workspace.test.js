@@ -0,0 +1,64 @@
+/**
+ * Workspace.test.js
+ * Unit tests for checking workspace service lists
+ */
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeServices } from '../../src/core/Workspace.js';
+
+describe('Workspace', () => {
+    it('should fill in the defaults of every service', () => {
+        assert.deepEqual(normalizeServices([
+            { name: 'user-service', inputSpec: './users.yaml' },
+            { name: 'billing', inputSpec: ['a.yaml', 'b.yaml'], baseUrlEnv: 'BILLING_URL', outputPrefix: 'pay', apiUrl: 'https://billing' }
+        ]), [
+            {
+                name: 'user-service',
+                inputSpec: './users.yaml',
+                baseUrlEnv: 'NEXT_PUBLIC_USER_SERVICE_API_URL',
+                outputPrefix: 'user-service',
+                namespace: 'userService',
+                className: 'UserService',
+                apiUrl: undefined
+            },
+            {
+                name: 'billing',
+                inputSpec: ['a.yaml', 'b.yaml'],
+                baseUrlEnv: 'BILLING_URL',
+                outputPrefix: 'pay',
+                namespace: 'pay',
+                className: 'Billing',
+                apiUrl: 'https://billing'
+            }
+        ]);
+    });
+
+    it('should require a non-empty list', () => {
+        assert.throws(() => normalizeServices([]), /non-empty "services" list/);
+        assert.throws(() => normalizeServices({ name: 'users' }), /non-empty "services" list/);
+    });
+
+    it('should require a name and an inputSpec', () => {
+        assert.throws(() => normalizeServices([{ inputSpec: 'a.yaml' }]), /Workspace service 1 needs a "name"/);
+        assert.throws(() => normalizeServices([{ name: 'users' }]), /Workspace service "users" needs an "inputSpec"/);
+    });
+
+    it('should reject invalid output prefixes and environment variables', () => {
+        assert.throws(() => normalizeServices([{ name: 'users', inputSpec: 'a.yaml', outputPrefix: '../users' }]),
+            /outputPrefix "\.\.\/users"/);
+        assert.throws(() => normalizeServices([{ name: 'users', inputSpec: 'a.yaml', baseUrlEnv: 'USERS-URL' }]),
+            /baseUrlEnv "USERS-URL"/);
+    });
+
+    it('should reject services that would overwrite each other', () => {
+        assert.throws(() => normalizeServices([
+            { name: 'user-service', inputSpec: 'a.yaml' },
+            { name: 'UserService', inputSpec: 'b.yaml', outputPrefix: 'other' }
+        ]), /Workspace service "UserService" uses the same name as workspace service "user-service"/);
+
+        assert.throws(() => normalizeServices([
+            { name: 'users', inputSpec: 'a.yaml' },
+            { name: 'accounts', inputSpec: 'b.yaml', outputPrefix: 'users' }
+        ]), /uses the same outputPrefix/);
+    });
+});
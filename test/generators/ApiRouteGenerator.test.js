@@ -0,0 +1,389 @@
+/**
+ * ApiRouteGenerator.test.js
+ * Unit tests for the generated Next.js API routes and their request validation
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import ApiRouteGenerator from '../../src/generators/ApiRouteGenerator.js';
+import FileWriter from '../../src/core/FileWriter.js';
+import { getDefaults, mergeDeep } from '../../config/defaults.js';
+
+const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Pet Store', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                parameters: [
+                    { name: 'limit', in: 'query', schema: { type: 'integer', maximum: 100 } },
+                    { name: 'tags', in: 'query', schema: { type: 'array', items: { type: 'string' } } },
+                    { name: 'filter', in: 'query', style: 'deepObject', schema: { type: 'object' } },
+                    { name: 'X-Request-Id', in: 'header', required: true, schema: { type: 'string' } }
+                ],
+                responses: { 200: { description: 'OK' } }
+            },
+            post: {
+                operationId: 'createPet',
+                requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                },
+                responses: { 201: { description: 'Created' } }
+            }
+        },
+        '/pets/{petId}': {
+            parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'integer' } }],
+            get: {
+                operationId: 'getPet',
+                responses: {
+                    200: { description: 'OK', content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } } },
+                    default: { description: 'Error', content: { 'application/json': { schema: { type: 'object', properties: { message: { type: 'string' } } } } } },
+                    404: { description: 'Not found' }
+                }
+            },
+            delete: {
+                operationId: 'deletePet',
+                parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }],
+                responses: { 204: { description: 'Deleted' } }
+            }
+        },
+        '/health': {
+            get: { operationId: 'health', responses: { 200: { description: 'OK' } } }
+        }
+    },
+    components: {
+        schemas: {
+            Pet: {
+                type: 'object',
+                required: ['id', 'name'],
+                properties: {
+                    id: { type: 'integer', readOnly: true },
+                    name: { type: 'string', minLength: 1 },
+                    secret: { type: 'string', writeOnly: true }
+                }
+            }
+        }
+    }
+};
+
+const securedSpec = {
+    openapi: '3.0.0',
+    info: { title: 'Secured', version: '1.0.0' },
+    security: [{ bearerAuth: [] }],
+    components: {
+        securitySchemes: {
+            bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+            apiKey: { type: 'apiKey', in: 'cookie', name: 'session' },
+            oauth: { type: 'oauth2', flows: {} },
+            mtls: { type: 'mutualTLS' }
+        }
+    },
+    paths: {
+        '/orders': {
+            get: { operationId: 'listOrders', responses: { 200: { description: 'OK' } } },
+            post: {
+                operationId: 'createOrder',
+                security: [{ oauth: ['orders:write'] }, { apiKey: [], mtls: [] }],
+                responses: { 201: { description: 'Created' } }
+            }
+        },
+        '/status': {
+            get: { operationId: 'status', security: [], responses: { 200: { description: 'OK' } } }
+        }
+    }
+};
+
+const filesSpec = {
+    openapi: '3.0.0',
+    info: { title: 'Files', version: '1.0.0' },
+    paths: {
+        '/files': {
+            head: { operationId: 'checkFiles', responses: { 200: { description: 'OK' } } },
+            options: { operationId: 'fileOptions', responses: { 204: { description: 'OK' } } },
+            post: {
+                operationId: 'uploadFile',
+                requestBody: {
+                    required: true,
+                    content: {
+                        'multipart/form-data': {
+                            schema: {
+                                type: 'object',
+                                required: ['file'],
+                                properties: {
+                                    file: { type: 'string', format: 'binary' },
+                                    tags: { type: 'array', items: { type: 'string' } },
+                                    public: { type: 'boolean' },
+                                    metadata: { type: 'object' }
+                                }
+                            }
+                        }
+                    }
+                },
+                responses: {
+                    201: {
+                        description: 'Created',
+                        content: { 'application/vnd.api+json': { schema: { type: 'object', properties: { id: { type: 'string' } } } } }
+                    }
+                }
+            },
+            put: {
+                operationId: 'replaceFile',
+                requestBody: { content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+                responses: { 200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string' } } } } }
+            }
+        }
+    }
+};
+
+describe('ApiRouteGenerator', () => {
+    let tempDir;
+
+    async function generate(options = {}, source = spec) {
+        const generator = new ApiRouteGenerator(source, { output: tempDir, ...options });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        return generator.generate();
+    }
+
+    const read = (...segments) => fs.readFile(join(tempDir, ...segments), 'utf8');
+
+    beforeEach(async () => {
+        const tempRoot = join(os.tmpdir(), 'swagger-to-nextjs-tests');
+        await fs.mkdir(tempRoot, { recursive: true });
+        tempDir = await fs.mkdtemp(join(tempRoot, 'api-route-generator-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should generate one route file per path and the shared modules', async () => {
+        const result = await generate();
+
+        assert.equal(result.totalRoutes, 3);
+        assert.deepEqual(result.files.map(file => file.type).slice(0, 2), ['api-route', 'auth']);
+        assert.deepEqual(result.files.filter(file => file.routePattern).map(file => file.routePattern), ['pets', 'pets/[petId]', 'health']);
+        assert.match(await read('lib', 'api-route.ts'), /export async function handleRoute\(/);
+        assert.match(await read('lib', 'auth.ts'), /export async function authenticate\(/);
+        assert.match(await read('lib', 'auth.ts'), /function base64UrlDecode\(value: string\): Uint8Array<ArrayBuffer>/);
+        assert.match(await read('lib', 'api-route.ts'), /catch \(error\) \{\s*\/\/[^\n]*\n\s*console\.error\('\[api-route\] Authentication failed:'/);
+
+        const pets = await read('app', 'api', 'pets', 'route.ts');
+        assert.match(pets, /const baseUrl = process\.env\.NEXT_PUBLIC_API_URL \|\| 'https:\/\/api\.example\.com\/v1';/);
+        assert.match(pets, /export async function GET\(request: NextRequest, context: RouteContext\)/);
+        assert.match(pets, /export async function POST\(/);
+        assert.match(pets, /return handleRoute\(request, context, postOperation\);/);
+    });
+
+    it('should generate zod schemas for parameters and request bodies', async () => {
+        await generate();
+        const pets = await read('app', 'api', 'pets', 'route.ts');
+
+        assert.match(pets, /import \{ z \} from 'zod';/);
+        assert.match(pets, /limit: z\.coerce\.number\(\)\.int\(\)\.lte\(100\)\.optional\(\),/);
+        assert.match(pets, /tags: z\.array\(z\.string\(\)\)\.optional\(\),/);
+        assert.match(pets, /queryArrays: \['tags'\],/);
+        assert.match(pets, /'x-request-id': z\.string\(\),/);
+        assert.doesNotMatch(pets, /filter:/);
+        assert.match(pets, /id: z\.number\(\)\.int\(\)\.optional\(\),\s*name: z\.string\(\)\.min\(1\),\s*secret: z\.string\(\)\.optional\(\),?\s*\}\)/);
+        assert.match(pets, /bodyRequired: true,/);
+    });
+
+    it('should let operation parameters override path-level parameters', async () => {
+        await generate();
+        const pet = await read('app', 'api', 'pets', '[petId]', 'route.ts');
+        const getOperation = pet.slice(pet.indexOf('const getOperation'), pet.indexOf('export async function GET'));
+        const deleteOperation = pet.slice(pet.indexOf('const deleteOperation'));
+
+        assert.match(getOperation, /petId: z\.coerce\.number\(\)\.int\(\),/);
+        assert.match(deleteOperation, /petId: z\.string\(\)\.uuid\(\),/);
+        assert.match(deleteOperation, /path: '\/pets\/\{petId\}',/);
+    });
+
+    it('should leave out validation for operations without inputs', async () => {
+        await generate();
+        const health = await read('app', 'api', 'health', 'route.ts');
+
+        assert.doesNotMatch(health, /zod/);
+        assert.doesNotMatch(health, /parameters:/);
+    });
+
+    it('should not validate requests when requestValidation is off', async () => {
+        await generate({
+            config: mergeDeep(getDefaults(), { features: { security: { requestValidation: false } } })
+        });
+        const pets = await read('app', 'api', 'pets', 'route.ts');
+
+        assert.doesNotMatch(pets, /zod|z\.object/);
+        assert.match(pets, /forwarded to the backend at NEXT_PUBLIC_API_URL/);
+    });
+
+    it('should leave out response schemas unless responseValidation is on', async () => {
+        await generate();
+
+        assert.doesNotMatch(await read('app', 'api', 'pets', '[petId]', 'route.ts'), /responses:/);
+        assert.match(await read('lib', 'api-route.ts'), /process\.env\.API_RESPONSE_VALIDATION \|\|\s*'off'/);
+    });
+
+    it('should generate response schemas by status when responseValidation is on', async () => {
+        await generate({
+            config: mergeDeep(getDefaults(), { features: { security: { responseValidation: 'strict' } } })
+        });
+        const pet = await read('app', 'api', 'pets', '[petId]', 'route.ts');
+        const getOperation = pet.slice(pet.indexOf('const getOperation'), pet.indexOf('export async function GET'));
+
+        assert.match(pet, /The backend's responses are checked against the spec too\./);
+        assert.match(getOperation, /'200': z\s*\.object\(\{\s*id: z\.number\(\)\.int\(\),\s*name: z\.string\(\)\.min\(1\),\s*secret: z\.string\(\)\.optional\(\),?\s*\}\)/);
+        assert.match(getOperation, /default: z\.object\(\{ message: z\.string\(\)\.optional\(\) \}\)\.passthrough\(\),/);
+        assert.doesNotMatch(getOperation, /'404'/);
+        assert.match(await read('lib', 'api-route.ts'), /process\.env\.API_RESPONSE_VALIDATION \|\|\s*'strict'/);
+    });
+
+    it('should generate HEAD and OPTIONS handlers', async () => {
+        await generate({}, filesSpec);
+        const files = await read('app', 'api', 'files', 'route.ts');
+
+        assert.match(files, /export async function HEAD\(request: NextRequest, context: RouteContext\)/);
+        assert.match(files, /export async function OPTIONS\(/);
+        assert.match(files, /method: 'HEAD',/);
+    });
+
+    it('should check multipart bodies field by field and stream other bodies', async () => {
+        await generate({}, filesSpec);
+        const files = await read('app', 'api', 'files', 'route.ts');
+        const postOperation = files.slice(files.indexOf('const postOperation'), files.indexOf('export async function POST'));
+        const putOperation = files.slice(files.indexOf('const putOperation'), files.indexOf('export async function PUT'));
+
+        assert.match(postOperation, /file: z\.instanceof\(Blob\),/);
+        assert.match(postOperation, /public: z\.enum\(\['true', 'false'\]\)\.optional\(\)/);
+        assert.doesNotMatch(postOperation, /metadata/);
+        assert.match(postOperation, /bodyFormat: 'form',\s*bodyArrays: \['tags'\],\s*bodyRequired: true,/);
+        assert.doesNotMatch(putOperation, /body/);
+        assert.match(postOperation, /mediaTypes: \['multipart\/form-data'\],/);
+        assert.match(putOperation, /mediaTypes: \['application\/octet-stream'\],/);
+        assert.match(await read('lib', 'api-route.ts'), /export async function readBody\(/);
+        assert.match(await read('lib', 'api-route.ts'), /error: 'UNSUPPORTED_MEDIA_TYPE'/);
+    });
+
+    it('should validate +json responses but not text responses', async () => {
+        await generate({
+            config: mergeDeep(getDefaults(), { features: { security: { responseValidation: true } } })
+        }, filesSpec);
+        const files = await read('app', 'api', 'files', 'route.ts');
+        const postOperation = files.slice(files.indexOf('const postOperation'), files.indexOf('export async function POST'));
+        const putOperation = files.slice(files.indexOf('const putOperation'), files.indexOf('export async function PUT'));
+
+        assert.match(postOperation, /'201': z\.object\(\{ id: z\.string\(\)\.optional\(\) \}\)\.passthrough\(\),/);
+        assert.doesNotMatch(putOperation, /responses:/);
+    });
+
+    it('should require the security schemes of each operation', async () => {
+        await generate({}, securedSpec);
+        const orders = await read('app', 'api', 'orders', 'route.ts');
+        const getOperation = orders.slice(orders.indexOf('const getOperation'), orders.indexOf('export async function GET'));
+        const postOperation = orders.slice(orders.indexOf('const postOperation'), orders.indexOf('export async function POST'));
+
+        assert.match(orders, /import type \{ SecurityScheme \} from '@\/lib\/auth';/);
+        assert.match(orders, /bearerAuth: \{ type: 'http', scheme: 'bearer' \}/);
+        assert.match(orders, /apiKey: \{ type: 'apiKey', in: 'cookie', name: 'session' \}/);
+        assert.doesNotMatch(orders, /mtls: \{/);
+        assert.match(getOperation, /security: \[\{ bearerAuth: \[\] \}\],\s*securitySchemes,/);
+        assert.match(postOperation, /security: \[\{ oauth: \['orders:write'\] \}, \{ apiKey: \[\], mtls: \[\] \}\],/);
+    });
+
+    it('should keep requirements with schemes it cannot check and report them', async () => {
+        const source = structuredClone(securedSpec);
+        source.paths['/orders'].get.security = [{ missingScheme: [] }];
+        const generator = new ApiRouteGenerator(source, { output: tempDir });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+
+        const { routePolicies } = await generator.generate();
+        const orders = await read('app', 'api', 'orders', 'route.ts');
+
+        assert.equal(routePolicies[0].route, '/api/orders');
+        assert.match(orders, /const securitySchemes: Record<string, SecurityScheme> = /);
+        assert.match(orders, /security: \[\{ missingScheme: \[\] \}\],\s*securitySchemes,/);
+        assert.deepEqual(generator.errors.map(error => error.message), [
+            'Security scheme "missingScheme" cannot be checked by the generated routes: it is not defined',
+            'Security scheme "mtls" cannot be checked by the generated routes: its type or location is not supported'
+        ]);
+    });
+
+    it('should leave public operations open', async () => {
+        await generate({}, securedSpec);
+        const status = await read('app', 'api', 'status', 'route.ts');
+
+        assert.doesNotMatch(status, /security|@\/lib\/auth/);
+    });
+
+    it('should generate the middleware with the config defaults', async () => {
+        const result = await generate();
+        const middleware = await read('middleware.ts');
+
+        assert.deepEqual(result.files.slice(-2).map(file => file.file), [join(tempDir, 'lib', 'api-middleware.ts'), join(tempDir, 'middleware.ts')]);
+        const apiMiddleware = await read('lib', 'api-middleware.ts');
+        assert.match(apiMiddleware, /export class MemoryRateLimitStore implements RateLimitStore/);
+        assert.doesNotMatch(apiMiddleware, /'anonymous'/);
+        assert.match(middleware, /rateLimit: \{ limit: 100, window: 60 \}/);
+        assert.match(middleware, /'frame-ancestors': \["'none'"\]/);
+        assert.match(middleware, /connectSources: \[process\.env\.NEXT_PUBLIC_API_URL \|\| 'https:\/\/api\.example\.com\/v1'\]/);
+        assert.match(middleware, /strictTransportSecurity: 'max-age=31536000; includeSubDomains',\s*trustedProxies: 0/);
+        assert.deepEqual(result.routePolicies[0], {
+            route: '/api/pets',
+            methods: { GET: {}, POST: {} },
+            headers: ['X-Request-Id']
+        });
+    });
+
+    it('should apply x-cors and x-rate-limit of operations, paths and the spec', async () => {
+        const source = structuredClone(spec);
+        source['x-rate-limit'] = { limit: 50 };
+        source.paths['/pets']['x-cors'] = { origins: ['https://app.example.com'], credentials: true };
+        source.paths['/pets'].post['x-rate-limit'] = { limit: 5, window: 10 };
+        source.paths['/health'].get['x-rate-limit'] = false;
+        source.paths['/health'].get['x-cors'] = false;
+        source.paths['/pets/{petId}'].delete['x-rate-limit'] = { limit: 0 };
+        const generator = new ApiRouteGenerator(source, { output: tempDir, routePrefix: 'store' });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+
+        const { routePolicies } = await generator.generate();
+        const [pets, pet, health] = routePolicies;
+
+        assert.equal(pets.route, '/api/store/pets');
+        assert.deepEqual(pets.methods.GET.cors.origins, ['https://app.example.com']);
+        assert.equal(pets.methods.GET.cors.credentials, true);
+        assert.deepEqual(pets.methods.GET.cors.headers, ['Content-Type', 'Authorization']);
+        assert.deepEqual(pets.methods.GET.rateLimit, { limit: 50, window: 60 });
+        assert.deepEqual(pets.methods.POST.rateLimit, { limit: 5, window: 10 });
+        assert.deepEqual(pet.methods.DELETE, {});
+        assert.deepEqual(health.methods.GET, { cors: false, rateLimit: false });
+        assert.ok(generator.warnings.some(warning => /x-rate-limit of deletePet/.test(warning.message)));
+    });
+
+    it('should allow the apiKey headers of the security schemes in preflights', async () => {
+        const source = structuredClone(securedSpec);
+        source.components.securitySchemes.apiKey = { type: 'apiKey', in: 'header', name: 'X-API-Key' };
+        const { routePolicies } = await generate({}, source);
+
+        assert.deepEqual(routePolicies.map(policy => policy.headers), [['X-API-Key'], undefined]);
+    });
+
+    it('should leave out the middleware when its features are off', async () => {
+        const security = { csp: false, hsts: false, cors: false, rateLimiting: { enabled: false } };
+        const result = await generate({ config: mergeDeep(getDefaults(), { features: { security } }) });
+
+        assert.ok(!result.files.some(file => file.type === 'middleware'));
+        await assert.rejects(read('middleware.ts'));
+    });
+
+    it('should leave the middleware to the workspace without shared files', async () => {
+        const result = await generate({ sharedFiles: false });
+
+        assert.ok(!result.files.some(file => file.type === 'middleware'));
+        assert.equal(result.routePolicies.length, 3);
+    });
+});
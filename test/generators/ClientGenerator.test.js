@@ -0,0 +1,222 @@
+/**
+ * ClientGenerator.test.js
+ * Unit tests for the native fetch-based API client generator
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import ClientGenerator from '../../src/generators/ClientGenerator.js';
+import FileWriter from '../../src/core/FileWriter.js';
+import SwaggerLoader from '../../src/core/SwaggerLoader.js';
+
+const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Pet Store', version: '1.0.0' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    security: [{ bearerAuth: [] }],
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                tags: ['pets'],
+                parameters: [
+                    { name: 'limit', in: 'query', schema: { type: 'integer' } },
+                    { name: 'X-Request-Id', in: 'header', required: true, schema: { type: 'string' } }
+                ],
+                responses: {
+                    200: {
+                        description: 'OK',
+                        content: {
+                            'application/json': {
+                                schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } }
+                            }
+                        }
+                    }
+                }
+            },
+            post: {
+                operationId: 'createPet',
+                tags: ['pets'],
+                requestBody: {
+                    required: true,
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Pet' } } }
+                },
+                responses: { 201: { description: 'Created' } }
+            }
+        },
+        '/pets/{petId}': {
+            delete: {
+                operationId: 'delete-pet',
+                tags: ['pets'],
+                security: [],
+                parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: { 204: { description: 'Deleted' } }
+            }
+        },
+        '/users': {
+            get: {
+                operationId: 'listUsers',
+                tags: ['users'],
+                responses: { 200: { description: 'OK', content: { 'text/plain': {} } } }
+            }
+        }
+    },
+    components: {
+        securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer' } },
+        schemas: { Pet: { type: 'object', properties: { id: { type: 'string' } } } }
+    }
+};
+
+describe('ClientGenerator', () => {
+    let tempDir;
+    let clientDir;
+
+    async function generate(options = {}) {
+        const generator = new ClientGenerator(spec, { output: tempDir, ...options });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        return generator.generate();
+    }
+
+    const read = (...segments) => fs.readFile(join(clientDir, ...segments), 'utf8');
+
+    beforeEach(async () => {
+        const tempRoot = join(os.tmpdir(), 'swagger-to-nextjs-tests');
+        await fs.mkdir(tempRoot, { recursive: true });
+        tempDir = await fs.mkdtemp(join(tempRoot, 'client-generator-'));
+        clientDir = join(tempDir, 'lib', 'api-client');
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should report the number of operations', async () => {
+        const result = await generate();
+
+        assert.equal(result.operations, 4);
+        assert.equal(result.tags, 2);
+        assert.ok(result.files.every(file => file.type === 'client'));
+    });
+
+    it('should generate one class per tag', async () => {
+        await generate();
+
+        const pets = await read('api', 'api', 'pets-api.ts');
+        const users = await read('api', 'api', 'users-api.ts');
+
+        assert.match(pets, /export class PetsApi extends BaseAPI/);
+        assert.doesNotMatch(pets, /listUsers/);
+        assert.match(users, /export class UsersApi extends BaseAPI/);
+        assert.deepEqual((await fs.readdir(join(clientDir, 'api', 'api'))).sort(), ['pets-api.ts', 'users-api.ts']);
+    });
+
+    it('should type parameters, bodies and responses', async () => {
+        await generate();
+        const pets = await read('api', 'api', 'pets-api.ts');
+
+        assert.match(pets, /import type \{ Pet \} from '\.\.\/models';/);
+        assert.match(pets, /listPets\(\s*xRequestId: string,\s*limit\?: number,/);
+        assert.match(pets, /Promise<ApiResponse<Pet\[\]>>/);
+        assert.match(pets, /createPet\(body: Pet,/);
+        assert.match(pets, /deletePet\(petId: string,/);
+        assert.match(pets, /'X-Request-Id': xRequestId/);
+    });
+
+    it('should name the models of specs resolved by the loader', async () => {
+        const specPath = join(tempDir, 'spec.json');
+        await fs.writeFile(specPath, JSON.stringify(spec));
+        const loaded = await new SwaggerLoader({ cache: false }).load(specPath);
+
+        const generator = new ClientGenerator(loaded, { output: tempDir });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        await generator.generate();
+        const pets = await read('api', 'api', 'pets-api.ts');
+
+        assert.match(pets, /import type \{ Pet \} from '\.\.\/models';/);
+        assert.match(pets, /Promise<ApiResponse<Pet\[\]>>/);
+        assert.match(pets, /createPet\(body: Pet,/);
+    });
+
+    it('should attach security requirements and honour security: []', async () => {
+        await generate();
+        const pets = await read('api', 'api', 'pets-api.ts');
+        const deleteMethod = pets.slice(pets.indexOf('deletePet('));
+
+        assert.match(pets, /auth: \[\{ type: 'http', scheme: 'bearer' \}\]/);
+        assert.doesNotMatch(deleteMethod, /auth:/);
+    });
+
+    it('should export the service API and Configuration from the package index', async () => {
+        await generate();
+
+        const index = await read('index.ts');
+        const service = await read('api', 'index.ts');
+        const runtime = await read('runtime.ts');
+
+        assert.match(index, /export \* from '\.\/runtime';/);
+        assert.match(index, /export \* from '\.\/api';/);
+        assert.match(service, /export \{ PetsApi \} from '\.\/api\/pets-api';/);
+        assert.doesNotMatch(service, /ApiApi/);
+        assert.match(service, /export class ApiClient/);
+        assert.match(service, /public pets: PetsApi;/);
+        assert.match(runtime, /export class Configuration/);
+        assert.match(runtime, /'https:\/\/api\.example\.com\/v1'/);
+    });
+
+    it('should name classes after the configured service', async () => {
+        await generate({ serviceName: 'petstore' });
+
+        const service = await read('petstore', 'index.ts');
+        assert.match(service, /export class PetstoreClient/);
+        assert.match(service, /NEXT_PUBLIC_PETSTORE_API_URL/);
+        await fs.access(join(clientDir, 'petstore', 'api', 'pets-api.ts'));
+    });
+
+    it('should take one request object per method when configured', async () => {
+        await generate({ singleRequestParameter: true });
+        const pets = await read('api', 'api', 'pets-api.ts');
+
+        assert.match(pets, /export interface PetsApiListPetsRequest \{\s*xRequestId: string;\s*limit\?: number;\s*\}/);
+        assert.match(pets, /listPets\(\s*requestParameters: PetsApiListPetsRequest,\s*options/);
+        assert.match(pets, /const \{ xRequestId, limit \} = requestParameters;/);
+        assert.match(pets, /createPet\(\s*requestParameters: PetsApiCreatePetRequest,\s*options/);
+        assert.match(await read('api', 'api', 'users-api.ts'), /listUsers\(\s*options: RequestOptions = \{\}\s*\)/);
+    });
+
+    it('should place API classes and models in the configured packages', async () => {
+        await generate({ apiDir: 'apis', modelsDir: 'model', typeMappings: { integer: 'bigint' } });
+
+        const pets = await read('api', 'apis', 'pets-api.ts');
+        assert.match(pets, /import type \{ Pet \} from '\.\.\/model';/);
+        assert.match(pets, /limit\?: bigint,/);
+        assert.match(await read('api', 'index.ts'), /export \{ PetsApi \} from '\.\/apis\/pets-api';/);
+        assert.match(await read('api', 'model', 'index.ts'), /export \* from '@\/types';/);
+        assert.match(await read('index.ts'), /export \* from '\.\/api\/model';/);
+        await assert.rejects(fs.access(join(clientDir, 'api', 'models.ts')));
+    });
+
+    it('should leave the shared files of a workspace to generateSharedFiles', async () => {
+        clientDir = join(tempDir, 'lib');
+        const options = { clientDir: 'lib', serviceDir: 'pets', serviceName: 'pet-store', baseUrlEnv: 'PETS_URL', sharedFiles: false };
+        const generator = new ClientGenerator(spec, { output: tempDir, ...options });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+
+        const result = await generator.generate();
+        assert.ok(!result.files.some(({ file }) => file.endsWith('runtime.ts')));
+        assert.match(await read('pets', 'index.ts'), /process\.env\.PETS_URL/);
+
+        await generator.generateSharedFiles([
+            { name: 'pets', className: 'PetStore', namespace: 'pets' },
+            { name: 'users', className: 'Users', namespace: 'users' }
+        ]);
+        const index = await read('unified-index.ts');
+
+        assert.match(index, /export \* as pets from '\.\/pets';/);
+        assert.match(index, /export \* as usersModels from '\.\/users\/models';/);
+        assert.doesNotMatch(index, /export \* from '\.\/pets';/);
+        await fs.access(join(clientDir, 'runtime.ts'));
+        await assert.rejects(fs.access(join(clientDir, 'index.ts')));
+    });
+});
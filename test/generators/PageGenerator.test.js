@@ -0,0 +1,178 @@
+/**
+ * PageGenerator.test.js
+ * Unit tests for the DaisyUI page generator
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import PageGenerator from '../../src/generators/PageGenerator.js';
+import FileWriter from '../../src/core/FileWriter.js';
+
+const pet = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        id: { type: 'string', readOnly: true },
+        name: { type: 'string', minLength: 2 },
+        status: { type: 'string', enum: ['available', 'pending', 'sold', 'archived'] },
+        vaccinated: { type: 'boolean' },
+        description: { type: 'string' }
+    }
+};
+
+const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Pet Store', version: '1.0.0' },
+    paths: {
+        '/api/v1/pets': {
+            get: {
+                operationId: 'listPets',
+                parameters: [{ name: 'page', in: 'query', schema: { type: 'integer' } }],
+                responses: {
+                    200: {
+                        description: 'OK',
+                        content: {
+                            'application/json': {
+                                schema: { type: 'object', properties: { data: { type: 'array', items: pet }, total: { type: 'integer' } } }
+                            }
+                        }
+                    }
+                }
+            },
+            post: {
+                operationId: 'createPet',
+                requestBody: { content: { 'application/json': { schema: pet } } },
+                responses: { 201: { description: 'Created' } }
+            }
+        },
+        '/api/v1/pets/{petId}': {
+            get: {
+                operationId: 'getPet',
+                parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: { 200: { description: 'OK', content: { 'application/json': { schema: pet } } } }
+            },
+            put: {
+                operationId: 'updatePet',
+                parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+                requestBody: { content: { 'application/json': { schema: pet } } },
+                responses: { 200: { description: 'OK' } }
+            },
+            delete: {
+                operationId: 'deletePet',
+                parameters: [{ name: 'petId', in: 'path', required: true, schema: { type: 'string' } }],
+                responses: { 204: { description: 'Deleted' } }
+            }
+        },
+        '/reports': {
+            post: {
+                operationId: 'runReport',
+                responses: { 200: { description: 'OK' } }
+            }
+        }
+    }
+};
+
+describe('PageGenerator', () => {
+    let tempDir;
+
+    async function generate(options = {}) {
+        const generator = new PageGenerator(spec, { output: tempDir, ...options });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        return generator.generate();
+    }
+
+    const read = (...segments) => fs.readFile(join(tempDir, 'app', ...segments), 'utf8');
+
+    beforeEach(async () => {
+        const tempRoot = join(os.tmpdir(), 'swagger-to-nextjs-tests');
+        await fs.mkdir(tempRoot, { recursive: true });
+        tempDir = await fs.mkdtemp(join(tempRoot, 'page-generator-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should generate list, detail, create and edit pages per resource', async () => {
+        const result = await generate();
+        const pages = result.files.map(file => file.file.slice(tempDir.length + 1).split('\\').join('/'));
+
+        assert.deepEqual(pages.sort(), [
+            'app/pets/[id]/edit/page.tsx',
+            'app/pets/[id]/page.tsx',
+            'app/pets/new/page.tsx',
+            'app/pets/page.tsx'
+        ]);
+        assert.ok(result.files.every(file => file.type === 'page'));
+    });
+
+    it('should report DaisyUI component usage', async () => {
+        const result = await generate();
+
+        assert.equal(result.components, Object.keys(result.usage).length);
+        assert.equal(result.usage.table, 1);
+        assert.equal(result.usage.card, 1);
+        assert.equal(result.usage.modal, 1);
+        assert.equal(result.usage['form-control'], 2);
+    });
+
+    it('should render the list page with a table, badges and pagination', async () => {
+        await generate();
+        const list = await read('pets', 'page.tsx');
+
+        assert.match(list, /'use client'/);
+        assert.match(list, /const API_PATH = '\/api\/api\/v1\/pets'/);
+        assert.match(list, /json\?\.data \?\? \[\]/);
+        assert.match(list, /className="table table-zebra"/);
+        assert.match(list, /pending: 'badge-warning'/);
+        assert.match(list, /\?page=\$\{page\}/);
+        assert.match(list, /href="\/pets\/new"/);
+        assert.match(list, /href=\{`\/pets\/\$\{encodeURIComponent\(item/);
+    });
+
+    it('should render the detail page with a delete confirmation modal', async () => {
+        await generate();
+        const detail = await read('pets', '[id]', 'page.tsx');
+
+        assert.match(detail, /useParams/);
+        assert.match(detail, /className="card bg-base-100 shadow-xl"/);
+        assert.match(detail, /className="modal"/);
+        assert.match(detail, /method: 'DELETE'/);
+        assert.match(detail, /router\.push\('\/pets'\)/);
+        assert.match(detail, /href=\{`\/pets\/\$\{encodeURIComponent\(params\.id\)\}\/edit`\}/);
+    });
+
+    it('should render forms from the request body without read-only fields', async () => {
+        await generate();
+        const create = await read('pets', 'new', 'page.tsx');
+        const edit = await read('pets', '[id]', 'edit', 'page.tsx');
+
+        assert.match(create, /export default function NewPetPage/);
+        assert.match(create, /method: 'POST'/);
+        assert.match(create, /className="select select-bordered w-full"/);
+        assert.match(create, /className="textarea textarea-bordered w-full"/);
+        assert.match(create, /className="checkbox checkbox-primary"/);
+        assert.match(create, /name: \{\s*label: 'Name',\s*required: true/);
+        assert.doesNotMatch(create, /values\['id'\]/);
+        assert.match(edit, /export default function EditPetPage/);
+        assert.match(edit, /method: 'PUT'/);
+        assert.match(edit, /setValues\(toFormValues\(await response\.json\(\)\)\)/);
+        assert.match(edit, /router\.push\(`\/pets\/\$\{encodeURIComponent\(params\.id\)\}`\)/);
+    });
+
+    it('should skip resources without list or detail operations', async () => {
+        const result = await generate();
+
+        assert.ok(result.resources.every(resource => resource.name !== 'reports'));
+        await assert.rejects(fs.access(join(tempDir, 'app', 'reports')));
+    });
+
+    it('should not write files in dry run mode', async () => {
+        const result = await generate({ dryRun: true });
+
+        assert.equal(result.files.length, 4);
+        await assert.rejects(fs.access(join(tempDir, 'app')));
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * ProjectGenerator.test.js
+ * Unit tests for the Next.js project scaffolding
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import ProjectGenerator from '../../src/generators/ProjectGenerator.js';
+import FileWriter from '../../src/core/FileWriter.js';
+
+const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Pet Store', version: '1.0.0', description: 'Manage pets' },
+    servers: [{ url: 'https://api.example.com/v1' }],
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                tags: ['pets'],
+                responses: { 200: { description: 'OK' } }
+            }
+        }
+    }
+};
+
+describe('ProjectGenerator', () => {
+    let tempDir;
+
+    async function generate(options = {}, context = {}) {
+        const generator = new ProjectGenerator(spec, { output: tempDir, ...options });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        return generator.generate(context);
+    }
+
+    const read = (...segments) => fs.readFile(join(tempDir, ...segments), 'utf8');
+
+    beforeEach(async () => {
+        const tempRoot = join(os.tmpdir(), 'swagger-to-nextjs-tests');
+        await fs.mkdir(tempRoot, { recursive: true });
+        tempDir = await fs.mkdtemp(join(tempRoot, 'project-generator-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should generate the project configuration and docs', async () => {
+        const result = await generate();
+
+        assert.equal(result.totalFiles, result.files.length);
+        for (const file of ['package.json', 'tsconfig.json', 'next.config.mjs', 'tailwind.config.js',
+            '.env.example', 'README.md', 'CONTRIBUTING.md']) {
+            await fs.access(join(tempDir, file));
+        }
+        await fs.access(join(tempDir, 'app', 'layout.tsx'));
+        await fs.access(join(tempDir, 'app', 'page.tsx'));
+        await fs.access(join(tempDir, 'docs', 'API.md'));
+        await fs.access(join(tempDir, 'components', 'ThemeSwitcher.tsx'));
+    });
+
+    it('should write a valid package.json with Next.js and DaisyUI', async () => {
+        await generate({ generateServices: true });
+        const pkg = JSON.parse(await read('package.json'));
+
+        assert.equal(pkg.name, 'pet-store');
+        assert.ok(pkg.dependencies.next);
+        assert.ok(pkg.dependencies['http-status-codes']);
+        assert.ok(pkg.devDependencies.daisyui);
+        assert.equal(pkg.scripts['type-check'], 'tsc --noEmit');
+    });
+
+    it('should configure the selected DaisyUI themes', async () => {
+        await generate({
+            theme: 'synthwave',
+            themes: ['light', 'dark'],
+            customThemeContent: { primary: '#570df8' }
+        });
+
+        const tailwind = await read('tailwind.config.js');
+        const layout = await read('app', 'layout.tsx');
+        const env = await read('.env.example');
+
+        assert.match(tailwind, /require\('daisyui'\)/);
+        assert.match(tailwind, /themes: \[\s*'synthwave',\s*'light',\s*'dark',\s*\{\s*custom: \{ primary: '#570df8' \} \}/);
+        assert.match(layout, /import ThemeSwitcher from '@\/components\/ThemeSwitcher'/);
+        assert.match(layout, /NEXT_PUBLIC_DEFAULT_THEME \|\| 'synthwave'/);
+        assert.match(env, /NEXT_PUBLIC_API_URL=https:\/\/api\.example\.com\/v1/);
+        assert.match(env, /NEXT_PUBLIC_AVAILABLE_THEMES=synthwave,light,dark,custom/);
+    });
+
+    it('should link the generated pages from the navbar and home page', async () => {
+        await generate({}, { resources: [{ name: 'Pets', path: '/pets' }] });
+
+        assert.match(await read('app', 'layout.tsx'), /<Link href="\/pets">Pets<\/Link>/);
+        assert.match(await read('app', 'page.tsx'), /href="\/pets"/);
+    });
+
+    it('should leave out the theme switcher without DaisyUI', async () => {
+        const result = await generate({ daisyui: false });
+
+        assert.ok(result.files.every(file => !file.file.endsWith('ThemeSwitcher.tsx')));
+        assert.doesNotMatch(await read('tailwind.config.js'), /daisyui/);
+        assert.doesNotMatch(await read('app', 'layout.tsx'), /ThemeSwitcher/);
+    });
+
+    it('should add Docker and CI files when requested', async () => {
+        const plain = await generate();
+        assert.ok(plain.files.every(file => !file.file.endsWith('Dockerfile')));
+
+        await generate({ docker: true, cicd: true });
+
+        assert.match(await read('Dockerfile'), /FROM node:20-alpine/);
+        assert.match(await read('next.config.mjs'), /output: 'standalone'/);
+        await fs.access(join(tempDir, 'docker-compose.yml'));
+        assert.match(await read('.github', 'workflows', 'ci.yml'), /npm run build/);
+    });
+});
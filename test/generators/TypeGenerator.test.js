@@ -0,0 +1,230 @@
+/**
+ * TypeGenerator.test.js
+ * Unit tests for TypeScript model generation from component schemas
+ */
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import fs from 'fs/promises';
+import os from 'os';
+import TypeGenerator from '../../src/generators/TypeGenerator.js';
+import FileWriter from '../../src/core/FileWriter.js';
+import SwaggerLoader from '../../src/core/SwaggerLoader.js';
+
+const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Pets', version: '1.0.0' },
+    paths: {},
+    components: {
+        schemas: {
+            Status: { type: 'string', enum: ['active', 'in-progress'] },
+            Base: {
+                type: 'object',
+                required: ['id'],
+                properties: {
+                    id: { type: 'string', readOnly: true },
+                    'display-name': { type: 'string', nullable: true }
+                }
+            },
+            Cat: {
+                allOf: [
+                    { $ref: '#/components/schemas/Base' },
+                    { type: 'object', properties: { status: { $ref: '#/components/schemas/Status' } } }
+                ]
+            },
+            Dog: { type: 'object', properties: { bark: { type: 'boolean' } } },
+            Pet: {
+                oneOf: [{ $ref: '#/components/schemas/Cat' }, { $ref: '#/components/schemas/Dog' }],
+                discriminator: { propertyName: 'petType', mapping: { cat: '#/components/schemas/Cat' } }
+            },
+            TreeNode: {
+                type: 'object',
+                properties: {
+                    children: { type: 'array', items: { $ref: '#/components/schemas/TreeNode' } }
+                }
+            }
+        }
+    }
+};
+
+describe('TypeGenerator', () => {
+    let tempDir;
+
+    async function generate(options = {}) {
+        const generator = new TypeGenerator(spec, { output: tempDir, ...options });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        const result = await generator.generate();
+        return { result, read: (name) => fs.readFile(join(tempDir, 'types', name), 'utf8') };
+    }
+
+    beforeEach(async () => {
+        const tempRoot = join(os.tmpdir(), 'swagger-to-nextjs-tests');
+        await fs.mkdir(tempRoot, { recursive: true });
+        tempDir = await fs.mkdtemp(join(tempRoot, 'type-generator-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write one module per schema and a barrel file', async () => {
+        const { result, read } = await generate();
+
+        assert.equal(result.types, 5);
+        assert.equal(result.enums, 1);
+        assert.equal(result.files.length, 7);
+
+        const index = await read('index.ts');
+        assert.match(index, /export \* from '\.\/Status';/);
+        assert.match(index, /export \* from '\.\/TreeNode';/);
+    });
+
+    it('should emit string-literal unions for enums by default', async () => {
+        const { read } = await generate();
+        assert.match(await read('Status.ts'), /export type Status = 'active' \| 'in-progress';/);
+    });
+
+    it('should emit TypeScript enums when configured', async () => {
+        const { read } = await generate({ enumStyle: 'enum' });
+        const content = await read('Status.ts');
+
+        assert.match(content, /export enum Status \{/);
+        assert.match(content, /InProgress = 'in-progress'/);
+    });
+
+    it('should apply enum and property naming conventions', async () => {
+        const { read } = await generate({ enumStyle: 'enum', enumNaming: 'UPPERCASE', propertyNaming: 'camelCase' });
+
+        assert.match(await read('Status.ts'), /IN_PROGRESS = 'in-progress'/);
+        assert.match(await read('Base.ts'), /displayName\?: string \| null;/);
+    });
+
+    it('should remove common enum value prefixes and apply type mappings', async () => {
+        const generator = new TypeGenerator({
+            openapi: '3.0.0',
+            info: { title: 'Orders', version: '1.0.0' },
+            components: {
+                schemas: {
+                    OrderStatus: { type: 'string', enum: ['ORDER_STATUS_OPEN', 'ORDER_STATUS_CLOSED'] },
+                    Order: {
+                        type: 'object',
+                        properties: {
+                            createdAt: { type: 'string', format: 'date-time' },
+                            dueOn: { type: 'string', format: 'date', nullable: true },
+                            id: { type: 'string', format: 'uuid' }
+                        }
+                    }
+                }
+            }
+        }, {
+            output: tempDir,
+            enumStyle: 'enum',
+            enumNaming: 'UPPERCASE',
+            removeEnumValuePrefix: true,
+            typeMappings: { DateTime: 'Date', date: 'Date' }
+        });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        await generator.generate();
+
+        const status = await fs.readFile(join(tempDir, 'types', 'OrderStatus.ts'), 'utf8');
+        const order = await fs.readFile(join(tempDir, 'types', 'Order.ts'), 'utf8');
+
+        assert.match(status, /OPEN = 'ORDER_STATUS_OPEN'/);
+        assert.match(status, /CLOSED = 'ORDER_STATUS_CLOSED'/);
+        assert.match(order, /createdAt\?: Date;/);
+        assert.match(order, /dueOn\?: Date \| null;/);
+        assert.match(order, /id\?: string;/);
+    });
+
+    it('should render properties with optionality, readonly and nullability', async () => {
+        const { read } = await generate();
+        const content = await read('Base.ts');
+
+        assert.match(content, /readonly id: string;/);
+        assert.match(content, /'display-name'\?: string \| null;/);
+    });
+
+    it('should extend referenced schemas for allOf', async () => {
+        const { read } = await generate();
+        const content = await read('Cat.ts');
+
+        assert.match(content, /import type \{ Base \} from '\.\/Base';/);
+        assert.match(content, /export interface Cat extends Base \{/);
+        assert.match(content, /status\?: Status;/);
+    });
+
+    it('should narrow discriminated unions', async () => {
+        const { read } = await generate();
+        const content = await read('Pet.ts');
+
+        assert.match(content, /\(Cat & \{ petType: 'cat' \}\)/);
+        assert.match(content, /\(Dog & \{ petType: 'Dog' \}\)/);
+    });
+
+    it('should keep unions, extends and imports for specs resolved by the loader', async () => {
+        const specPath = join(tempDir, 'spec.json');
+        await fs.writeFile(specPath, JSON.stringify(spec));
+        const loaded = await new SwaggerLoader({ cache: false }).load(specPath);
+
+        const generator = new TypeGenerator(loaded, { output: tempDir });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+        await generator.generate();
+        const read = (name) => fs.readFile(join(tempDir, 'types', name), 'utf8');
+
+        const cat = await read('Cat.ts');
+        assert.match(cat, /import type \{ Base \} from '\.\/Base';/);
+        assert.match(cat, /export interface Cat extends Base \{/);
+        assert.match(cat, /status\?: Status;/);
+        const pet = await read('Pet.ts');
+        assert.match(pet, /\(Cat & \{ petType: 'cat' \}\) \| \(Dog & \{ petType: 'Dog' \}\)/);
+        assert.match(await read('TreeNode.ts'), /children\?: TreeNode\[\];/);
+    });
+
+    it('should handle self-referencing schemas', async () => {
+        const { read } = await generate();
+        const content = await read('TreeNode.ts');
+
+        assert.match(content, /Circular reference: TreeNode -> TreeNode/);
+        assert.match(content, /children\?: TreeNode\[\];/);
+        assert.doesNotMatch(content, /import type/);
+    });
+
+    it('should understand OpenAPI 3.1 schemas', async () => {
+        const spec31 = {
+            openapi: '3.1.0',
+            info: { title: 'Pets', version: '1.0.0' },
+            components: {
+                schemas: {
+                    Owner: {
+                        type: ['object', 'null'],
+                        properties: {
+                            name: { type: ['string', 'null'] },
+                            kind: { const: 'owner' },
+                            tag: { $ref: '#/components/schemas/Owner/$defs/Tag' }
+                        },
+                        $defs: { Tag: { type: 'string', enum: ['vip', 'regular'] } }
+                    }
+                }
+            }
+        };
+        const generator = new TypeGenerator(spec31, { output: tempDir });
+        generator.fileWriter = new FileWriter({ useTimestamp: false, force: true });
+
+        const result = await generator.generate();
+        const owner = await fs.readFile(join(tempDir, 'types', 'Owner.ts'), 'utf8');
+
+        assert.equal(result.enums, 1);
+        assert.match(owner, /export interface Owner \{/);
+        assert.match(owner, /name\?: string \| null/);
+        assert.match(owner, /kind\?: 'owner'/);
+        assert.match(owner, /import type \{ Tag \} from '\.\/Tag';/);
+        assert.match(await fs.readFile(join(tempDir, 'types', 'Tag.ts'), 'utf8'), /export type Tag = 'vip' \| 'regular';/);
+    });
+
+    it('should not write files in dry run mode', async () => {
+        const { result } = await generate({ dryRun: true });
+
+        assert.equal(result.types, 5);
+        await assert.rejects(fs.access(join(tempDir, 'types')));
+    });
+});
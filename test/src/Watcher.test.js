@@ -0,0 +1,174 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import os from 'node:os';
+
+import SwaggerToNextjs from '../../src/index.js';
+import Watcher from '../../src/Watcher.js';
+
+const spec = {
+    openapi: '3.0.0',
+    info: { title: 'Watch API', version: '1.0.0' },
+    paths: {
+        '/pets': {
+            get: {
+                operationId: 'listPets',
+                tags: ['pets'],
+                responses: {
+                    200: {
+                        description: 'Pets',
+                        content: {
+                            'application/json': {
+                                schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    },
+    components: {
+        schemas: {
+            Pet: {
+                type: 'object',
+                properties: { id: { type: 'integer' }, name: { type: 'string' } }
+            }
+        }
+    }
+};
+
+describe('Watcher', () => {
+    describe('affectedGenerators()', () => {
+        const generator = {
+            options: {},
+            generators: { types: {}, client: {}, services: null, routes: {}, pages: {}, project: {} },
+            templateUsage: {
+                client: new Set(['lib/runtime.ts.hbs']),
+                pages: new Set(['pages/list.tsx.hbs'])
+            }
+        };
+        const watcher = new Watcher(generator);
+
+        it('should map spec sections to the generators that read them', () => {
+            assert.deepEqual(watcher.affectedGenerators(['servers'], []), ['client', 'routes', 'project']);
+            assert.deepEqual(watcher.affectedGenerators(['security'], []), ['client', 'routes', 'project']);
+            assert.deepEqual(watcher.affectedGenerators(['components'], []), ['types', 'client', 'routes', 'pages', 'project']);
+        });
+
+        it('should re-run every enabled generator for unknown sections', () => {
+            assert.deepEqual(watcher.affectedGenerators(['x-custom'], []), ['types', 'client', 'routes', 'pages', 'project']);
+        });
+
+        it('should re-run only the generators that rendered a changed template', () => {
+            assert.deepEqual(watcher.affectedGenerators([], ['lib/runtime.ts.hbs']), ['client']);
+            assert.deepEqual(watcher.affectedGenerators([], ['pages/list.tsx.hbs']), ['pages', 'project']);
+            assert.deepEqual(watcher.affectedGenerators([], ['unused.hbs']), []);
+        });
+    });
+
+    describe('changedSections()', () => {
+        it('should list top-level keys that differ', () => {
+            const watcher = new Watcher({ options: {} });
+            const next = { ...spec, info: { ...spec.info, title: 'Renamed' }, tags: [] };
+
+            assert.deepEqual(watcher.changedSections(spec, next), ['info', 'tags']);
+        });
+    });
+
+    describe('rebuild()', () => {
+        let tempDir;
+        let specPath;
+        let generator;
+
+        beforeEach(async () => {
+            tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'swagger-to-nextjs-watch-'));
+            specPath = path.join(tempDir, 'api.json');
+            await fs.writeFile(specPath, JSON.stringify(spec));
+
+            generator = new SwaggerToNextjs({
+                outputDir: path.join(tempDir, 'app'),
+                useTimestamp: false,
+                silent: true,
+                testTemplates: false,
+                generateServices: false,
+                generateRoutes: false
+            });
+            await generator.initialize();
+            generator.withSwagger(specPath);
+        });
+
+        afterEach(async () => {
+            await fs.rm(tempDir, { recursive: true, force: true });
+        });
+
+        it('should regenerate affected generators and report changed files', async () => {
+            const watcher = new Watcher(generator);
+            await generator.generate();
+            watcher.recordHashes();
+            watcher.watchedFiles = new Set(generator.loader.getDependencies(specPath));
+            watcher.updateWatchedFiles = () => {};
+
+            await fs.writeFile(specPath, JSON.stringify({ ...spec, servers: [{ url: 'https://pets.example.com' }] }));
+            const result = await watcher.rebuild([specPath]);
+
+            assert.deepEqual(result.generators, ['client', 'project']);
+            assert.deepEqual(result.diff.added, []);
+            assert.deepEqual(result.diff.removed, []);
+            assert.ok(result.diff.changed.some(file => file.endsWith('.env.example')));
+            assert.equal(generator.spec.servers[0].url, 'https://pets.example.com');
+
+            // Files of generators that did not run stay in the manifest
+            const manifest = JSON.parse(await fs.readFile(
+                path.join(tempDir, 'app', '.swagger-to-nextjs-manifest.json'), 'utf8'));
+            assert.ok(manifest.files.some(file => file.path.startsWith('types/')));
+        });
+
+        it('should delete the outputs of removed operations and keep hand-edited ones', async () => {
+            const withOwners = structuredClone(spec);
+            withOwners.paths['/owners'] = {
+                get: {
+                    operationId: 'listOwners',
+                    tags: ['owners'],
+                    responses: {
+                        200: {
+                            description: 'Owners',
+                            content: { 'application/json': { schema: { type: 'array', items: { $ref: '#/components/schemas/Pet' } } } }
+                        }
+                    }
+                }
+            };
+            await fs.writeFile(specPath, JSON.stringify(withOwners));
+
+            const watcher = new Watcher(generator);
+            await generator.generate();
+            watcher.recordHashes();
+            watcher.watchedFiles = new Set(generator.loader.getDependencies(specPath));
+            watcher.updateWatchedFiles = () => {};
+
+            const ownersApi = generator.generatorFiles.client.find(file => file.endsWith('owners-api.ts'));
+            const ownersPage = path.join(tempDir, 'app', 'app', 'owners', 'page.tsx');
+            await fs.appendFile(ownersPage, '\n// Kept by hand\n');
+
+            await fs.writeFile(specPath, JSON.stringify(spec));
+            const result = await watcher.rebuild([specPath]);
+
+            assert.deepEqual(result.diff.removed, [ownersApi]);
+            assert.deepEqual(result.diff.orphaned, [ownersPage]);
+            await assert.rejects(fs.access(ownersApi));
+            assert.match(await fs.readFile(ownersPage, 'utf8'), /Kept by hand/);
+
+            const manifest = JSON.parse(await fs.readFile(
+                path.join(tempDir, 'app', '.swagger-to-nextjs-manifest.json'), 'utf8'));
+            assert.equal(manifest.files.some(file => file.path.includes('owners')), false);
+        });
+
+        it('should skip rebuilding when the spec did not change', async () => {
+            const watcher = new Watcher(generator);
+            await generator.generate();
+            watcher.watchedFiles = new Set([specPath]);
+
+            assert.equal(await watcher.rebuild([specPath]), null);
+        });
+    });
+});
@@ -123,7 +123,12 @@ describe('SwaggerToNextjs', () => {
         if (generator) {
             await generator.cleanup();
         }
-        await fs.rm(tempDir, { recursive: true, force: true });
+        // Runs with useTimestamp write to <tempDir>-<timestamp>
+        const timestamped = (await fs.readdir(path.dirname(tempDir)))
+            .filter(name => name.startsWith(`${path.basename(tempDir)}-`));
+        for (const dir of [tempDir, ...timestamped.map(name => path.join(path.dirname(tempDir), name))]) {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
     });
 
     describe('Constructor and options', () => {
@@ -265,6 +270,40 @@ generatePages: false`;
             assert.strictEqual(generator.options.typescript, false);
             assert.ok(eventTracker.hasEvent('initialize:complete'));
         });
+
+        it('should layer config sections, config file options and flags', async () => {
+            const configPath = path.join(tempDir, 'swagger-to-nextjs.config.json');
+            await fs.writeFile(configPath, JSON.stringify({
+                force: true,
+                generatePages: false,
+                output: { baseDir: '/from/sections' },
+                generation: { typescript: { strict: false } }
+            }));
+
+            await generator.initialize(configPath, { generatePages: true, dryRun: undefined });
+
+            assert.strictEqual(generator.options.outputDir, '/from/sections');
+            assert.strictEqual(generator.options.force, true);
+            assert.strictEqual(generator.options.generatePages, true);
+            assert.strictEqual(generator.config.generation.typescript.strict, false);
+            assert.strictEqual(generator.config.naming.componentNaming, 'PascalCase');
+            assert.ok(generator.configSources.at(-1).endsWith('swagger-to-nextjs.config.json'));
+        });
+
+        it('should reject an invalid configuration', async () => {
+            await assert.rejects(
+                generator.initialize({ output: { baseDir: '' } }),
+                /Invalid configuration .*output\.baseDir is required/
+            );
+        });
+
+        it('should pass the configuration to the generators', async () => {
+            await generator.initialize({ generation: { typescript: { strict: false } } });
+            generator.initializeGenerators(tempDir, { openapi: '3.0.0', info: { title: 'Test', version: '1.0.0' }, paths: {} });
+
+            assert.strictEqual(generator.generators.types.config.generation.typescript.strict, false);
+            assert.strictEqual(generator.generators.project.config, generator.config);
+        });
     });
 
     describe('Generate method', () => {
@@ -445,6 +484,41 @@ generatePages: false`;
             assert.ok(exists);
         });
 
+        it('should keep custom regions of route handlers and pages when regenerating', async () => {
+            generator.withSwagger(specPath);
+            await generator.generate();
+
+            const route = path.join(tempDir, 'app', 'api', 'users', 'route.ts');
+            const page = path.join(tempDir, 'app', 'users', 'page.tsx');
+            const addToRegion = async (file, region, code) => {
+                const content = await fs.readFile(file, 'utf-8');
+                await fs.writeFile(file, content.replace(new RegExp(`(@custom-start ${region}[^\\n]*\\n)`), `$1${code}\n`));
+            };
+            await addToRegion(route, 'GET', '  console.log(request.url);');
+            await addToRegion(page, 'actions', '          <Link href="/users/export" className="btn">Export</Link>');
+
+            const again = new SwaggerToNextjs({ outputDir: tempDir, silent: true });
+            await again.initialize();
+            const result = await again.withSwagger(specPath).generate();
+
+            assert.strictEqual(result.success, true);
+            assert.match(await fs.readFile(route, 'utf-8'), /@custom-start GET\n  console\.log\(request\.url\);\n/);
+            assert.match(await fs.readFile(page, 'utf-8'), /@custom-start actions \*\/\}\n {10}<Link href="\/users\/export"/);
+        });
+
+        it('should fail when files cannot be written', async () => {
+            // A file where the types directory should go
+            await fs.writeFile(path.join(tempDir, 'types'), '');
+            generator.withSwagger(specPath);
+
+            const result = await generator.generate();
+
+            assert.strictEqual(result.success, false);
+            const writeErrors = result.errors.filter(error => error.generator === 'FileWriter');
+            assert.ok(writeErrors.length > 0);
+            assert.match(writeErrors[0].message, /^Failed to write .*types/);
+        });
+
         it('should emit file:written events', async () => {
             generator.withSwagger(specPath);
 
@@ -502,6 +576,85 @@ generatePages: false`;
         });
     });
 
+    describe('Workspace', () => {
+        async function generateWorkspace(options = {}) {
+            const billingSpec = JSON.parse(await fs.readFile(specPath, 'utf8'));
+            billingSpec.info.title = 'Billing API';
+            billingSpec.servers = [{ url: 'https://billing.example.com' }];
+            billingSpec.components.schemas.User.properties = { accountId: { type: 'string' } };
+            const billingPath = path.join(tempDir, 'billing.json');
+            await fs.writeFile(billingPath, JSON.stringify(billingSpec));
+
+            const gen = new SwaggerToNextjs({
+                outputDir: path.join(tempDir, 'workspace'),
+                silent: true,
+                testTemplates: false,
+                generateRoutes: false,
+                services: [
+                    { name: 'users', inputSpec: specPath },
+                    { name: 'billing', inputSpec: billingPath, baseUrlEnv: 'NEXT_PUBLIC_BILLING_URL', outputPrefix: 'payments' }
+                ],
+                ...options
+            });
+            const result = await gen.generate();
+            const read = (...segments) => fs.readFile(path.join(result.outputDirectory, ...segments), 'utf8');
+
+            return { result, read };
+        }
+
+        it('should generate each service under its own prefix', async () => {
+            const { result, read } = await generateWorkspace();
+
+            assert.strictEqual(result.success, true);
+            assert.match(await read('lib', 'users', 'index.ts'), /export class UsersClient/);
+            assert.match(await read('lib', 'payments', 'index.ts'), /process\.env\.NEXT_PUBLIC_BILLING_URL/);
+            assert.match(await read('lib', 'payments', 'models.ts'), /from '@\/types\/payments'/);
+            assert.match(await read('types', 'users', 'User.ts'), /email/);
+            assert.match(await read('types', 'payments', 'User.ts'), /accountId/);
+            assert.match(await read('app', 'api', 'payments', 'users-service.ts'), /from '@\/lib\/payments'/);
+            assert.match(await read('app', 'payments', 'users', 'page.tsx'), /const API_PATH = '\/api\/payments\/users'/);
+        });
+
+        it('should re-export every service in its own namespace', async () => {
+            const { read } = await generateWorkspace();
+
+            const index = await read('lib', 'unified-index.ts');
+            assert.match(index, /export \* as users from '\.\/users';/);
+            assert.match(index, /export \* as paymentsModels from '\.\/payments\/models';/);
+            assert.match(index, /public payments: BillingClient;/);
+        });
+
+        it('should generate the project files once for all services', async () => {
+            const { result, read } = await generateWorkspace();
+
+            const env = await read('.env.example');
+            assert.match(env, /NEXT_PUBLIC_USERS_API_URL=https:\/\/api\.example\.com/);
+            assert.match(env, /NEXT_PUBLIC_BILLING_URL=https:\/\/billing\.example\.com/);
+            assert.strictEqual(result.files.filter(file => file.path.endsWith('package.json')).length, 1);
+        });
+
+        it('should generate one middleware for the routes of all services', async () => {
+            const { result, read } = await generateWorkspace({ generateRoutes: true });
+
+            const middleware = await read('middleware.ts');
+            assert.match(middleware, /route: '\/api\/users\/users'/);
+            assert.match(middleware, /route: '\/api\/payments\/users'/);
+            assert.match(middleware, /process\.env\.NEXT_PUBLIC_BILLING_URL \|\| 'https:\/\/billing\.example\.com'/);
+            assert.strictEqual(result.files.filter(file => file.path.endsWith('middleware.ts')).length, 2);
+        });
+
+        it('should fail on a missing spec or an incomplete service', async () => {
+            const gen = new SwaggerToNextjs({
+                silent: true,
+                testTemplates: false,
+                services: [{ name: 'broken', inputSpec: path.join(tempDir, 'missing.json') }]
+            });
+
+            await assert.rejects(gen.generate(), /missing\.json/);
+            await assert.rejects(new SwaggerToNextjs({ services: [{ name: 'users' }] }).generate(), /needs an "inputSpec"/);
+        });
+    });
+
     describe('Cleanup', () => {
         it('should reset all state', async () => {
             generator.spec = { test: true };
@@ -71,6 +71,32 @@ describe('Handlebars Helpers', () => {
                 assert.equal(helpers.upperCase('user_profile'), 'USER_PROFILE');
             });
         });
+
+        describe('snakeCase and humanize', () => {
+            it('should convert camelCase', () => {
+                assert.equal(helpers.snakeCase('userProfile'), 'user_profile');
+                assert.equal(helpers.humanize('firstName'), 'First Name');
+                assert.equal(helpers.humanize(null), '');
+            });
+        });
+
+        describe('capitalize, pluralize and singularize', () => {
+            it('should change words', () => {
+                assert.equal(helpers.capitalize('hello'), 'Hello');
+                assert.equal(helpers.pluralize('category'), 'categories');
+                assert.equal(helpers.singularize('categories'), 'category');
+            });
+        });
+
+        describe('truncate', () => {
+            it('should shorten long strings', () => {
+                assert.equal(helpers.truncate('abcdefghij', 5), 'ab...');
+            });
+
+            it('should keep the default length when called from a template', () => {
+                assert.equal(helpers.truncate('short', { hash: {}, name: 'helper', data: {} }), 'short');
+            });
+        });
     });
 
     describe('Type Generation Helpers', () => {
@@ -120,6 +146,22 @@ describe('Handlebars Helpers', () => {
                 assert.equal(helpers.isNullable(null), false);
             });
         });
+
+        describe('tsType', () => {
+            it('should add null for nullable schemas', () => {
+                assert.equal(helpers.tsType({ type: 'integer' }), 'number');
+                assert.equal(helpers.tsType({ type: 'string', nullable: true }), 'string | null');
+                assert.equal(helpers.tsType({ type: ['string', 'null'] }), 'string | null');
+            });
+        });
+
+        describe('jsonSchema', () => {
+            it('should render schemas as JSON', () => {
+                assert.equal(helpers.jsonSchema({ type: 'string' }), '{\n  "type": "string"\n}');
+                assert.equal(helpers.jsonSchema({ type: 'string' }, 0), '{"type":"string"}');
+                assert.equal(helpers.jsonSchema(undefined, { hash: {}, name: 'helper', data: {} }), '{}');
+            });
+        });
     });
 
     describe('Path Helpers', () => {
@@ -156,6 +198,13 @@ describe('Handlebars Helpers', () => {
                 assert.equal(helpers.routeToFilePath('users'), 'users');
             });
         });
+
+        describe('routePath', () => {
+            it('should convert OpenAPI paths to app directories', () => {
+                assert.equal(helpers.routePath('/users/{userId}'), 'users/[userId]');
+                assert.equal(helpers.routePath('/users/{userId}/posts', { hash: {}, name: 'helper', data: {} }), 'users/[userId]/posts');
+            });
+        });
     });
 
     describe('Operation Helpers', () => {
@@ -308,6 +357,15 @@ describe('Handlebars Helpers', () => {
                 assert.equal(helpers.badgeColor('custom', schema), 'primary');
             });
         });
+
+        describe('daisyClass', () => {
+            it('should add modifiers to the component class', () => {
+                assert.equal(helpers.daisyClass('btn', 'primary', 'sm'), 'btn btn-primary btn-sm');
+                assert.equal(helpers.daisyClass('btn', { hash: {}, name: 'helper', data: {} }), 'btn');
+                assert.equal(helpers.daisyClass('alert', undefined, 'warning'), 'alert alert-warning');
+                assert.equal(helpers.daisyClass(''), '');
+            });
+        });
     });
 
     describe('Utility Helpers', () => {
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import {
+    extractCustomRegions,
+    applyCustomRegions,
+    stripCustomRegions,
+    mergeThreeWay
+} from '../../src/utils/MergeUtils.js';
+
+const lines = (...content) => content.join('\n');
+
+describe('MergeUtils', () => {
+    describe('extractCustomRegions()', () => {
+        it('should extract named and unnamed regions', () => {
+            const content = lines(
+                'const a = 1;',
+                '// @custom-start imports',
+                "import x from 'x';",
+                '// @custom-end',
+                '{/* @custom-start */}',
+                '<Extra />',
+                '{/* @custom-end */}'
+            );
+
+            const regions = extractCustomRegions(content);
+
+            assert.equal(regions.get('imports'), "import x from 'x';");
+            assert.equal(regions.get('#0'), '<Extra />');
+        });
+
+        it('should ignore unterminated regions', () => {
+            const regions = extractCustomRegions(lines('// @custom-start open', 'code'));
+            assert.equal(regions.size, 0);
+        });
+    });
+
+    describe('applyCustomRegions()', () => {
+        it('should restore region bodies into generated content', () => {
+            const generated = lines('header', '// @custom-start body', '// default', '// @custom-end', 'footer');
+            const regions = new Map([['body', lines('line 1', 'line 2')]]);
+
+            assert.equal(
+                applyCustomRegions(generated, regions),
+                lines('header', '// @custom-start body', 'line 1', 'line 2', '// @custom-end', 'footer')
+            );
+        });
+
+        it('should keep generated bodies for unknown regions', () => {
+            const generated = lines('// @custom-start a', 'default', '// @custom-end');
+            assert.equal(applyCustomRegions(generated, new Map([['b', 'other']])), generated);
+        });
+    });
+
+    describe('stripCustomRegions()', () => {
+        it('should empty all regions', () => {
+            const content = lines('a', '// @custom-start x', 'custom', '// @custom-end', 'b');
+            assert.equal(stripCustomRegions(content), lines('a', '// @custom-start x', '// @custom-end', 'b'));
+        });
+    });
+
+    describe('mergeThreeWay()', () => {
+        const base = lines('one', 'two', 'three', 'four', 'five');
+
+        it('should take changes made on one side only', () => {
+            const current = lines('one', 'two (edited)', 'three', 'four', 'five');
+            const generated = lines('one', 'two', 'three', 'four', 'five', 'six');
+
+            const result = mergeThreeWay(base, current, generated);
+
+            assert.equal(result.conflicts, 0);
+            assert.equal(result.content, lines('one', 'two (edited)', 'three', 'four', 'five', 'six'));
+        });
+
+        it('should accept identical changes on both sides', () => {
+            const changed = lines('one', 'TWO', 'three', 'four', 'five');
+            const result = mergeThreeWay(base, changed, changed);
+
+            assert.equal(result.conflicts, 0);
+            assert.equal(result.content, changed);
+        });
+
+        it('should report overlapping changes as conflicts', () => {
+            const current = lines('one', 'two (mine)', 'three', 'four', 'five');
+            const generated = lines('one', 'two (theirs)', 'three', 'four', 'five');
+
+            const result = mergeThreeWay(base, current, generated);
+
+            assert.equal(result.conflicts, 1);
+            assert.equal(result.content, lines(
+                'one',
+                '<<<<<<< current', 'two (mine)',
+                '||||||| base', 'two',
+                '=======', 'two (theirs)',
+                '>>>>>>> generated',
+                'three', 'four', 'five'
+            ));
+        });
+
+        it('should treat a missing base as one whole-file conflict', () => {
+            const result = mergeThreeWay('', 'mine', 'theirs');
+            assert.equal(result.conflicts, 1);
+        });
+    });
+});
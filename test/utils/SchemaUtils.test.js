@@ -2,6 +2,7 @@ import { describe, it } from 'node:test';
 import assert from 'node:assert';
 import {
     convertSchemaToTypeScript,
+    convertSchemaToZod,
     mapOpenAPITypeToTypeScript,
     extractUIHints,
     determineInputType,
@@ -10,7 +11,10 @@ import {
     getBadgeColor,
     detectCircularReferences,
     generateInterfaceName,
-    identifySpecialFields
+    identifySpecialFields,
+    getSchemaTypes,
+    isNullableSchema,
+    isJsonMediaType
 } from '../../src/utils/SchemaUtils.js';
 
 describe('SchemaUtils', () => {
@@ -100,6 +104,120 @@ describe('SchemaUtils', () => {
             assert.equal(convertSchemaToTypeScript(undefined), 'any');
             assert.equal(convertSchemaToTypeScript({}), 'Record<string, any>');
         });
+
+        it('should handle OpenAPI 3.1 type arrays, const and boolean schemas', () => {
+            assert.equal(convertSchemaToTypeScript({ type: ['string', 'null'] }), 'string | null');
+            assert.equal(convertSchemaToTypeScript({ type: ['integer', 'number'] }), 'number');
+            assert.equal(
+                convertSchemaToTypeScript({ type: ['array', 'null'], items: { type: 'string' } }),
+                'string[] | null'
+            );
+            assert.equal(convertSchemaToTypeScript({ type: ['string', 'null'], enum: ['a', null] }), "'a' | null");
+            assert.equal(convertSchemaToTypeScript({ const: 'dog' }), "'dog'");
+            assert.equal(convertSchemaToTypeScript({ const: 42 }), '42');
+            assert.equal(convertSchemaToTypeScript(true), 'any');
+            assert.equal(convertSchemaToTypeScript(false), 'never');
+        });
+
+        it('should convert prefixItems to tuples', () => {
+            const schema = { type: 'array', prefixItems: [{ type: 'number' }, { type: 'number' }], items: false };
+            assert.equal(convertSchemaToTypeScript(schema), '[number, number]');
+            assert.equal(
+                convertSchemaToTypeScript({ ...schema, items: { type: 'string' } }),
+                '[number, number, ...string[]]'
+            );
+        });
+
+        it('should apply type mappings and property naming', () => {
+            const typeMappings = { DateTime: 'Date', uuid: 'UUID', integer: 'bigint' };
+            assert.equal(convertSchemaToTypeScript({ type: 'string', format: 'date-time' }, { typeMappings }), 'Date');
+            assert.equal(convertSchemaToTypeScript({ type: 'string', format: 'uuid' }, { typeMappings }), 'UUID');
+            assert.equal(convertSchemaToTypeScript({ type: ['integer', 'null'] }, { typeMappings }), 'bigint | null');
+            assert.equal(convertSchemaToTypeScript({ type: 'string', format: 'date' }, { typeMappings }), 'string');
+            assert.equal(
+                convertSchemaToTypeScript({ type: 'object', properties: { created_at: { type: 'string', format: 'date-time' } } },
+                    { typeMappings, propertyNaming: 'camelCase' }),
+                '{\n  createdAt?: Date\n}'
+            );
+        });
+    });
+
+    describe('getSchemaTypes() and isNullableSchema()', () => {
+        it('should read single types and 3.1 type arrays', () => {
+            assert.deepEqual(getSchemaTypes({ type: 'string' }), ['string']);
+            assert.deepEqual(getSchemaTypes({ type: ['object', 'null'] }), ['object', 'null']);
+            assert.deepEqual(getSchemaTypes({}), []);
+        });
+
+        it('should detect 3.0 and 3.1 nullability', () => {
+            assert.equal(isNullableSchema({ type: 'string', nullable: true }), true);
+            assert.equal(isNullableSchema({ type: ['string', 'null'] }), true);
+            assert.equal(isNullableSchema({ type: 'string' }), false);
+            assert.equal(isNullableSchema(true), false);
+        });
+    });
+
+    describe('convertSchemaToZod()', () => {
+        it('should convert primitives with their constraints', () => {
+            assert.equal(convertSchemaToZod({ type: 'string', format: 'email', maxLength: 50 }), 'z.string().email().max(50)');
+            assert.equal(convertSchemaToZod({ type: 'string', pattern: '^[a-z]+$' }), 'z.string().regex(new RegExp("^[a-z]+$"))');
+            assert.equal(convertSchemaToZod({ type: 'integer', minimum: 1, exclusiveMaximum: true, maximum: 10 }), 'z.number().int().gte(1).lt(10)');
+            assert.equal(convertSchemaToZod({ type: 'number', exclusiveMinimum: 0 }), 'z.number().gt(0)');
+            assert.equal(convertSchemaToZod({ type: 'boolean', nullable: true }), 'z.boolean().nullable()');
+            assert.equal(convertSchemaToZod({ type: ['string', 'null'] }), 'z.string().nullable()');
+            assert.equal(convertSchemaToZod(undefined), 'z.any()');
+        });
+
+        it('should coerce parameter values given as strings', () => {
+            assert.equal(convertSchemaToZod({ type: 'integer' }, { coerce: true }), 'z.coerce.number().int()');
+            assert.equal(convertSchemaToZod({ type: 'boolean' }, { coerce: true }), "z.enum(['true', 'false'])");
+            assert.equal(convertSchemaToZod({ type: 'integer', enum: [1, 2] }, { coerce: true }), 'z.enum(["1", "2"])');
+        });
+
+        it('should accept files for binary form fields', () => {
+            assert.equal(convertSchemaToZod({ type: 'string', format: 'binary' }, { form: true }), 'z.instanceof(Blob)');
+            assert.equal(convertSchemaToZod({ type: 'string', contentMediaType: 'image/png' }, { form: true }), 'z.instanceof(Blob)');
+            assert.equal(convertSchemaToZod({ type: 'string', format: 'binary' }), 'z.string()');
+        });
+
+        it('should convert enums, objects, arrays and compositions', () => {
+            assert.equal(convertSchemaToZod({ enum: ['a', 'b', null] }), 'z.enum(["a", "b"]).nullable()');
+            assert.equal(convertSchemaToZod({ enum: [1, 'a'] }), 'z.union([z.literal(1), z.literal("a")])');
+            assert.equal(
+                convertSchemaToZod({ type: 'object', required: ['id'], properties: { id: { type: 'string' }, 'x-tag': { type: 'string' } } }),
+                'z.object({ id: z.string(), "x-tag": z.string().optional() }).passthrough()'
+            );
+            assert.equal(convertSchemaToZod({ type: 'object', additionalProperties: { type: 'number' } }), 'z.record(z.string(), z.number())');
+            assert.equal(convertSchemaToZod({ type: 'object', properties: {}, additionalProperties: false }), 'z.object({}).strict()');
+            assert.equal(convertSchemaToZod({ type: 'array', items: { type: 'string' }, minItems: 1 }), 'z.array(z.string()).min(1)');
+            assert.equal(convertSchemaToZod({ oneOf: [{ type: 'string' }, { type: 'number' }] }), 'z.union([z.string(), z.number()])');
+            assert.equal(
+                convertSchemaToZod({ allOf: [{ $ref: '#/components/schemas/Base' }, { type: 'object', properties: { a: { type: 'boolean' } } }] }, {
+                    resolveRef: () => ({ type: 'object', properties: { id: { type: 'string' } } })
+                }),
+                'z.object({ id: z.string().optional() }).passthrough().and(z.object({ a: z.boolean().optional() }).passthrough())'
+            );
+        });
+
+        it('should make readOnly properties optional in requests and stop at circular schemas', () => {
+            const node = { type: 'object', required: ['id'], properties: { id: { type: 'string', readOnly: true } } };
+            node.properties.next = node;
+
+            assert.equal(
+                convertSchemaToZod(node, { request: true }),
+                'z.object({ id: z.string().optional(), next: z.any().optional() }).passthrough()'
+            );
+            assert.equal(convertSchemaToZod({ $ref: '#/components/schemas/Missing' }), 'z.any()');
+        });
+    });
+
+    describe('isJsonMediaType()', () => {
+        it('should recognise JSON and +json vendor types', () => {
+            assert.equal(isJsonMediaType('application/json'), true);
+            assert.equal(isJsonMediaType('application/vnd.api+json; charset=utf-8'), true);
+            assert.equal(isJsonMediaType('text/plain'), false);
+            assert.equal(isJsonMediaType(undefined), false);
+        });
     });
 
     describe('mapOpenAPITypeToTypeScript()', () => {
@@ -120,6 +238,10 @@ describe('SchemaUtils', () => {
             assert.equal(mapOpenAPITypeToTypeScript('string', 'password'), 'string');
         });
 
+        it('should map type arrays', () => {
+            assert.equal(mapOpenAPITypeToTypeScript(['string', 'null']), 'string | null');
+        });
+
         it('should handle unknown types', () => {
             assert.equal(mapOpenAPITypeToTypeScript('unknown'), 'any');
             assert.equal(mapOpenAPITypeToTypeScript(null), 'any');
@@ -6,6 +6,7 @@ import {
     toKebabCase,
     toSnakeCase,
     toUpperCase,
+    toNamingConvention,
     pluralize,
     singularize,
     capitalize,
@@ -19,6 +20,7 @@ import {
     preserveAcronyms,
     isEmpty,
     truncate,
+    toDocText,
     toCSSClass,
     generateButtonClasses,
     generateInputClasses
@@ -85,6 +87,17 @@ describe('StringUtils', () => {
         });
     });
 
+    describe('toNamingConvention()', () => {
+        it('should apply OpenAPI Generator naming conventions', () => {
+            assert.equal(toNamingConvention('first_name', 'camelCase'), 'firstName');
+            assert.equal(toNamingConvention('first_name', 'PascalCase'), 'FirstName');
+            assert.equal(toNamingConvention('firstName', 'snake_case'), 'first_name');
+            assert.equal(toNamingConvention('in-progress', 'UPPERCASE'), 'IN_PROGRESS');
+            assert.equal(toNamingConvention('first_name', 'original'), 'first_name');
+            assert.equal(toNamingConvention('first_name'), 'first_name');
+        });
+    });
+
     describe('pluralize()', () => {
         it('should pluralize regular words', () => {
             assert.equal(pluralize('user'), 'users');
@@ -278,6 +291,13 @@ describe('StringUtils', () => {
         });
     });
 
+    describe('toDocText()', () => {
+        it('should put text on one line and escape comment ends', () => {
+            assert.equal(toDocText('  Lists pets.\n  Paged by */limit '), 'Lists pets. Paged by *\\/limit');
+            assert.equal(toDocText(''), undefined);
+        });
+    });
+
     describe('toCSSClass()', () => {
         it('should generate CSS-safe class names', () => {
             assert.equal(toCSSClass('user profile'), 'user-profile');